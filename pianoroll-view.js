@@ -0,0 +1,646 @@
+// pianoroll-view.js
+// Редактор нот на canvas для PianoRollCore (подключается после pianoroll-core.js)
+
+// Ширина зоны у правого края ноты, за которую меняется длительность (px)
+const VIEW_RESIZE_HANDLE = 6;
+// Чёрные клавиши внутри октавы
+const VIEW_BLACK_KEYS = [1, 3, 6, 8, 10];
+// Цвета треков по trackIndex
+const VIEW_TRACK_COLORS = ['#4caf50', '#2196f3', '#ff9800', '#e91e63', '#9c27b0', '#00bcd4', '#cddc39', '#795548'];
+
+/**
+ * Пианоролл: ноты на сетке время × высота, клавиатура слева и курсор
+ * воспроизведения, который следует за событиями транспорта.
+ *
+ * Мышь: щелчок - выделение (Shift - добавить к выделению), перетаскивание -
+ * перемещение, перетаскивание правого края - длительность, рамка по пустому
+ * месту - выделение нескольких нот, двойной щелчок - создать или удалить ноту.
+ * Клавиатура: Delete - удалить, стрелки вверх/вниз - транспонировать на полутон
+ * (Shift - на октаву), влево/вправо - сдвинуть на шестнадцатую (Shift - на долю),
+ * Ctrl+A - выделить все, Escape - снять выделение, Ctrl+Z - отменить,
+ * Ctrl+Shift+Z или Ctrl+Y - повторить. Alt отключает привязку к сетке.
+ *
+ * Правки передаются в ядро, поэтому воспроизведение и экспорт их учитывают.
+ * Правка нескольких нот - один шаг истории; пианоролл перерисовывается
+ * и при правках из других мест (событие notesChanged)
+ */
+class PianoRollView {
+  /**
+   * @param {HTMLElement} container - Элемент, в котором рисуется пианоролл
+   * @param {PianoRollCore} core - Ядро с нотами
+   * @param {Object} [options]
+   * @param {number} [options.pixelsPerSecond=100] - Масштаб по времени
+   * @param {number} [options.rowHeight=10] - Высота строки полутона (px)
+   * @param {number} [options.lowestNote=21] - Нижняя клавиша (A0)
+   * @param {number} [options.highestNote=108] - Верхняя клавиша (C8)
+   * @param {boolean} [options.snap=true] - Привязка к шестнадцатым
+   * @param {Function} [options.onChange] - Вызывается после каждой правки нот (включая undo/redo)
+   */
+  constructor(container, core, options = {}) {
+    this.core = core;
+    this.options = {
+      pixelsPerSecond: 100,
+      rowHeight: 10,
+      keyboardWidth: 48,
+      lowestNote: 21,
+      highestNote: 108,
+      snap: true,
+      onChange: null,
+      ...options
+    };
+
+    this.notes = [];
+    this.selection = new Set();  // id выделенных нот
+    this.drag = null;            // Текущее перетаскивание (move, resize, select)
+    this.playheadTime = 0;
+    this.editing = false;        // Своя правка: перерисовка после её завершения
+
+    this._buildDom(container);
+    this._bindEvents();
+    this.unsubscribeTransport = core.subscribeToTransport(event => this._onTransport(event));
+    this._onNoteEvent = this._onNoteEvent.bind(this);
+    core.subscribe(this._onNoteEvent);
+
+    this.render();
+    // Начинаем с первой октавы
+    this.scroller.scrollTop = (this.options.highestNote - 72) * this.options.rowHeight;
+  }
+
+  _buildDom(container) {
+    this.root = document.createElement('div');
+    this.root.className = 'pianoroll-view';
+    this.root.tabIndex = 0;
+    this.root.style.cssText = 'position: relative; height: 100%; min-height: 240px; outline: none;';
+
+    this.scroller = document.createElement('div');
+    this.scroller.style.cssText = 'position: absolute; inset: 0; overflow: auto; display: flex; align-items: flex-start; background: #1a1a1a;';
+
+    this.keyboard = document.createElement('canvas');
+    this.keyboard.style.cssText = 'position: sticky; left: 0; z-index: 2; flex-shrink: 0;';
+    this.grid = document.createElement('canvas');
+    this.grid.style.cssText = 'display: block; flex-shrink: 0;';
+
+    this.gridWrapper = document.createElement('div');
+    this.gridWrapper.style.cssText = 'position: relative; flex-shrink: 0;';
+    this.playhead = document.createElement('div');
+    this.playhead.style.cssText = 'position: absolute; top: 0; bottom: 0; left: 0; width: 2px; background: #ff5252; pointer-events: none; z-index: 1;';
+
+    this.gridWrapper.append(this.grid, this.playhead);
+    this.scroller.append(this.keyboard, this.gridWrapper);
+    this.root.append(this.scroller);
+    container.append(this.root);
+  }
+
+  _bindEvents() {
+    this._onMouseDown = this._onMouseDown.bind(this);
+    this._onMouseMove = this._onMouseMove.bind(this);
+    this._onMouseUp = this._onMouseUp.bind(this);
+    this._onDoubleClick = this._onDoubleClick.bind(this);
+    this._onKeyDown = this._onKeyDown.bind(this);
+    this._onHover = this._onHover.bind(this);
+
+    this.grid.addEventListener('mousedown', this._onMouseDown);
+    this.grid.addEventListener('mousemove', this._onHover);
+    this.grid.addEventListener('dblclick', this._onDoubleClick);
+    this.root.addEventListener('keydown', this._onKeyDown);
+  }
+
+  /**
+   * Перечитывает ноты из ядра и перерисовывает пианоролл.
+   * Вызывайте после loadMidiJson(), смены строя и т.п.
+   */
+  render() {
+    this.notes = this.core.getNotes();
+    const ids = new Set(this.notes.map(note => note.id));
+    this.selection.forEach(id => {
+      if (!ids.has(id)) {
+        this.selection.delete(id);
+      }
+    });
+
+    this._resize();
+    this._drawKeyboard();
+    this._drawGrid();
+    this._placePlayhead();
+    return this;
+  }
+
+  /**
+   * Меняет масштаб по времени
+   * @param {number} pixelsPerSecond - Пикселей на секунду (10-1000)
+   */
+  setZoom(pixelsPerSecond) {
+    if (typeof pixelsPerSecond !== 'number' || pixelsPerSecond < 10 || pixelsPerSecond > 1000) {
+      console.warn(`Invalid zoom: ${pixelsPerSecond}. Must be between 10 and 1000 pixels per second.`);
+      return this;
+    }
+    this.options.pixelsPerSecond = pixelsPerSecond;
+    return this.render();
+  }
+
+  /**
+   * Включает или выключает привязку к шестнадцатым
+   * @param {boolean} enabled
+   */
+  setSnap(enabled) {
+    this.options.snap = !!enabled;
+    return this;
+  }
+
+  /**
+   * @return {number[]} id выделенных нот
+   */
+  getSelection() {
+    return Array.from(this.selection);
+  }
+
+  /**
+   * Выделяет ноты по id
+   * @param {number[]} ids
+   */
+  setSelection(ids) {
+    this.selection = new Set(ids);
+    this._drawGrid();
+    return this;
+  }
+
+  /**
+   * Удаляет пианоролл со страницы и отписывается от ядра
+   */
+  dispose() {
+    this.unsubscribeTransport();
+    this.core.unsubscribe(this._onNoteEvent);
+    window.removeEventListener('mousemove', this._onMouseMove);
+    window.removeEventListener('mouseup', this._onMouseUp);
+    this.root.remove();
+  }
+
+  // --- Геометрия ---
+
+  _rows() {
+    return this.options.highestNote - this.options.lowestNote + 1;
+  }
+
+  // --- Сетка по карте темпа ядра: шестнадцатые, доли и такты следуют смене темпа и размера ---
+
+  /**
+   * @return {number[]} размер такта [числитель, знаменатель]
+   */
+  _meterAt(bar) {
+    const meters = this.core.getTempoMap().timeSignatures;
+    const meter = meters.filter(candidate => candidate.bar <= bar).pop();
+    return meter ? meter.timeSignature : [4, 4];
+  }
+
+  // Шестнадцатых в доле такта (доля - знаменатель размера: восьмая в 6/8)
+  _beatSixteenths(bar) {
+    return 16 / this._meterAt(bar)[1];
+  }
+
+  /**
+   * Такт и число шестнадцатых от его начала (дробное между линиями сетки)
+   */
+  _gridPosition(time) {
+    const [bar, beat, sixteenth] = this.core.secondsToPosition(time).split(':').map(Number);
+    return { bar, sixteenths: beat * this._beatSixteenths(bar) + sixteenth };
+  }
+
+  /**
+   * Время позиции сетки; шестнадцатые могут выходить за такт, отрицательные - в предыдущие такты
+   */
+  _gridTime(bar, sixteenths) {
+    while (sixteenths < 0 && bar > 0) {
+      bar--;
+      sixteenths += this._meterAt(bar)[0] * this._beatSixteenths(bar);
+    }
+    return this.core.positionToSeconds(`${bar}:0:${Math.max(0, sixteenths)}`);
+  }
+
+  // Время через заданное число шестнадцатых (отрицательное - раньше)
+  _shiftTime(time, sixteenths) {
+    const position = this._gridPosition(time);
+    return this._gridTime(position.bar, position.sixteenths + sixteenths);
+  }
+
+  // Длина доли, начинающейся в момент time
+  _beatSeconds(time) {
+    return this._shiftTime(time, this._beatSixteenths(this._gridPosition(time).bar)) - time;
+  }
+
+  // Длина шага сетки (шестнадцатой), начинающегося в момент time
+  _gridStep(time) {
+    return this._shiftTime(time, 1) - time;
+  }
+
+  _snapTime(time, event) {
+    if (!this.options.snap || (event && event.altKey)) {
+      return time;
+    }
+    const position = this._gridPosition(time);
+    return this._gridTime(position.bar, Math.round(position.sixteenths));
+  }
+
+  _timeToX(time) {
+    return time * this.options.pixelsPerSecond;
+  }
+
+  _xToTime(x) {
+    return x / this.options.pixelsPerSecond;
+  }
+
+  _midiToY(midi) {
+    return (this.options.highestNote - midi) * this.options.rowHeight;
+  }
+
+  _yToMidi(y) {
+    return this.options.highestNote - Math.floor(y / this.options.rowHeight);
+  }
+
+  _pointer(event) {
+    const rect = this.grid.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }
+
+  _noteAt(x, y) {
+    for (let i = this.notes.length - 1; i >= 0; i--) {
+      const box = this._noteBox(this.notes[i]);
+      if (x >= box.x && x <= box.x + box.width && y >= box.y && y < box.y + box.height) {
+        return this.notes[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Прямоугольник ноты с учётом текущего перетаскивания
+   */
+  _noteBox(note) {
+    const preview = this._preview(note);
+    return {
+      x: this._timeToX(preview.time),
+      y: this._midiToY(preview.midi),
+      width: Math.max(2, this._timeToX(preview.duration)),
+      height: this.options.rowHeight
+    };
+  }
+
+  _preview(note) {
+    const drag = this.drag;
+    if (!drag || !this.selection.has(note.id)) {
+      return note;
+    }
+    if (drag.mode === 'move') {
+      return { ...note, time: note.time + drag.deltaTime, midi: note.midi + drag.deltaMidi };
+    }
+    if (drag.mode === 'resize') {
+      return { ...note, duration: Math.max(drag.minDuration, note.duration + drag.deltaDuration) };
+    }
+    return note;
+  }
+
+  // --- Отрисовка ---
+
+  _resize() {
+    const ratio = window.devicePixelRatio || 1;
+    const height = this._rows() * this.options.rowHeight;
+    const end = this.notes.reduce((latest, note) => Math.max(latest, note.time + note.duration), this.core.duration || 0);
+    // Запас в 4 такта справа для новых нот
+    const margin = this._gridTime(this._gridPosition(end).bar + 4, 0);
+    const width = Math.max(this.scroller.clientWidth - this.options.keyboardWidth, this._timeToX(margin));
+
+    [[this.keyboard, this.options.keyboardWidth], [this.grid, width]].forEach(([canvas, cssWidth]) => {
+      canvas.width = Math.round(cssWidth * ratio);
+      canvas.height = Math.round(height * ratio);
+      canvas.style.width = `${cssWidth}px`;
+      canvas.style.height = `${height}px`;
+      canvas.getContext('2d').setTransform(ratio, 0, 0, ratio, 0, 0);
+    });
+  }
+
+  _drawKeyboard() {
+    const ctx = this.keyboard.getContext('2d');
+    const { rowHeight, keyboardWidth, lowestNote, highestNote } = this.options;
+
+    for (let midi = highestNote; midi >= lowestNote; midi--) {
+      const y = this._midiToY(midi);
+      const black = VIEW_BLACK_KEYS.includes(midi % 12);
+      ctx.fillStyle = black ? '#222' : '#eee';
+      ctx.fillRect(0, y, keyboardWidth, rowHeight);
+      ctx.strokeStyle = '#888';
+      ctx.strokeRect(0.5, y + 0.5, keyboardWidth - 1, rowHeight);
+
+      if (midi % 12 === 0 && rowHeight >= 8) {
+        ctx.fillStyle = '#333';
+        ctx.font = `${Math.min(10, rowHeight)}px sans-serif`;
+        ctx.textBaseline = 'middle';
+        ctx.fillText(`C${midi / 12 - 1}`, 4, y + rowHeight / 2);
+      }
+    }
+  }
+
+  _drawGrid() {
+    const ctx = this.grid.getContext('2d');
+    const width = parseFloat(this.grid.style.width);
+    const height = parseFloat(this.grid.style.height);
+    const { rowHeight, lowestNote, highestNote } = this.options;
+
+    // Строки: чёрные клавиши темнее, линия над каждой до
+    ctx.fillStyle = '#2a2a2a';
+    ctx.fillRect(0, 0, width, height);
+    for (let midi = highestNote; midi >= lowestNote; midi--) {
+      const y = this._midiToY(midi);
+      if (VIEW_BLACK_KEYS.includes(midi % 12)) {
+        ctx.fillStyle = '#222';
+        ctx.fillRect(0, y, width, rowHeight);
+      }
+      ctx.fillStyle = midi % 12 === 11 ? '#555' : '#333';
+      ctx.fillRect(0, y, width, 1);
+    }
+
+    // Вертикальные линии: шестнадцатые (если между ними не меньше 6 px), доли, такты
+    for (let bar = 0, barX = 0; barX < width; bar++) {
+      barX = this._timeToX(this._gridTime(bar, 0));
+      const beatLength = this._beatSixteenths(bar);
+      const barLength = this._meterAt(bar)[0] * beatLength;
+      let x = barX;
+      for (let sixteenth = 0; sixteenth < barLength && x < width; sixteenth++) {
+        const next = this._timeToX(this._gridTime(bar, sixteenth + 1));
+        const isBeat = sixteenth % beatLength === 0;
+        if (isBeat || next - x >= 6) {
+          ctx.strokeStyle = sixteenth === 0 ? '#777' : isBeat ? '#4a4a4a' : '#333';
+          ctx.beginPath();
+          ctx.moveTo(Math.round(x) + 0.5, 0);
+          ctx.lineTo(Math.round(x) + 0.5, height);
+          ctx.stroke();
+        }
+        x = next;
+      }
+    }
+
+    // Ноты
+    this.notes.forEach(note => {
+      const box = this._noteBox(note);
+      const selected = this.selection.has(note.id);
+      ctx.globalAlpha = note.frequency === null ? 0.35 : 1; // Нота отброшена политикой привязки
+      ctx.fillStyle = VIEW_TRACK_COLORS[note.trackIndex % VIEW_TRACK_COLORS.length];
+      ctx.fillRect(box.x, box.y + 1, box.width, box.height - 1);
+      ctx.strokeStyle = selected ? '#fff' : 'rgba(0, 0, 0, 0.6)';
+      ctx.lineWidth = selected ? 2 : 1;
+      ctx.strokeRect(box.x + 0.5, box.y + 1.5, box.width - 1, box.height - 2);
+      ctx.lineWidth = 1;
+      ctx.globalAlpha = 1;
+    });
+
+    // Рамка выделения
+    if (this.drag && this.drag.mode === 'select') {
+      const { x0, y0, x1, y1 } = this.drag;
+      ctx.strokeStyle = '#fff';
+      ctx.setLineDash([4, 3]);
+      ctx.strokeRect(Math.min(x0, x1) + 0.5, Math.min(y0, y1) + 0.5, Math.abs(x1 - x0), Math.abs(y1 - y0));
+      ctx.setLineDash([]);
+    }
+  }
+
+  _placePlayhead() {
+    const x = this._timeToX(this.playheadTime);
+    this.playhead.style.transform = `translateX(${x}px)`;
+
+    // Прокручиваем за курсором во время воспроизведения
+    if (this.core.isPlaying) {
+      const visibleStart = this.scroller.scrollLeft;
+      const visibleWidth = this.scroller.clientWidth - this.options.keyboardWidth;
+      if (x < visibleStart || x > visibleStart + visibleWidth) {
+        this.scroller.scrollLeft = x;
+      }
+    }
+  }
+
+  _onTransport(event) {
+    if (event.type === 'position' && event.data && event.data.positionSeconds !== undefined) {
+      this.playheadTime = event.data.positionSeconds;
+      this._placePlayhead();
+    } else if (event.type === 'stop') {
+      this.playheadTime = 0;
+      this._placePlayhead();
+    } else if (event.type === 'bpm') {
+      this.render();
+    }
+  }
+
+  _onNoteEvent(event) {
+    if (event.type !== 'notesChanged' || this.editing) {
+      return;
+    }
+    event.removed.forEach(note => this.selection.delete(note.id));
+    this._changed();
+  }
+
+  // --- Правка мышью ---
+
+  _onHover(event) {
+    if (this.drag) {
+      return;
+    }
+    const { x, y } = this._pointer(event);
+    const note = this._noteAt(x, y);
+    if (!note) {
+      this.grid.style.cursor = 'default';
+    } else {
+      const box = this._noteBox(note);
+      this.grid.style.cursor = x >= box.x + box.width - VIEW_RESIZE_HANDLE ? 'ew-resize' : 'move';
+    }
+  }
+
+  _onMouseDown(event) {
+    if (event.button !== 0) {
+      return;
+    }
+    this.root.focus();
+    const { x, y } = this._pointer(event);
+    const note = this._noteAt(x, y);
+
+    if (note) {
+      if (event.shiftKey) {
+        if (this.selection.has(note.id)) {
+          this.selection.delete(note.id);
+          this._drawGrid();
+          return;
+        }
+        this.selection.add(note.id);
+      } else if (!this.selection.has(note.id)) {
+        this.selection = new Set([note.id]);
+      }
+
+      const box = this._noteBox(note);
+      this.drag = {
+        mode: x >= box.x + box.width - VIEW_RESIZE_HANDLE ? 'resize' : 'move',
+        anchor: note,
+        startX: x,
+        startY: y,
+        deltaTime: 0,
+        deltaMidi: 0,
+        deltaDuration: 0,
+        minDuration: this.options.snap ? this._gridStep(note.time) : 0.01
+      };
+    } else {
+      this.drag = {
+        mode: 'select',
+        x0: x,
+        y0: y,
+        x1: x,
+        y1: y,
+        initial: event.shiftKey ? new Set(this.selection) : new Set()
+      };
+      this.selection = new Set(this.drag.initial);
+    }
+
+    window.addEventListener('mousemove', this._onMouseMove);
+    window.addEventListener('mouseup', this._onMouseUp);
+    this._drawGrid();
+  }
+
+  _onMouseMove(event) {
+    const drag = this.drag;
+    if (!drag) {
+      return;
+    }
+    const { x, y } = this._pointer(event);
+    const selected = this.notes.filter(note => this.selection.has(note.id));
+
+    if (drag.mode === 'move') {
+      const anchor = drag.anchor;
+      const time = this._snapTime(anchor.time + this._xToTime(x - drag.startX), event);
+      // Выделенные ноты не уходят раньше нуля и за пределы клавиатуры
+      const earliest = Math.min(...selected.map(note => note.time));
+      drag.deltaTime = Math.max(-earliest, time - anchor.time);
+      const lowest = Math.min(...selected.map(note => note.midi));
+      const highest = Math.max(...selected.map(note => note.midi));
+      const deltaMidi = -Math.round((y - drag.startY) / this.options.rowHeight);
+      drag.deltaMidi = Math.max(this.options.lowestNote - lowest, Math.min(this.options.highestNote - highest, deltaMidi));
+    } else if (drag.mode === 'resize') {
+      const anchor = drag.anchor;
+      const end = this._snapTime(anchor.time + anchor.duration + this._xToTime(x - drag.startX), event);
+      drag.deltaDuration = Math.max(drag.minDuration, end - anchor.time) - anchor.duration;
+    } else {
+      drag.x1 = x;
+      drag.y1 = y;
+      const left = this._xToTime(Math.min(drag.x0, x));
+      const right = this._xToTime(Math.max(drag.x0, x));
+      const top = this._yToMidi(Math.min(drag.y0, y));
+      const bottom = this._yToMidi(Math.max(drag.y0, y));
+      this.selection = new Set(drag.initial);
+      this.notes.forEach(note => {
+        if (note.time < right && note.time + note.duration > left && note.midi <= top && note.midi >= bottom) {
+          this.selection.add(note.id);
+        }
+      });
+    }
+    this._drawGrid();
+  }
+
+  _onMouseUp() {
+    window.removeEventListener('mousemove', this._onMouseMove);
+    window.removeEventListener('mouseup', this._onMouseUp);
+    const drag = this.drag;
+    this.drag = null;
+
+    const selected = this.notes.filter(note => this.selection.has(note.id));
+    if (drag && drag.mode === 'move' && (drag.deltaTime !== 0 || drag.deltaMidi !== 0)) {
+      this._edit('move', () => selected.forEach(note => {
+        this.core.updateNote(note.id, { time: note.time + drag.deltaTime, midi: note.midi + drag.deltaMidi });
+      }));
+    } else if (drag && drag.mode === 'resize' && drag.deltaDuration !== 0) {
+      this._edit('resize', () => selected.forEach(note => {
+        this.core.updateNote(note.id, { duration: Math.max(drag.minDuration, note.duration + drag.deltaDuration) });
+      }));
+    } else {
+      this._drawGrid();
+    }
+  }
+
+  _onDoubleClick(event) {
+    const { x, y } = this._pointer(event);
+    const note = this._noteAt(x, y);
+
+    if (note) {
+      this._edit('remove', () => this.core.removeNote(note.id));
+      return;
+    }
+
+    // Новая нота длиной в долю на треке выделенной ноты
+    const time = Math.max(0, this._snapTime(this._xToTime(x), event));
+    const track = this.notes.find(candidate => this.selection.has(candidate.id));
+    this._edit('add', () => {
+      const added = this.core.addNote({
+        midi: this._yToMidi(y),
+        time,
+        duration: this._beatSeconds(time),
+        trackIndex: track ? track.trackIndex : 0
+      });
+      this.selection = new Set([added.id]);
+    });
+  }
+
+  // --- Правка с клавиатуры ---
+
+  _onKeyDown(event) {
+    const selected = this.notes.filter(note => this.selection.has(note.id));
+    const ids = selected.map(note => note.id);
+    const command = event.ctrlKey || event.metaKey;
+    const key = event.key.toLowerCase();
+
+    if (command && key === 'a') {
+      this.setSelection(this.notes.map(note => note.id));
+    } else if (command && (key === 'y' || (key === 'z' && event.shiftKey))) {
+      this.core.redo();
+    } else if (command && key === 'z') {
+      this.core.undo();
+    } else if (event.key === 'Escape') {
+      this.setSelection([]);
+    } else if ((event.key === 'Delete' || event.key === 'Backspace') && selected.length) {
+      this._edit('remove', () => this.core.removeNotes(ids));
+    } else if ((event.key === 'ArrowUp' || event.key === 'ArrowDown') && selected.length) {
+      const step = (event.key === 'ArrowUp' ? 1 : -1) * (event.shiftKey ? 12 : 1);
+      const fits = selected.every(note =>
+        note.midi + step >= this.options.lowestNote && note.midi + step <= this.options.highestNote);
+      if (fits) {
+        this._edit('transpose', () => this.core.transposeNotes(ids, step));
+      }
+    } else if ((event.key === 'ArrowLeft' || event.key === 'ArrowRight') && selected.length) {
+      // Шаг сетки (Shift - доля) у самой ранней ноты: вперёд от неё или назад до неё
+      const earliest = Math.min(...selected.map(note => note.time));
+      const sixteenths = event.shiftKey ? this._beatSixteenths(this._gridPosition(earliest).bar) : 1;
+      const step = this._shiftTime(earliest, event.key === 'ArrowRight' ? sixteenths : -sixteenths) - earliest;
+      if (step !== 0) {
+        this._edit('move', () => this.core.moveNotes(ids, step));
+      }
+    } else {
+      return;
+    }
+    event.preventDefault();
+  }
+
+  /**
+   * Выполняет правку в ядре одним шагом истории, перерисовывает и сообщает об изменении
+   */
+  _edit(label, apply) {
+    this.editing = true;
+    try {
+      this.core.groupEdits(label, apply);
+    } catch (error) {
+      console.warn(`Note edit failed: ${error.message}`);
+    } finally {
+      this.editing = false;
+    }
+    this._changed();
+  }
+
+  _changed() {
+    this.render();
+    if (typeof this.options.onChange === 'function') {
+      this.options.onChange(this.notes);
+    }
+  }
+}
+
+window.PianoRollView = PianoRollView;
@@ -0,0 +1,34 @@
+// Entry of pianoroll-core.js in the repository root (npm run build:vanilla): the same core as a
+// classic script for the vanilla page, and as the CommonJS main of the root package.
+// Tonal and @tonejs/midi are bundled; Tone.js is taken from the page if it is loaded before
+import {
+	PianoRollCore,
+	ScalaParseError,
+	ProjectFormatError,
+	SampleSetError,
+	PatchFormatError,
+	FakeMidiInput,
+	MidiOutputRouter,
+	FakeMidiOutput,
+	setAudioEngine
+} from './index.js';
+
+export * from './index.js';
+
+// In the browser the classes are globals, as the page scripts expect
+if (typeof window !== 'undefined') {
+	const page = window as unknown as Record<string, unknown>;
+	if (page.Tone) {
+		setAudioEngine(page.Tone);
+	}
+	Object.assign(page, {
+		PianoRollCore,
+		ScalaParseError,
+		ProjectFormatError,
+		SampleSetError,
+		PatchFormatError,
+		FakeMidiInput,
+		MidiOutputRouter,
+		FakeMidiOutput
+	});
+}
@@ -0,0 +1,238 @@
+import { describe, expect, it, vi } from 'vitest';
+import { PianoRollCore, setAudioEngine } from '../index.js';
+import type { NoteChanges, NoteEvent, NotesChangedEvent, TransportEvent } from '../types/index.js';
+
+const TWO_TRACKS = {
+	tracks: [
+		{ name: 'Piano', notes: [{ midi: 60, time: 0, duration: 1, velocity: 0.8 }, { midi: 64, time: 1, duration: 1, velocity: 0.8 }] },
+		{ name: 'Bass', notes: [{ midi: 36, time: 0, duration: 2, velocity: 0.6 }] }
+	]
+};
+
+function editingCore(): { core: PianoRollCore; changes: NotesChangedEvent[] } {
+	const core = new PianoRollCore({ useSynth: false });
+	const changes: NotesChangedEvent[] = [];
+	core.subscribe((event: NoteEvent) => {
+		if (event.type === 'notesChanged') {
+			changes.push(event);
+		}
+	});
+	return { core, changes };
+}
+
+describe('tuning systems', () => {
+	it('tune notes from the reference and the tonic', () => {
+		const core = new PianoRollCore({ useSynth: false });
+		expect(core.noteToFrequency('A4')).toBe(440);
+		expect(core.noteToFrequency('C4')).toBeCloseTo(261.626, 3);
+
+		core.setTuningSystem('natural');
+		expect(core.noteToFrequency('E4')! / core.noteToFrequency('C4')!).toBeCloseTo(5 / 4, 12);
+		core.setTonic('D');
+		expect(core.noteToFrequency('F#4')! / core.noteToFrequency('D4')!).toBeCloseTo(5 / 4, 12);
+
+		core.setReferencePitch(415);
+		core.setTuningSystem('equal');
+		expect(core.noteToFrequency('A4')).toBe(415);
+	});
+
+	it('fall back to 440 Hz with a warning for notes that are not MIDI keys', () => {
+		const core = new PianoRollCore({ useSynth: false });
+		core.registerGeneratedTuning('gamut', { type: 'gamut', size: 17 });
+		const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		['natural', 'pythagorean', 'pentatonic', 'gamut'].forEach(system => {
+			core.setTuningSystem(system);
+			expect(['H4', Number.NaN, 60.5].map(note => core.noteToFrequency(note))).toEqual([440, 440, 440]);
+		});
+		expect(warn).toHaveBeenCalledWith('Unknown note: H4, using 440Hz');
+		warn.mockRestore();
+	});
+
+	it('warn about invalid settings and keep the old ones', () => {
+		const core = new PianoRollCore({ useSynth: false });
+		const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		core.setReferencePitch(-1);
+		core.setReferencePitch(432, 'A');
+		core.setTonic('H');
+		expect(warn).toHaveBeenCalledTimes(3);
+		expect(new PianoRollCore({ useSynth: false, referenceNote: 'H4', referenceFrequency: 432 }).noteToFrequency('A4')).toBe(440);
+		warn.mockRestore();
+		expect(core.noteToFrequency('A4')).toBe(440);
+	});
+});
+
+describe('loading', () => {
+	it('loads tracks and reports the transport state', () => {
+		const core = new PianoRollCore({ useSynth: false });
+		const notes = core.loadMidiJson(TWO_TRACKS);
+		expect(notes.map(note => note.name)).toEqual(['C4', 'C2', 'E4']);
+		expect(core.getTracks().map(track => [track.name, track.noteCount])).toEqual([['Piano', 2], ['Bass', 1]]);
+		expect(core.getTransportState()).toMatchObject({ isPlaying: false, positionSeconds: 0, duration: 2 });
+		expect(JSON.parse(core.toJSON())).toHaveLength(3);
+		expect(core.clear().getNotes()).toEqual([]);
+	});
+
+	it('changes the mixer settings of a track', () => {
+		const core = new PianoRollCore({ useSynth: false });
+		core.loadMidiJson(TWO_TRACKS);
+		expect(core.updateTrack(1, { tuningSystem: 'natural', mute: true })).toMatchObject({ tuningSystem: 'natural', mute: true, audible: false });
+		expect(() => core.updateTrack(2, { mute: true })).toThrow(RangeError);
+		expect(() => core.updateTrack(0, { volume: 100 })).toThrow(RangeError);
+	});
+
+	it('retunes tracks in a tuning that is registered again', () => {
+		const core = new PianoRollCore({ useSynth: false });
+		core.loadMidiJson(TWO_TRACKS);
+		core.registerGeneratedTuning('X', { type: 'edo', divisions: 19 });
+		core.updateTrack(0, { tuningSystem: 'X' });
+		const e4 = () => core.getNotes().find(note => note.name === 'E4')!.frequency;
+		expect(e4()).toBeCloseTo(302.73, 2);
+		core.registerGeneratedTuning('X', { type: 'edo', divisions: 31 });
+		expect(e4()).toBeCloseTo(286.1, 2);
+
+		core.updateTrack(0, { tuningSystem: 'adaptive' });
+		core.setAdaptiveDrift(0);
+		expect(e4()).toBeCloseTo(core.noteToFrequency('E4')!, 9);
+	});
+});
+
+describe('transport', () => {
+	it('seeks within the piece and sets the loop on the tempo map', () => {
+		const core = new PianoRollCore({ useSynth: false });
+		core.loadMidiJson(TWO_TRACKS);
+		const events: TransportEvent[] = [];
+		core.subscribeToTransport(event => events.push(event));
+		core.setPosition('0:2:0');
+		expect(core.getTransportState()).toMatchObject({ positionSeconds: 1, position: '0:2:0' });
+		core.setPosition(10);
+		expect(core.getTransportState().positionSeconds).toBe(2);
+		core.setLoop(true, '0:1:0', 1.5);
+		expect(core.getTransportState()).toMatchObject({ isLooping: true, loopStart: '0:1:0', loopEnd: '0:3:0', loopEndSeconds: 1.5 });
+		expect(events.map(event => event.type)).toEqual(['position', 'position', 'loop']);
+	});
+
+	it('keeps the loop when the end is not after the start', () => {
+		const core = new PianoRollCore({ useSynth: false });
+		const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		core.setLoop(true, 2, 1);
+		expect(warn).toHaveBeenCalledOnce();
+		warn.mockRestore();
+		expect(core.getTransportState().isLooping).toBe(false);
+	});
+});
+
+describe('note editing', () => {
+	it('adds, updates and removes notes with undo and redo', () => {
+		const { core, changes } = editingCore();
+		const note = core.addNote({ midi: 60, time: 0, duration: 1 });
+		expect(note).toMatchObject({ name: 'C4', velocity: 0.8, trackIndex: 0 });
+		core.updateNote(note.id, { midi: 62 });
+		core.removeNote(note.id);
+		expect(core.getHistory().undo).toEqual(['add', 'update', 'remove']);
+
+		expect(core.undo()).toBe(true);
+		expect(core.getNotes()[0].name).toBe('D4');
+		core.undo();
+		expect(core.getNotes()[0].name).toBe('C4');
+		expect(core.redo()).toBe(true);
+		expect(changes.map(change => [change.action, change.label])).toEqual([
+			['edit', 'add'], ['edit', 'update'], ['edit', 'remove'], ['undo', 'remove'], ['undo', 'update'], ['redo', 'update']
+		]);
+		expect(() => core.updateNote(999, { midi: 60 })).toThrow(RangeError);
+		expect(() => core.addNote({ midi: 128, time: 0, duration: 1 })).toThrow(RangeError);
+	});
+
+	it('keeps notes on existing tracks', () => {
+		const { core } = editingCore();
+		// Before a file is loaded there is only track 0
+		const note = core.addNote({ midi: 60, time: 0, duration: 1 });
+		expect(() => core.addNote({ midi: 60, time: 0, duration: 1, trackIndex: 1 })).toThrow(RangeError);
+		expect(() => core.updateNote(note.id, { trackIndex: 1 })).toThrow(RangeError);
+
+		const [piano, bass] = core.loadMidiJson(TWO_TRACKS);
+		expect(core.updateNote(piano.id, { trackIndex: 1 }).trackIndex).toBe(1);
+		expect(() => core.addNote({ midi: 60, time: 0, duration: 1, trackIndex: 2 })).toThrow(RangeError);
+		const doubled = core.addNote({ midi: 36, time: 3, duration: 1 });
+		expect(() => core.mergeNotes([bass.id, doubled.id])).toThrow(RangeError);
+	});
+
+	it('records no edit for changes that leave a note as it was', () => {
+		const { core, changes } = editingCore();
+		const note = core.addNote({ midi: 60, time: 0, duration: 1 });
+		core.updateNote(note.id, { frequency: 1 } as NoteChanges);
+		core.updateNote(note.id, { midi: 60, velocity: 0.8 });
+		core.moveNotes([note.id], 0);
+		expect(core.getHistory().undo).toEqual(['add']);
+		expect(changes).toHaveLength(1);
+		expect(core.getNotes()[0].frequency).toBeCloseTo(261.626, 3);
+	});
+
+	it('transposes, moves, splits, merges and quantizes', () => {
+		const { core } = editingCore();
+		const [a, b] = [core.addNote({ midi: 60, time: 0.1, duration: 1 }), core.addNote({ midi: 60, time: 1.2, duration: 0.5 })];
+		expect(core.transposeNotes([a.id, b.id], 12).map(note => note.name)).toEqual(['C5', 'C5']);
+		expect(() => core.transposeNotes([a.id], 0.5)).toThrow(RangeError);
+		expect(core.moveNotes([a.id], -0.1)[0].time).toBe(0);
+		expect(() => core.moveNotes([a.id], -1)).toThrow(RangeError);
+
+		const [left, right] = core.splitNote(a.id, 0.5);
+		expect([left.duration, right.time, right.duration]).toEqual([0.5, 0.5, 0.5]);
+		expect(core.mergeNotes([left.id, right.id, b.id])).toMatchObject({ id: left.id, time: 0, duration: 1.7 });
+		expect(core.getNotes()).toHaveLength(1);
+
+		// 16th notes at 120 BPM are 0.125 s
+		const c = core.addNote({ midi: 64, time: 0.3, duration: 0.2 });
+		expect(core.quantizeNotes([c.id], '16n')[0].time).toBe(0.25);
+		expect(core.quantizeNotes([c.id], 0.2, 0.5)[0].time).toBeCloseTo(0.225, 9);
+	});
+
+	it('undoes a group of edits as one step', () => {
+		const { core, changes } = editingCore();
+		core.groupEdits('chord', () => {
+			[60, 64, 67].forEach(midi => core.addNote({ midi, time: 0, duration: 1 }));
+		});
+		expect(changes.map(change => change.label)).toEqual(['add', 'add', 'add']);
+		expect(core.getHistory().undo).toEqual(['chord']);
+		core.undo();
+		expect(changes.at(-1)).toMatchObject({ action: 'undo', label: 'chord' });
+		expect(changes.at(-1)!.removed).toHaveLength(3);
+		expect(core.getNotes()).toEqual([]);
+		expect(core.canUndo()).toBe(false);
+		expect(core.canRedo()).toBe(true);
+	});
+	it('schedules edited notes again while playing', () => {
+		// The fake transport keeps the time of every scheduled event
+		const scheduled = new Map<number, { time: number }>();
+		let nextId = 0;
+		const Transport = {
+			bpm: { value: 120 }, seconds: 0, loop: false,
+			schedule(_: unknown, time: number) { scheduled.set(++nextId, { time }); return nextId; },
+			scheduleOnce(_: unknown, time: number) { scheduled.set(++nextId, { time }); return nextId; },
+			clear(id: number) { scheduled.delete(id); },
+			start() {}, stop() {}, cancel() {}, on() {}, off() {}
+		};
+		setAudioEngine({ Transport, now: () => 0 });
+		const { core } = editingCore();
+		const interval = vi.spyOn(globalThis, 'setInterval').mockReturnValue(0 as never);
+		try {
+			const note = core.addNote({ midi: 60, time: 1, duration: 1 });
+			core.play();
+			const times = () => [...scheduled.values()].map(event => event.time).sort((a, b) => a - b);
+			expect(times()).toEqual([1, 2]);
+
+			core.moveNotes([note.id], 2);
+			expect(times()).toEqual([3, 4]);
+			core.addNote({ midi: 64, time: 0.5, duration: 0.5 });
+			expect(times()).toEqual([0.5, 1, 3, 4]);
+			core.undo();
+			core.undo();
+			expect(times()).toEqual([1, 2]);
+			core.removeNote(note.id);
+			expect(times()).toEqual([]);
+		} finally {
+			core.stop();
+			interval.mockRestore();
+			setAudioEngine(null);
+		}
+	});
+});
@@ -10,16 +10,179 @@ import type {
 	TransportState,
 	TransportControls,
 	TransportEvent,
-	TransportEventCallback
+	TransportEventCallback,
+	CustomTuning,
+	TuningInfo,
+	ScalaScale,
+	KeyboardMapping,
+	TuningDefinition,
+	ModeDefinition,
+	GamutDefinition,
+	SpellingOptions,
+	SnapPolicy,
+	NoteRemap,
+	MidiExportOptions,
+	RenderOptions,
+	NoteInput,
+	NoteChanges,
+	EditHistory,
+	TrackMix,
+	TrackInfo,
+	TrackChanges,
+	MidiHeader,
+	TempoMap,
+	MidiInputPort,
+	MidiInputMessage,
+	MidiOutputOptions,
+	MidiOutputPort,
+	MetronomeSettings,
+	MetronomeClickEvent,
+	NoteTransforms,
+	TransformChanges,
+	RecordMode,
+	RecordingOptions,
+	ControllerEvent,
+	TuningAnalysis,
+	TuningComparison,
+	AnalysisExportOptions,
+	ProjectDocument,
+	ProjectSettings,
+	ProjectTuning,
+	ProjectIssue,
+	MidiJson,
+	SampleSet,
+	SamplerSource,
+	SamplerInfo,
+	SamplerVoice,
+	SynthPatch,
+	PatchChanges,
+	MasterBusSettings,
+	PatchPresetInfo,
+	PatchPresetDocument,
+	DecodedSample,
+	SamplerRegion,
+	SoundFontPreset
 } from '../types/index.js';
+import * as Tonal from 'tonal';
+import { Midi } from '@tonejs/midi';
+import { getAudioEngine, setAudioEngine, type AudioEngine } from './audio.js';
+import { parseScl, parseKbm, defaultKeyboardMapping, scalaKeyFrequencies } from './scala.js';
+import { generateTuningScale, gamutChain, gamutFifths, BUILTIN_TUNING_SYSTEMS, NATURAL_RATIOS } from './tuningGenerators.js';
+import { SYNTH_TYPES, TRACK_MIX_DEFAULTS, TRACK_VOLUME_RANGE } from './tracks.js';
+import { PROJECT_FORMAT, PROJECT_VERSION, PROJECT_SETTINGS, ProjectFormatError, projectTransforms, readProject } from './project.js';
+import { adaptiveJustFrequencies } from './adaptiveTuning.js';
+import {
+	KEY_SCALES,
+	SPELLED_TUNINGS,
+	fifthsAbove,
+	fifthsName,
+	inferSpellings,
+	isKeySignature,
+	spelledRatio
+} from './spelling.js';
+import { parseMusicXml, readMidiJsonNote, readMusicXml } from './scoreImport.js';
+import { SNAP_POLICIES, snapMidi } from './snapping.js';
+import { createTunedMidiFile, type TunedMidiTrack } from './midiExport.js';
+import { encodeWav, type WavBitDepth } from './wav.js';
+import { PITCH_BEND_RANGE, parseMidiMessage } from './midiInput.js';
+import { MidiOutputRouter } from './midiOutput.js';
+import {
+	MASTER_BUS_DEFAULTS,
+	MasterBus,
+	PATCH_DEFAULTS,
+	PATCH_FORMAT,
+	PATCH_PRESETS,
+	PATCH_VERSION,
+	PatchFormatError,
+	masterBusErrors,
+	mergePatch,
+	patchErrors,
+	readPatchPreset,
+	synthVoice
+} from './patch.js';
+import { SamplerSynth, decodeWav, finishRegions, loadSfzSamples, parseSfz, parseSoundFont, samplerVoices, soundFontPresets } from './sampler.js';
+import {
+	METRONOME_DEFAULTS,
+	METRONOME_SUBDIVISIONS,
+	METRONOME_VOLUME_RANGE,
+	METRONOME_CLICKS,
+	MAX_COUNT_IN_BARS,
+	nextMetronomeClick,
+	countInClicks,
+	type MetronomeClick
+} from './metronome.js';
+import { TRANSFORM_DEFAULTS, GROOVE_TEMPLATES, transformsError, transformNotes } from './noteTransforms.js';
+import {
+	SUSTAIN_CC,
+	VOLUME_CC,
+	EXPRESSION_CC,
+	readTrackControllers,
+	applyControllerEvent,
+	controllerStateAt,
+	controllerGain,
+	type ControllerState
+} from './controllers.js';
+import { ANALYSIS_FORMATS, ANALYSIS_TABLES, analyzeTunedNotes, compareAnalyses, analysisToCsv } from './tuningAnalysis.js';
+import {
+	EDIT_HISTORY_LIMIT,
+	mergeGroupChanges,
+	subdivisionSeconds,
+	type HistoryEntry,
+	type NoteChange,
+	type NoteRecord
+} from './noteEditing.js';
+import {
+	DEFAULT_PPQ,
+	createTempoMap,
+	tempoSegments,
+	ticksToSeconds,
+	secondsToTicks,
+	meterSegments,
+	ticksToPosition,
+	positionToTicks
+} from './tempoMap.js';
 
-// Global references to libraries loaded via script tags
-declare global {
-	interface Window {
-		Tone: any;
-		Tonal: any;
-		Midi: any;
-	}
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Note fields that addNote()/updateNote() can change
+const EDITABLE_NOTE_FIELDS = ['midi', 'time', 'duration', 'velocity', 'trackIndex'] as const;
+
+const RECORD_MODES: RecordMode[] = ['overdub', 'replace'];
+
+// Shortest recorded note (seconds), so an instant release does not give a zero duration
+const MIN_RECORDED_DURATION = 0.01;
+
+// A key held during recording and the notes captured so far
+interface RecordedNote {
+	midi: number;
+	time: number;
+	velocity: number;
+}
+
+interface Recording {
+	mode: RecordMode;
+	quantize: string | number | null;
+	trackName: string;
+	held: Map<string, RecordedNote>;
+	take: (RecordedNote & { duration: number })[];
+	start: number;
+	end: number;
+}
+
+// Pentatonic degrees (semitones above the tonic) and their ratios
+const PENTATONIC_RATIOS: Record<number, number> = { 0: 1, 2: 9/8, 4: 5/4, 7: 3/2, 9: 5/3 };
+
+type MixerTrack = TunedMidiTrack & TrackMix;
+
+// Mixer channel of a track; the synth is created on the track's first note
+interface TrackStrip {
+	channel: any;
+	synth: any | null;
+}
+
+interface ResolvedPitch {
+	frequency: number | null;
+	remap: NoteRemap | null;
 }
 
 /**
@@ -29,8 +192,26 @@ declare global {
 export class PianoRollCore implements TransportControls {
 	public options: Required<PianoRollOptions>;
 	public tuningTables: TuningTables;
+	public customTunings: Record<string, CustomTuning> = {};
 	public synth: any | null = null;
+	// Sample set of the 'sampler' synth, see loadSampler()
+	public sampler: SampleSet | null = null;
+	// Synth patch, master bus and the user's presets, see setPatch()
+	private patch: SynthPatch = mergePatch(PATCH_DEFAULTS, {});
+	private masterBus: MasterBusSettings = { ...MASTER_BUS_DEFAULTS };
+	private patchPresets: Record<string, SynthPatch> = {};
+	// Created with the first synth
+	private _bus: MasterBus | null = null;
 	public notes: Note[] = [];
+	public tracks: MixerTrack[] = [];
+	private trackStrips: (TrackStrip | undefined)[] = [];
+	// Controller automation of the file tracks, see getControllers()
+	private controllers: ControllerEvent[][] = [];
+	// Pedal, bend, volume and expression of each track during playback, with the notes held by the pedal
+	private _controllerStates: (ControllerState & { held: Set<number> })[] = [];
+	private _nextNoteId: number = 1;
+	private _history: { undo: HistoryEntry[]; redo: HistoryEntry[] } = { undo: [], redo: [] };
+	private _editGroup: { label: string; depth: number; changes: Map<number, NoteChange> } | null = null;
 	public noteSubscribers: NoteEventCallback[] = [];
 	public transportSubscribers: TransportEventCallback[] = [];
 	public isPlaying: boolean = false;
@@ -49,25 +230,81 @@ export class PianoRollCore implements TransportControls {
 		isLooping: false,
 		loopStart: '0:0:0',
 		loopEnd: '4:0:0',
+		loopStartSeconds: 0,
+		loopEndSeconds: 8,
+		isRecording: false,
+		isCountingIn: false,
 		swing: 0,
 		swingSubdivision: '8n'
 	};
+	// Tempos and meters of the loaded file; setBPM() scales the tempos instead of replacing the map
+	private tempoMap: MidiHeader = createTempoMap({}, this.transportState.bpm);
 	
 	private positionUpdateInterval: number | null = null;
+	// Notes sounding right now, by note id; the frequency is kept to release the same voice after a retune
+	private _voices = new Map<number, { note: Note; frequency: number }>();
+	private _loopCount = 0;
+	// Live MIDI input, see connectMidiInput(); notes keyed by 'channel:midi'
+	public midiInput: MidiInputPort | null = null;
+	private _live = {
+		notes: new Map<string, { note: string; frequency: number; channel: number }>(),
+		sustain: false,
+		sustained: new Set<string>(),
+		bend: 0
+	};
+	// Take in progress, see startRecording()
+	private _recording: Recording | null = null;
+	// External synth on a MIDI output, see connectMidiOutput()
+	public midiOutput: MidiOutputRouter | null = null;
+	// Metronome, see setMetronome(); clicks are scheduled one at a time, each from the previous one
+	private metronome: MetronomeSettings = { ...METRONOME_DEFAULTS };
+	private _clickSynth: any | null = null;
+	private _clickEvent: number | null = null;
+	private _countIn: { bars: number; seconds: number } | null = null;
+	// Performance transforms, see setTransforms(); they never change this.notes
+	private transforms: Omit<NoteTransforms, 'swing'> = {
+		quantize: { ...TRANSFORM_DEFAULTS.quantize },
+		groove: { ...TRANSFORM_DEFAULTS.groove },
+		humanize: { ...TRANSFORM_DEFAULTS.humanize }
+	};
 
 	constructor(options: PianoRollOptions = {}) {
 		this.options = {
 			tuningSystem: 'equal',
 			useSynth: true,
 			synthType: 'default',
+			referenceFrequency: 440,
+			referenceNote: 'A4',
+			tonic: 'C',
+			adaptiveMaxDrift: 20,
+			snapPolicy: 'nearest',
 			...options
 		};
 
+		if (!this._isValidReference(this.options.referenceFrequency, this.options.referenceNote)) {
+			console.warn(`Invalid reference pitch: ${this.options.referenceNote} = ${this.options.referenceFrequency} Hz. Using A4 = 440 Hz instead.`);
+			this.options.referenceFrequency = 440;
+			this.options.referenceNote = 'A4';
+		}
+		if (!this._isValidTonic(this.options.tonic)) {
+			console.warn(`Invalid tonic: ${this.options.tonic}. Using 'C' instead.`);
+			this.options.tonic = 'C';
+		}
+		if (!this._isValidDrift(this.options.adaptiveMaxDrift)) {
+			console.warn(`Invalid adaptive drift: ${this.options.adaptiveMaxDrift}. Using 20 cents instead.`);
+			this.options.adaptiveMaxDrift = 20;
+		}
+		if (!SNAP_POLICIES.includes(this.options.snapPolicy)) {
+			console.warn(`Invalid snap policy: ${this.options.snapPolicy}. Using 'nearest' instead.`);
+			this.options.snapPolicy = 'nearest';
+		}
+
 		this.tuningTables = {
 			equal: {},
 			natural: {},
 			pythagorean: {},
-			pentatonic: {}
+			pentatonic: {},
+			adaptive: {} // single notes are equal-tempered, sonorities are retuned from this.notes
 		};
 
 		this._initTuningTables();
@@ -77,169 +314,330 @@ export class PianoRollCore implements TransportControls {
 		}
 		
 		// Initialize Tone.js transport settings if available
-		if (typeof window !== 'undefined' && window.Tone) {
-			window.Tone.Transport.bpm.value = this.transportState.bpm;
-			window.Tone.Transport.swing = this.transportState.swing;
-			window.Tone.Transport.swingSubdivision = this.transportState.swingSubdivision;
+		const Tone = getAudioEngine();
+		if (Tone) {
+			Tone.Transport.bpm.value = this.transportState.bpm;
 		}
 	}
 
 	/**
 	 * Initialize tuning tables with frequency ratios for different musical systems
+	 * The tonic is tuned to its equal-tempered pitch relative to the reference,
+	 * the other degrees follow the system's ratios from the tonic
 	 */
 	private _initTuningTables(): void {
-		if (typeof window === 'undefined' || !window.Tone || !window.Tonal) {
-			console.warn('Tone.js or Tonal.js not loaded, using equal temperament as fallback');
-			return;
-		}
-
-		const Tone = window.Tone;
-		const baseNote = 'C4';
-		const baseFreq = Tone.Frequency(baseNote).toFrequency();
-
-		// Natural (just intonation) ratios
-		const naturalRatios: Record<string, number> = {
-			'C': 1, 'C#': 16/15, 'D': 9/8, 'D#': 6/5, 'E': 5/4, 'F': 4/3,
-			'F#': 45/32, 'G': 3/2, 'G#': 8/5, 'A': 5/3, 'A#': 9/5, 'B': 15/8
-		};
-
 		// Pythagorean tuning ratios
-		const pythagoreanRatios: Record<string, number> = {
-			'C': 1, 'C#': 256/243, 'D': 9/8, 'D#': 32/27, 'E': 81/64, 'F': 4/3,
-			'F#': 729/512, 'G': 3/2, 'G#': 128/81, 'A': 27/16, 'A#': 16/9, 'B': 243/128
-		};
+		const pythagoreanRatios = [1, 256/243, 9/8, 32/27, 81/64, 4/3, 729/512, 3/2, 128/81, 27/16, 16/9, 243/128];
 
-		// Pentatonic scale ratios (5-note scale)
-		const pentatonicRatios: Record<string, number> = {
-			'C': 1, 'D': 9/8, 'E': 5/4, 'G': 3/2, 'A': 5/3
-		};
+		const tonicMidi = this._tonicMidi();
+		const tonicFreq = this._equalFrequency(tonicMidi);
+
+		for (const system of BUILTIN_TUNING_SYSTEMS) {
+			this.tuningTables[system] = {};
+		}
 
 		// Generate tuning tables for all octaves (0-8)
 		for (let octave = 0; octave <= 8; octave++) {
-			// Equal temperament (12-TET)
-			for (let semitone = 0; semitone < 12; semitone++) {
-				const note = Tone.Frequency(baseFreq, 'hz').transpose(semitone + (octave - 4) * 12);
-				const noteName = note.toNote();
-				this.tuningTables.equal[noteName] = note.toFrequency();
-			}
-
-			// Natural tuning
-			Object.entries(naturalRatios).forEach(([noteName, ratio]) => {
+			NOTE_NAMES.forEach((noteName, index) => {
 				const fullNoteName = `${noteName}${octave}`;
-				const octaveMultiplier = Math.pow(2, octave - 4);
-				this.tuningTables.natural[fullNoteName] = baseFreq * ratio * octaveMultiplier;
-			});
+				const midi = (octave + 1) * 12 + index;
+				const interval = midi - tonicMidi;
+				const octaves = Math.floor(interval / 12);
+				const step = interval - octaves * 12;
+				const octaveMultiplier = Math.pow(2, octaves);
 
-			// Pythagorean tuning
-			Object.entries(pythagoreanRatios).forEach(([noteName, ratio]) => {
-				const fullNoteName = `${noteName}${octave}`;
-				const octaveMultiplier = Math.pow(2, octave - 4);
-				this.tuningTables.pythagorean[fullNoteName] = baseFreq * ratio * octaveMultiplier;
-			});
+				this.tuningTables.equal[fullNoteName] = this._equalFrequency(midi);
+				this.tuningTables.adaptive[fullNoteName] = this.tuningTables.equal[fullNoteName];
+				this.tuningTables.natural[fullNoteName] = tonicFreq * NATURAL_RATIOS[step] * octaveMultiplier;
+				this.tuningTables.pythagorean[fullNoteName] = tonicFreq * pythagoreanRatios[step] * octaveMultiplier;
 
-			// Pentatonic tuning
-			Object.entries(pentatonicRatios).forEach(([noteName, ratio]) => {
-				const fullNoteName = `${noteName}${octave}`;
-				const octaveMultiplier = Math.pow(2, octave - 4);
-				this.tuningTables.pentatonic[fullNoteName] = baseFreq * ratio * octaveMultiplier;
+				if (step in PENTATONIC_RATIOS) {
+					this.tuningTables.pentatonic[fullNoteName] = tonicFreq * PENTATONIC_RATIOS[step] * octaveMultiplier;
+				}
 			});
 		}
 	}
 
+	/**
+	 * Equal-tempered frequency of a MIDI note relative to the reference pitch
+	 */
+	private _equalFrequency(midi: number): number {
+		const referenceMidi = Tonal.Note.midi(this.options.referenceNote) as number;
+		return this.options.referenceFrequency * Math.pow(2, (midi - referenceMidi) / 12);
+	}
+
+	/**
+	 * MIDI number of the tonic in octave 4 (C4 = 60)
+	 */
+	private _tonicMidi(): number {
+		return 60 + (Tonal.Note.chroma(this.options.tonic) as number);
+	}
+
+	private _isValidReference(frequency: number, note: string): boolean {
+		if (typeof frequency !== 'number' || !isFinite(frequency) || frequency <= 0) {
+			return false;
+		}
+		return Number.isInteger(Tonal.Note.midi(note));
+	}
+
+	private _isValidTonic(tonic: string): boolean {
+		if (typeof tonic !== 'string') {
+			return false;
+		}
+		return Number.isFinite(Tonal.Note.chroma(tonic));
+	}
+
+	private _isValidDrift(cents: number): boolean {
+		return typeof cents === 'number' && cents >= 0;
+	}
+
 	/**
 	 * Initialize synthesizer based on synthType
 	 */
 	private _initSynth(): void {
-		if (typeof window === 'undefined' || !window.Tone) {
-			console.warn('Tone.js not loaded, synth disabled');
+		if (this.synth?.dispose) {
+			this.synth.dispose();
+		}
+		// Without the audio layer there is no synth, useSynth stays as it is
+		if (!getAudioEngine()) {
+			this.synth = null;
 			return;
 		}
 
-		const Tone = window.Tone;
+		this.synth = this._createSynth().connect(this._busInput());
+	}
 
-		switch (this.options.synthType) {
-			case 'fm':
-				this.synth = new Tone.FMSynth({
-					harmonicity: 3,
-					modulationIndex: 10,
-					oscillator: { type: 'sine' },
-					envelope: { attack: 0.01, decay: 0.01, sustain: 1, release: 0.5 },
-					modulation: { type: 'square' },
-					modulationEnvelope: { attack: 0.5, decay: 0, sustain: 1, release: 0.5 }
-				}).toDestination();
-				break;
+	/**
+	 * A synth of a type under the patch, not connected to an output: the sampler plays the loaded
+	 * sample set (the default synth stands in while none is loaded), the other types are Tone.js
+	 * voices, polyphonic unless `poly` is false
+	 */
+	private _createSynth(synthType: SynthType = this.options.synthType, poly = true): any {
+		if (synthType === 'sampler') {
+			if (this.sampler) {
+				return new SamplerSynth(this.sampler);
+			}
+			console.warn('No sample set loaded, see loadSampler(). Using the default synth.');
+		}
+		const Tone = getAudioEngine();
+		const { voice, options } = synthVoice(this.patch, synthType === 'sampler' ? 'default' : synthType);
+		return poly ? new Tone.PolySynth(voice, options) : new voice(options);
+	}
 
-			case 'am':
-				this.synth = new Tone.AMSynth({
-					harmonicity: 2,
-					oscillator: { type: 'sine' },
-					envelope: { attack: 0.01, decay: 0.01, sustain: 1, release: 0.5 },
-					modulation: { type: 'square' },
-					modulationEnvelope: { attack: 0.5, decay: 0, sustain: 1, release: 0.5 }
-				}).toDestination();
-				break;
+	/**
+	 * Input of the master bus, where the synths and track channels connect
+	 */
+	private _busInput(): any {
+		if (!this._bus) {
+			this._bus = new MasterBus(this.patch.effects, this.masterBus);
+		}
+		return this._bus.input;
+	}
 
-			case 'membrane':
-				this.synth = new Tone.MembraneSynth({
-					pitchDecay: 0.05,
-					octaves: 10,
-					oscillator: { type: 'sine' },
-					envelope: { attack: 0.001, decay: 0.4, sustain: 0.01, release: 1.4, attackCurve: 'exponential' }
-				}).toDestination();
-				break;
+	/**
+	 * Inject the audio layer (the Tone.js module) for playback, the synths and renderToWav(); null removes it.
+	 * Browser code calls this once before creating cores; without it the core runs headless, e.g. in Node
+	 */
+	static setAudioEngine(tone: AudioEngine | null): void {
+		setAudioEngine(tone);
+	}
 
-			default: // 'default'
-				this.synth = new Tone.Synth({
-					oscillator: { type: 'triangle' },
-					envelope: { attack: 0.005, decay: 0.1, sustain: 0.3, release: 1 }
-				}).toDestination();
-				break;
-		}
+	static getAudioEngine(): AudioEngine | null {
+		return getAudioEngine();
 	}
 
+	// The file readers of the core modules, for builds that only see the class (pianoroll-core.js)
+
 	/**
-	 * Parse MIDI file from File object
+	 * Parse a Scala scale file (.scl), see parseScl()
+	 * @throws ScalaParseError listing the errors by line
 	 */
-	async parseMIDI(file: File): Promise<MidiData> {
-		if (typeof window === 'undefined' || !window.Midi) {
-			throw new Error('Midi.js not loaded');
-		}
+	static parseScl(text: string): ScalaScale {
+		return parseScl(text);
+	}
+
+	/**
+	 * Parse a Scala keyboard mapping file (.kbm), see parseKbm()
+	 * @throws ScalaParseError listing the errors by line
+	 */
+	static parseKbm(text: string): KeyboardMapping {
+		return parseKbm(text);
+	}
+
+	/**
+	 * The linear Scala mapping: C4 (60) is the first degree, A4 (69) = 440 Hz
+	 */
+	static defaultKeyboardMapping(): KeyboardMapping {
+		return defaultKeyboardMapping();
+	}
+
+	/**
+	 * Generate a scale from a parametric definition (EDO, EDx, rank-2)
+	 */
+	static generateScale(definition: TuningDefinition): ScalaScale {
+		return generateTuningScale(definition);
+	}
+
+	/**
+	 * Convert a MusicXML score to @tonejs/midi JSON whose notes keep their spelling, see loadMusicXml()
+	 */
+	static parseMusicXml(xml: string): MidiJson & { duration: number } {
+		return parseMusicXml(xml);
+	}
+
+	/**
+	 * Score text of a .musicxml/.xml file or a compressed .mxl archive
+	 */
+	static readMusicXml(data: string | ArrayBuffer | Uint8Array): Promise<string> {
+		return readMusicXml(data);
+	}
+
+	/**
+	 * Encode samples as WAV, see renderToWav()
+	 */
+	static encodeWav(channels: Float32Array[], sampleRate: number, bitDepth: WavBitDepth = 16): ArrayBuffer {
+		return encodeWav(channels, sampleRate, bitDepth);
+	}
+
+	/**
+	 * Decode WAV (8-32 bit PCM or float), e.g. a sample of a sample set
+	 * @throws SampleSetError for other formats
+	 */
+	static decodeWav(data: ArrayBuffer | Uint8Array): DecodedSample {
+		return decodeWav(data);
+	}
+
+	/**
+	 * Parse an SFZ sample mapping, see loadSampler()
+	 * @throws SampleSetError with every error and its line
+	 */
+	static parseSfz(text: string): { regions: SamplerRegion[] } {
+		return parseSfz(text);
+	}
+
+	/**
+	 * Presets of a SoundFont 2 file, to choose one in loadSampler({ soundFont, bank, program })
+	 * @throws SampleSetError when the data is not a SoundFont 2
+	 */
+	static soundFontPresets(data: ArrayBuffer | Uint8Array): SoundFontPreset[] {
+		return soundFontPresets(data);
+	}
 
-		const Midi = window.Midi;
+	/**
+	 * Parse a MIDI file (a File in the browser, or anything with a name and arrayBuffer(), e.g. a Blob-backed File in Node)
+	 */
+	async parseMIDI(file: Pick<File, 'name' | 'arrayBuffer'>): Promise<MidiData> {
 		const arrayBuffer = await file.arrayBuffer();
-		const midi = new Midi(arrayBuffer);
+		return this._parseMidiJson(new Midi(arrayBuffer), file.name);
+	}
+
+	/**
+	 * Parse MIDI in the JSON shape of @tonejs/midi (midi.toJSON(), or its text);
+	 * note names spelled with flats (Db4) are kept and tuned by their spelling
+	 * @throws TypeError or RangeError when there are no tracks or a note is invalid
+	 */
+	parseMidiJson(json: MidiJson | string, name = ''): MidiData {
+		return this._parseMidiJson(typeof json === 'string' ? JSON.parse(json) : json, name);
+	}
+
+	/**
+	 * Load MIDI in the JSON shape of @tonejs/midi (or from PianoRollCore.parseMusicXml()),
+	 * like parseMidiJson() but returning the loaded notes
+	 * @throws TypeError or RangeError when there are no tracks or a note is invalid
+	 */
+	loadMidiJson(json: MidiJson | string): Note[] {
+		this.parseMidiJson(json);
+		return this.getNotes();
+	}
+
+	/**
+	 * Load an uncompressed MusicXML score; notes are tuned by the spelling of the score
+	 * (read an .mxl archive with PianoRollCore.readMusicXml() first, or use parseFile())
+	 * @returns the loaded notes
+	 * @throws TypeError when the text is not a MusicXML score
+	 */
+	loadMusicXml(xml: string): Note[] {
+		return this.loadMidiJson(parseMusicXml(xml));
+	}
+
+	/**
+	 * Parse a score file by its extension: .mid/.midi, @tonejs/midi .json,
+	 * MusicXML .musicxml/.xml or compressed .mxl
+	 * @throws TypeError for other file types
+	 */
+	async parseFile(file: Pick<File, 'name' | 'arrayBuffer'>): Promise<MidiData> {
+		const extension = /\.([^.]+)$/.exec(file.name)?.[1].toLowerCase();
+		if (extension === 'mid' || extension === 'midi') {
+			return this.parseMIDI(file);
+		}
+		if (extension === 'json') {
+			return this.parseMidiJson(new TextDecoder().decode(await file.arrayBuffer()), file.name);
+		}
+		if (extension === 'musicxml' || extension === 'xml' || extension === 'mxl') {
+			return this.parseMidiJson(parseMusicXml(await readMusicXml(await file.arrayBuffer())), file.name);
+		}
+		throw new TypeError(`Unsupported file type: ${file.name} (expected .mid, .midi, .json, .musicxml, .xml or .mxl)`);
+	}
+
+	/**
+	 * MIDI data from @tonejs/midi JSON (or a Midi instance), loaded into the core
+	 */
+	private _parseMidiJson(json: MidiJson, name: string): MidiData {
+		if (!json || !Array.isArray(json.tracks)) {
+			throw new TypeError('MIDI JSON must have a tracks array');
+		}
+		const parsed = json.tracks.map((track, trackIndex) => (Array.isArray(track.notes) ? track.notes : [])
+			.map((note, noteIndex) => readMidiJsonNote(note, `tracks[${trackIndex}].notes[${noteIndex}]`)));
+		const duration = json.duration
+			|| parsed.flat().reduce((end, note) => Math.max(end, note.time + note.duration), 0);
 
 		const midiData: MidiData = {
-			name: file.name,
-			duration: midi.duration,
-			tracks: []
+			name,
+			duration,
+			tracks: [],
+			header: {
+				ppq: json.header?.ppq ?? DEFAULT_PPQ,
+				tempos: (json.header?.tempos ?? []).map(({ ticks, bpm }) => ({ ticks, bpm })),
+				timeSignatures: (json.header?.timeSignatures ?? []).map(({ ticks, timeSignature }) => ({
+					ticks,
+					timeSignature: [timeSignature[0], timeSignature[1]] as [number, number]
+				})),
+				keySignatures: (json.header?.keySignatures ?? []).map(({ ticks, key, scale }) => ({ ticks, key, scale }))
+			}
 		};
 
-		midi.tracks.forEach((track: any, trackIndex: number) => {
-			const notes: Note[] = track.notes.map((note: any) => ({
-				name: note.name,
-				midi: note.midi,
-				time: note.time,
-				duration: note.duration,
-				velocity: note.velocity,
-				frequency: this.getNoteFrequency(note.name),
-				trackIndex
+		json.tracks.forEach((track, trackIndex) => {
+			const notes: Note[] = parsed[trackIndex].map(({ spelled, ...note }) => ({
+				id: this._nextNoteId++,
+				...note,
+				...this._resolveNote({ ...note, trackIndex, spelled }),
+				trackIndex,
+				// The name comes from notation rather than from the MIDI number
+				...(spelled ? { spelled } : {})
 			}));
 
 			midiData.tracks.push({
 				name: track.name || `Track ${trackIndex + 1}`,
-				notes
+				channel: track.channel ?? 0,
+				notes,
+				controllers: readTrackControllers(track)
 			});
 		});
 
 		// Flatten all notes for easy access
-		this.notes = midiData.tracks.flatMap(track => track.notes);
+		this.notes = midiData.tracks.flatMap(track => track.notes).sort((a, b) => a.time - b.time);
+		this._disposeTrackStrips();
+		this.tracks = midiData.tracks.map(({ name, channel }) => ({ name, channel: channel ?? 0, ...TRACK_MIX_DEFAULTS }));
+		this._loadControllers(midiData);
+		this._applyAdaptiveTuning();
 		
 		// Update duration and reset transport state
-		this.duration = midi.duration;
+		this.duration = duration;
 		this.transportState.positionSeconds = 0;
 		this.transportState.position = '0:0:0';
 		this.currentPosition = 0;
+		this.clearHistory();
+		this._loadTempoMap(midiData.header);
 
 		return midiData;
 	}
@@ -250,6 +648,9 @@ export class PianoRollCore implements TransportControls {
 	loadMidiData(midiData: MidiData): void {
 		// Flatten all notes for easy access
 		this.notes = midiData.tracks.flatMap(track => track.notes);
+		this._disposeTrackStrips();
+		this.tracks = midiData.tracks.map(({ name, channel }) => ({ name, channel: channel ?? 0, ...TRACK_MIX_DEFAULTS }));
+		this._loadControllers(midiData);
 		
 		// Update duration and reset transport state
 		this.duration = midiData.duration;
@@ -257,52 +658,247 @@ export class PianoRollCore implements TransportControls {
 		this.transportState.position = '0:0:0';
 		this.currentPosition = 0;
 
-		// Recalculate frequencies with current tuning system
+		// Recalculate frequencies with current tuning system; ids are reassigned so they stay unique
 		this.notes = this.notes.map(note => ({
 			...note,
-			frequency: this.getNoteFrequency(note.name)
+			id: this._nextNoteId++,
+			...this._resolveNote(note)
 		}));
+		this._applyAdaptiveTuning();
+		this.clearHistory();
+		this._loadTempoMap(midiData.header);
+	}
+
+	// Copies, so that tempo changes do not move the caller's events
+	private _loadControllers(midiData: MidiData): void {
+		this.controllers = midiData.tracks.map(track => (track.controllers ?? []).map(event => ({ ...event })));
+		this._controllerStates = [];
+	}
+
+	/**
+	 * Take over the file's tempo map; note times are already in the file's tempos,
+	 * so without a tempo in the header the current BPM is kept
+	 */
+	private _loadTempoMap(header?: MidiHeader): void {
+		this.tempoMap = createTempoMap(header, this.transportState.bpm);
+		this.transportState.bpm = this.tempoMap.tempos[0].bpm;
+		// The loop keeps its bars and beats on the new map
+		this.transportState.loopStartSeconds = this.positionToSeconds(this.transportState.loopStart);
+		this.transportState.loopEndSeconds = this.positionToSeconds(this.transportState.loopEnd);
+		const Tone = getAudioEngine();
+		if (Tone) {
+			Tone.Transport.bpm.value = this.transportState.bpm;
+			Tone.Transport.timeSignature = this.tempoMap.timeSignatures[0].timeSignature;
+		}
+		this._notifyTransportSubscribers({
+			type: 'bpm',
+			data: { bpm: this.transportState.bpm },
+			timestamp: Date.now()
+		});
+	}
+
+	/**
+	 * Spell notes that have no spelling (MIDI files only know key numbers): sharp or flat
+	 * is chosen from the key signature and the neighbouring notes, see inferSpellings().
+	 * Just and Pythagorean tunings and spelled gamuts then tell G# from Ab. Notes played
+	 * on the keyboard or MIDI input keep the tuning's default spelling. Undo reverts it
+	 * @returns the notes that got a spelling
+	 * @throws RangeError when the key is invalid
+	 */
+	inferSpelling(options: SpellingOptions = {}): Note[] {
+		const { key = null, scale = 'major', trackIndex = null } = options;
+		if (key !== null && !isKeySignature(key, scale)) {
+			throw new RangeError(`Invalid key: ${key} ${scale}. Use a pitch class like "Eb" and ${KEY_SCALES.join(' or ')}.`);
+		}
+
+		// A minor key is written with the signature of its relative major
+		const keys = key !== null
+			? [{ time: 0, key: scale === 'minor' ? fifthsName(fifthsAbove('C', key) - 3) : key }]
+			: this.getTempoMap().keySignatures;
+		const notes = this.notes.filter(note => trackIndex === null || (note.trackIndex ?? 0) === trackIndex);
+		const names = inferSpellings(notes, keys);
+		const changes: NoteChange[] = [];
+		notes.forEach((note, index) => {
+			if (!note.spelled) {
+				changes.push({ id: note.id, before: this._noteRecord(note), after: { ...this._noteRecord(note), name: names[index], spelled: true } });
+			}
+		});
+		this._commitEdit('spelling', changes);
+		return changes.map(change => this._noteSnapshot(this._findNote(change.id)));
+	}
+
+	/**
+	 * Get frequency for a note name or MIDI number using current tuning system
+	 * Custom tunings (Scala, EDO) map MIDI numbers to consecutive scale steps
+	 * Returns null when the note is outside a sparse scale and the snap policy is 'drop'
+	 */
+	noteToFrequency(note: string | number): number | null {
+		return this._resolvePitch(note).frequency;
 	}
 
 	/**
-	 * Get frequency for a note name using current tuning system
+	 * @deprecated use noteToFrequency()
+	 * Always a number: notes the snap policy drops fall back to equal temperament
 	 */
-	getNoteFrequency(noteName: string): number {
-		const tuningTable = this.tuningTables[this.options.tuningSystem];
+	getNoteFrequency(note: string | number): number {
+		const frequency = this.noteToFrequency(note);
+		if (frequency !== null) {
+			return frequency;
+		}
+		return this._equalFrequency(typeof note === 'number' ? note : Tonal.Note.midi(note) as number);
+	}
+
+	/**
+	 * Resolve a note to its frequency; in sparse scales (pentatonic, modes, Scala files with
+	 * unmapped keys) notes that are not degrees are snapped according to the snap policy.
+	 * A spelled name (from notation) skips the sharp-named tables of SPELLED_TUNINGS, where F# and Gb differ
+	 */
+	private _resolvePitch(
+		note: string | number,
+		system: TuningSystem = this.options.tuningSystem,
+		spelled = false
+	): ResolvedPitch {
+		// Only whole MIDI numbers are keys: unknown names ('H4') and numbers such as 60.5 end at the warning below
+		const midi: number = (typeof note === 'number' ? note : Tonal.Note.midi(note)) ?? NaN;
+		const noteName: string = Number.isInteger(note) ? Tonal.Note.fromMidiSharps(note as number) : String(note);
+
+		// Custom tunings are keyed by MIDI number, so flats resolve like their enharmonic sharps
+		const customTuning = this.customTunings[system];
+		// ...except spelled gamuts, where Ab4 is not G#4
+		if (
+			customTuning?.definition?.type === 'gamut' &&
+			Number.isInteger(midi) &&
+			(spelled || noteName !== Tonal.Note.fromMidiSharps(midi))
+		) {
+			return { frequency: this._gamutFrequency(customTuning.definition, noteName, midi), remap: null };
+		}
+		let isDegree: ((key: number) => boolean) | null = null;
+		let degreeFrequency: (key: number) => number | null | undefined = () => undefined;
+		if (customTuning) {
+			isDegree = key => customTuning.frequencies[key] !== null && customTuning.frequencies[key] !== undefined;
+			degreeFrequency = key => customTuning.frequencies[key];
+		} else if (system === 'pentatonic') {
+			const tonicMidi = this._tonicMidi();
+			isDegree = key => ((((key - tonicMidi) % 12) + 12) % 12) in PENTATONIC_RATIOS;
+			degreeFrequency = key => this.tuningTables.pentatonic[Tonal.Note.fromMidiSharps(key)];
+		}
+
+		if (isDegree && Number.isInteger(midi)) {
+			const policy = this.options.snapPolicy;
+			const target = snapMidi(midi, isDegree, policy, customTuning ? 127 : 12);
+			const remap: NoteRemap | null =
+				target === midi && isDegree(midi)
+					? null
+					: { policy, from: noteName, to: target === null ? null : Tonal.Note.fromMidiSharps(target) };
+
+			if (target === null) {
+				return { frequency: null, remap };
+			}
+			const frequency = isDegree(target) ? degreeFrequency(target) : undefined;
+			return { frequency: frequency ?? this._equalFrequency(midi), remap };
+		}
+
+		const tuningTable = this.tuningTables[system];
 		
-		if (tuningTable[noteName] !== undefined) {
-			return tuningTable[noteName];
+		if (!spelled && tuningTable?.[noteName] !== undefined) {
+			return { frequency: tuningTable[noteName], remap: null };
+		}
+
+		// Spelled notes and flats are tuned along the line of fifths from the tonic
+		if (Number.isInteger(midi) && SPELLED_TUNINGS.includes(system)) {
+			return { frequency: this._spelledFrequency(noteName, midi, system), remap: null };
 		}
 
 		// Fallback to equal temperament if note not found
 		if (this.tuningTables.equal[noteName] !== undefined) {
-			return this.tuningTables.equal[noteName];
+			return { frequency: this.tuningTables.equal[noteName], remap: null };
 		}
 
-		// Final fallback: use Tone.js if available
-		if (typeof window !== 'undefined' && window.Tone) {
-			try {
-				return window.Tone.Frequency(noteName).toFrequency();
-			} catch {
-				console.warn(`Unknown note: ${noteName}, using 440Hz`);
-				return 440; // A4 fallback
-			}
+		// Notes outside the tables (flats, octave 9) follow equal temperament from the reference
+		if (Number.isInteger(midi)) {
+			return { frequency: this._equalFrequency(midi), remap: null };
 		}
 
-		return 440; // Final fallback
+		// Final fallback: Tonal.js note frequency (A4 = 440 Hz)
+		const frequency = Tonal.Note.freq(noteName);
+		if (typeof frequency !== 'number') {
+			console.warn(`Unknown note: ${noteName}, using 440Hz`);
+			return { frequency: 440, remap: null }; // A4 fallback
+		}
+		return { frequency, remap: null };
 	}
 
 	/**
-	 * Update tuning system and recalculate frequencies
+	 * Frequency of a spelled note in just or Pythagorean tuning, see spelledRatio()
 	 */
-	updateTuningSystem(tuningSystem: TuningSystem): void {
+	private _spelledFrequency(noteName: string, midi: number, system: TuningSystem): number {
+		const tonicMidi = this._tonicMidi();
+		const fifths = fifthsAbove(this.options.tonic, noteName);
+		return this._equalFrequency(tonicMidi) * spelledRatio(fifths, midi - tonicMidi, system);
+	}
+
+	/**
+	 * Frequency of a key in a spelled gamut. A spelling inside the gamut sounds at its own place
+	 * in the chain of fifths (G# and Ab differ), one outside it takes the nearest enharmonic
+	 * inside (E# in a 17-note gamut on C is F); without a spelling a key takes the enharmonic
+	 * nearest to the middle of the chain
+	 */
+	private _gamutFrequency(definition: GamutDefinition, noteName: string | null, midi: number): number {
+		const chain = gamutChain(definition);
+		const tonicMidi = this._tonicMidi();
+		const semitones = midi - tonicMidi;
+		const keyFifths = ((((semitones % 12) + 12) % 12) * 7) % 12;
+		const fifths = noteName === null
+			? gamutFifths(chain, keyFifths, (chain.low + chain.high) / 2)
+			: gamutFifths(chain, keyFifths, fifthsAbove(this.options.tonic, noteName));
+		const cents = fifths * chain.generator + 100 * (semitones - 7 * fifths);
+		return this._equalFrequency(tonicMidi) * Math.pow(2, cents / 1200);
+	}
+
+	/**
+	 * Frequency and snapping of a loaded note in its track's tuning (or the given one):
+	 * custom tunings use its MIDI number, built-in tables and spelled gamuts its name and spelling
+	 */
+	private _resolveNote(
+		note: { name: string; midi?: number; trackIndex?: number; spelled?: boolean },
+		system: TuningSystem = this._trackTuning(note.trackIndex)
+	): ResolvedPitch {
+		if (system in this.customTunings && typeof note.midi === 'number' && note.spelled !== true) {
+			return this._resolvePitch(note.midi, system);
+		}
+		return this._resolvePitch(note.name, system, note.spelled === true);
+	}
+
+	/**
+	 * Set the tuning system and recalculate frequencies
+	 */
+	setTuningSystem(tuningSystem: TuningSystem): this {
+		if (!(tuningSystem in this.tuningTables)) {
+			console.warn(`Unknown tuning system: ${tuningSystem}. Using 'equal' instead.`);
+			tuningSystem = 'equal';
+		}
+
 		this.options.tuningSystem = tuningSystem;
-		
-		// Recalculate frequencies for existing notes
+		this._retuneNotes();
+		return this;
+	}
+
+	/**
+	 * @deprecated use setTuningSystem()
+	 */
+	updateTuningSystem(tuningSystem: TuningSystem): void {
+		this.setTuningSystem(tuningSystem);
+	}
+
+	/**
+	 * Recalculate frequencies of loaded notes with the current tuning system
+	 */
+	private _retuneNotes(): void {
 		this.notes = this.notes.map(note => ({
 			...note,
-			frequency: this.getNoteFrequency(note.name)
+			...this._resolveNote(note)
 		}));
+		this._applyAdaptiveTuning();
 
 		// Notify subscribers
 		this._notifySubscribers({
@@ -312,194 +908,2322 @@ export class PianoRollCore implements TransportControls {
 	}
 
 	/**
-	 * Update synthesizer type
+	 * Adaptive just intonation: retune every note over the root of the sonority it starts in
+	 */
+	private _applyAdaptiveTuning(): void {
+		// Sonorities are only looked for among the notes of adaptive tracks
+		const notes = this.notes.filter(note => this._trackTuning(note.trackIndex) === 'adaptive');
+		if (!notes.length) {
+			return;
+		}
+
+		const tuned = adaptiveJustFrequencies(
+			notes,
+			midi => this._equalFrequency(midi),
+			this.options.adaptiveMaxDrift
+		);
+		notes.forEach((note, index) => {
+			note.frequency = tuned[index].frequency;
+		});
+	}
+
+	/**
+	 * Set how far (in cents) chord roots may drift from equal temperament in adaptive tuning
+	 * 0 keeps every root equal-tempered, Infinity lets common tones carry the pitch freely
+	 */
+	setAdaptiveDrift(cents: number): void {
+		if (!this._isValidDrift(cents)) {
+			console.warn(`Invalid adaptive drift: ${cents}. Must be a non-negative number of cents.`);
+			return;
+		}
+
+		this.options.adaptiveMaxDrift = cents;
+		if (this._isTuningInUse('adaptive')) {
+			this._retuneNotes();
+		}
+	}
+
+	/**
+	 * Register a tuning system from Scala files under the given name
+	 * Without a .kbm file the default linear mapping (A4 = 440 Hz) is used
+	 * @throws {ScalaParseError} listing every invalid line
+	 */
+	registerScalaTuning(name: string, sclText: string, kbmText?: string): void {
+		this._checkCustomTuningName(name);
+
+		const scale = parseScl(sclText);
+		const keyboardMapping = kbmText ? parseKbm(kbmText) : null;
+		this._buildCustomTuning(name, scale, keyboardMapping);
+
+		// Re-registering a tuning in use retunes loaded notes immediately
+		if (this._isTuningInUse(name)) {
+			this._retuneNotes();
+		}
+	}
+
+	/**
+	 * Register a parametric tuning: N-EDO, EDx (e.g. Bohlen-Pierce), a rank-2 temperament
+	 * or a spelled gamut. MIDI note numbers map to consecutive scale steps starting at the tonic;
+	 * a spelled gamut tunes notes by their names instead (see inferSpelling())
+	 * @throws {TypeError | RangeError} if the definition is invalid
+	 */
+	registerGeneratedTuning(name: string, definition: TuningDefinition): void {
+		this._checkCustomTuningName(name);
+
+		const scale = generateTuningScale(definition);
+		this._buildCustomTuning(name, scale, null, { ...definition });
+
+		if (this._isTuningInUse(name)) {
+			this._retuneNotes();
+		}
+	}
+
+	/**
+	 * Register a mode on some of the 12 keys of the octave (pentatonic, hexatonic, heptatonic...)
+	 * with its own ratios above the tonic; other keys are snapped by the snap policy
+	 * @throws {TypeError | RangeError} if the definition is invalid
+	 */
+	registerMode(name: string, mode: Omit<ModeDefinition, 'type'>): void {
+		this.registerGeneratedTuning(name, { ...mode, type: 'mode' });
+	}
+
+	/**
+	 * Choose what happens to notes that are not degrees of a sparse scale
+	 */
+	setSnapPolicy(policy: SnapPolicy): void {
+		if (!SNAP_POLICIES.includes(policy)) {
+			console.warn(`Invalid snap policy: ${policy}. Must be one of ${SNAP_POLICIES.join(', ')}.`);
+			return;
+		}
+
+		this.options.snapPolicy = policy;
+		this._retuneNotes();
+	}
+
+	private _checkCustomTuningName(name: string): void {
+		if (typeof name !== 'string' || !name.trim()) {
+			throw new TypeError('Tuning name must be a non-empty string');
+		}
+		if (BUILTIN_TUNING_SYSTEMS.includes(name)) {
+			throw new Error(`Cannot override built-in tuning system: ${name}`);
+		}
+	}
+
+	/**
+	 * Build the frequency table of a custom (Scala, generated or mode) tuning
+	 * Without a .kbm file the mapping is linear with degree 0 on the tonic: Scala tunings
+	 * sound the reference note exactly at the reference frequency, generated tunings
+	 * keep the tonic at its equal-tempered pitch
+	 */
+	private _buildCustomTuning(
+		name: string,
+		scale: ScalaScale,
+		keyboardMapping: KeyboardMapping | null,
+		definition: TuningDefinition | null = null
+	): void {
+		const tonicMidi = this._tonicMidi();
+		const referenceMidi = Tonal.Note.midi(this.options.referenceNote) as number;
+		const mapping: KeyboardMapping = keyboardMapping ?? {
+			...defaultKeyboardMapping(),
+			middleNote: tonicMidi,
+			referenceNote: definition ? tonicMidi : referenceMidi,
+			referenceFrequency: definition
+				? this.options.referenceFrequency * Math.pow(2, (tonicMidi - referenceMidi) / 12)
+				: this.options.referenceFrequency
+		};
+		// A mode only occupies its own keys of the octave, the others are unmapped ("x")
+		if (definition?.type === 'mode' && !keyboardMapping) {
+			const { steps } = definition;
+			mapping.size = 12;
+			mapping.octaveDegree = steps.length;
+			mapping.mapping = Array.from({ length: 12 }, (_, step) => {
+				const degree = steps.indexOf(step);
+				return degree === -1 ? null : degree;
+			});
+		}
+		// A spelled gamut gives every key its default enharmonic from the chain of fifths
+		const frequencies = definition?.type === 'gamut' && !keyboardMapping
+			? Array.from({ length: 128 }, (_, midi) => this._gamutFrequency(definition, null, midi))
+			: scalaKeyFrequencies(scale, mapping);
+
+		const table: Record<string, number> = {};
+		frequencies.forEach((frequency, midi) => {
+			if (frequency !== null) {
+				table[Tonal.Note.fromMidiSharps(midi)] = frequency;
+			}
+		});
+
+		this.customTunings[name] = {
+			type: definition?.type === 'mode' ? 'mode' : definition ? 'generated' : 'scala',
+			scale,
+			definition,
+			keyboardMapping: mapping,
+			hasKeyboardMapping: !!keyboardMapping,
+			frequencies
+		};
+		this.tuningTables[name] = table;
+	}
+
+	/**
+	 * Set the reference pitch (e.g. A4 = 415 Hz) and retune all systems and loaded notes
+	 */
+	setReferencePitch(frequency: number, note: string = this.options.referenceNote): void {
+		if (!this._isValidReference(frequency, note)) {
+			console.warn(`Invalid reference pitch: ${note} = ${frequency} Hz.`);
+			return;
+		}
+
+		this.options.referenceFrequency = frequency;
+		this.options.referenceNote = note;
+		this._rebuildTunings();
+	}
+
+	/**
+	 * Set the tonic (pitch class) that the tuning ratios are built from
+	 */
+	setTonic(tonic: string): void {
+		if (!this._isValidTonic(tonic)) {
+			console.warn(`Invalid tonic: ${tonic}.`);
+			return;
+		}
+
+		this.options.tonic = tonic;
+		this._rebuildTunings();
+	}
+
+	/**
+	 * Rebuild tables after a reference or tonic change
+	 * Scala tunings with their own .kbm file keep their mapping
+	 */
+	private _rebuildTunings(): void {
+		this._initTuningTables();
+
+		Object.entries(this.customTunings).forEach(([name, tuning]) => {
+			if (!tuning.hasKeyboardMapping) {
+				this._buildCustomTuning(name, tuning.scale, null, tuning.definition);
+			}
+		});
+
+		this._retuneNotes();
+	}
+
+	/**
+	 * Remove a custom tuning system, falling back to 'equal' if it is active
+	 */
+	removeTuning(name: string): void {
+		if (!(name in this.customTunings)) {
+			console.warn(`Unknown custom tuning system: ${name}`);
+			return;
+		}
+
+		delete this.customTunings[name];
+		delete this.tuningTables[name];
+
+		// Tracks in the removed tuning fall back to the global one
+		this.tracks.forEach(track => {
+			if (track.tuningSystem === name) {
+				track.tuningSystem = null;
+			}
+		});
+
+		if (this.options.tuningSystem === name) {
+			this.updateTuningSystem('equal');
+		} else {
+			this._retuneNotes();
+		}
+	}
+
+	/**
+	 * List built-in and custom tuning systems
+	 */
+	getTuningSystems(): TuningInfo[] {
+		return Object.keys(this.tuningTables).map(name => {
+			const custom = this.customTunings[name];
+			return {
+				name,
+				type: custom ? custom.type : 'builtin',
+				custom: !!custom,
+				description: custom ? custom.scale.description : ''
+			};
+		});
+	}
+
+	/**
+	 * Turn the built-in synthesizer on or off
+	 */
+	toggleSynth(useSynth: boolean): this {
+		this.options.useSynth = !!useSynth;
+
+		if (this.options.useSynth && !this.synth) {
+			this._initSynth();
+		} else if (!this.options.useSynth && this.synth) {
+			this.synth.dispose();
+			this.synth = null;
+			this._disposeTrackStrips();
+		}
+		return this;
+	}
+
+	/**
+	 * Set the synthesizer type
+	 */
+	setSynthType(synthType: SynthType): this {
+		this.options.synthType = synthType;
+		
+		if (this.options.useSynth) {
+			// The old synth is disposed by _initSynth()
+			this._initSynth();
+			// Track channels are rebuilt with the new type on their next note
+			this._disposeTrackStrips();
+		}
+		return this;
+	}
+
+	/**
+	 * @deprecated use setSynthType()
+	 */
+	updateSynthType(synthType: SynthType): void {
+		this.setSynthType(synthType);
+	}
+
+	/**
+	 * Load the sample set of the 'sampler' synth: an SFZ mapping with its sample files, or a
+	 * SoundFont 2 preset. A note plays the sample of its region stretched to its exact frequency in
+	 * the current tuning rather than to the nearest 12-TET note. WAV is decoded by the core (in Node
+	 * as well), other formats (FLAC, OGG) by the audio context of the audio layer.
+	 * Sampler synths are rebuilt with the new set; projects do not store it
+	 * @returns the loaded set, see getSampler()
+	 * @throws TypeError when the source is neither { sfz, samples } nor { soundFont }
+	 * @throws SampleSetError when a file cannot be read or a region has no sample
+	 */
+	async loadSampler(source: SamplerSource): Promise<SamplerInfo> {
+		let instrument: SampleSet;
+		if (source && 'soundFont' in source && source.soundFont) {
+			instrument = parseSoundFont(source.soundFont, source);
+		} else if (source && 'sfz' in source && typeof source.sfz === 'string') {
+			const { regions } = parseSfz(source.sfz);
+			const samples = await loadSfzSamples(regions, source.samples);
+			instrument = { name: 'SFZ', regions: finishRegions(regions, samples), samples };
+		} else {
+			throw new TypeError('Sampler source must be { sfz, samples } or { soundFont }');
+		}
+		if (source.name) {
+			instrument.name = String(source.name);
+		}
+		this.sampler = instrument;
+		this._refreshSamplerSynths();
+		return this.getSampler() as SamplerInfo;
+	}
+
+	/**
+	 * The loaded sample set: region and sample counts and the keys that sound
+	 */
+	getSampler(): SamplerInfo | null {
+		if (!this.sampler) {
+			return null;
+		}
+		const { name, regions, samples } = this.sampler;
+		return {
+			name,
+			regions: regions.length,
+			samples: Object.keys(samples).length,
+			keyRange: [Math.min(...regions.map(region => region.lokey)), Math.max(...regions.map(region => region.hikey))]
+		};
+	}
+
+	/**
+	 * Unload the sample set; sampler synths play the default synth instead
+	 */
+	unloadSampler(): void {
+		this.sampler = null;
+		this._refreshSamplerSynths();
+	}
+
+	/**
+	 * Samples the sampler plays at a frequency and how fast; empty without a sample set
+	 * or outside its regions
+	 * @throws RangeError for an invalid frequency or velocity
+	 */
+	getSamplerVoices(frequency: number, velocity = 0.8): SamplerVoice[] {
+		if (typeof frequency !== 'number' || !(frequency > 0) || !isFinite(frequency)) {
+			throw new RangeError(`Frequency must be a positive number of Hz, got ${frequency}`);
+		}
+		if (typeof velocity !== 'number' || !(velocity >= 0 && velocity <= 1)) {
+			throw new RangeError(`Velocity must be between 0 and 1, got ${velocity}`);
+		}
+		if (!this.sampler) {
+			return [];
+		}
+		return samplerVoices(this.sampler, frequency, velocity).map(({ region, playbackRate, gain }) => ({
+			sample: region.sample,
+			playbackRate,
+			gain,
+			loopMode: region.loopMode ?? 'no_loop'
+		}));
+	}
+
+	/**
+	 * Rebuild the synths that play the sampler: the global one and those of the track channels
+	 */
+	private _refreshSamplerSynths(): void {
+		if (!this.options.useSynth) {
+			return;
+		}
+		if (this.options.synthType === 'sampler') {
+			// The old synth is disposed by _initSynth()
+			this._initSynth();
+		}
+		this.trackStrips.forEach((strip, index) => {
+			if (strip?.synth && (this.tracks[index]?.synthType ?? this.options.synthType) === 'sampler') {
+				strip.synth.dispose();
+				strip.synth = null;
+			}
+		});
+	}
+
+	/**
+	 * Change the synth patch on the fly: changes sound at once and playback goes on. The patch is
+	 * shared by the global synth and the track channels; the insert effects sit on the master bus
+	 * before its volume. Sections merge into the current patch, arrays (partials, effects) replace
+	 * the current ones and effects get default parameters. Switching the filter on or off rebuilds
+	 * the default synth, cutting its sounding notes.
+	 * An invalid field is warned about and cancels the whole change
+	 */
+	setPatch(changes: PatchChanges): void {
+		const next = mergePatch(this.patch, changes);
+		const errors = patchErrors(next);
+		if (errors.length) {
+			console.warn(new PatchFormatError(errors).message);
+			return;
+		}
+
+		const previous = this.patch;
+		this.patch = next;
+		this._applyPatch(previous);
+
+		this._notifyTransportSubscribers({
+			type: 'patch',
+			data: this.getPatch(),
+			timestamp: Date.now()
+		});
+	}
+
+	/**
+	 * Get a copy of the synth patch
+	 */
+	getPatch(): SynthPatch {
+		return JSON.parse(JSON.stringify(this.patch));
+	}
+
+	/**
+	 * Carry the patch over to the existing synths (set() also changes sounding voices) and to the
+	 * effects of the master bus
+	 */
+	private _applyPatch(previous: SynthPatch): void {
+		const revoice = previous.filter.enabled !== this.patch.filter.enabled;
+		// The sampler without a sample set plays the default synth
+		const voiceType = (synthType: SynthType) => (synthType === 'sampler' && !this.sampler ? 'default' : synthType);
+
+		const mainType = voiceType(this.options.synthType);
+		if (this.synth && mainType !== 'sampler') {
+			if (revoice && mainType === 'default') {
+				// The old synth is disposed by _initSynth()
+				this._initSynth();
+			} else {
+				this.synth.set(synthVoice(this.patch, mainType).options);
+			}
+		}
+		this.trackStrips.forEach((strip, index) => {
+			const type = voiceType(this.tracks[index]?.synthType ?? this.options.synthType);
+			if (!strip?.synth || type === 'sampler') {
+				return;
+			}
+			if (revoice && type === 'default') {
+				strip.synth.dispose();
+				strip.synth = null;
+			} else {
+				strip.synth.set(synthVoice(this.patch, type).options);
+			}
+		});
+		this._bus?.setEffects(this.patch.effects);
+	}
+
+	/**
+	 * Set up the master bus after the insert effects: volume in dB (-60...6) and a limiter at -1 dB.
+	 * The metronome bypasses it. An invalid field is warned about and cancels the whole change
+	 */
+	setMasterBus(changes: Partial<MasterBusSettings>): void {
+		const next = { ...this.masterBus, ...changes };
+		const errors = masterBusErrors(next, 'masterBus');
+		if (errors.length) {
+			console.warn(new PatchFormatError(errors).message);
+			return;
+		}
+
+		this.masterBus = next;
+		this._bus?.setMaster(next);
+
+		this._notifyTransportSubscribers({
+			type: 'masterBus',
+			data: this.getMasterBus(),
+			timestamp: Date.now()
+		});
+	}
+
+	getMasterBus(): MasterBusSettings {
+		return { ...this.masterBus };
+	}
+
+	/**
+	 * Patch presets: the built-in ones, then those saved by the user
+	 */
+	getPatchPresets(): PatchPresetInfo[] {
+		return [
+			...Object.keys(PATCH_PRESETS).map(name => ({ name, builtIn: true })),
+			...Object.keys(this.patchPresets).map(name => ({ name, builtIn: false }))
+		];
+	}
+
+	/**
+	 * Save the current patch as a preset, replacing a preset of the same name
+	 * @throws RangeError when the name is empty or taken by a built-in preset
+	 */
+	savePatchPreset(name: string): void {
+		const presetName = typeof name === 'string' ? name.trim() : '';
+		if (!presetName) {
+			throw new RangeError(`Preset name must be a non-empty string, got ${JSON.stringify(name)}`);
+		}
+		if (presetName in PATCH_PRESETS) {
+			throw new RangeError(`"${presetName}" is a built-in preset`);
+		}
+		this.patchPresets[presetName] = this.getPatch();
+	}
+
+	/**
+	 * Make a preset the current patch, on the fly like setPatch()
+	 * @throws RangeError when there is no such preset
+	 */
+	loadPatchPreset(name: string): void {
+		this.setPatch(this._patchPreset(name));
+	}
+
+	/**
+	 * Delete a preset of the user
+	 * @throws RangeError when there is no such preset or it is built in
+	 */
+	deletePatchPreset(name: string): void {
+		if (name in PATCH_PRESETS) {
+			throw new RangeError(`"${name}" is a built-in preset`);
+		}
+		this._patchPreset(name);
+		delete this.patchPresets[name];
+	}
+
+	/**
+	 * A preset file; it is plain JSON data, for a file use JSON.stringify(core.exportPatchPreset(name), null, 2)
+	 * @throws RangeError when there is no such preset
+	 */
+	exportPatchPreset(name: string): PatchPresetDocument {
+		return { format: PATCH_FORMAT, version: PATCH_VERSION, name, patch: this._patchPreset(name) };
+	}
+
+	/**
+	 * Add a preset from a file of exportPatchPreset(), replacing a user preset of the same name.
+	 * The patch of the file may leave fields out, they get their defaults
+	 * @returns the name of the preset
+	 * @throws PatchFormatError listing every problem of the file
+	 */
+	importPatchPreset(preset: PatchPresetDocument | string): string {
+		const { name, patch, errors } = readPatchPreset(preset);
+		if (!errors.length && (name as string) in PATCH_PRESETS) {
+			errors.push({ path: 'name', message: `"${name}" is a built-in preset` });
+		}
+		if (errors.length || !name || !patch) {
+			throw new PatchFormatError(errors);
+		}
+		this.patchPresets[name] = patch;
+		return name;
+	}
+
+	// A copy of the full patch of a preset
+	private _patchPreset(name: string): SynthPatch {
+		if (name in PATCH_PRESETS) {
+			return mergePatch(PATCH_DEFAULTS, PATCH_PRESETS[name]);
+		}
+		if (!(name in this.patchPresets)) {
+			throw new RangeError(`Unknown patch preset: ${name}`);
+		}
+		return mergePatch(this.patchPresets[name], {});
+	}
+
+	/**
+	 * Controller automation of a file track, sorted by time: sustain pedal (CC64), channel volume (CC7),
+	 * expression (CC11), other control changes and pitch bend
+	 * @throws RangeError when the track does not exist
+	 */
+	getControllers(trackIndex: number): ControllerEvent[] {
+		if (!this.tracks[trackIndex]) {
+			throw new RangeError(`Unknown track: ${trackIndex}`);
+		}
+		return (this.controllers[trackIndex] ?? []).map(event => ({ ...event }));
+	}
+
+	/**
+	 * Tracks with their mixer settings
+	 */
+	getTracks(): TrackInfo[] {
+		return this.tracks.map((track, index) => ({
+			index,
+			...track,
+			noteCount: this.notes.filter(note => (note.trackIndex ?? 0) === index).length,
+			controllerCount: this.controllers[index]?.length ?? 0,
+			audible: this._isTrackAudible(index)
+		}));
+	}
+
+	/**
+	 * Change the mixer settings of a track; changes are heard immediately, also during playback
+	 * A null synthType or tuningSystem makes the track follow the global setting again
+	 * @throws RangeError when the track does not exist or a value is out of range
+	 * @throws TypeError when mute or solo is not a boolean
+	 */
+	updateTrack(index: number, changes: TrackChanges): TrackInfo {
+		const track = this.tracks[index];
+		if (!track) {
+			throw new RangeError(`Unknown track: ${index}`);
+		}
+		const { name, synthType, volume, pan, mute, solo, tuningSystem } = changes;
+
+		if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+			throw new RangeError('Track name must be a non-empty string');
+		}
+		if (synthType !== undefined && synthType !== null && !SYNTH_TYPES.includes(synthType)) {
+			throw new RangeError(`Unknown synth type: ${synthType}. Use ${SYNTH_TYPES.join(', ')} or null.`);
+		}
+		if (volume !== undefined && (typeof volume !== 'number' || !(volume >= TRACK_VOLUME_RANGE[0] && volume <= TRACK_VOLUME_RANGE[1]))) {
+			throw new RangeError(`Track volume must be between ${TRACK_VOLUME_RANGE[0]} and ${TRACK_VOLUME_RANGE[1]} dB, got ${volume}`);
+		}
+		if (pan !== undefined && (typeof pan !== 'number' || !(pan >= -1 && pan <= 1))) {
+			throw new RangeError(`Track pan must be between -1 and 1, got ${pan}`);
+		}
+		for (const [field, value] of [['mute', mute], ['solo', solo]] as const) {
+			if (value !== undefined && typeof value !== 'boolean') {
+				throw new TypeError(`Track ${field} must be true or false, got ${value}`);
+			}
+		}
+		if (tuningSystem !== undefined && tuningSystem !== null && !(tuningSystem in this.tuningTables)) {
+			throw new RangeError(`Unknown tuning system: ${tuningSystem}`);
+		}
+
+		const retune = tuningSystem !== undefined && tuningSystem !== track.tuningSystem;
+		const revoice = synthType !== undefined && synthType !== track.synthType;
+		Object.assign(track, Object.fromEntries(Object.entries({ name, synthType, volume, pan, mute, solo, tuningSystem })
+			.filter(([, value]) => value !== undefined)));
+
+		const strip = this.trackStrips[index];
+		if (revoice && strip?.synth) {
+			strip.synth.dispose();
+			strip.synth = null;
+		}
+		this._updateTrackLevels();
+		if (retune) {
+			this._retuneNotes();
+		}
+		return this.getTracks()[index];
+	}
+
+	private _trackTuning(trackIndex: number | undefined): TuningSystem {
+		return this.tracks[trackIndex ?? 0]?.tuningSystem ?? this.options.tuningSystem;
+	}
+
+	// Whether the global tuning or the tuning of some track is `system`
+	private _isTuningInUse(system: TuningSystem): boolean {
+		return this.options.tuningSystem === system || this.tracks.some((_, index) => this._trackTuning(index) === system);
+	}
+
+	/**
+	 * Whether a track is heard given mute and solo; notes without a mixer track
+	 * are only silenced when some track is soloed
+	 */
+	private _isTrackAudible(trackIndex: number): boolean {
+		const soloed = this.tracks.some(track => track.solo);
+		const track = this.tracks[trackIndex];
+		if (!track) {
+			return !soloed;
+		}
+		return !track.mute && (!soloed || track.solo);
+	}
+
+	/**
+	 * Synth a track plays through: its own mixer channel, or the global synth for notes without a track
+	 */
+	private _trackSynth(trackIndex: number): any | null {
+		if (!this.options.useSynth || !this.synth) {
+			return null;
+		}
+		const Tone = getAudioEngine();
+		const track = this.tracks[trackIndex];
+		if (!track || !Tone?.Channel) {
+			return this.synth;
+		}
+
+		let strip = this.trackStrips[trackIndex];
+		if (!strip) {
+			strip = { channel: new Tone.Channel().connect(this._busInput()), synth: null };
+			this.trackStrips[trackIndex] = strip;
+			this._updateTrackLevels();
+		}
+		if (!strip.synth) {
+			strip.synth = this._createSynth(track.synthType ?? this.options.synthType).connect(strip.channel);
+			if (this._trackDetune(trackIndex)) {
+				strip.synth.set({ detune: this._trackDetune(trackIndex) });
+			}
+		}
+		return strip.synth;
+	}
+
+	/**
+	 * Copy volume, pan, mute and solo of the tracks onto their mixer channels;
+	 * the file's channel volume and expression are added to the track volume
+	 */
+	private _updateTrackLevels(): void {
+		this.trackStrips.forEach((strip, index) => {
+			const track = this.tracks[index];
+			if (!strip || !track) {
+				return;
+			}
+			const state = this._controllerStates[index];
+			strip.channel.volume.value = track.volume + (state ? controllerGain(state) : 0);
+			strip.channel.pan.value = track.pan;
+			strip.channel.mute = !this._isTrackAudible(index);
+		});
+	}
+
+	private _disposeTrackStrips(): void {
+		this.trackStrips.forEach(strip => {
+			strip?.synth?.dispose();
+			strip?.channel.dispose();
+		});
+		this.trackStrips = [];
+	}
+
+	/**
+	 * Transport Control Methods
+	 */
+	play(): void {
+		if (!getAudioEngine()) {
+			console.warn('Tone.js not loaded, cannot play. Pass it to setAudioEngine() first.');
+			return;
+		}
+
+		if (this.isPlaying) {
+			return;
+		}
+		
+		if (this.isPaused) {
+			// Resume from pause
+			this._resumeFromPause();
+			return;
+		}
+
+		// Recording runs without a loaded file
+		if (!this.notes.length && !this._recording) {
+			console.warn('No notes loaded to play.');
+			return;
+		}
+
+		this.isPlaying = true;
+		this.isPaused = false;
+		this.transportState.isPlaying = true;
+		this.transportState.isPaused = false;
+
+		// Adaptive tuning picks per-note frequencies from the sonorities before scheduling
+		this._applyAdaptiveTuning();
+
+		const startTime = this.currentPosition;
+		this._startTransport(startTime);
+
+		// Start position tracking
+		this._startPositionTracking();
+		
+		// Notify transport event
+		this._notifyTransportSubscribers({
+			type: 'play',
+			data: { position: startTime },
+			timestamp: Date.now()
+		});
+	}
+
+	/**
+	 * Stop playback
+	 */
+	stop(): void {
+		this.stopRecording();
+		const Tone = getAudioEngine();
+		if (Tone) {
+			Tone.Transport.stop();
+			Tone.Transport.cancel();
+			Tone.Transport.off('loop', this._onLoopWrap);
+		}
+
+		// Clear scheduled events
+		this._clearSchedule();
+		this._endCountIn(false);
+		this._voices.forEach((_, id) => this.midiOutput?.noteOff(id));
+		this._voices.clear();
+		// Cancelled note offs never fire, so release the notes still held by the track synths
+		this.trackStrips.forEach(strip => strip?.synth?.releaseAll());
+		this._resetControllers(0);
+
+		this.isPlaying = false;
+		this.isPaused = false;
+		this.transportState.isPlaying = false;
+		this.transportState.isPaused = false;
+		
+		// Reset position to beginning
+		this.currentPosition = 0;
+		this.transportState.positionSeconds = 0;
+		this.transportState.position = '0:0:0';
+		
+		// Stop position tracking
+		this._stopPositionTracking();
+		
+		this._notifyTransportSubscribers({
+			type: 'stop',
+			data: { position: 0 },
+			timestamp: Date.now()
+		});
+		
+		this._notifySubscribers({
+			type: 'stop',
+			time: Date.now()
+		});
+	}
+
+	/**
+	 * Schedule the notes on Tone.Transport and start it from `position` (seconds)
+	 * Notes sit at their own transport times, so a loop repeats them on every pass;
+	 * notes sounding at the start point or across the loop start are attacked again
+	 */
+	private _schedulePlayback(position: number): void {
+		const Tone = getAudioEngine();
+		Tone.Transport.stop();
+		this._clearSchedule();
+		this._releaseVoices(Tone.now());
+
+		const { isLooping, loopStartSeconds, loopEndSeconds } = this.transportState;
+		Tone.Transport.loop = isLooping;
+		if (isLooping) {
+			Tone.Transport.loopStart = loopStartSeconds;
+			Tone.Transport.loopEnd = loopEndSeconds;
+		}
+
+		const schedule = (callback: (time: number) => void, time: number) =>
+			this.scheduledEvents.push(Tone.Transport.schedule(callback, time));
+		// Notes dropped by the snap policy stay silent
+		this._performanceNotes()
+			.filter((note): note is Note & { frequency: number } => note.frequency !== null)
+			.forEach(note => {
+				const end = note.time + note.duration;
+				schedule(time => this._attackVoice(note, time, note.duration), note.time);
+				schedule(time => this._endVoice(note, time), end);
+				if (isLooping && note.time < loopStartSeconds && end > loopStartSeconds) {
+					schedule(time => this._attackVoice(note, time, end - loopStartSeconds), loopStartSeconds);
+				}
+				if (note.time < position && end > position) {
+					this.scheduledEvents.push(
+						Tone.Transport.scheduleOnce((time: number) => this._attackVoice(note, time, end - position), position)
+					);
+				}
+			});
+
+		// Controllers start from their state at the start position, then follow the file's events
+		this._resetControllers(position);
+		this.controllers.forEach((events, trackIndex) => events.forEach(event => {
+			schedule(time => this._applyController(trackIndex, event, time), event.time);
+		}));
+
+		if (this.metronome.enabled) {
+			this._scheduleClick(secondsToTicks(this.tempoMap, position, this._tempoScale()));
+		}
+
+		this._loopCount = 0;
+		Tone.Transport.off('loop', this._onLoopWrap);
+		Tone.Transport.on('loop', this._onLoopWrap);
+		Tone.Transport.seconds = position;
+		Tone.Transport.start();
+	}
+
+	// Start the transport at `position` (seconds), after the count-in if setMetronome() asks for one
+	private _startTransport(position: number): void {
+		if (this.metronome.countIn > 0) {
+			this._startCountIn(position);
+		} else {
+			this._schedulePlayback(position);
+		}
+	}
+
+	/**
+	 * Count-in: the transport clicks metronome.countIn bars from 0 in the meter and tempo of the start
+	 * position, then jumps to this.currentPosition (it may change during the count-in) and schedules the notes
+	 */
+	private _startCountIn(position: number): void {
+		const Tone = getAudioEngine();
+		Tone.Transport.stop();
+		this._clearSchedule();
+		this._releaseVoices(Tone.now());
+		Tone.Transport.loop = false;
+
+		const scale = this._tempoScale();
+		const bars = this.metronome.countIn;
+		const countIn = countInClicks(this.tempoMap, secondsToTicks(this.tempoMap, position, scale),
+			bars, this.metronome.subdivision, scale);
+		countIn.clicks.forEach(click => {
+			this.scheduledEvents.push(Tone.Transport.scheduleOnce(
+				(time: number) => this._playClick({ ...click, countIn: true, position: null }, time), click.time));
+		});
+		this.scheduledEvents.push(Tone.Transport.scheduleOnce(() => this._endCountIn(true), countIn.seconds));
+
+		this._countIn = { bars, seconds: countIn.seconds };
+		this.transportState.isCountingIn = true;
+		Tone.Transport.seconds = 0;
+		Tone.Transport.start();
+
+		this._notifyTransportSubscribers({
+			type: 'countIn',
+			data: { active: true, bars, seconds: countIn.seconds },
+			timestamp: Date.now()
+		});
+	}
+
+	// Finish the count-in; `start` begins playback at the current position (false on pause and stop)
+	private _endCountIn(start: boolean): void {
+		if (!this._countIn) {
+			return;
+		}
+		this._countIn = null;
+		this.transportState.isCountingIn = false;
+		this._notifyTransportSubscribers({
+			type: 'countIn',
+			data: { active: false },
+			timestamp: Date.now()
+		});
+		if (start) {
+			this._schedulePlayback(this.currentPosition);
+		}
+	}
+
+	// Schedule the first click at or after `ticks`; its callback schedules the next one, so clicks follow the map without end
+	private _scheduleClick(ticks: number): void {
+		const Tone = getAudioEngine();
+		const click = nextMetronomeClick(this.tempoMap, ticks, this.metronome.subdivision);
+		const seconds = ticksToSeconds(this.tempoMap, click.ticks, this._tempoScale());
+		this._clickEvent = Tone.Transport.scheduleOnce((time: number) => {
+			this._clickEvent = null;
+			this._playClick({ ...click, countIn: false, position: ticksToPosition(this.tempoMap, click.ticks) }, time);
+			this._scheduleClick(click.ticks + 1);
+		}, seconds);
+	}
+
+	private _clearClick(): void {
+		if (this._clickEvent !== null) {
+			getAudioEngine()?.Transport.clear(this._clickEvent);
+			this._clickEvent = null;
+		}
+	}
+
+	// Sound a click on the click synth (when sound is on) and send it to transport subscribers
+	private _playClick(click: MetronomeClick & { countIn: boolean; position: string | null }, time: number): void {
+		if (this.options.useSynth) {
+			const [frequency, velocity] = METRONOME_CLICKS[click.accent ? 'accent' : click.step === 0 ? 'beat' : 'step'];
+			this._metronomeSynth().triggerAttackRelease(frequency, 0.03, time, velocity);
+		}
+		const data: MetronomeClickEvent = {
+			bar: click.bar,
+			beat: click.beat,
+			step: click.step,
+			accent: click.accent,
+			countIn: click.countIn,
+			position: click.position,
+			time
+		};
+		this._notifyTransportSubscribers({ type: 'click', data, timestamp: Date.now() });
+	}
+
+	// The click synth is created on the first click
+	private _metronomeSynth(): any {
+		if (!this._clickSynth) {
+			const Tone = getAudioEngine();
+			this._clickSynth = new Tone.Synth({
+				oscillator: { type: 'square' },
+				envelope: { attack: 0.001, decay: 0.03, sustain: 0, release: 0.01 }
+			}).toDestination();
+			this._clickSynth.volume.value = this.metronome.volume;
+		}
+		return this._clickSynth;
+	}
+
+	// Attack a note unless it is already sounding or its track is silent
+	private _attackVoice(note: Note & { frequency: number }, time: number, duration: number): void {
+		const trackIndex = note.trackIndex ?? 0;
+		if (this._voices.has(note.id) || !this._isTrackAudible(trackIndex)) {
+			return;
+		}
+		this._voices.set(note.id, { note, frequency: note.frequency });
+		this._trackSynth(trackIndex)?.triggerAttack(note.frequency, time, note.velocity);
+		this.midiOutput?.noteOn(note.id, note.frequency, note.velocity, this._midiTimestamp(time));
+		this._notifySubscribers({
+			type: 'noteOn',
+			note: note.name,
+			frequency: note.frequency,
+			time,
+			duration,
+			velocity: note.velocity,
+			trackIndex
+		});
+	}
+
+	// Release a note if it is sounding
+	private _releaseVoice(note: Note, time: number): void {
+		const voice = this._voices.get(note.id);
+		if (!voice) {
+			return;
+		}
+		this._voices.delete(note.id);
+		const trackIndex = note.trackIndex ?? 0;
+		this._trackSynth(trackIndex)?.triggerRelease(voice.frequency, time);
+		this.midiOutput?.noteOff(note.id, this._midiTimestamp(time));
+		this._notifySubscribers({
+			type: 'noteOff',
+			note: note.name,
+			frequency: voice.frequency,
+			time,
+			trackIndex
+		});
+	}
+
+	// Scheduled note end: while the track's pedal is down the note sounds until the pedal is released
+	private _endVoice(note: Note, time: number): void {
+		const state = this._controllerStates[note.trackIndex ?? 0];
+		if (state?.sustain && this._voices.has(note.id)) {
+			state.held.add(note.id);
+			return;
+		}
+		this._releaseVoice(note, time);
+	}
+
+	private _releaseVoices(time: number): void {
+		[...this._voices.values()].forEach(({ note }) => this._releaseVoice(note, time));
+	}
+
+	// Remove the events planned by _schedulePlayback() from Tone.Transport
+	private _clearSchedule(): void {
+		const Tone = getAudioEngine();
+		if (Tone) {
+			this.scheduledEvents.forEach(id => Tone.Transport.clear(id));
+			this._clearClick();
+		}
+		this.scheduledEvents = [];
+	}
+
+	/**
+	 * Tone.Transport 'loop' handler: notes sounding at the loop end are released, the metronome
+	 * goes on from the loop start and transport subscribers get a loopWrap event
+	 */
+	private _onLoopWrap = (time: number): void => {
+		if (!this.isPlaying) {
+			return;
+		}
+		this._releaseVoices(time);
+		this._resetControllers(this.transportState.loopStartSeconds);
+		this._loopCount++;
+		this._recordLoopWrap();
+		if (this.metronome.enabled) {
+			this._clearClick();
+			this._scheduleClick(secondsToTicks(this.tempoMap, this.transportState.loopStartSeconds, this._tempoScale()));
+		}
+		this._notifyTransportSubscribers({
+			type: 'loopWrap',
+			data: {
+				count: this._loopCount,
+				start: this.transportState.loopStart,
+				end: this.transportState.loopEnd,
+				startSeconds: this.transportState.loopStartSeconds,
+				endSeconds: this.transportState.loopEndSeconds
+			},
+			timestamp: Date.now()
+		});
+	};
+
+	/**
+	 * Give the track controllers the file's state at `position`: pedal, bend and level apply at once,
+	 * notes held by the pedal are forgotten (_releaseVoices() has released them)
+	 */
+	private _resetControllers(position: number): void {
+		this._controllerStates = this.controllers.map(events => ({ ...controllerStateAt(events, position), held: new Set<number>() }));
+		this._controllerStates.forEach((_, trackIndex) => this._applyTrackBend(trackIndex));
+		this._updateTrackLevels();
+	}
+
+	/**
+	 * A file controller event during playback; releasing the pedal releases the held notes
+	 * Subscribers get sustain, pitchBend or controlChange while the track is audible
+	 */
+	private _applyController(trackIndex: number, event: ControllerEvent, time: number): void {
+		const state = this._controllerStates[trackIndex];
+		if (!state) {
+			return;
+		}
+		const sustain = state.sustain;
+		applyControllerEvent(state, event);
+		const base = { time, trackIndex, channel: this.tracks[trackIndex]?.channel ?? 0, source: 'file' as const };
+		const audible = this._isTrackAudible(trackIndex);
+
+		if (event.type === 'pitchBend') {
+			this._applyTrackBend(trackIndex);
+			if (audible) {
+				this._notifySubscribers({ type: 'pitchBend', bend: event.value, cents: event.value * PITCH_BEND_RANGE * 100, ...base });
+			}
+			return;
+		}
+		if (event.number === SUSTAIN_CC) {
+			if (state.sustain === sustain) {
+				return;
+			}
+			if (!state.sustain) {
+				const held = [...state.held];
+				state.held.clear();
+				held.forEach(id => {
+					const voice = this._voices.get(id);
+					if (voice) {
+						this._releaseVoice(voice.note, time);
+					}
+				});
+			}
+			if (audible) {
+				this._notifySubscribers({ type: 'sustain', on: state.sustain, ...base });
+			}
+			return;
+		}
+		if (event.number === VOLUME_CC || event.number === EXPRESSION_CC) {
+			this._updateTrackLevels();
+		}
+		if (audible) {
+			this._notifySubscribers({ type: 'controlChange', number: event.number, value: event.value, ...base });
+		}
+	}
+
+	// Apply the file's pitch bend to the track synth, if its channel exists yet
+	private _applyTrackBend(trackIndex: number): void {
+		this.trackStrips[trackIndex]?.synth?.set({ detune: this._trackDetune(trackIndex) });
+	}
+
+	// Pitch bend of a track from the file, in cents
+	private _trackDetune(trackIndex: number): number {
+		return (this._controllerStates[trackIndex]?.bend ?? 0) * PITCH_BEND_RANGE * 100;
+	}
+
+	/**
+	 * Subscribe to note events: noteOn, noteOff, stop and notesChanged, plus sustain, pitchBend
+	 * and controlChange from the live input (source 'live') and from file controllers (source 'file')
+	 */
+	subscribe(callback: NoteEventCallback): () => void {
+		this.noteSubscribers.push(callback);
+		
+		// Return unsubscribe function
+		return () => {
+			const index = this.noteSubscribers.indexOf(callback);
+			if (index > -1) {
+				this.noteSubscribers.splice(index, 1);
+			}
+		};
+	}
+
+	/**
+	 * Remove a note event callback (the same as calling the function returned by subscribe())
+	 */
+	unsubscribe(callback: NoteEventCallback): this {
+		this.noteSubscribers = this.noteSubscribers.filter(subscriber => subscriber !== callback);
+		return this;
+	}
+
+	/**
+	 * Notify all subscribers of note events
+	 */
+	private _notifySubscribers(event: NoteEvent): void {
+		this.noteSubscribers.forEach(callback => {
+			try {
+				callback(event);
+			} catch (error) {
+				console.error('Error in note subscriber:', error);
+			}
+		});
+	}
+
+	/**
+	 * Get loaded notes with the frequencies they will be played at
+	 */
+	getNotes(): Note[] {
+		return this.notes.map(note => this._noteSnapshot(note));
+	}
+
+	/**
+	 * Add a note; its name and frequency follow from midi and the current tuning
+	 * @throws RangeError when a field is out of range or the track does not exist
+	 */
+	addNote(input: NoteInput): Note {
+		const record: NoteRecord = {
+			id: this._nextNoteId,
+			name: '',
+			midi: input.midi,
+			time: input.time,
+			duration: input.duration,
+			velocity: input.velocity ?? 0.8,
+			trackIndex: input.trackIndex ?? 0
+		};
+		this._validateNoteFields(record);
+		record.name = this._midiName(record.midi);
+		this._nextNoteId++;
+
+		this._commitEdit('add', [{ id: record.id, before: null, after: record }]);
+		return this._noteSnapshot(this._findNote(record.id));
+	}
+
+	/**
+	 * Change the midi, time, duration, velocity or track of a note
+	 * Changes that leave the note as it was record no undo step and send no notesChanged event
+	 * @throws RangeError when the note or the track does not exist or a field is out of range
+	 */
+	updateNote(id: number, changes: NoteChanges): Note {
+		return this._updateNotes('update', [id], () => changes)[0];
+	}
+
+	/**
+	 * Remove a note
+	 * @throws RangeError when the note does not exist
+	 */
+	removeNote(id: number): Note {
+		return this.removeNotes([id])[0];
+	}
+
+	/**
+	 * Remove several notes as one edit
+	 * @throws RangeError when any of the notes does not exist (nothing is removed)
+	 */
+	removeNotes(ids: number[]): Note[] {
+		const notes = [...new Set(ids)].map(id => this._findNote(id));
+		const removed = notes.map(note => this._noteSnapshot(note));
+		this._commitEdit('remove', notes.map(note => ({ id: note.id, before: this._noteRecord(note), after: null })));
+		return removed;
+	}
+
+	/**
+	 * Transpose notes by a whole number of semitones
+	 * @throws RangeError when the interval is not an integer or a note leaves 0-127
+	 */
+	transposeNotes(ids: number[], semitones: number): Note[] {
+		if (!Number.isInteger(semitones)) {
+			throw new RangeError(`Transposition must be a whole number of semitones, got ${semitones}`);
+		}
+		return this._updateNotes('transpose', ids, note => ({ midi: note.midi + semitones }));
+	}
+
+	/**
+	 * Shift notes in time by a number of seconds (negative moves them earlier)
+	 * @throws RangeError when a note would start before zero
+	 */
+	moveNotes(ids: number[], seconds: number): Note[] {
+		if (typeof seconds !== 'number' || !Number.isFinite(seconds)) {
+			throw new RangeError(`Move offset must be a number of seconds, got ${seconds}`);
+		}
+		return this._updateNotes('move', ids, note => ({ time: note.time + seconds }));
+	}
+
+	/**
+	 * Move note starts towards a grid; durations are kept
+	 * @param grid a note value on the tempo map ('8n', '16n', '8t' ...) or a step in seconds
+	 * @param strength share of the distance to the grid a note is moved by (0-1)
+	 * @throws RangeError when the grid or the strength is invalid
+	 */
+	quantizeNotes(ids: number[], grid: string | number = '16n', strength: number = 1): Note[] {
+		// Note values are snapped in ticks (subdivisionSeconds at 60 BPM is the length in quarters),
+		// so the grid follows tempo changes
+		const step = typeof grid === 'number' ? grid : subdivisionSeconds(grid, 60) * this.tempoMap.ppq;
+		if (!(step > 0) || !Number.isFinite(step)) {
+			throw new RangeError(`Quantize grid must be positive, got ${grid}`);
+		}
+		if (typeof strength !== 'number' || !(strength >= 0 && strength <= 1)) {
+			throw new RangeError(`Quantize strength must be between 0 and 1, got ${strength}`);
+		}
+		const scale = this._tempoScale();
+		const snap = typeof grid === 'number'
+			? (time: number) => Math.round(time / step) * step
+			: (time: number) => ticksToSeconds(this.tempoMap, Math.round(secondsToTicks(this.tempoMap, time, scale) / step) * step, scale);
+		return this._updateNotes('quantize', ids, note => {
+			const target = snap(note.time);
+			return { time: note.time + (target - note.time) * strength };
+		});
+	}
+
+	/**
+	 * Split a note in two; the left part keeps the id, the right part gets a new one
+	 * @returns [left, right]
+	 * @throws RangeError when the time is not strictly inside the note
+	 */
+	splitNote(id: number, time: number): [Note, Note] {
+		const note = this._findNote(id);
+		const end = note.time + note.duration;
+		if (typeof time !== 'number' || !(time > note.time && time < end)) {
+			throw new RangeError(`Split time ${time} is outside note ${id} (${note.time}-${end})`);
+		}
+
+		const right: NoteRecord = { ...this._noteRecord(note), id: this._nextNoteId++, time, duration: end - time };
+		this._commitEdit('split', [
+			{ id, before: this._noteRecord(note), after: this._editedRecord(note, { duration: time - note.time }) },
+			{ id: right.id, before: null, after: right }
+		]);
+		return [this._noteSnapshot(note), this._noteSnapshot(this._findNote(right.id))];
+	}
+
+	/**
+	 * Merge notes of the same pitch and track into one spanning from the first start to the last end
+	 * The result keeps the id and velocity of the earliest note
+	 * @throws RangeError when fewer than two notes are given or their pitches or tracks differ
+	 */
+	mergeNotes(ids: number[]): Note {
+		const notes = [...new Set(ids)].map(id => this._findNote(id)).sort((a, b) => a.time - b.time);
+		if (notes.length < 2) {
+			throw new RangeError('At least two notes are needed to merge');
+		}
+		if (notes.some(note => note.midi !== notes[0].midi)) {
+			throw new RangeError('Only notes of the same pitch can be merged');
+		}
+		if (notes.some(note => (note.trackIndex ?? 0) !== (notes[0].trackIndex ?? 0))) {
+			throw new RangeError('Only notes on the same track can be merged');
+		}
+
+		const [first, ...rest] = notes;
+		const end = Math.max(...notes.map(note => note.time + note.duration));
+		this._commitEdit('merge', [
+			{ id: first.id, before: this._noteRecord(first), after: this._editedRecord(first, { duration: end - first.time }) },
+			...rest.map(note => ({ id: note.id, before: this._noteRecord(note), after: null }))
+		]);
+		return this._noteSnapshot(first);
+	}
+
+	/**
+	 * Start an edit group: every edit until endEditGroup() is undone and redone as one step
+	 * Groups can be nested; the outermost label is used
+	 */
+	beginEditGroup(label: string = 'edit'): void {
+		if (this._editGroup) {
+			this._editGroup.depth++;
+		} else {
+			this._editGroup = { label, depth: 1, changes: new Map() };
+		}
+	}
+
+	/**
+	 * Close an edit group opened with beginEditGroup()
+	 */
+	endEditGroup(): void {
+		if (!this._editGroup) {
+			console.warn('endEditGroup() called without beginEditGroup()');
+			return;
+		}
+		this._editGroup.depth--;
+		if (this._editGroup.depth === 0) {
+			const { label, changes } = this._editGroup;
+			this._editGroup = null;
+			if (changes.size) {
+				this._pushHistory({ label, changes: [...changes.values()] });
+			}
+		}
+	}
+
+	/**
+	 * Run a callback as one edit group
+	 * If the callback throws, the edits it already made stay and undo as one step
+	 */
+	groupEdits<T>(label: string, callback: () => T): T {
+		this.beginEditGroup(label);
+		try {
+			return callback();
+		} finally {
+			this.endEditGroup();
+		}
+	}
+
+	/**
+	 * Undo the last edit or edit group
+	 * @returns false when there is nothing to undo
+	 */
+	undo(): boolean {
+		return this._stepHistory(this._history.undo, this._history.redo, 'before', 'undo');
+	}
+
+	/**
+	 * Redo the last undone edit or edit group
+	 * @returns false when there is nothing to redo
+	 */
+	redo(): boolean {
+		return this._stepHistory(this._history.redo, this._history.undo, 'after', 'redo');
+	}
+
+	canUndo(): boolean {
+		return this._history.undo.length > 0;
+	}
+
+	canRedo(): boolean {
+		return this._history.redo.length > 0;
+	}
+
+	getHistory(): EditHistory {
+		return {
+			undo: this._history.undo.map(entry => entry.label),
+			redo: this._history.redo.map(entry => entry.label)
+		};
+	}
+
+	clearHistory(): void {
+		this._history = { undo: [], redo: [] };
+		this._editGroup = null;
+	}
+
+	private _findNote(id: number): Note {
+		const note = this.notes.find(candidate => candidate.id === id);
+		if (!note) {
+			throw new RangeError(`Unknown note id: ${id}`);
+		}
+		return note;
+	}
+
+	/**
+	 * Copy of a note as the public methods return it, with its fields in one order
+	 */
+	private _noteSnapshot(note: Note): Note {
+		return {
+			id: note.id,
+			name: note.name,
+			midi: note.midi,
+			frequency: note.frequency,
+			time: note.time,
+			duration: note.duration,
+			velocity: note.velocity,
+			trackIndex: note.trackIndex ?? 0,
+			remap: note.remap ?? null,
+			...(note.spelled ? { spelled: true } : {})
+		};
+	}
+
+	private _noteRecord(note: Note): NoteRecord {
+		return {
+			id: note.id,
+			name: note.name,
+			midi: note.midi,
+			time: note.time,
+			duration: note.duration,
+			velocity: note.velocity,
+			trackIndex: note.trackIndex ?? 0,
+			...(note.spelled ? { spelled: true } : {})
+		};
+	}
+
+	/**
+	 * Note state after changing some fields; a new pitch gets its sharp name
+	 * @throws RangeError when a field is out of range
+	 */
+	private _editedRecord(note: Note, changes: NoteChanges): NoteRecord {
+		const record = this._noteRecord(note);
+		EDITABLE_NOTE_FIELDS.forEach(field => {
+			if (changes[field] !== undefined) {
+				record[field] = changes[field] as number;
+			}
+		});
+		this._validateNoteFields(record);
+		if (record.midi !== note.midi) {
+			record.name = this._midiName(record.midi);
+			delete record.spelled;
+		}
+		return record;
+	}
+
+	private _validateNoteFields(fields: NoteRecord): void {
+		if (!Number.isInteger(fields.midi) || fields.midi < 0 || fields.midi > 127) {
+			throw new RangeError(`Note midi must be an integer between 0 and 127, got ${fields.midi}`);
+		}
+		if (typeof fields.time !== 'number' || !(fields.time >= 0)) {
+			throw new RangeError(`Note time must be a non-negative number of seconds, got ${fields.time}`);
+		}
+		if (typeof fields.duration !== 'number' || !(fields.duration > 0)) {
+			throw new RangeError(`Note duration must be a positive number of seconds, got ${fields.duration}`);
+		}
+		if (typeof fields.velocity !== 'number' || !(fields.velocity >= 0 && fields.velocity <= 1)) {
+			throw new RangeError(`Note velocity must be between 0 and 1, got ${fields.velocity}`);
+		}
+		// Without a loaded file notes play on track 0, as in exportMidi()
+		const trackCount = Math.max(this.tracks.length, 1);
+		if (!Number.isInteger(fields.trackIndex) || (fields.trackIndex as number) < 0 || (fields.trackIndex as number) >= trackCount) {
+			throw new RangeError(`Note trackIndex must be a track from 0 to ${trackCount - 1}, got ${fields.trackIndex}`);
+		}
+	}
+
+	private _midiName(midi: number): string {
+		return `${NOTE_NAMES[midi % 12]}${Math.floor(midi / 12) - 1}`;
+	}
+
+	/**
+	 * Change several notes as one edit
+	 * Every new state is validated before anything is applied, so a bad value leaves no half-done edit
+	 */
+	private _updateNotes(label: string, ids: number[], changesFor: (note: Note) => NoteChanges): Note[] {
+		const notes = [...new Set(ids)].map(id => this._findNote(id));
+		const changes = notes
+			.map(note => ({
+				id: note.id,
+				before: this._noteRecord(note),
+				after: this._editedRecord(note, changesFor(note))
+			}))
+			// Notes left as they were are no edit: no history step and no notesChanged event
+			.filter(({ before, after }) => EDITABLE_NOTE_FIELDS.some(field => before[field] !== after[field]));
+		this._commitEdit(label, changes);
+		return notes.map(note => this._noteSnapshot(note));
+	}
+
+	/**
+	 * Apply an edit, record it in the history (or the open group) and notify subscribers
+	 */
+	private _commitEdit(label: string, changes: NoteChange[]): void {
+		if (!changes.length) {
+			return;
+		}
+		const result = this._applyNoteChanges(changes, 'after');
+
+		if (this._editGroup) {
+			mergeGroupChanges(this._editGroup.changes, changes);
+		} else {
+			this._pushHistory({ label, changes });
+		}
+
+		this._notifySubscribers({ type: 'notesChanged', action: 'edit', label, ...result });
+	}
+
+	private _pushHistory(entry: HistoryEntry): void {
+		this._history.undo.push(entry);
+		if (this._history.undo.length > EDIT_HISTORY_LIMIT) {
+			this._history.undo.shift();
+		}
+		this._history.redo = [];
+	}
+
+	private _stepHistory(
+		from: HistoryEntry[],
+		to: HistoryEntry[],
+		side: 'before' | 'after',
+		action: 'undo' | 'redo'
+	): boolean {
+		if (this._editGroup) {
+			console.warn(`Cannot ${action} while an edit group is open`);
+			return false;
+		}
+		const entry = from.pop();
+		if (!entry) {
+			return false;
+		}
+		const result = this._applyNoteChanges(entry.changes, side);
+		to.push(entry);
+		this._notifySubscribers({ type: 'notesChanged', action, label: entry.label, ...result });
+		return true;
+	}
+
+	/**
+	 * Bring notes to the before or after state of a list of changes
+	 */
+	private _applyNoteChanges(
+		changes: NoteChange[],
+		side: 'before' | 'after'
+	): { added: Note[]; updated: Note[]; removed: Note[] } {
+		const removed: Note[] = [];
+		const touched: { note: Note; added: boolean }[] = [];
+
+		changes.forEach(change => {
+			const state = change[side];
+			const index = this.notes.findIndex(note => note.id === change.id);
+			if (state === null) {
+				if (index > -1) {
+					removed.push(this._noteSnapshot(this.notes[index]));
+					this.notes.splice(index, 1);
+				}
+				return;
+			}
+
+			const note: Note = index > -1 ? this.notes[index] : { ...state, frequency: null };
+			Object.assign(note, state, this._resolveNote(state));
+			if (!state.spelled) {
+				delete note.spelled;
+			}
+			if (index === -1) {
+				this.notes.push(note);
+			}
+			touched.push({ note, added: index === -1 });
+		});
+
+		this._notesEdited();
+		return {
+			added: touched.filter(entry => entry.added).map(entry => this._noteSnapshot(entry.note)),
+			updated: touched.filter(entry => !entry.added).map(entry => this._noteSnapshot(entry.note)),
+			removed
+		};
+	}
+
+	/**
+	 * After an edit: keep notes in time order, extend the duration, retune adaptive chords and
+	 * schedule the notes again while playing
+	 */
+	private _notesEdited(): void {
+		this.notes.sort((a, b) => a.time - b.time);
+		const end = this.notes.reduce((latest, note) => Math.max(latest, note.time + note.duration), 0);
+		this.duration = Math.max(this.duration, end);
+		this._applyAdaptiveTuning();
+		this._reschedulePerformance();
+	}
+
+	/**
+	 * Get JSON representation of current notes (the getNotes() list)
+	 */
+	toJSON(): string {
+		return JSON.stringify(this.getNotes(), null, 2);
+	}
+
+	/**
+	 * Save the session as a project document: notes by track, custom tunings, mixer and synth
+	 * settings, the patch and master bus, the transport, the metronome and the performance transforms
+	 * The document is plain JSON data; for a file use JSON.stringify(core.exportProject(), null, 2)
+	 */
+	exportProject(options: { name?: string } = {}): ProjectDocument {
+		const { name = '' } = options;
+		const settings = Object.fromEntries(PROJECT_SETTINGS.map(key => [key, this.options[key]])) as ProjectSettings;
+
+		const tunings: ProjectTuning[] = Object.entries(this.customTunings).map(([tuningName, tuning]) => tuning.definition
+			? { name: tuningName, type: tuning.type as 'generated' | 'mode', definition: JSON.parse(JSON.stringify(tuning.definition)) }
+			: {
+				name: tuningName,
+				type: 'scala',
+				scale: { ...tuning.scale, cents: [...tuning.scale.cents] },
+				// The default mapping follows the reference and the tonic, so it is not saved
+				keyboardMapping: tuning.hasKeyboardMapping ? { ...tuning.keyboardMapping, mapping: [...tuning.keyboardMapping.mapping] } : null
+			});
+
+		// Notes without a mixer track (added before any file was loaded) land in default tracks
+		const trackCount = this.notes.reduce((count, note) => Math.max(count, (note.trackIndex ?? 0) + 1), this.tracks.length);
+		const tracks = Array.from({ length: trackCount }, (_, index) => {
+			const track = this.tracks[index] ?? { name: `Track ${index + 1}`, channel: 0, ...TRACK_MIX_DEFAULTS };
+			return {
+				...track,
+				notes: this.notes
+					.filter(note => (note.trackIndex ?? 0) === index)
+					.map(({ id, name: noteName, midi, time, duration, velocity, spelled }) => ({
+						id, name: noteName, midi, time, duration, velocity, ...(spelled ? { spelled } : {})
+					})),
+				controllers: (this.controllers[index] ?? []).map(event => ({ ...event }))
+			};
+		});
+
+		const { bpm, isLooping, loopStartSeconds, loopEndSeconds, swing, swingSubdivision } = this.transportState;
+		const { quantize, groove, humanize } = this.getTransforms();
+		return {
+			format: PROJECT_FORMAT,
+			version: PROJECT_VERSION,
+			name,
+			savedAt: new Date().toISOString(),
+			settings: { ...settings, adaptiveMaxDrift: Number.isFinite(settings.adaptiveMaxDrift) ? settings.adaptiveMaxDrift : null },
+			tunings,
+			tracks,
+			duration: this.duration,
+			// The file's tempo map without setBPM(): note times already follow transport.bpm
+			tempoMap: JSON.parse(JSON.stringify(this.tempoMap)),
+			transport: { bpm, positionSeconds: this.currentPosition, isLooping, loopStartSeconds, loopEndSeconds, swing, swingSubdivision },
+			metronome: this.getMetronome(),
+			transforms: { quantize, groove, humanize },
+			patch: this.getPatch(),
+			masterBus: this.getMasterBus()
+		};
+	}
+
+	/**
+	 * Open a project document in place of the current session. Older versions (including the output
+	 * of toJSON()) are migrated first; missing sections get their defaults and missing settings keep
+	 * their current values. Playback stops and the edit history is cleared
+	 * @param project a document from exportProject() or its JSON
+	 * @throws ProjectFormatError listing every problem; the session is left as it was
+	 */
+	importProject(project: ProjectDocument | string): void {
+		const { project: document, errors } = readProject(project);
+		if (errors.length || !document) {
+			throw new ProjectFormatError(errors);
+		}
+
+		this.stop();
+		const { useSynth, synthType, adaptiveMaxDrift, ...tuningSettings } = document.settings ?? {};
+		Object.assign(this.options, Object.fromEntries(Object.entries(tuningSettings).filter(([, value]) => value !== undefined)));
+		if (adaptiveMaxDrift !== undefined) {
+			this.options.adaptiveMaxDrift = adaptiveMaxDrift ?? Infinity;
+		}
+
+		// Tuning tables are rebuilt from the project's reference and tonic
+		Object.keys(this.customTunings).forEach(name => {
+			delete this.tuningTables[name];
+		});
+		this.customTunings = {};
+		this._initTuningTables();
+		(document.tunings ?? []).forEach(tuning => {
+			if (tuning.type === 'scala') {
+				this._buildCustomTuning(tuning.name, tuning.scale, tuning.keyboardMapping ?? null);
+			} else {
+				this._buildCustomTuning(tuning.name, generateTuningScale(tuning.definition), null, { ...tuning.definition });
+			}
+		});
+		if (!(this.options.tuningSystem in this.tuningTables)) {
+			this.options.tuningSystem = 'equal';
+		}
+
+		// The synth is switched off before the type changes and on after it, so it is built once
+		const nextUseSynth = useSynth ?? this.options.useSynth;
+		const nextSynthType = synthType ?? this.options.synthType;
+		if (!nextUseSynth && this.options.useSynth) {
+			this.toggleSynth(false);
+		}
+		if (nextSynthType !== this.options.synthType) {
+			this.setSynthType(nextSynthType);
+		}
+		if (nextUseSynth && !this.options.useSynth) {
+			this.toggleSynth(true);
+		}
+
+		this._disposeTrackStrips();
+		this.tracks = document.tracks.map(track => ({
+			name: track.name,
+			channel: track.channel ?? 0,
+			synthType: track.synthType ?? TRACK_MIX_DEFAULTS.synthType,
+			volume: track.volume ?? TRACK_MIX_DEFAULTS.volume,
+			pan: track.pan ?? TRACK_MIX_DEFAULTS.pan,
+			mute: track.mute ?? TRACK_MIX_DEFAULTS.mute,
+			solo: track.solo ?? TRACK_MIX_DEFAULTS.solo,
+			tuningSystem: track.tuningSystem ?? TRACK_MIX_DEFAULTS.tuningSystem
+		}));
+		this.controllers = document.tracks.map(track => (track.controllers ?? [])
+			.map(event => ({ ...event }))
+			.sort((a, b) => a.time - b.time));
+		this._controllerStates = [];
+
+		// Saved ids keep the humanize offsets, which depend on the note id
+		const savedIds = document.tracks.flatMap(track => track.notes.map(note => note.id));
+		const keepIds = savedIds.every(id => id !== undefined);
+		if (keepIds) {
+			this._nextNoteId = savedIds.reduce((next: number, id) => Math.max(next, (id as number) + 1), this._nextNoteId);
+		}
+		this.notes = document.tracks.flatMap((track, trackIndex) => track.notes.map(note => {
+			const name = note.name ?? this._midiName(note.midi);
+			const record = {
+				id: keepIds ? note.id as number : this._nextNoteId++,
+				name,
+				midi: note.midi,
+				time: note.time,
+				duration: note.duration,
+				velocity: note.velocity ?? 0.8,
+				trackIndex,
+				...(note.spelled || name !== this._midiName(note.midi) ? { spelled: true } : {})
+			};
+			return { ...record, ...this._resolveNote(record) };
+		}));
+		this.notes.sort((a, b) => a.time - b.time);
+		this._applyAdaptiveTuning();
+		this.clearHistory();
+
+		const end = this.notes.reduce((latest, note) => Math.max(latest, note.time + note.duration), 0);
+		this.duration = Math.max(document.duration ?? 0, end);
+
+		// Notes were saved at transport.bpm, the tempo map in the file's tempos
+		const transport = document.transport ?? {};
+		this.tempoMap = createTempoMap(document.tempoMap, transport.bpm ?? this.transportState.bpm);
+		this.transportState.bpm = transport.bpm ?? this.tempoMap.tempos[0].bpm;
+		const Tone = getAudioEngine();
+		if (Tone) {
+			Tone.Transport.bpm.value = this.transportState.bpm;
+			Tone.Transport.timeSignature = this.tempoMap.timeSignatures[0].timeSignature;
+		}
+		this._notifyTransportSubscribers({
+			type: 'bpm',
+			data: { bpm: this.transportState.bpm },
+			timestamp: Date.now()
+		});
+
+		const {
+			isLooping = this.transportState.isLooping,
+			loopStartSeconds = this.positionToSeconds(this.transportState.loopStart),
+			loopEndSeconds = this.positionToSeconds(this.transportState.loopEnd),
+			swing = 0,
+			swingSubdivision = '8n'
+		} = transport;
+		this.setLoop(isLooping, loopStartSeconds, loopEndSeconds);
+		this.setSwing(swing, swingSubdivision);
+		this.setMetronome({ ...METRONOME_DEFAULTS, ...document.metronome });
+		this.setTransforms(projectTransforms(document.transforms));
+		this.setPatch(mergePatch(PATCH_DEFAULTS, document.patch ?? {}));
+		this.setMasterBus({ ...MASTER_BUS_DEFAULTS, ...document.masterBus });
+		this.setPosition(transport.positionSeconds ?? 0);
+	}
+
+	/**
+	 * Check a project document without opening it (older versions are migrated first)
+	 * @returns every problem found; empty when the document can be opened
+	 */
+	static validateProject(project: ProjectDocument | string): ProjectIssue[] {
+		return readProject(project).errors;
+	}
+
+	/**
+	 * Analyse the tuning of the loaded notes: deviation of every note from 12-TET at the same reference,
+	 * the intervals between notes sounding together with their deviation from the nearest just ratio
+	 * and beat rate, sonority impurity and a summary of the piece
+	 * @param tuningSystem tuning for all notes; null analyses the notes as they sound, in their tracks' tunings
+	 * @throws RangeError when the tuning does not exist
+	 */
+	analyzeTuning(tuningSystem: TuningSystem | null = null): TuningAnalysis {
+		return {
+			tuningSystem,
+			referenceFrequency: this.options.referenceFrequency,
+			referenceNote: this.options.referenceNote,
+			...analyzeTunedNotes(this._notesInTuning(tuningSystem), midi => this._equalFrequency(midi))
+		};
+	}
+
+	/**
+	 * Analyse two tunings of the loaded notes side by side, see analyzeTuning()
+	 * @throws RangeError when a tuning does not exist
+	 */
+	compareTunings(first: TuningSystem | null, second: TuningSystem | null): TuningComparison {
+		return compareAnalyses(this.analyzeTuning(first), this.analyzeTuning(second));
+	}
+
+	/**
+	 * Export a tuning analysis, or a comparison when compareWith is given:
+	 * JSON holds the whole report, CSV one table
+	 * @throws RangeError for an unknown format, table or tuning
+	 */
+	exportAnalysis(options: AnalysisExportOptions = {}): string {
+		const { format = 'json', table = 'notes', tuningSystem = null, compareWith } = options;
+		if (!ANALYSIS_FORMATS.includes(format)) {
+			throw new RangeError(`Unknown analysis format: ${format}. Use ${ANALYSIS_FORMATS.join(' or ')}.`);
+		}
+		if (!ANALYSIS_TABLES.includes(table)) {
+			throw new RangeError(`Unknown analysis table: ${table}. Use ${ANALYSIS_TABLES.join(', ')}.`);
+		}
+		const analysis = compareWith === undefined
+			? this.analyzeTuning(tuningSystem)
+			: this.compareTunings(tuningSystem, compareWith);
+		return format === 'json' ? JSON.stringify(analysis, null, 2) : analysisToCsv(analysis, table);
+	}
+
+	/**
+	 * Copies of the loaded notes with their frequencies in `system` (null: the current frequencies)
+	 * @throws RangeError when the tuning does not exist
+	 */
+	private _notesInTuning(system: TuningSystem | null): Note[] {
+		if (system === null) {
+			return this.getNotes();
+		}
+		if (!(system in this.tuningTables)) {
+			throw new RangeError(`Unknown tuning system: ${system}`);
+		}
+		const notes = this.notes.map(note => ({ ...note, ...this._resolveNote(note, system) }));
+		if (system === 'adaptive') {
+			const tuned = adaptiveJustFrequencies(notes, midi => this._equalFrequency(midi), this.options.adaptiveMaxDrift);
+			notes.forEach((note, index) => {
+				note.frequency = tuned[index].frequency;
+			});
+		}
+		return notes;
+	}
+
+	/**
+	 * Export the loaded notes as a Standard MIDI File that reproduces the current tuning
+	 * 'mts' sends MIDI Tuning Standard SysEx in the global tuning, 'mpe' gives every note its own
+	 * channel and pitch bend and so keeps per-track tunings
+	 * @throws RangeError when an option is out of range
+	 */
+	exportMidi(options: MidiExportOptions = {}): Uint8Array {
+		const { mode = 'mts', bendRange = 48, ppq = 480 } = options;
+		if (mode !== 'mts' && mode !== 'mpe') {
+			throw new RangeError(`Unknown MIDI export mode: ${mode}. Use 'mts' or 'mpe'.`);
+		}
+		if (!Number.isInteger(bendRange) || bendRange < 1 || bendRange > 96) {
+			throw new RangeError(`Pitch bend range must be an integer between 1 and 96 semitones, got ${bendRange}`);
+		}
+		if (!Number.isInteger(ppq) || ppq < 24 || ppq > 32767) {
+			throw new RangeError(`PPQ must be an integer between 24 and 32767, got ${ppq}`);
+		}
+
+		// Key table for the MTS bulk dump; dropped keys sound equal-tempered
+		const keyFrequencies: number[] = [];
+		for (let key = 0; key < 128; key++) {
+			keyFrequencies.push(this.noteToFrequency(key) ?? this._equalFrequency(key));
+		}
+
+		return createTunedMidiFile({
+			notes: this._performanceNotes(),
+			tracks: this.tracks.length ? this.tracks : [{ name: 'Track 1', channel: 0 }],
+			keyFrequencies,
+			tempoMap: this.tempoMap,
+			tempoScale: this._tempoScale()
+		}, { mode, bendRange, ppq });
+	}
+
+	/**
+	 * Render the notes to a WAV file without playing them, using an offline Tone.js context
+	 * and the synth types, tunings, volumes and pans of the track mixer
+	 * Notes sounding across the range boundaries are clipped to the range
+	 * @throws RangeError when an option is out of range
+	 */
+	async renderToWav(options: RenderOptions = {}): Promise<Blob> {
+		if (!this.notes.length) {
+			throw new Error('No notes loaded to render.');
+		}
+		if (!getAudioEngine()?.Offline) {
+			throw new Error('Tone.js is not loaded, offline rendering is unavailable.');
+		}
+
+		const pieceEnd = this.duration || Math.max(...this.notes.map(note => note.time + note.duration));
+		const { start = 0, end = pieceEnd, tail = 1, sampleRate = 44100, bitDepth = 16, channels = 2 } = options;
+		if (!Number.isInteger(sampleRate) || sampleRate < 8000 || sampleRate > 192000) {
+			throw new RangeError(`Sample rate must be an integer between 8000 and 192000 Hz, got ${sampleRate}`);
+		}
+		if (![16, 24, 32].includes(bitDepth)) {
+			throw new RangeError(`Bit depth must be 16, 24 or 32, got ${bitDepth}`);
+		}
+		if (channels !== 1 && channels !== 2) {
+			throw new RangeError(`Channels must be 1 or 2, got ${channels}`);
+		}
+		if (!(start >= 0) || !(end > start)) {
+			throw new RangeError(`Invalid time range: ${start}-${end} s`);
+		}
+		if (!(tail >= 0)) {
+			throw new RangeError(`Tail must be a non-negative number of seconds, got ${tail}`);
+		}
+
+		this._applyAdaptiveTuning();
+		// Muted tracks are left out
+		const notes = this._performanceNotes().filter((note): note is Note & { frequency: number } =>
+			note.frequency !== null && note.time < end && note.time + note.duration > start &&
+			this._isTrackAudible(note.trackIndex ?? 0));
+
+		const Tone = getAudioEngine();
+		const rendered = await Tone.Offline(async () => {
+			const bus = new MasterBus(this.patch.effects, this.masterBus);
+			// Chords need several voices, unlike the live synth
+			const synth = this._createSynth().connect(bus.input);
+			// Every track plays its own synth through a channel with its volume and pan, all through the master bus
+			const trackSynths = this.tracks.map(track =>
+				this._createSynth(track.synthType ?? undefined)
+					.connect(new Tone.Channel({ volume: track.volume, pan: track.pan }).connect(bus.input)));
+			notes.forEach(note => {
+				const noteStart = Math.max(note.time, start);
+				const noteEnd = Math.min(note.time + note.duration, end);
+				const voice = trackSynths[note.trackIndex ?? 0] ?? synth;
+				voice.triggerAttackRelease(note.frequency, noteEnd - noteStart, noteStart - start, note.velocity);
+			});
+			await bus.ready;
+		}, end - start + tail, channels, sampleRate);
+
+		const audio: AudioBuffer = rendered.get();
+		const samples: Float32Array[] = [];
+		for (let channel = 0; channel < audio.numberOfChannels; channel++) {
+			samples.push(audio.getChannelData(channel));
+		}
+		return new Blob([encodeWav(samples, sampleRate, bitDepth)], { type: 'audio/wav' });
+	}
+
+	/**
+	 * Remove all notes, tracks and controllers; the loop keeps its bars on the default tempo map
+	 */
+	clear(): this {
+		this.stop();
+		this.notes = [];
+		this.tracks = [];
+		this.controllers = [];
+		this._controllerStates = [];
+		this._disposeTrackStrips();
+		this.clearHistory();
+		this.tempoMap = createTempoMap({}, this.transportState.bpm);
+		this.transportState.loopStartSeconds = this.positionToSeconds(this.transportState.loopStart);
+		this.transportState.loopEndSeconds = this.positionToSeconds(this.transportState.loopEnd);
+		return this;
+	}
+
+	/**
+	 * Request Web MIDI access and list the input ports
+	 * @returns an empty list when the browser has no Web MIDI or access is denied
+	 */
+	static async listMidiInputs(): Promise<MidiInputPort[]> {
+		if (typeof navigator === 'undefined' || !('requestMIDIAccess' in navigator)) {
+			console.warn('Web MIDI is not supported in this browser');
+			return [];
+		}
+		try {
+			const access = await navigator.requestMIDIAccess();
+			return [...access.inputs.values()];
+		} catch (error) {
+			console.warn(`MIDI access denied: ${(error as Error).message}`);
+			return [];
+		}
+	}
+
+	/**
+	 * Connect a MIDI input, replacing the previous one
+	 * Notes sound in the current tuning on the built-in synth and reach subscribers as
+	 * noteOn/noteOff with source 'live'; the sustain pedal and pitch wheel as sustain/pitchBend events
+	 * @param port a Web MIDI MIDIInput or anything with the same surface (FakeMidiInput)
+	 * @throws TypeError when the port has no onmidimessage property
+	 */
+	connectMidiInput(port: MidiInputPort): void {
+		if (!port || typeof port !== 'object' || !('onmidimessage' in port)) {
+			throw new TypeError('MIDI input must be a MIDIInput or an object with an onmidimessage property');
+		}
+		this.disconnectMidiInput();
+		this.midiInput = port;
+		port.onmidimessage = this._onMidiMessage;
+	}
+
+	/**
+	 * Disconnect the MIDI input and release the notes held on it
+	 */
+	disconnectMidiInput(): void {
+		if (!this.midiInput) {
+			return;
+		}
+		this.midiInput.onmidimessage = null;
+		this.midiInput = null;
+		this._resetLiveInput();
+	}
+
+	private _liveTime(): number {
+		return getAudioEngine()?.now() ?? 0;
+	}
+
+	private _onMidiMessage = (event: MIDIMessageEvent): void => {
+		const message = parseMidiMessage(event.data);
+		if (!message) {
+			return;
+		}
+		const time = this._liveTime();
+
+		switch (message.type) {
+			case 'noteOn':
+				this._liveNoteOn(message, time);
+				break;
+			case 'noteOff': {
+				const key = `${message.channel}:${message.midi}`;
+				if (!this._live.notes.has(key)) {
+					this._recordNoteOff(key);
+					break;
+				}
+				// Under the pedal the note sounds until the pedal is lifted
+				if (this._live.sustain) {
+					this._live.sustained.add(key);
+				} else {
+					this._releaseLiveNote(key, time);
+				}
+				break;
+			}
+			case 'sustain':
+				this._live.sustain = message.on;
+				if (!message.on) {
+					[...this._live.sustained].forEach(key => this._releaseLiveNote(key, time));
+				}
+				this._notifySubscribers({ type: 'sustain', on: message.on, time, channel: message.channel, source: 'live' });
+				break;
+			case 'pitchBend':
+				this._setLiveBend(message.bend);
+				this._notifySubscribers({
+					type: 'pitchBend',
+					bend: message.bend,
+					cents: message.bend * PITCH_BEND_RANGE * 100,
+					time,
+					channel: message.channel,
+					source: 'live'
+				});
+				break;
+		}
+	};
+
+	// Pressing a held key again (also under the pedal) attacks it anew
+	private _liveNoteOn(message: Extract<MidiInputMessage, { type: 'noteOn' | 'noteOff' }>, time: number): void {
+		const key = `${message.channel}:${message.midi}`;
+		if (this._live.notes.has(key)) {
+			this._releaseLiveNote(key, time);
+		}
+		// Notes the snap policy silences are recorded too: the tuning may change later
+		this._recordNoteOn(key, message);
+		const frequency = this.noteToFrequency(message.midi);
+		// Dropped by the snap policy
+		if (frequency === null) {
+			return;
+		}
+		const note = this._midiName(message.midi);
+		this._live.notes.set(key, { note, frequency, channel: message.channel });
+		if (this.options.useSynth && this.synth) {
+			this.synth.triggerAttack(frequency, time, message.velocity);
+		}
+		this.midiOutput?.noteOn(`live:${key}`, frequency, message.velocity, this._midiTimestamp(time));
+		this._notifySubscribers({
+			type: 'noteOn',
+			note,
+			frequency,
+			time,
+			velocity: message.velocity,
+			channel: message.channel,
+			source: 'live'
+		});
+	}
+
+	// Release a live note at the frequency it was attacked with
+	private _releaseLiveNote(key: string, time: number): void {
+		// A recorded note lasts until it is released, including the pedal
+		this._recordNoteOff(key);
+		const live = this._live.notes.get(key);
+		if (!live) {
+			return;
+		}
+		this._live.notes.delete(key);
+		this._live.sustained.delete(key);
+		if (this.options.useSynth && this.synth) {
+			this.synth.triggerRelease(live.frequency, time);
+		}
+		this.midiOutput?.noteOff(`live:${key}`, this._midiTimestamp(time));
+		this._notifySubscribers({
+			type: 'noteOff',
+			note: live.note,
+			frequency: live.frequency,
+			time,
+			channel: live.channel,
+			source: 'live'
+		});
+	}
+
+	// The pitch wheel detunes the whole built-in synth and the MIDI output
+	private _setLiveBend(bend: number): void {
+		this._live.bend = bend;
+		if (this.options.useSynth && this.synth) {
+			this.synth.set({ detune: bend * PITCH_BEND_RANGE * 100 });
+		}
+		this.midiOutput?.setBend(bend * PITCH_BEND_RANGE);
+	}
+
+	// Release all live notes, lift the pedal and centre the wheel
+	private _resetLiveInput(): void {
+		const time = this._liveTime();
+		this._live.sustain = false;
+		[...this._live.notes.keys()].forEach(key => this._releaseLiveNote(key, time));
+		if (this._live.bend !== 0) {
+			this._setLiveBend(0);
+		}
+	}
+
+	/**
+	 * Request Web MIDI access with SysEx (for MTS) and list the output ports
+	 * @returns an empty list when the browser has no Web MIDI or access is denied
+	 */
+	static async listMidiOutputs(): Promise<MidiOutputPort[]> {
+		if (typeof navigator === 'undefined' || !('requestMIDIAccess' in navigator)) {
+			console.warn('Web MIDI is not supported in this browser');
+			return [];
+		}
+		try {
+			const access = await navigator.requestMIDIAccess({ sysex: true });
+			return [...access.outputs.values()];
+		} catch (error) {
+			console.warn(`MIDI access denied: ${(error as Error).message}`);
+			return [];
+		}
+	}
+
+	/**
+	 * Connect a MIDI output for an external synth, replacing the previous one
+	 * Played and live notes go out in the current tuning: per-note pitch bend in 'mpe' mode, keys
+	 * retuned with MIDI Tuning Standard messages in 'mts' mode. The built-in synth keeps sounding if enabled
+	 * @param port a Web MIDI MIDIOutput or anything with a send() method (FakeMidiOutput)
+	 * @throws TypeError when the port has no send() method
+	 * @throws RangeError for an unknown mode or out-of-range options
 	 */
-	updateSynthType(synthType: SynthType): void {
-		this.options.synthType = synthType;
-		
-		if (this.options.useSynth) {
-			// Dispose old synth
-			if (this.synth?.dispose) {
-				this.synth.dispose();
-			}
-			
-			// Create new synth
-			this._initSynth();
+	connectMidiOutput(port: MidiOutputPort, options: MidiOutputOptions = {}): void {
+		const router = new MidiOutputRouter(port, options);
+		this.disconnectMidiOutput();
+		this.midiOutput = router;
+		if (this._live.bend !== 0) {
+			router.setBend(this._live.bend * PITCH_BEND_RANGE);
 		}
 	}
 
 	/**
-	 * Transport Control Methods
+	 * Disconnect the MIDI output, releasing the notes sounding on it
 	 */
-	play(): void {
-		if (typeof window === 'undefined' || !window.Tone) {
-			console.warn('Tone.js not loaded, cannot play');
-			return;
+	disconnectMidiOutput(): void {
+		this.midiOutput?.dispose();
+		this.midiOutput = null;
+	}
+
+	// Tone.js time as a Web MIDI timestamp (performance.now() clock, ms); undefined sends right away
+	private _midiTimestamp(time: number): number | undefined {
+		if (typeof performance === 'undefined' || !getAudioEngine()) {
+			return undefined;
 		}
+		return performance.now() + Math.max(0, time - getAudioEngine().now()) * 1000;
+	}
 
-		const Tone = window.Tone;
-		
-		if (this.isPlaying) {
-			return;
+	/**
+	 * Record the live MIDI input on the transport, starting playback from the current position
+	 * if needed. The take joins the piece as one edit in stopRecording() (also called by stop() and pause())
+	 * @throws RangeError for an unknown mode or quantize grid
+	 */
+	startRecording(options: RecordingOptions = {}): void {
+		const { mode = 'overdub', quantize = null, trackName = 'Recording' } = options;
+		if (!RECORD_MODES.includes(mode)) {
+			throw new RangeError(`Unknown recording mode: ${mode}. Use 'overdub' or 'replace'.`);
 		}
-		
-		if (this.isPaused) {
-			// Resume from pause
-			this._resumeFromPause();
-			return;
+		if (typeof quantize === 'string') {
+			subdivisionSeconds(quantize, 60);
+		} else if (quantize !== null && !(quantize > 0 && Number.isFinite(quantize))) {
+			throw new RangeError(`Quantize grid must be positive, got ${quantize}`);
 		}
-
-		if (!this.options.useSynth || !this.synth) {
-			console.warn('Synth not available');
+		if (this._recording) {
+			console.warn('Already recording');
 			return;
 		}
 
-		this.isPlaying = true;
-		this.isPaused = false;
-		this.transportState.isPlaying = true;
-		this.transportState.isPaused = false;
-		
-		// Start position tracking
-		this._startPositionTracking();
-		
-		const now = Tone.now();
-		const startTime = this.currentPosition;
-
-		// Schedule all notes from current position
-		const filteredNotes = this.notes.filter(note => note.time >= startTime);
-		
-		filteredNotes.forEach(note => {
-			const noteStartTime = now + (note.time - startTime);
-			const frequency = note.frequency;
-
-			// Schedule note on
-			const noteOnEvent = Tone.Transport.schedule((time: number) => {
-				if (this.isPlaying) {
-					this.synth.triggerAttack(frequency, time, note.velocity);
-					this._notifySubscribers({
-						type: 'noteOn',
-						note: note.name,
-						frequency,
-						time,
-						duration: note.duration,
-						velocity: note.velocity
-					});
-				}
-			}, noteStartTime);
-
-			// Schedule note off
-			const noteOffEvent = Tone.Transport.schedule((time: number) => {
-				if (this.isPlaying) {
-					this.synth.triggerRelease(frequency, time);
-					this._notifySubscribers({
-						type: 'noteOff',
-						note: note.name,
-						frequency,
-						time
-					});
-				}
-			}, noteStartTime + note.duration);
-
-			this.scheduledEvents.push(noteOnEvent, noteOffEvent);
-		});
+		this._recording = { mode, quantize, trackName, held: new Map(), take: [], start: 0, end: 0 };
+		if (!this.isPlaying) {
+			this.play();
+		}
+		const position = this._recordTime();
+		this._recording.start = position;
+		this._recording.end = position;
+		this.transportState.isRecording = true;
 
-		// Start transport
-		Tone.Transport.start();
-		
-		// Notify transport event
 		this._notifyTransportSubscribers({
-			type: 'play',
-			data: { position: startTime },
+			type: 'record',
+			data: { recording: true, mode, quantize, trackName },
 			timestamp: Date.now()
 		});
 	}
 
 	/**
-	 * Stop playback
+	 * Stop recording and add the take to the recording track as one edit (a single undo()
+	 * removes it). Playback goes on
+	 * @returns the added notes
 	 */
-	stop(): void {
-		if (typeof window !== 'undefined' && window.Tone) {
-			window.Tone.Transport.stop();
-			window.Tone.Transport.cancel();
+	stopRecording(): Note[] {
+		const recording = this._recording;
+		if (!recording) {
+			return [];
 		}
+		this._recording = null;
+		this.transportState.isRecording = false;
 
-		// Clear scheduled events
-		this.scheduledEvents.forEach(event => {
-			if (typeof window !== 'undefined' && window.Tone) {
-				window.Tone.Transport.clear(event);
-			}
-		});
-		this.scheduledEvents = [];
+		const end = this._recordTime();
+		recording.held.forEach(held => this._addToTake(recording, held, end));
+		recording.end = Math.max(recording.end, end);
+
+		let added: Note[] = [];
+		if (recording.take.length) {
+			const trackIndex = this._recordTrackIndex(recording.trackName);
+			added = this.groupEdits('record', () => {
+				if (recording.mode === 'replace') {
+					const replaced = this.notes
+						.filter(note =>
+							(note.trackIndex ?? 0) === trackIndex && note.time >= recording.start && note.time < recording.end
+						)
+						.map(note => note.id);
+					if (replaced.length) {
+						this.removeNotes(replaced);
+					}
+				}
+				const ids = recording.take.map(note => this.addNote({ ...note, trackIndex }).id);
+				return recording.quantize === null
+					? ids.map(id => this._noteSnapshot(this._findNote(id)))
+					: this.quantizeNotes(ids, recording.quantize);
+			});
+		}
 
-		this.isPlaying = false;
-		this.isPaused = false;
-		this.transportState.isPlaying = false;
-		this.transportState.isPaused = false;
-		
-		// Reset position to beginning
-		this.currentPosition = 0;
-		this.transportState.positionSeconds = 0;
-		this.transportState.position = '0:0:0';
-		
-		// Stop position tracking
-		this._stopPositionTracking();
-		
 		this._notifyTransportSubscribers({
-			type: 'stop',
-			data: { position: 0 },
+			type: 'record',
+			data: { recording: false, notes: added.length, trackName: recording.trackName },
 			timestamp: Date.now()
 		});
-		
-		this._notifySubscribers({
-			type: 'stop',
-			time: Date.now()
-		});
+		return added;
 	}
 
-	/**
-	 * Subscribe to note events
-	 */
-	subscribe(callback: NoteEventCallback): () => void {
-		this.noteSubscribers.push(callback);
-		
-		// Return unsubscribe function
-		return () => {
-			const index = this.noteSubscribers.indexOf(callback);
-			if (index > -1) {
-				this.noteSubscribers.splice(index, 1);
-			}
-		};
+	// Transport time while playing, otherwise (and during the count-in) the start position
+	private _recordTime(): number {
+		const Tone = getAudioEngine();
+		return this.isPlaying && !this._countIn && Tone ? Tone.Transport.seconds : this.currentPosition;
 	}
 
-	/**
-	 * Notify all subscribers of note events
-	 */
-	private _notifySubscribers(event: NoteEvent): void {
-		this.noteSubscribers.forEach(callback => {
-			try {
-				callback(event);
-			} catch (error) {
-				console.error('Error in note subscriber:', error);
-			}
-		});
+	// Index of the recording track; a new track is added to the mixer
+	private _recordTrackIndex(name: string): number {
+		const index = this.tracks.findIndex(track => track.name === name);
+		if (index > -1) {
+			return index;
+		}
+		// Notes added without a loaded file play on track 0, which gets a name of its own
+		if (!this.tracks.length && this.notes.length) {
+			this.tracks.push({ name: 'Track 1', channel: 0, ...TRACK_MIX_DEFAULTS });
+		}
+		this.tracks.push({ name, channel: 0, ...TRACK_MIX_DEFAULTS });
+		return this.tracks.length - 1;
 	}
 
-	/**
-	 * Get JSON representation of current notes
-	 */
-	toJSON(): string {
-		return JSON.stringify({
-			options: this.options,
-			notes: this.notes,
-			isPlaying: this.isPlaying
-		}, null, 2);
+	private _recordNoteOn(key: string, message: { midi: number; velocity: number }): void {
+		this._recording?.held.set(key, { midi: message.midi, velocity: message.velocity, time: this._recordTime() });
+	}
+
+	private _recordNoteOff(key: string): void {
+		const held = this._recording?.held.get(key);
+		if (!this._recording || !held) {
+			return;
+		}
+		this._recording.held.delete(key);
+		this._addToTake(this._recording, held, this._recordTime());
+	}
+
+	// A note released after a loop wrap ends at the loop end
+	private _addToTake(recording: Recording, held: RecordedNote, end: number): void {
+		const noteEnd = end < held.time ? this.transportState.loopEndSeconds : end;
+		recording.take.push({ ...held, duration: Math.max(noteEnd - held.time, MIN_RECORDED_DURATION) });
+	}
+
+	// On a loop wrap held notes are recorded up to the loop end and go on from its start;
+	// the recorded range covers the whole loop
+	private _recordLoopWrap(): void {
+		const recording = this._recording;
+		if (!recording) {
+			return;
+		}
+		const { loopStartSeconds, loopEndSeconds } = this.transportState;
+		recording.held.forEach(held => {
+			this._addToTake(recording, held, loopEndSeconds);
+			held.time = loopStartSeconds;
+		});
+		recording.start = Math.min(recording.start, loopStartSeconds);
+		recording.end = Math.max(recording.end, loopEndSeconds);
 	}
 
 	/**
 	 * Cleanup resources
 	 */
 	dispose(): void {
+		this.disconnectMidiInput();
 		this.stop();
+		this.disconnectMidiOutput();
 		
 		// Stop position tracking
 		this._stopPositionTracking();
@@ -508,15 +3232,19 @@ export class PianoRollCore implements TransportControls {
 			this.synth.dispose();
 			this.synth = null;
 		}
+		this._disposeTrackStrips();
+		this._bus?.dispose();
+		this._bus = null;
+		this._clickSynth?.dispose();
+		this._clickSynth = null;
 		
 		this.notes = [];
+		this.tracks = [];
+		this.controllers = [];
+		this._controllerStates = [];
 		this.noteSubscribers = [];
 		this.transportSubscribers = [];
 	}
-}
-
-// Export for use in Svelte components
-export default PianoRollCore;
 
 	/**
 	 * Pause playback
@@ -526,8 +3254,19 @@ export default PianoRollCore;
 			return;
 		}
 		
-		if (typeof window !== 'undefined' && window.Tone) {
-			window.Tone.Transport.pause();
+		this.stopRecording();
+		const Tone = getAudioEngine();
+		if (Tone) {
+			Tone.Transport.pause();
+			// The notes have not started during the count-in: the position stays at the start
+			if (this._countIn) {
+				this._endCountIn(false);
+			} else {
+				this.currentPosition = Tone.Transport.seconds;
+			}
+			this.transportState.positionSeconds = this.currentPosition;
+			this.transportState.position = this.secondsToPosition(this.currentPosition);
+			this._releaseVoices(Tone.now());
 		}
 		
 		this.isPlaying = false;
@@ -554,14 +3293,13 @@ export default PianoRollCore;
 	 * Resume from pause
 	 */
 	private _resumeFromPause(): void {
-		if (typeof window !== 'undefined' && window.Tone) {
-			window.Tone.Transport.start();
-		}
-		
 		this.isPlaying = true;
 		this.isPaused = false;
 		this.transportState.isPlaying = true;
 		this.transportState.isPaused = false;
+
+		// Rebuild the schedule: the position or the loop may have changed during the pause
+		this._startTransport(this.currentPosition);
 		
 		// Resume position tracking
 		this._startPositionTracking();
@@ -572,8 +3310,11 @@ export default PianoRollCore;
 			timestamp: Date.now()
 		});
 	}
+
 	/**
-	 * Set BPM (tempo)
+	 * Set the tempo at the start of the piece
+	 * Later tempos of the map are scaled by the same ratio to the original, so notes keep their
+	 * bars and beats (their times and durations in seconds are recalculated)
 	 */
 	setBPM(bpm: number): void {
 		if (bpm < 20 || bpm > 300) {
@@ -581,10 +3322,16 @@ export default PianoRollCore;
 			return;
 		}
 		
+		this._scaleNoteTimes(this.transportState.bpm / bpm);
 		this.transportState.bpm = bpm;
+		if (this.isPlaying) {
+			// Tone.Transport moves the scheduled events itself; restart the position counter
+			this._startPositionTracking();
+		}
 		
-		if (typeof window !== 'undefined' && window.Tone) {
-			window.Tone.Transport.bpm.value = bpm;
+		const Tone = getAudioEngine();
+		if (Tone) {
+			Tone.Transport.bpm.value = bpm;
 		}
 		
 		this._notifyTransportSubscribers({
@@ -595,58 +3342,85 @@ export default PianoRollCore;
 	}
 	
 	/**
-	 * Set playback position
+	 * Set playback position as 'bars:beats:sixteenths' on the tempo map or in seconds
 	 */
-	setPosition(position: string): void {
-		if (typeof window !== 'undefined' && window.Tone) {
-			try {
-				// Convert position to seconds
-				const positionSeconds = window.Tone.Time(position).toSeconds();
-				
-				// Clamp to valid range
-				const clampedSeconds = Math.max(0, Math.min(positionSeconds, this.duration));
-				
-				this.currentPosition = clampedSeconds;
-				this.transportState.position = position;
-				this.transportState.positionSeconds = clampedSeconds;
-				
-				// If playing, need to reschedule from new position
-				if (this.isPlaying) {
-					this.stop();
-					this.play();
-				}
-				
-				this._notifyTransportSubscribers({
-					type: 'position',
-					data: { position, positionSeconds: clampedSeconds },
-					timestamp: Date.now()
-				});
-			} catch (error) {
-				console.warn('Invalid position format:', position);
-			}
+	setPosition(position: string | number): void {
+		let positionSeconds: number;
+		try {
+			positionSeconds = typeof position === 'number' ? position : this.positionToSeconds(position);
+		} catch (error) {
+			console.warn((error as Error).message);
+			return;
+		}
+		if (!Number.isFinite(positionSeconds)) {
+			console.warn(`Invalid position: ${position}. Use seconds or 'bars:beats:sixteenths'.`);
+			return;
+		}
+
+		// Clamp to valid range
+		const clampedSeconds = Math.max(0, Math.min(positionSeconds, this.duration));
+		
+		this.currentPosition = clampedSeconds;
+		this.transportState.positionSeconds = clampedSeconds;
+		this.transportState.position = this.secondsToPosition(clampedSeconds);
+		
+		if (this._countIn) {
+			// The count-in goes on, the notes start from the new position
+		} else if (this.isPlaying) {
+			// Notes sounding at the new position are attacked again
+			this._schedulePlayback(clampedSeconds);
+		} else if (getAudioEngine()) {
+			getAudioEngine().Transport.seconds = clampedSeconds;
 		}
+		
+		this._notifyTransportSubscribers({
+			type: 'position',
+			data: { position: this.transportState.position, positionSeconds: clampedSeconds },
+			timestamp: Date.now()
+		});
 	}
 	
 	/**
-	 * Set loop parameters
+	 * Set the loop region as 'bars:beats:sixteenths' on the tempo map or in seconds
+	 * While playing the schedule is rebuilt; every pass sends a loopWrap event to transport subscribers
 	 */
-	setLoop(enabled: boolean, start?: string, end?: string): void {
-		this.transportState.isLooping = enabled;
-		
-		if (start !== undefined) {
-			this.transportState.loopStart = start;
+	setLoop(enabled: boolean, start?: string | number, end?: string | number): void {
+		let startSeconds = this.transportState.loopStartSeconds;
+		let endSeconds = this.transportState.loopEndSeconds;
+		try {
+			if (start !== undefined && start !== '') {
+				startSeconds = typeof start === 'number' ? start : this.positionToSeconds(start);
+			}
+			if (end !== undefined && end !== '') {
+				endSeconds = typeof end === 'number' ? end : this.positionToSeconds(end);
+			}
+		} catch (error) {
+			console.warn((error as Error).message);
+			return;
 		}
-		if (end !== undefined) {
-			this.transportState.loopEnd = end;
+		if (!Number.isFinite(startSeconds) || !Number.isFinite(endSeconds) || startSeconds < 0 || endSeconds <= startSeconds) {
+			console.warn(`Invalid loop region: ${start} - ${end}. The end must come after the start.`);
+			return;
 		}
+
+		this.transportState.isLooping = enabled;
+		this.transportState.loopStartSeconds = startSeconds;
+		this.transportState.loopEndSeconds = endSeconds;
+		this.transportState.loopStart = this.secondsToPosition(startSeconds);
+		this.transportState.loopEnd = this.secondsToPosition(endSeconds);
 		
-		if (typeof window !== 'undefined' && window.Tone) {
-			if (enabled) {
-				window.Tone.Transport.loopStart = this.transportState.loopStart;
-				window.Tone.Transport.loopEnd = this.transportState.loopEnd;
-				window.Tone.Transport.loop = true;
+		const Tone = getAudioEngine();
+		if (Tone) {
+			if (this._countIn) {
+				// The transport loops once the count-in ends
+			} else if (this.isPlaying) {
+				this._schedulePlayback(Tone.Transport.seconds);
 			} else {
-				window.Tone.Transport.loop = false;
+				Tone.Transport.loop = enabled;
+				if (enabled) {
+					Tone.Transport.loopStart = startSeconds;
+					Tone.Transport.loopEnd = endSeconds;
+				}
 			}
 		}
 		
@@ -655,7 +3429,9 @@ export default PianoRollCore;
 			data: {
 				enabled,
 				start: this.transportState.loopStart,
-				end: this.transportState.loopEnd
+				end: this.transportState.loopEnd,
+				startSeconds,
+				endSeconds
 			},
 			timestamp: Date.now()
 		});
@@ -665,13 +3441,15 @@ export default PianoRollCore;
 	 * Set swing parameters
 	 */
 	setSwing(amount: number, subdivision: string = '8n'): void {
+		try {
+			subdivisionSeconds(subdivision, 60);
+		} catch (error) {
+			console.warn((error as Error).message);
+			return;
+		}
 		this.transportState.swing = Math.max(0, Math.min(1, amount));
 		this.transportState.swingSubdivision = subdivision;
-		
-		if (typeof window !== 'undefined' && window.Tone) {
-			window.Tone.Transport.swing = this.transportState.swing;
-			window.Tone.Transport.swingSubdivision = subdivision;
-		}
+		this._reschedulePerformance();
 		
 		this._notifyTransportSubscribers({
 			type: 'bpm', // Swing affects timing like BPM
@@ -681,11 +3459,227 @@ export default PianoRollCore;
 	}
 	
 	/**
-	 * Get current transport state
+	 * Set up the metronome. Clicks follow the tempo map and meters (a beat is the meter's
+	 * denominator) with an accented downbeat, and each one reaches transport subscribers as a
+	 * click event. The count-in is clicked before the notes on every play()
+	 * An invalid field is warned about and cancels the whole change
+	 */
+	setMetronome(settings: Partial<MetronomeSettings>): void {
+		const next = { ...this.metronome, ...settings };
+		const [minVolume, maxVolume] = METRONOME_VOLUME_RANGE;
+		if (!METRONOME_SUBDIVISIONS.includes(next.subdivision)) {
+			console.warn(`Invalid metronome subdivision: ${next.subdivision}. Use 1-4 clicks per beat.`);
+			return;
+		}
+		if (typeof next.volume !== 'number' || !(next.volume >= minVolume && next.volume <= maxVolume)) {
+			console.warn(`Invalid metronome volume: ${next.volume}. Must be between ${minVolume} and ${maxVolume} dB.`);
+			return;
+		}
+		if (!Number.isInteger(next.countIn) || next.countIn < 0 || next.countIn > MAX_COUNT_IN_BARS) {
+			console.warn(`Invalid count-in: ${next.countIn}. Use 0-${MAX_COUNT_IN_BARS} bars.`);
+			return;
+		}
+
+		const restart = !!next.enabled !== this.metronome.enabled || next.subdivision !== this.metronome.subdivision;
+		this.metronome = {
+			enabled: !!next.enabled,
+			subdivision: next.subdivision,
+			volume: next.volume,
+			countIn: next.countIn
+		};
+		if (this._clickSynth) {
+			this._clickSynth.volume.value = this.metronome.volume;
+		}
+		// While playing only the clicks are rescheduled, the notes go on
+		if (restart && this.isPlaying && !this._countIn) {
+			this._clearClick();
+			if (this.metronome.enabled) {
+				this._scheduleClick(secondsToTicks(this.tempoMap, getAudioEngine().Transport.seconds, this._tempoScale()));
+			}
+		}
+
+		this._notifyTransportSubscribers({
+			type: 'metronome',
+			data: this.getMetronome(),
+			timestamp: Date.now()
+		});
+	}
+
+	/**
+	 * Get the metronome settings
+	 */
+	getMetronome(): MetronomeSettings {
+		return { ...this.metronome };
+	}
+
+	/**
+	 * Set up the performance transforms. They apply to copies of the notes for playback, MIDI export
+	 * and WAV rendering: notes, edits and history stay as written, and disabling a transform brings
+	 * the original performance back. Order: quantize, swing (setSwing()), groove, humanize
+	 * An invalid field is warned about and cancels the whole change
+	 */
+	setTransforms(changes: TransformChanges): void {
+		const next = {
+			quantize: { ...this.transforms.quantize, ...changes.quantize },
+			groove: { ...this.transforms.groove, ...changes.groove },
+			humanize: { ...this.transforms.humanize, ...changes.humanize }
+		};
+		next.quantize.enabled = !!next.quantize.enabled;
+		next.groove.enabled = !!next.groove.enabled;
+		next.humanize.enabled = !!next.humanize.enabled;
+		const error = transformsError(next);
+		if (error) {
+			console.warn(error);
+			return;
+		}
+
+		this.transforms = next;
+		this._reschedulePerformance();
+
+		this._notifyTransportSubscribers({
+			type: 'transforms',
+			data: this.getTransforms(),
+			timestamp: Date.now()
+		});
+	}
+
+	/**
+	 * Get the performance transforms, including the swing
+	 */
+	getTransforms(): NoteTransforms {
+		const { quantize, groove, humanize } = this.transforms;
+		return {
+			quantize: { ...quantize },
+			swing: { amount: this.transportState.swing, subdivision: this.transportState.swingSubdivision },
+			groove: { ...groove },
+			humanize: { ...humanize }
+		};
+	}
+
+	/**
+	 * Names of the built-in groove templates
+	 */
+	getGrooveTemplates(): string[] {
+		return Object.keys(GROOVE_TEMPLATES);
+	}
+
+	/**
+	 * Notes as they will be played, with the performance transforms applied
+	 */
+	getPerformanceNotes(): Note[] {
+		return this._performanceNotes().map(note => ({ ...note }));
+	}
+
+	// Notes for playback and export; this.notes itself when no transform is active
+	private _performanceNotes(): Note[] {
+		const transforms = this.getTransforms();
+		const active = transforms.quantize.enabled || transforms.swing.amount > 0 ||
+			transforms.groove.enabled || transforms.humanize.enabled;
+		return active ? transformNotes(this.notes, this.tempoMap, this._tempoScale(), transforms) : this.notes;
+	}
+
+	// While playing the notes are scheduled again with the new transforms
+	private _reschedulePerformance(): void {
+		const Tone = getAudioEngine();
+		if (this.isPlaying && !this._countIn && Tone) {
+			this._schedulePlayback(Tone.Transport.seconds);
+		}
+	}
+
+	/**
+	 * Tempo map with setBPM() applied: tempos, meters and key signatures with their start
+	 * in seconds, meters also with the bar they start at (from 0)
+	 */
+	getTempoMap(): TempoMap {
+		const scale = this._tempoScale();
+		const bars = meterSegments(this.tempoMap);
+		return {
+			ppq: this.tempoMap.ppq,
+			tempos: tempoSegments(this.tempoMap, scale),
+			timeSignatures: this.tempoMap.timeSignatures.map(({ ticks, timeSignature }, index) => ({
+				ticks,
+				time: ticksToSeconds(this.tempoMap, ticks, scale),
+				bar: bars[index].bar,
+				timeSignature: [...timeSignature]
+			})),
+			keySignatures: this.tempoMap.keySignatures.map(signature => ({
+				...signature,
+				time: ticksToSeconds(this.tempoMap, signature.ticks, scale)
+			}))
+		};
+	}
+
+	/**
+	 * Seconds to 'bars:beats:sixteenths' on the tempo map
+	 * Beats are in units of the meter's denominator; sixteenths may be fractional
+	 */
+	secondsToPosition(seconds: number): string {
+		return ticksToPosition(this.tempoMap, secondsToTicks(this.tempoMap, Math.max(0, seconds), this._tempoScale()));
+	}
+
+	/**
+	 * 'bars:beats:sixteenths' to seconds on the tempo map
+	 * @throws RangeError when the position is malformed
+	 */
+	positionToSeconds(position: string): number {
+		return ticksToSeconds(this.tempoMap, positionToTicks(this.tempoMap, position), this._tempoScale());
+	}
+
+	// How much faster the tempos are than the ones in the file
+	private _tempoScale(): number {
+		return this.transportState.bpm / this.tempoMap.tempos[0].bpm;
+	}
+
+	/**
+	 * Stretch note times, the edit history and the position after a tempo change
+	 * @param factor time multiplier (old BPM / new BPM)
+	 */
+	private _scaleNoteTimes(factor: number): void {
+		if (factor === 1) {
+			return;
+		}
+		const scale = (record: NoteRecord | null): NoteRecord | null =>
+			record && { ...record, time: record.time * factor, duration: record.duration * factor };
+		this.notes.forEach(note => {
+			note.time *= factor;
+			note.duration *= factor;
+		});
+		this.controllers.forEach(events => events.forEach(event => {
+			event.time *= factor;
+		}));
+		const changes = [...this._history.undo, ...this._history.redo].flatMap(entry => entry.changes);
+		if (this._editGroup) {
+			changes.push(...this._editGroup.changes.values());
+		}
+		changes.forEach(change => {
+			change.before = scale(change.before);
+			change.after = scale(change.after);
+		});
+		this.duration *= factor;
+		this.currentPosition *= factor;
+		this.transportState.positionSeconds = this.currentPosition;
+		this.transportState.loopStartSeconds *= factor;
+		this.transportState.loopEndSeconds *= factor;
+	}
+
+	/**
+	 * Get current transport state with the playback position and the length of the piece in seconds
+	 */
+	getTransportState(): TransportState & { duration: number } {
+		return {
+			...this.transportState,
+			positionSeconds: this.currentPosition,
+			duration: this.duration
+		};
+	}
+
+	/**
+	 * @deprecated use getTransportState()
 	 */
 	getState(): TransportState {
-		return { ...this.transportState };
+		return this.getTransportState();
 	}
+
 	/**
 	 * Subscribe to transport events
 	 */
@@ -722,47 +3716,27 @@ export default PianoRollCore;
 			clearInterval(this.positionUpdateInterval);
 		}
 		
-		const startTime = Date.now();
-		const startPosition = this.currentPosition;
-		
 		this.positionUpdateInterval = setInterval(() => {
-			if (!this.isPlaying || this.isPaused) {
+			// During the count-in the transport has not reached the start position yet
+			if (!this.isPlaying || this.isPaused || this._countIn) {
 				return;
 			}
 			
-			const elapsed = (Date.now() - startTime) / 1000;
-			this.currentPosition = startPosition + elapsed;
+			// Tone.Transport keeps the position, including loop wraps and tempo changes
+			this.currentPosition = getAudioEngine().Transport.seconds;
 			this.transportState.positionSeconds = this.currentPosition;
 			
-			// Convert to bars:beats:sixteenths format
-			if (typeof window !== 'undefined' && window.Tone) {
-				try {
-					const transport = window.Tone.Transport;
-					const bpm = this.transportState.bpm;
-					const beatsPerSecond = bpm / 60;
-					const totalBeats = this.currentPosition * beatsPerSecond;
-					const bars = Math.floor(totalBeats / 4);
-					const beats = Math.floor(totalBeats % 4);
-					const sixteenths = Math.floor((totalBeats % 1) * 4);
-					
-					this.transportState.position = `${bars}:${beats}:${sixteenths}`;
-				} catch (error) {
-					// Fallback to simple time format
-					this.transportState.position = `${Math.floor(this.currentPosition)}s`;
-				}
-			}
+			this.transportState.position = this.secondsToPosition(this.currentPosition);
 			
-			// Check if we've reached the end
-			if (this.currentPosition >= this.duration) {
-				if (this.transportState.isLooping) {
-					// Loop back to start (or loop start point)
-					this.currentPosition = 0; // Simplified - could use loopStart
-					this.transportState.positionSeconds = 0;
-					this.transportState.position = '0:0:0';
-				} else {
-					// Stop at end
-					this.stop();
-				}
+			// Stop at the end unless the loop brings the transport back or a take is being recorded
+			const { isLooping, loopEndSeconds } = this.transportState;
+			if (
+				this.currentPosition >= this.duration &&
+				!(isLooping && this.currentPosition < loopEndSeconds) &&
+				!this._recording
+			) {
+				this.stop();
+				return;
 			}
 			
 			// Notify position update
@@ -785,4 +3759,8 @@ export default PianoRollCore;
 			clearInterval(this.positionUpdateInterval);
 			this.positionUpdateInterval = null;
 		}
-	}
\ No newline at end of file
+	}
+}
+
+// Export for use in Svelte components
+export default PianoRollCore;
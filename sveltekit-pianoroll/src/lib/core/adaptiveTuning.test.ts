@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { adaptiveJustFrequencies, detectChordRoot } from './adaptiveTuning.js';
+
+const equalFrequency = (midi: number) => 440 * Math.pow(2, (midi - 69) / 12);
+const note = (midi: number, time: number, duration = 1) => ({ midi, time, duration });
+
+describe('detectChordRoot', () => {
+	it('roots chords on their tonic and single notes on the bass', () => {
+		expect(detectChordRoot([62, 65, 69])).toMatchObject({ chroma: 2, type: 'minor' });
+		expect(detectChordRoot([64, 67, 72])).toEqual({ chroma: 0, symbol: 'CM/E', type: 'major' });
+		expect(detectChordRoot([62])).toEqual({ chroma: 2, symbol: null, type: '' });
+	});
+});
+
+describe('adaptiveJustFrequencies', () => {
+	it('tunes a triad pure over its equal-tempered root', () => {
+		const [root, third, fifth] = adaptiveJustFrequencies([note(60, 0), note(64, 0), note(67, 0)], equalFrequency, 20);
+		expect(root.frequency).toBeCloseTo(equalFrequency(60), 9);
+		expect(third.frequency / root.frequency).toBeCloseTo(5 / 4, 12);
+		expect(fifth.frequency / root.frequency).toBeCloseTo(3 / 2, 12);
+	});
+
+	it('keeps a held common tone and resets roots that drift too far', () => {
+		// C E G, then A C E with C and E held: the new root follows the held C
+		const notes = [note(60, 0, 2), note(64, 0, 2), note(67, 0, 1), note(57, 1, 1)];
+		const free = adaptiveJustFrequencies(notes, equalFrequency, Infinity);
+		expect(free[0].frequency / free[3].frequency).toBeCloseTo(6 / 5, 12);
+		const fixed = adaptiveJustFrequencies(notes, equalFrequency, 0);
+		expect(fixed[3].frequency).toBeCloseTo(equalFrequency(57), 9);
+	});
+});
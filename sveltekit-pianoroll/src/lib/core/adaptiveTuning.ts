@@ -0,0 +1,131 @@
+// Adaptive just intonation: every sonority is tuned in pure intervals over its harmonic root
+import * as Tonal from 'tonal';
+import { NATURAL_RATIOS } from './tuningGenerators.js';
+
+// Chords use the just ratios above their root; dominant sevenths use the harmonic seventh (7/4)
+const ADAPTIVE_DOMINANT_RATIOS = NATURAL_RATIOS.map((ratio, step) => (step === 10 ? 7/4 : ratio));
+// Notes starting within this window (seconds) belong to the same sonority
+export const ONSET_TOLERANCE = 0.03;
+// Preferred readings when Tonal.js detects several chords (CM/E rather than Em#5)
+const CHORD_TYPE_PREFERENCE = [
+	'major', 'minor', 'dominant seventh', 'major seventh', 'minor seventh', 'diminished',
+	'half-diminished', 'diminished seventh', 'fifth', 'sixth', 'minor sixth',
+	'suspended fourth', 'suspended second', 'augmented'
+];
+
+export interface ChordRoot {
+	chroma: number; // pitch class of the root, 0 = C
+	symbol: string | null; // detected chord symbol, null when no chord was recognized
+	type: string;
+}
+
+export interface AdaptiveNote {
+	midi: number;
+	time: number;
+	duration: number;
+}
+
+export interface AdaptiveFrequency {
+	frequency: number;
+	chord: string | null;
+}
+
+/**
+ * Find the harmonic root of a sonority with Tonal.js chord detection
+ * Single notes and unrecognized intervals are rooted on the bass
+ */
+export function detectChordRoot(midiNotes: number[]): ChordRoot {
+	const sorted = [...midiNotes].sort((a, b) => a - b);
+	const pitchClasses: string[] = [];
+	sorted.forEach(midi => {
+		const pitchClass = Tonal.Note.pitchClass(Tonal.Note.fromMidiSharps(midi));
+		if (!pitchClasses.includes(pitchClass)) {
+			pitchClasses.push(pitchClass);
+		}
+	});
+
+	const rank = (type: string): number => {
+		const index = CHORD_TYPE_PREFERENCE.indexOf(type);
+		return index === -1 ? CHORD_TYPE_PREFERENCE.length : index;
+	};
+	const candidates: { symbol: string; tonic: string | null; type: string }[] =
+		pitchClasses.length > 1
+			? Tonal.Chord.detect(pitchClasses)
+					// Inversions are detected as slash chords (CM/E), which Chord.get() does not parse
+					.map((symbol: string) => ({ ...Tonal.Chord.get(symbol.split('/')[0]), symbol }))
+					.filter((chord: { tonic: string | null }) => chord.tonic)
+					.sort((a: { type: string }, b: { type: string }) => rank(a.type) - rank(b.type))
+			: [];
+
+	if (!candidates.length) {
+		return { chroma: sorted[0] % 12, symbol: null, type: '' };
+	}
+	const best = candidates[0];
+	return { chroma: Tonal.Note.chroma(best.tonic as string) as number, symbol: best.symbol, type: best.type };
+}
+
+/**
+ * Pick a frequency for every note so that each sonority is pure over its root
+ * The root follows a held common tone, or the previous root by a just interval;
+ * once it drifts more than maxDrift cents from equal temperament it is reset
+ * @param equalFrequency equal-tempered frequency of a MIDI note
+ * @param maxDrift allowed root drift in cents (0 = roots stay equal-tempered, Infinity = free)
+ */
+export function adaptiveJustFrequencies(
+	notes: AdaptiveNote[],
+	equalFrequency: (midi: number) => number,
+	maxDrift: number
+): AdaptiveFrequency[] {
+	const result: AdaptiveFrequency[] = new Array(notes.length);
+	const order = notes.map((_, index) => index).sort((a, b) => notes[a].time - notes[b].time);
+	const justRatio = (ratios: number[], interval: number): number => {
+		const octaves = Math.floor(interval / 12);
+		return ratios[interval - octaves * 12] * Math.pow(2, octaves);
+	};
+
+	let active: number[] = [];
+	let previousRoot: { midi: number; frequency: number } | null = null;
+	let position = 0;
+
+	while (position < order.length) {
+		const onset = notes[order[position]].time;
+		const starting: number[] = [];
+		while (position < order.length && notes[order[position]].time - onset <= ONSET_TOLERANCE) {
+			starting.push(order[position++]);
+		}
+
+		const held = active.filter(index => notes[index].time + notes[index].duration > onset + ONSET_TOLERANCE);
+		const sounding = held.concat(starting);
+		const midiNotes = sounding.map(index => notes[index].midi);
+		const chord = detectChordRoot(midiNotes);
+
+		const bass = Math.min(...midiNotes);
+		const rootMidi = bass - (((bass - chord.chroma) % 12) + 12) % 12;
+		const ratios = chord.type === 'dominant seventh' ? ADAPTIVE_DOMINANT_RATIOS : NATURAL_RATIOS;
+
+		let rootFrequency: number | null = null;
+		if (held.length) {
+			const common = held[0];
+			rootFrequency = result[common].frequency / justRatio(ratios, notes[common].midi - rootMidi);
+		} else if (previousRoot) {
+			rootFrequency = previousRoot.frequency * justRatio(NATURAL_RATIOS, rootMidi - previousRoot.midi);
+		}
+
+		const equal = equalFrequency(rootMidi);
+		if (rootFrequency === null || Math.abs(1200 * Math.log2(rootFrequency / equal)) > maxDrift) {
+			rootFrequency = equal;
+		}
+
+		for (const index of starting) {
+			result[index] = {
+				frequency: rootFrequency * justRatio(ratios, notes[index].midi - rootMidi),
+				chord: chord.symbol
+			};
+		}
+
+		previousRoot = { midi: rootMidi, frequency: rootFrequency };
+		active = sounding;
+	}
+
+	return result;
+}
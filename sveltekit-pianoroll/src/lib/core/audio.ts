@@ -0,0 +1,19 @@
+// Audio layer: Tone.js is injected in the browser only, so parsing, tuning and export run in Node
+// without a DOM or an audio context
+
+// The Tone.js module (or a compatible object); untyped like the rest of the playback code
+export type AudioEngine = any;
+
+let engine: AudioEngine | null = null;
+
+/**
+ * Inject the audio layer for playback, the synths, the metronome and renderToWav(); null removes it.
+ * Affects every core; synths are created by new cores or toggleSynth(true)
+ */
+export function setAudioEngine(tone: AudioEngine | null): void {
+	engine = tone ?? null;
+}
+
+export function getAudioEngine(): AudioEngine | null {
+	return engine;
+}
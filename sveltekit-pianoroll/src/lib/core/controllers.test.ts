@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { controllerGain, controllerStateAt, readTrackControllers } from './controllers.js';
+
+const TRACK = {
+	controlChanges: {
+		64: [{ time: 1, value: 1 }, { time: 3, value: 0 }],
+		7: [{ time: 0, value: 0.5 }]
+	},
+	pitchBends: [{ time: 2, value: -0.5 }, { time: Number.NaN, value: 0 }]
+};
+
+describe('controllers', () => {
+	it('merges control changes and pitch bends by time', () => {
+		expect(readTrackControllers(TRACK).map(event => [event.type, event.time])).toEqual([
+			['controlChange', 0],
+			['controlChange', 1],
+			['pitchBend', 2],
+			['controlChange', 3]
+		]);
+	});
+
+	it('reads the state strictly before a time', () => {
+		const events = readTrackControllers(TRACK);
+		expect(controllerStateAt(events, 1)).toEqual({ sustain: false, bend: 0, volume: 0.5, expression: 1 });
+		expect(controllerStateAt(events, 2.5)).toEqual({ sustain: true, bend: -0.5, volume: 0.5, expression: 1 });
+		expect(controllerStateAt(events, 4).sustain).toBe(false);
+	});
+
+	it('converts volume and expression to dB', () => {
+		expect(controllerGain({ sustain: false, bend: 0, volume: 1, expression: 1 })).toBe(0);
+		expect(controllerGain({ sustain: false, bend: 0, volume: 0.5, expression: 1 })).toBeCloseTo(-12.04, 2);
+	});
+});
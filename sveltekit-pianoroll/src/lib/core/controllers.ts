@@ -0,0 +1,67 @@
+// Controller automation of MIDI file tracks: sustain pedal, channel volume, expression and pitch bend
+import type { ControllerEvent } from '../types/index.js';
+
+export const SUSTAIN_CC = 64;
+export const VOLUME_CC = 7;
+export const EXPRESSION_CC = 11;
+// Lowest controller gain (0-1), so that zero gives silence rather than -Infinity dB
+const MIN_CONTROLLER_GAIN = 0.001;
+
+export interface ControllerState {
+	sustain: boolean;
+	bend: number; // -1..1
+	volume: number; // 0-1
+	expression: number; // 0-1
+}
+
+// Controller data of a @tonejs/midi track
+export interface ToneMidiControllers {
+	controlChanges?: Record<string, { time: number; value: number }[]>;
+	pitchBends?: { time: number; value: number }[];
+}
+
+/**
+ * Merge the control changes and pitch bends of a @tonejs/midi track into one list sorted by time
+ */
+export function readTrackControllers(track: ToneMidiControllers): ControllerEvent[] {
+	const events: ControllerEvent[] = [];
+	Object.entries(track.controlChanges ?? {}).forEach(([number, changes]) => {
+		changes.forEach(change => events.push({ type: 'controlChange', time: change.time, number: Number(number), value: change.value }));
+	});
+	(track.pitchBends ?? []).forEach(bend => events.push({ type: 'pitchBend', time: bend.time, value: bend.value }));
+	return events
+		.filter(event => Number.isFinite(event.time) && Number.isFinite(event.value))
+		.sort((a, b) => a.time - b.time);
+}
+
+export function applyControllerEvent(state: ControllerState, event: ControllerEvent): void {
+	if (event.type === 'pitchBend') {
+		state.bend = event.value;
+	} else if (event.number === SUSTAIN_CC) {
+		state.sustain = event.value >= 0.5;
+	} else if (event.number === VOLUME_CC) {
+		state.volume = event.value;
+	} else if (event.number === EXPRESSION_CC) {
+		state.expression = event.value;
+	}
+}
+
+/**
+ * Controller state of a track just before `time` (events strictly earlier count)
+ */
+export function controllerStateAt(events: ControllerEvent[], time: number): ControllerState {
+	const state: ControllerState = { sustain: false, bend: 0, volume: 1, expression: 1 };
+	events.forEach(event => {
+		if (event.time < time - 1e-9) {
+			applyControllerEvent(state, event);
+		}
+	});
+	return state;
+}
+
+/**
+ * Gain of channel volume and expression in dB on the General MIDI curve (40 log10), 0 dB at full
+ */
+export function controllerGain({ volume, expression }: ControllerState): number {
+	return 40 * Math.log10(Math.max(volume * expression, MIN_CONTROLLER_GAIN));
+}
@@ -0,0 +1,48 @@
+import { describe, expect, it, vi } from 'vitest';
+import { PianoRollCore } from '../index.js';
+import { countInClicks, nextMetronomeClick } from './metronome.js';
+import { createTempoMap } from './tempoMap.js';
+
+// Two bars of 4/4, then 6/8
+const MAP = createTempoMap({
+	ppq: 480,
+	tempos: [{ ticks: 0, bpm: 120 }],
+	timeSignatures: [{ ticks: 0, timeSignature: [4, 4] }, { ticks: 3840, timeSignature: [6, 8] }]
+});
+
+describe('nextMetronomeClick', () => {
+	it('finds the next beat or subdivision', () => {
+		expect(nextMetronomeClick(MAP, 0, 1)).toEqual({ ticks: 0, bar: 0, beat: 0, step: 0, accent: true });
+		expect(nextMetronomeClick(MAP, 1, 1)).toEqual({ ticks: 480, bar: 0, beat: 1, step: 0, accent: false });
+		expect(nextMetronomeClick(MAP, 1, 2)).toEqual({ ticks: 240, bar: 0, beat: 0, step: 1, accent: false });
+	});
+
+	it('starts a new bar at a meter change and counts eighths in 6/8', () => {
+		expect(nextMetronomeClick(MAP, 3841, 1)).toEqual({ ticks: 4080, bar: 2, beat: 1, step: 0, accent: false });
+		expect(nextMetronomeClick(MAP, 3840 + 240 * 5 + 1, 1)).toMatchObject({ bar: 3, beat: 0, accent: true });
+	});
+});
+
+describe('countInClicks', () => {
+	it('clicks whole bars in the meter and tempo of the start', () => {
+		const { seconds, clicks } = countInClicks(MAP, 0, 2, 1, 1);
+		expect(seconds).toBe(4);
+		expect(clicks).toHaveLength(8);
+		expect(clicks[4]).toEqual({ time: 2, bar: -1, beat: 0, step: 0, accent: true });
+		// setBPM(240) halves the count-in
+		expect(countInClicks(MAP, 0, 1, 2, 2).clicks.map(click => click.time)).toEqual([0, 0.125, 0.25, 0.375, 0.5, 0.625, 0.75, 0.875]);
+	});
+});
+
+describe('metronome settings', () => {
+	it('warns about invalid settings and keeps the old ones', () => {
+		const core = new PianoRollCore({ useSynth: false });
+		core.setMetronome({ enabled: true, countIn: 2 });
+		const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		core.setMetronome({ subdivision: 5 });
+		core.setMetronome({ countIn: 9 });
+		expect(warn).toHaveBeenCalledTimes(2);
+		warn.mockRestore();
+		expect(core.getMetronome()).toEqual({ enabled: true, subdivision: 1, volume: -10, countIn: 2 });
+	});
+});
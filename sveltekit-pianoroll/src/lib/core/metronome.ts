@@ -0,0 +1,77 @@
+// Metronome clicks on the tempo map: beats in units of the meter's denominator, accented downbeats
+import type { MetronomeSettings, MidiHeader } from '../types/index.js';
+import { meterSegments, tempoSegments } from './tempoMap.js';
+
+export const METRONOME_DEFAULTS: MetronomeSettings = { enabled: false, subdivision: 1, volume: -10, countIn: 0 };
+export const METRONOME_SUBDIVISIONS = [1, 2, 3, 4];
+export const METRONOME_VOLUME_RANGE: [number, number] = [-60, 0];
+export const MAX_COUNT_IN_BARS = 8;
+
+// Click pitch (Hz) and velocity for the downbeat, the other beats and the beat subdivisions
+export const METRONOME_CLICKS: Record<'accent' | 'beat' | 'step', [number, number]> = {
+	accent: [1760, 1],
+	beat: [1320, 0.8],
+	step: [880, 0.5]
+};
+
+export interface MetronomeClick {
+	bar: number;
+	beat: number;
+	step: number; // click within the beat, 0 on the beat itself
+	accent: boolean; // first beat of the bar
+}
+
+/**
+ * The first click at or after `ticks`; `subdivision` splits each beat into equal clicks
+ * and a meter change starts a new bar
+ */
+export function nextMetronomeClick(map: MidiHeader, ticks: number, subdivision: number): MetronomeClick & { ticks: number } {
+	const segments = meterSegments(map);
+	const index = segments.filter(candidate => candidate.ticks <= ticks + 1e-6).length - 1;
+	let segment = segments[index];
+	const stepTicks = segment.beatTicks / subdivision;
+	let clickTicks = segment.ticks + Math.ceil((ticks - segment.ticks) / stepTicks - 1e-6) * stepTicks;
+	const next = segments[index + 1];
+	if (next && clickTicks > next.ticks - 1e-6) {
+		segment = next;
+		clickTicks = next.ticks;
+	}
+	const offset = clickTicks - segment.ticks;
+	const bars = Math.floor(offset / segment.barTicks + 1e-9);
+	const inBar = offset - bars * segment.barTicks;
+	const beat = Math.floor(inBar / segment.beatTicks + 1e-9);
+	const step = Math.round((inBar - beat * segment.beatTicks) / (segment.beatTicks / subdivision));
+	return { ticks: clickTicks, bar: segment.bar + bars, beat, step, accent: beat === 0 && step === 0 };
+}
+
+/**
+ * Clicks of `bars` count-in bars in the meter and tempo at `ticks`, numbered -bars ... -1
+ * @param scale multiplier of all tempos (setBPM)
+ * @returns the count-in length and the click times in seconds from its start
+ */
+export function countInClicks(
+	map: MidiHeader,
+	ticks: number,
+	bars: number,
+	subdivision: number,
+	scale: number
+): { seconds: number; clicks: (MetronomeClick & { time: number })[] } {
+	const segment = meterSegments(map).filter(candidate => candidate.ticks <= ticks + 1e-6).pop()!;
+	const tempo = tempoSegments(map, scale).filter(candidate => candidate.ticks <= ticks + 1e-6).pop()!;
+	const numerator = Math.round(segment.barTicks / segment.beatTicks);
+	const beatSeconds = segment.beatTicks / map.ppq * 60 / tempo.bpm;
+	const clicks: (MetronomeClick & { time: number })[] = [];
+	for (let index = 0; index < bars * numerator; index++) {
+		const beat = index % numerator;
+		for (let step = 0; step < subdivision; step++) {
+			clicks.push({
+				time: (index + step / subdivision) * beatSeconds,
+				bar: Math.floor(index / numerator) - bars,
+				beat,
+				step,
+				accent: beat === 0 && step === 0
+			});
+		}
+	}
+	return { seconds: bars * numerator * beatSeconds, clicks };
+}
@@ -0,0 +1,172 @@
+import { describe, expect, it } from 'vitest';
+import { Midi } from '@tonejs/midi';
+import { PianoRollCore } from '../index.js';
+import { midiVarLength, mtsFrequencyBytes } from './midiExport.js';
+
+const TRIAD = {
+	header: { ppq: 480, tempos: [{ ticks: 0, bpm: 120 }] },
+	tracks: [{
+		name: 'Piano',
+		notes: [
+			{ midi: 60, time: 0, duration: 1, velocity: 0.8 },
+			{ midi: 64, time: 0, duration: 1, velocity: 0.8 },
+			{ midi: 67, time: 0, duration: 1, velocity: 0.8 }
+		]
+	}]
+};
+
+function naturalCore(): PianoRollCore {
+	const core = new PianoRollCore({ useSynth: false, tuningSystem: 'natural' });
+	core.loadMidiJson(TRIAD);
+	return core;
+}
+
+describe('encoding helpers', () => {
+	it('writes variable-length quantities', () => {
+		expect(midiVarLength(0)).toEqual([0]);
+		expect(midiVarLength(0x80)).toEqual([0x81, 0x00]);
+		expect(midiVarLength(0x0fffffff)).toEqual([0xff, 0xff, 0xff, 0x7f]);
+	});
+
+	it('writes MTS frequencies from key 69 = 440 Hz', () => {
+		expect(mtsFrequencyBytes(440)).toEqual([69, 0, 0]);
+		expect(mtsFrequencyBytes(440 * Math.pow(2, 0.5 / 12))).toEqual([69, 64, 0]);
+		expect(mtsFrequencyBytes(1)).toEqual([0, 0, 0]);
+	});
+});
+
+describe('exportMidi', () => {
+	it('keeps keys and channels in MTS mode and sends the tuning as SysEx', () => {
+		const midi = new Midi(naturalCore().exportMidi({ mode: 'mts' }));
+		// @tonejs/midi skips the conductor track, which holds no notes
+		expect(midi.tracks).toHaveLength(1);
+		expect(midi.tracks[0].name).toBe('Piano');
+		expect(midi.tracks[0].notes.map(note => note.midi)).toEqual([60, 64, 67]);
+		expect(midi.header.tempos[0].bpm).toBeCloseTo(120, 6);
+	});
+
+	it('leaves the drum channel untuned in MTS mode', () => {
+		const core = new PianoRollCore({ useSynth: false, tuningSystem: 'natural' });
+		core.loadMidiJson({
+			header: TRIAD.header,
+			tracks: [
+				TRIAD.tracks[0],
+				{ name: 'Drums', channel: 9, notes: [{ midi: 40, time: 0, duration: 0.5, velocity: 0.8 }] }
+			]
+		});
+		// Tuned apart from the key table, the drum note would need a single note tuning change
+		core.updateTrack(1, { tuningSystem: 'equal' });
+		const bytes = Array.from(core.exportMidi({ mode: 'mts' }));
+		const contains = (sequence: number[]): boolean =>
+			bytes.some((_, index) => sequence.every((byte, offset) => bytes[index + offset] === byte));
+		// RPN 3 selects the tuning program on channel 1 but not on the drum channel
+		expect(contains([0xb0, 101, 0, 0x00, 0xb0, 100, 3])).toBe(true);
+		expect(contains([0xb9, 101, 0, 0x00, 0xb9, 100, 3])).toBe(false);
+		expect(contains([0x7f, 0x7f, 0x08, 0x02, 0x00, 0x01, 40])).toBe(false);
+		const drums = new Midi(Uint8Array.from(bytes)).tracks.filter(track => track.channel === 9);
+		expect(drums.flatMap(track => track.notes.map(note => note.midi))).toEqual([40]);
+	});
+
+	it('retunes a key only while no other track sounds it in MTS mode', () => {
+		const core = new PianoRollCore({ useSynth: false });
+		core.loadMidiJson({
+			header: TRIAD.header,
+			tracks: [
+				{ name: 'Equal', channel: 0, notes: [{ midi: 64, time: 0, duration: 2, velocity: 0.8 }] },
+				{ name: 'Just', channel: 1, notes: [{ midi: 64, time: 0.5, duration: 1, velocity: 0.8 }, { midi: 64, time: 3, duration: 1, velocity: 0.8 }] }
+			]
+		});
+		core.updateTrack(1, { tuningSystem: 'natural' });
+		const just = mtsFrequencyBytes(core.getNotes().find(note => note.trackIndex === 1)!.frequency!);
+		const bytes = Array.from(core.exportMidi({ mode: 'mts' }));
+		// Single note tuning changes: key and frequency
+		const changes = bytes
+			.map((_, index) => index)
+			.filter(index => [0x7f, 0x7f, 0x08, 0x02, 0x00, 0x01].every((byte, offset) => bytes[index + offset] === byte))
+			.map(index => bytes.slice(index + 6, index + 10));
+
+		// While the equal E4 sounds, the just one moves to the next key; once it ends, E4 is retuned
+		expect(changes).toEqual([[65, ...just], [64, ...just]]);
+		const keys = new Midi(Uint8Array.from(bytes)).tracks
+			.filter(track => track.notes.length > 0)
+			.map(track => track.notes.map(note => note.midi));
+		expect(keys).toEqual([[64], [65, 64]]);
+	});
+
+	it('ends the stolen note before its channel plays the next one in MPE mode', () => {
+		const core = new PianoRollCore({ useSynth: false });
+		core.loadMidiJson({
+			header: TRIAD.header,
+			tracks: [
+				{ name: 'Pads', notes: Array.from({ length: 10 }, (_, index) => ({ midi: 60 + index, time: index / 10, duration: 4, velocity: 0.8 })) },
+				{ name: 'Drums', channel: 9, notes: [{ midi: 36, time: 0, duration: 0.5, velocity: 0.8 }] }
+			]
+		});
+		// Eight member channels for ten notes
+		const pads = new Midi(core.exportMidi({ mode: 'mpe' })).tracks.filter(track => track.channel !== 9);
+		expect(pads.flatMap(track => track.notes)).toHaveLength(10);
+		pads.forEach(track => {
+			const notes = [...track.notes].sort((a, b) => a.ticks - b.ticks);
+			notes.slice(1).forEach((note, index) => {
+				expect(notes[index].ticks + notes[index].durationTicks).toBeLessThanOrEqual(note.ticks);
+			});
+		});
+	});
+
+	it('gives every note its own member channel and bend in MPE mode', () => {
+		const midi = new Midi(naturalCore().exportMidi({ mode: 'mpe', bendRange: 48 }));
+		const notes = midi.tracks.flatMap(track => track.notes.map(note => ({ midi: note.midi, channel: track.channel })));
+		expect(new Set(notes.map(note => note.channel)).size).toBe(3);
+		// The just major third is 13.7 cents flat of E4 (one bend step is 0.6 cents at 48 semitones)
+		const bends = midi.tracks.flatMap(track => track.pitchBends);
+		expect(Math.min(...bends.map(bend => bend.value)) * 48 * 100).toBeCloseTo(-13.69, 0);
+	});
+
+	it('keeps drum notes on channel 10 without bends in MPE mode', () => {
+		const core = new PianoRollCore({ useSynth: false, tuningSystem: 'natural' });
+		core.loadMidiJson({
+			header: TRIAD.header,
+			tracks: [
+				{ name: 'Pads', notes: Array.from({ length: 14 }, (_, index) => ({ midi: 48 + index, time: 0, duration: 1, velocity: 0.8 })) },
+				{ name: 'Drums', channel: 9, notes: [{ midi: 36, time: 0, duration: 0.5, velocity: 0.8 }] }
+			]
+		});
+		const midi = new Midi(core.exportMidi({ mode: 'mpe', bendRange: 48 }));
+		const drums = midi.tracks.filter(track => track.channel === 9);
+		expect(drums.flatMap(track => track.notes.map(note => note.midi))).toEqual([36]);
+		expect(drums.flatMap(track => track.pitchBends)).toEqual([]);
+		expect(midi.tracks.filter(track => track.channel !== 9).flatMap(track => track.notes)).toHaveLength(14);
+	});
+
+	it('ends the MPE zone below channel 10 when a track is on it', () => {
+		// Data entry of RPN 6 on the master channel: the number of member channels
+		const zoneSize = (file: Uint8Array): number => {
+			const bytes = Array.from(file);
+			const rpn = bytes.findIndex((byte, index) => byte === 0xb0 && bytes[index + 1] === 100 && bytes[index + 2] === 6);
+			return bytes[rpn + 6];
+		};
+		expect(zoneSize(naturalCore().exportMidi({ mode: 'mpe' }))).toBe(15);
+
+		const core = new PianoRollCore({ useSynth: false, tuningSystem: 'natural' });
+		core.loadMidiJson({
+			header: TRIAD.header,
+			tracks: [
+				{ name: 'Pads', notes: Array.from({ length: 10 }, (_, index) => ({ midi: 48 + index, time: 0, duration: 1, velocity: 0.8 })) },
+				{ name: 'Drums', channel: 9, notes: [{ midi: 36, time: 0, duration: 0.5, velocity: 0.8 }] }
+			]
+		});
+		const file = core.exportMidi({ mode: 'mpe' });
+		expect(zoneSize(file)).toBe(8);
+		const channels = new Midi(file).tracks
+			.filter(track => track.notes.length > 0 && track.channel !== 9)
+			.map(track => track.channel);
+		expect(channels.sort((a, b) => a - b)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+	});
+
+	it('rejects invalid options', () => {
+		const core = naturalCore();
+		expect(() => core.exportMidi({ mode: 'wav' as 'mts' })).toThrow(RangeError);
+		expect(() => core.exportMidi({ bendRange: 0 })).toThrow(RangeError);
+		expect(() => core.exportMidi({ ppq: 10 })).toThrow(RangeError);
+	});
+});
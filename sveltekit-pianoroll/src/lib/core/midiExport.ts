@@ -0,0 +1,252 @@
+// Standard MIDI File export that keeps the current tuning (MTS SysEx or MPE pitch bend)
+import type { Note, MidiExportMode, MidiHeader } from '../types/index.js';
+import { secondsToTicks } from './tempoMap.js';
+
+export interface TunedMidiTrack {
+	name: string;
+	channel: number;
+}
+
+export interface TunedMidiData {
+	notes: Note[];
+	tracks: TunedMidiTrack[];
+	keyFrequencies: number[]; // frequency of every MIDI key 0-127
+	tempoMap: MidiHeader;
+	tempoScale: number; // multiplies every tempo of the map (setBPM)
+}
+
+export interface TunedMidiOptions {
+	mode: MidiExportMode;
+	bendRange: number;
+	ppq: number;
+}
+
+// General MIDI percussion (channel 10, zero-based 9)
+const DRUM_CHANNEL = 9;
+
+interface TimedEvent {
+	tick: number;
+	order: number; // note off before tuning, tuning before note on at the same tick
+	bytes: number[];
+}
+
+/**
+ * Encode a non-negative integer as an SMF variable-length quantity
+ */
+export function midiVarLength(value: number): number[] {
+	const bytes = [value & 0x7f];
+	value = Math.floor(value / 128);
+	while (value > 0) {
+		bytes.unshift((value & 0x7f) | 0x80);
+		value = Math.floor(value / 128);
+	}
+	return bytes;
+}
+
+/**
+ * MIDI Tuning Standard frequency: semitone plus a 14-bit fraction of a semitone
+ * (key 69 = 440 Hz regardless of the piano roll reference)
+ */
+export function mtsFrequencyBytes(frequency: number): [number, number, number] {
+	const pitch = 69 + 12 * Math.log2(frequency / 440);
+	let semitone = Math.floor(pitch);
+	let fraction = Math.round((pitch - semitone) * 16384);
+	if (fraction === 16384) {
+		semitone += 1;
+		fraction = 0;
+	}
+	if (semitone < 0) {
+		return [0, 0, 0];
+	}
+	if (semitone > 127) {
+		semitone = 127;
+		fraction = 16383;
+	}
+	// 7F 7F 7F is reserved for "no change"
+	if (semitone === 127 && fraction === 16383) {
+		fraction = 16382;
+	}
+	return [semitone, fraction >> 7, fraction & 0x7f];
+}
+
+/**
+ * Build a format 1 Standard MIDI File that reproduces the given frequencies
+ * Track 0 holds the tempo map, the meters and the tuning setup, followed by one track per source track
+ *   mts: notes keep their channel and key; the key table is sent as a bulk dump and
+ *     notes tuned differently (adaptive JI, track tunings) get a single note tuning change,
+ *     on the nearest free key while the key sounds in another tuning; drum tracks on
+ *     channel 10 do not select the tuning program and get no tuning changes
+ *   mpe: every note gets its own lower-zone member channel (2-16) and a pitch bend
+ *     from the nearest key, scaled by bendRange; with every channel busy the note that ends
+ *     first is cut off; drum tracks on channel 10 are untuned and keep their channel
+ *     and key, so with a drum track the zone ends below it (2-9)
+ */
+export function createTunedMidiFile(data: TunedMidiData, options: TunedMidiOptions): Uint8Array {
+	const { mode, bendRange, ppq } = options;
+	const { tempoMap, tempoScale } = data;
+	// Tempo map ticks converted to the file's resolution
+	const fileTicks = (ticks: number): number => Math.max(0, Math.round(ticks * ppq / tempoMap.ppq));
+	const toTicks = (seconds: number): number => fileTicks(secondsToTicks(tempoMap, seconds, tempoScale));
+	const trackEvents: TimedEvent[][] = data.tracks.map(() => []);
+	const conductor: TimedEvent[] = [];
+	const push = (events: TimedEvent[], tick: number, order: number, bytes: number[]): void => {
+		events.push({ tick, order, bytes });
+	};
+
+	tempoMap.tempos.forEach(({ ticks, bpm }) => {
+		const microseconds = Math.min(0xffffff, Math.round(60000000 / (bpm * tempoScale)));
+		push(conductor, fileTicks(ticks), 0, [0xff, 0x51, 0x03, (microseconds >> 16) & 0xff, (microseconds >> 8) & 0xff, microseconds & 0xff]);
+	});
+	tempoMap.timeSignatures.forEach(({ ticks, timeSignature: [numerator, denominator] }) => {
+		push(conductor, fileTicks(ticks), 0, [0xff, 0x58, 0x04, numerator, Math.log2(denominator), 24, 8]);
+	});
+
+	const playable = data.notes
+		.filter((note): note is Note & { frequency: number } =>
+			note.frequency !== null && note.frequency > 0 && Boolean(data.tracks[note.trackIndex || 0]))
+		.sort((a, b) => a.time - b.time);
+	const velocityByte = (velocity?: number): number => Math.min(127, Math.max(1, Math.round((velocity ?? 0.8) * 127)));
+
+	if (mode === 'mts') {
+		// Bulk tuning dump: F0 7E <device> 08 01 <program> <name x16> [xx yy zz] x128 <checksum> F7
+		const name = 'PianoRollCore'.padEnd(16, ' ').split('').map(char => char.charCodeAt(0) & 0x7f);
+		const body = [0x7e, 0x7f, 0x08, 0x01, 0x00, ...name];
+		const keyTuning = data.keyFrequencies.map(frequency => mtsFrequencyBytes(frequency));
+		keyTuning.forEach(bytes => body.push(...bytes));
+		const checksum = body.reduce((sum, byte) => sum ^ byte, 0) & 0x7f;
+		const dump = [...body, checksum, 0xf7];
+		push(conductor, 0, 1, [0xf0, ...midiVarLength(dump.length), ...dump]);
+
+		// RPN 3 (tuning program select) = 0 on every channel in use but the drum channel
+		const channels = new Set(data.tracks.map(track => track.channel).filter(channel => channel !== DRUM_CHANNEL));
+		channels.forEach(channel => {
+			push(conductor, 0, 2, [0xb0 | channel, 101, 0]);
+			push(conductor, 0, 2, [0xb0 | channel, 100, 3]);
+			push(conductor, 0, 2, [0xb0 | channel, 6, 0]);
+		});
+
+		// Every channel plays tuning program 0, so a key can only be retuned while no note sounds on it
+		const current = keyTuning.map(bytes => bytes.join(','));
+		const soundingUntil: number[] = new Array(128).fill(-Infinity);
+		// The key nearest to midi that is silent at tick (or already tuned right)
+		const freeKey = (midi: number, tuning: string, tick: number): number => {
+			for (let distance = 0; distance < 128; distance++) {
+				const candidates = distance === 0 ? [midi] : [midi + distance, midi - distance];
+				const free = candidates.find(candidate => candidate >= 0 && candidate <= 127 &&
+					(current[candidate] === tuning || soundingUntil[candidate] <= tick));
+				if (free !== undefined) {
+					return free;
+				}
+			}
+			return midi;
+		};
+
+		playable.forEach(note => {
+			const track = data.tracks[note.trackIndex || 0];
+			const events = trackEvents[note.trackIndex || 0];
+			let key = Math.min(127, Math.max(0, note.midi));
+			const start = toTicks(note.time);
+			const end = Math.max(start + 1, toTicks(note.time + note.duration));
+
+			if (track.channel !== DRUM_CHANNEL) {
+				const tuning = mtsFrequencyBytes(note.frequency);
+				key = freeKey(key, tuning.join(','), start);
+				if (tuning.join(',') !== current[key]) {
+					// Single note tuning change (real-time): F0 7F <device> 08 02 <program> 1 <key> xx yy zz F7
+					const change = [0x7f, 0x7f, 0x08, 0x02, 0x00, 0x01, key, ...tuning, 0xf7];
+					push(events, start, 1, [0xf0, ...midiVarLength(change.length), ...change]);
+					current[key] = tuning.join(',');
+				}
+				soundingUntil[key] = Math.max(soundingUntil[key], end);
+			}
+			push(events, start, 2, [0x90 | track.channel, key, velocityByte(note.velocity)]);
+			push(events, end, 0, [0x80 | track.channel, key, 0]);
+		});
+	} else {
+		// The zone's member channels are consecutive, so a drum track limits it to channels 2-9
+		const members = data.tracks.some(track => track.channel === DRUM_CHANNEL) ? DRUM_CHANNEL - 1 : 15;
+		// MPE Configuration Message: lower zone with its member channels (RPN 6 on master channel 1)
+		push(conductor, 0, 1, [0xb0, 101, 0]);
+		push(conductor, 0, 1, [0xb0, 100, 6]);
+		push(conductor, 0, 1, [0xb0, 6, members]);
+		// Pitch bend range of the member channels (RPN 0)
+		for (let channel = 1; channel <= members; channel++) {
+			push(conductor, 0, 2, [0xb0 | channel, 101, 0]);
+			push(conductor, 0, 2, [0xb0 | channel, 100, 0]);
+			push(conductor, 0, 2, [0xb0 | channel, 6, bendRange]);
+			push(conductor, 0, 2, [0xb0 | channel, 38, 0]);
+		}
+
+		// A channel is freed when its note ends; take the one freed the longest ago
+		const freeAt: number[] = new Array(16).fill(-Infinity);
+		const noteOffs: (TimedEvent | null)[] = new Array(16).fill(null);
+		playable.forEach(note => {
+			const events = trackEvents[note.trackIndex || 0];
+			const start = toTicks(note.time);
+			const end = Math.max(start + 1, toTicks(note.time + note.duration));
+
+			if (data.tracks[note.trackIndex || 0].channel === DRUM_CHANNEL) {
+				const key = Math.min(127, Math.max(0, note.midi));
+				push(events, start, 2, [0x90 | DRUM_CHANNEL, key, velocityByte(note.velocity)]);
+				push(events, end, 0, [0x80 | DRUM_CHANNEL, key, 0]);
+				return;
+			}
+
+			let channel = 1;
+			for (let candidate = 2; candidate <= members; candidate++) {
+				if (freeAt[candidate] < freeAt[channel]) {
+					channel = candidate;
+				}
+			}
+			// Every channel is busy: the note that ends first gives way, its note off moves to this start
+			if (freeAt[channel] > start && noteOffs[channel]) {
+				noteOffs[channel]!.tick = start;
+			}
+			freeAt[channel] = end;
+
+			const pitch = 69 + 12 * Math.log2(note.frequency / 440);
+			const key = Math.min(127, Math.max(0, Math.round(pitch)));
+			const bend = Math.min(16383, Math.max(0, Math.round(8192 + (pitch - key) / bendRange * 8192)));
+			push(events, start, 1, [0xe0 | channel, bend & 0x7f, bend >> 7]);
+			push(events, start, 2, [0x90 | channel, key, velocityByte(note.velocity)]);
+			push(events, end, 0, [0x80 | channel, key, 0]);
+			noteOffs[channel] = events[events.length - 1];
+		});
+	}
+
+	const encodeTrack = (events: TimedEvent[], name: string | null): number[] => {
+		const bytes: number[] = [];
+		if (name) {
+			const text = Array.from(new TextEncoder().encode(name));
+			bytes.push(0x00, 0xff, 0x03, ...midiVarLength(text.length), ...text);
+		}
+		let lastTick = 0;
+		events
+			.map((event, index) => ({ ...event, index }))
+			.sort((a, b) => a.tick - b.tick || a.order - b.order || a.index - b.index)
+			.forEach(event => {
+				bytes.push(...midiVarLength(event.tick - lastTick), ...event.bytes);
+				lastTick = event.tick;
+			});
+		bytes.push(0x00, 0xff, 0x2f, 0x00);
+		const length = bytes.length;
+		return [0x4d, 0x54, 0x72, 0x6b, (length >>> 24) & 0xff, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff, ...bytes];
+	};
+
+	const chunks = [
+		encodeTrack(conductor, null),
+		...trackEvents.map((events, index) => encodeTrack(events, data.tracks[index].name))
+	];
+	const header = [
+		0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 1,
+		(chunks.length >> 8) & 0xff, chunks.length & 0xff, (ppq >> 8) & 0xff, ppq & 0xff
+	];
+
+	const bytes = [...header];
+	chunks.forEach(chunk => {
+		for (let i = 0; i < chunk.length; i++) {
+			bytes.push(chunk[i]);
+		}
+	});
+	return new Uint8Array(bytes);
+}
@@ -0,0 +1,66 @@
+import { describe, expect, it, vi } from 'vitest';
+import { FakeMidiInput, PianoRollCore, parseMidiMessage } from '../index.js';
+import type { NoteEvent } from '../types/index.js';
+
+describe('parseMidiMessage', () => {
+	it('decodes notes, sustain and pitch bend', () => {
+		expect(parseMidiMessage([0x91, 60, 127])).toEqual({ type: 'noteOn', channel: 1, midi: 60, velocity: 1 });
+		expect(parseMidiMessage([0x90, 60, 0])).toEqual({ type: 'noteOff', channel: 0, midi: 60, velocity: 0 });
+		expect(parseMidiMessage([0xb0, 64, 127])).toEqual({ type: 'sustain', channel: 0, on: true });
+		expect(parseMidiMessage([0xe0, 0, 0])).toEqual({ type: 'pitchBend', channel: 0, bend: -1 });
+		expect(parseMidiMessage([0xb0, 7, 100])).toBeNull();
+		expect(parseMidiMessage([0xf8])).toBeNull();
+	});
+});
+
+describe('live MIDI input', () => {
+	it('plays notes in the current tuning and holds them under the pedal', () => {
+		const core = new PianoRollCore({ useSynth: false, tuningSystem: 'natural' });
+		const events: NoteEvent[] = [];
+		core.subscribe(event => events.push(event));
+		const input = new FakeMidiInput();
+		core.connectMidiInput(input);
+
+		input.noteOn(64).sustain(true).noteOff(64);
+		expect(events.map(event => event.type)).toEqual(['noteOn', 'sustain']);
+		expect(events[0]).toMatchObject({ note: 'E4', source: 'live', frequency: core.noteToFrequency(64) });
+		input.sustain(false);
+		expect(events.map(event => event.type)).toEqual(['noteOn', 'sustain', 'noteOff', 'sustain']);
+
+		input.pitchBend(1);
+		expect(events.at(-1)).toMatchObject({ type: 'pitchBend', bend: 1, cents: 200 });
+		core.disconnectMidiInput();
+		expect(input.onmidimessage).toBeNull();
+	});
+
+	it('rejects ports without onmidimessage', () => {
+		const core = new PianoRollCore({ useSynth: false });
+		expect(() => core.connectMidiInput({} as FakeMidiInput)).toThrow(TypeError);
+	});
+});
+
+describe('recording', () => {
+	it('adds the take to its own track as one edit', () => {
+		const core = new PianoRollCore({ useSynth: false });
+		const input = new FakeMidiInput();
+		core.connectMidiInput(input);
+		// Without a synth the transport does not start and the take is recorded at the current position
+		const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		core.startRecording({ trackName: 'Take' });
+		warn.mockRestore();
+		expect(core.getTransportState().isRecording).toBe(true);
+
+		input.noteOn(60, 64).noteOn(64).noteOff(60);
+		const added = core.stopRecording();
+		expect(added.map(note => [note.midi, note.time, note.trackIndex])).toEqual([[60, 0, 0], [64, 0, 0]]);
+		expect(added[0].velocity).toBeCloseTo(64 / 127, 9);
+		expect(core.getTracks().map(track => track.name)).toEqual(['Take']);
+		expect(core.getHistory().undo).toEqual(['record']);
+	});
+
+	it('rejects unknown modes and grids', () => {
+		const core = new PianoRollCore({ useSynth: false });
+		expect(() => core.startRecording({ mode: 'punch' as 'replace' })).toThrow(RangeError);
+		expect(() => core.startRecording({ quantize: 0 })).toThrow(RangeError);
+	});
+});
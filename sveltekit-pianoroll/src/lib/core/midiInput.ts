@@ -0,0 +1,74 @@
+import type { MidiInputPort, MidiInputMessage } from '../types/index.js';
+
+// Pitch bend range of the live input, in semitones each way
+export const PITCH_BEND_RANGE = 2;
+
+/**
+ * Decode a message from a MIDI input
+ * Note on with velocity 0 is a note off; only CC64 (sustain) is read from the controllers
+ * @returns null for every other message
+ */
+export function parseMidiMessage(data: ArrayLike<number> | null | undefined): MidiInputMessage | null {
+	if (!data || data.length < 3) {
+		return null;
+	}
+	const status = data[0] & 0xf0;
+	const channel = data[0] & 0x0f;
+	switch (status) {
+		case 0x90:
+			return data[2] > 0
+				? { type: 'noteOn', channel, midi: data[1], velocity: data[2] / 127 }
+				: { type: 'noteOff', channel, midi: data[1], velocity: 0 };
+		case 0x80:
+			return { type: 'noteOff', channel, midi: data[1], velocity: data[2] / 127 };
+		case 0xb0:
+			return data[1] === 64 ? { type: 'sustain', channel, on: data[2] >= 64 } : null;
+		case 0xe0: {
+			// 14 bits centred on 8192
+			const value = ((data[2] << 7) | data[1]) - 8192;
+			return { type: 'pitchBend', channel, bend: value / (value < 0 ? 8192 : 8191) };
+		}
+		default:
+			return null;
+	}
+}
+
+/**
+ * In-memory MIDI input with the MIDIInput surface (id, name, onmidimessage)
+ * Connect it with connectMidiInput() in place of a Web MIDI device, e.g. in tests
+ */
+export class FakeMidiInput implements MidiInputPort {
+	public manufacturer = '';
+	public onmidimessage: ((event: MIDIMessageEvent) => void) | null = null;
+
+	constructor(
+		public name: string = 'Fake MIDI Input',
+		public id: string = 'fake-midi-input'
+	) {}
+
+	// Pass raw message bytes to the connected handler
+	send(data: ArrayLike<number>): this {
+		this.onmidimessage?.({ data: Uint8Array.from(data) } as MIDIMessageEvent);
+		return this;
+	}
+
+	noteOn(midi: number, velocity = 100, channel = 0): this {
+		return this.send([0x90 | channel, midi, velocity]);
+	}
+
+	noteOff(midi: number, velocity = 0, channel = 0): this {
+		return this.send([0x80 | channel, midi, velocity]);
+	}
+
+	sustain(on: boolean, channel = 0): this {
+		return this.send([0xb0 | channel, 64, on ? 127 : 0]);
+	}
+
+	/**
+	 * @param bend wheel position from -1 to 1
+	 */
+	pitchBend(bend: number, channel = 0): this {
+		const value = Math.round(8192 + Math.max(-1, Math.min(1, bend)) * (bend < 0 ? 8192 : 8191));
+		return this.send([0xe0 | channel, value & 0x7f, value >> 7]);
+	}
+}
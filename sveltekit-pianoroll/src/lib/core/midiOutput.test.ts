@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import { FakeMidiInput, FakeMidiOutput, MidiOutputRouter, PianoRollCore } from '../index.js';
+import { frequencyToMidi } from './midiOutput.js';
+
+describe('frequencyToMidi', () => {
+	it('splits a frequency into a key and an offset', () => {
+		expect(frequencyToMidi(440)).toEqual({ midi: 69, offset: 0 });
+		const { midi, offset } = frequencyToMidi(440 * 5 / 4);
+		expect(midi).toBe(73);
+		expect(offset * 100).toBeCloseTo(-13.69, 2);
+	});
+});
+
+describe('MidiOutputRouter', () => {
+	it('gives every MPE note its own channel and bend', () => {
+		const port = new FakeMidiOutput();
+		const router = new MidiOutputRouter(port, { memberChannels: 2 });
+		port.clear();
+		router.noteOn('a', 440).noteOn('b', 550).noteOn('c', 660);
+		// The third note takes the channel of the oldest one
+		expect(port.messages().map(message => [message.type, message.channel])).toEqual([
+			['pitchBend', 1], ['noteOn', 1],
+			['pitchBend', 2], ['noteOn', 2],
+			['noteOff', 1], ['pitchBend', 1], ['noteOn', 1]
+		]);
+		router.allNotesOff();
+		expect(port.messages().filter(message => message.type === 'noteOff')).toHaveLength(3);
+	});
+
+	it('retunes keys with MTS before their notes', () => {
+		const port = new FakeMidiOutput();
+		const router = new MidiOutputRouter(port, { mode: 'mts' });
+		port.clear();
+		router.noteOn(1, 440).noteOn(2, 441);
+		const [sysex, noteOn, , second] = port.sent.map(({ data }) => data);
+		expect(sysex.slice(0, 8)).toEqual([0xf0, 0x7f, 0x7f, 0x08, 0x02, 0, 1, 69]);
+		expect(noteOn).toEqual([0x90, 69, 102]);
+		// 69 is sounding, so the second note moves to the nearest free key
+		expect(second[1]).toBe(70);
+	});
+
+	it('checks the port and the options', () => {
+		expect(() => new MidiOutputRouter({} as FakeMidiOutput)).toThrow(TypeError);
+		expect(() => new MidiOutputRouter(new FakeMidiOutput(), { mode: 'osc' as 'mpe' })).toThrow(RangeError);
+		expect(() => new MidiOutputRouter(new FakeMidiOutput(), { bendRange: 0 })).toThrow(RangeError);
+	});
+});
+
+describe('MIDI output in the core', () => {
+	it('sends live input notes at their tuned frequencies', () => {
+		const core = new PianoRollCore({ useSynth: false, tuningSystem: 'natural' });
+		const input = new FakeMidiInput();
+		const output = new FakeMidiOutput();
+		core.connectMidiInput(input);
+		core.connectMidiOutput(output);
+		output.clear();
+		input.noteOn(64).noteOff(64);
+		const bend = output.messages().find(message => message.type === 'pitchBend');
+		// 5/4 above C4 is 13.69 cents flat of E4; MPE bends span 48 semitones
+		expect(bend).toMatchObject({ channel: 1 });
+		expect(bend?.type === 'pitchBend' && bend.bend * 4800).toBeCloseTo(-13.69, 0);
+		expect(output.messages().map(message => message.type)).toEqual(['pitchBend', 'noteOn', 'noteOff']);
+		core.disconnectMidiOutput();
+	});
+});
@@ -0,0 +1,234 @@
+import type { MidiInputMessage, MidiOutputMode, MidiOutputOptions, MidiOutputPort } from '../types/index.js';
+import { PITCH_BEND_RANGE, parseMidiMessage } from './midiInput.js';
+import { mtsFrequencyBytes } from './midiExport.js';
+
+export const MIDI_OUTPUT_MODES: MidiOutputMode[] = ['mpe', 'mts'];
+
+/**
+ * Split a frequency into the nearest MIDI key and the distance from it
+ * @returns offset in semitones, normally within ±0.5
+ */
+export function frequencyToMidi(frequency: number): { midi: number; offset: number } {
+	const exact = 69 + 12 * Math.log2(frequency / 440);
+	const midi = Math.min(127, Math.max(0, Math.round(exact)));
+	return { midi, offset: exact - midi };
+}
+
+interface OutputVoice {
+	channel: number;
+	midi: number;
+	offset: number;
+}
+
+/**
+ * Sends the retuned performance to a MIDI output
+ * 'mpe': lower MPE zone, every note on its own member channel (2-16) with its own pitch bend; the bend
+ * range is set with RPN 0 on connect and the oldest note gives its channel up when the zone is full.
+ * 'mts': all notes on one channel, each key retuned before its note with a real-time MIDI Tuning
+ * Standard single note tuning change; a key in use gives way to the nearest free one
+ */
+export class MidiOutputRouter {
+	public readonly options: Required<MidiOutputOptions>;
+	// Sounding notes by the core's voice key
+	private _voices = new Map<string | number, OutputVoice>();
+	// Free MPE channels, the one free the longest first
+	private _freeChannels: number[];
+	// Shared offset from the live input's pitch wheel, in semitones
+	private _bend = 0;
+
+	/**
+	 * @throws TypeError when the port has no send() method
+	 * @throws RangeError for an unknown mode or out-of-range options
+	 */
+	constructor(
+		public readonly port: MidiOutputPort,
+		options: MidiOutputOptions = {}
+	) {
+		if (!port || typeof port.send !== 'function') {
+			throw new TypeError('MIDI output must be a MIDIOutput or an object with a send() method');
+		}
+		const {
+			mode = 'mpe',
+			bendRange = mode === 'mpe' ? 48 : PITCH_BEND_RANGE,
+			memberChannels = 15,
+			channel = 0,
+			deviceId = 0x7f,
+			program = 0
+		} = options;
+		if (!MIDI_OUTPUT_MODES.includes(mode)) {
+			throw new RangeError(`Unknown MIDI output mode: ${mode}. Use ${MIDI_OUTPUT_MODES.join(' or ')}.`);
+		}
+		if (!Number.isInteger(bendRange) || bendRange < 1 || bendRange > 96) {
+			throw new RangeError(`Pitch bend range must be 1-96 semitones, got ${bendRange}`);
+		}
+		if (!Number.isInteger(memberChannels) || memberChannels < 1 || memberChannels > 15) {
+			throw new RangeError(`MPE member channels must be 1-15, got ${memberChannels}`);
+		}
+		([['channel', channel, 15], ['deviceId', deviceId, 127], ['program', program, 127]] as const).forEach(
+			([name, value, max]) => {
+				if (!Number.isInteger(value) || value < 0 || value > max) {
+					throw new RangeError(`MIDI output ${name} must be 0-${max}, got ${value}`);
+				}
+			}
+		);
+
+		this.options = { mode, bendRange, memberChannels, channel, deviceId, program };
+		this._freeChannels = Array.from({ length: memberChannels }, (_, index) => index + 1);
+		this._configure();
+	}
+
+	// MPE Configuration Message (RPN 6) on the master channel and the bend range (RPN 0) on the note channels
+	private _configure(): void {
+		const { mode, memberChannels, channel, bendRange } = this.options;
+		if (mode === 'mpe') {
+			this._sendRpn(0, 6, memberChannels);
+			this._freeChannels.forEach(member => this._sendRpn(member, 0, bendRange));
+		} else {
+			this._sendRpn(channel, 0, bendRange);
+		}
+	}
+
+	private _sendRpn(channel: number, parameter: number, value: number): void {
+		const status = 0xb0 | channel;
+		this._send([status, 101, 0, status, 100, parameter, status, 6, value, status, 38, 0]);
+		// RPN null, so a stray Data Entry does not change the parameter
+		this._send([status, 101, 127, status, 100, 127]);
+	}
+
+	private _send(data: number[], timestamp?: number): void {
+		if (timestamp === undefined) {
+			this.port.send(data);
+		} else {
+			this.port.send(data, timestamp);
+		}
+	}
+
+	// 14-bit pitch bend value for an offset in semitones
+	private _bendValue(semitones: number): number {
+		const value = Math.round(8192 + (semitones / this.options.bendRange) * 8192);
+		return Math.max(0, Math.min(16383, value));
+	}
+
+	private _sendBend(channel: number, semitones: number, timestamp?: number): void {
+		const value = this._bendValue(semitones);
+		this._send([0xe0 | channel, value & 0x7f, value >> 7], timestamp);
+	}
+
+	/**
+	 * Attack a note, releasing a note with the same key first
+	 * @param key the core's voice key (note id or live input key)
+	 * @param velocity 0-1
+	 * @param timestamp send time on the performance.now() clock, in ms
+	 */
+	noteOn(key: string | number, frequency: number, velocity = 0.8, timestamp?: number): this {
+		if (this._voices.has(key)) {
+			this.noteOff(key, timestamp);
+		}
+		const { midi, offset } = frequencyToMidi(frequency);
+		const level = Math.max(1, Math.min(127, Math.round(velocity * 127)));
+
+		if (this.options.mode === 'mpe') {
+			if (!this._freeChannels.length) {
+				// Every channel is busy: the oldest note gives way
+				this.noteOff(this._voices.keys().next().value!, timestamp);
+			}
+			const channel = this._freeChannels.shift()!;
+			this._sendBend(channel, offset + this._bend, timestamp);
+			this._send([0x90 | channel, midi, level], timestamp);
+			this._voices.set(key, { channel, midi, offset });
+			return this;
+		}
+
+		const { channel, deviceId, program } = this.options;
+		const keyNumber = this._freeKey(midi);
+		this._send([0xf0, 0x7f, deviceId, 0x08, 0x02, program, 1, keyNumber, ...mtsFrequencyBytes(frequency), 0xf7], timestamp);
+		this._send([0x90 | channel, keyNumber, level], timestamp);
+		this._voices.set(key, { channel, midi: keyNumber, offset });
+		return this;
+	}
+
+	// The key nearest to midi that nothing is sounding on
+	private _freeKey(midi: number): number {
+		const used = new Set([...this._voices.values()].map(voice => voice.midi));
+		for (let distance = 0; distance < 128; distance++) {
+			const candidates = distance === 0 ? [midi] : [midi + distance, midi - distance];
+			const free = candidates.find(candidate => candidate >= 0 && candidate <= 127 && !used.has(candidate));
+			if (free !== undefined) {
+				return free;
+			}
+		}
+		return midi;
+	}
+
+	// Release a note if it is sounding
+	noteOff(key: string | number, timestamp?: number): this {
+		const voice = this._voices.get(key);
+		if (!voice) {
+			return this;
+		}
+		this._voices.delete(key);
+		this._send([0x80 | voice.channel, voice.midi, 64], timestamp);
+		if (this.options.mode === 'mpe') {
+			this._freeChannels.push(voice.channel);
+		}
+		return this;
+	}
+
+	/**
+	 * Shared pitch offset (the live input's wheel): added to every note's bend in MPE,
+	 * sent as the channel's pitch bend in MTS
+	 */
+	setBend(semitones: number, timestamp?: number): this {
+		this._bend = semitones;
+		if (this.options.mode === 'mpe') {
+			this._voices.forEach(voice => this._sendBend(voice.channel, voice.offset + semitones, timestamp));
+		} else {
+			this._sendBend(this.options.channel, semitones, timestamp);
+		}
+		return this;
+	}
+
+	allNotesOff(timestamp?: number): this {
+		[...this._voices.keys()].forEach(key => this.noteOff(key, timestamp));
+		return this;
+	}
+
+	// Release the notes and centre the bend before disconnecting
+	dispose(): this {
+		this.allNotesOff();
+		if (this._bend !== 0) {
+			this.setBend(0);
+		}
+		return this;
+	}
+}
+
+/**
+ * In-memory MIDI output with the MIDIOutput surface (id, name, send)
+ * Sent messages collect in `sent`, e.g. for tests
+ */
+export class FakeMidiOutput implements MidiOutputPort {
+	public manufacturer = '';
+	public sent: { data: number[]; timestamp?: number }[] = [];
+
+	constructor(
+		public name: string = 'Fake MIDI Output',
+		public id: string = 'fake-midi-output'
+	) {}
+
+	send(data: number[] | Uint8Array, timestamp?: number): void {
+		this.sent.push({ data: Array.from(data), timestamp });
+	}
+
+	// Sent messages decoded by parseMidiMessage(); SysEx and controllers other than sustain are skipped
+	messages(): MidiInputMessage[] {
+		return this.sent
+			.map(({ data }) => parseMidiMessage(data))
+			.filter((message): message is MidiInputMessage => message !== null);
+	}
+
+	clear(): this {
+		this.sent = [];
+		return this;
+	}
+}
@@ -0,0 +1,49 @@
+import type { Note } from '../types/index.js';
+
+// How many edits undo() can step back through
+export const EDIT_HISTORY_LIMIT = 100;
+
+// Note state kept in the history; the frequency is left out because it depends on the tuning
+export type NoteRecord = Omit<Note, 'frequency' | 'remap'>;
+
+// One note before and after an edit; null means the note does not exist on that side
+export interface NoteChange {
+	id: number;
+	before: NoteRecord | null;
+	after: NoteRecord | null;
+}
+
+export interface HistoryEntry {
+	label: string;
+	changes: NoteChange[];
+}
+
+/**
+ * Fold changes into an open edit group, keeping the first `before` and the last `after` per note
+ * A note added and removed inside the group leaves no trace
+ */
+export function mergeGroupChanges(group: Map<number, NoteChange>, changes: NoteChange[]): void {
+	changes.forEach(change => {
+		const previous = group.get(change.id);
+		if (!previous) {
+			group.set(change.id, { ...change });
+		} else if (previous.before === null && change.after === null) {
+			group.delete(change.id);
+		} else {
+			previous.after = change.after;
+		}
+	});
+}
+
+/**
+ * Length of a note value ('4n', '16n', '8t' ...) in seconds at the given tempo
+ * @throws RangeError when the subdivision is not 1-64 followed by 'n' or 't'
+ */
+export function subdivisionSeconds(subdivision: string, bpm: number): number {
+	const match = /^(1|2|4|8|16|32|64)([nt])$/.exec(subdivision);
+	if (!match) {
+		throw new RangeError(`Invalid subdivision: ${subdivision}. Use '1n'-'64n' or triplets like '8t'.`);
+	}
+	const seconds = (60 / bpm) * 4 / Number(match[1]);
+	return match[2] === 't' ? seconds * 2 / 3 : seconds;
+}
@@ -0,0 +1,54 @@
+import { describe, expect, it, vi } from 'vitest';
+import { PianoRollCore } from '../index.js';
+import { TRANSFORM_DEFAULTS, resolveGrooveTemplate, seededRandom, transformNotes, transformsError } from './noteTransforms.js';
+import { createTempoMap } from './tempoMap.js';
+
+const MAP = createTempoMap({ ppq: 480, tempos: [{ ticks: 0, bpm: 120 }] });
+const NO_SWING = { amount: 0, subdivision: '8n' };
+const note = (id: number, time: number) => ({ id, time, velocity: 0.8 });
+
+describe('transformNotes', () => {
+	it('quantizes within the window and by the strength', () => {
+		const quantize = { enabled: true, grid: '8n', strength: 0.5, window: 0.2 };
+		const notes = transformNotes([note(1, 0.26), note(2, 0.2)], MAP, 1, { ...TRANSFORM_DEFAULTS, quantize, swing: NO_SWING });
+		// 0.26 is inside the window of the 0.25 s grid line and moves halfway; 0.2 is outside it
+		expect(notes[0].time).toBe(0.2);
+		expect(notes[1].time).toBeCloseTo(0.255, 9);
+	});
+
+	it('swings the off-beats', () => {
+		const notes = transformNotes([note(1, 0), note(2, 0.25)], MAP, 1, { ...TRANSFORM_DEFAULTS, swing: { amount: 1, subdivision: '8n' } });
+		expect(notes[1].time).toBeCloseTo(0.375, 9);
+	});
+
+	it('humanizes the same way for the same seed', () => {
+		const humanize = { enabled: true, timing: 0.01, velocity: 0.05, seed: 7 };
+		const transforms = { ...TRANSFORM_DEFAULTS, humanize, swing: NO_SWING };
+		const [first] = transformNotes([note(3, 1)], MAP, 1, transforms);
+		const [again] = transformNotes([note(1, 0), note(3, 1)], MAP, 1, transforms).filter(entry => entry.id === 3);
+		expect(again).toEqual(first);
+		expect(Math.abs(first.time - 1)).toBeLessThanOrEqual(0.01);
+		expect(seededRandom(7, 3, 1)).toBe(seededRandom(7, 3, 1));
+	});
+});
+
+describe('transform settings', () => {
+	it('checks groove templates and fields', () => {
+		expect(() => resolveGrooveTemplate('polka')).toThrow(RangeError);
+		expect(() => resolveGrooveTemplate({ subdivision: '8n', timing: [0.6], velocity: [1] })).toThrow(RangeError);
+		expect(transformsError(TRANSFORM_DEFAULTS)).toBeNull();
+		expect(transformsError({ ...TRANSFORM_DEFAULTS, humanize: { ...TRANSFORM_DEFAULTS.humanize, seed: 0.5 } })).toMatch(/seed/);
+	});
+
+	it('leaves the notes alone in the core', () => {
+		const core = new PianoRollCore({ useSynth: false });
+		core.addNote({ midi: 60, time: 0.3, duration: 0.5 });
+		core.setTransforms({ quantize: { enabled: true, grid: '4n' } });
+		expect(core.getPerformanceNotes()[0].time).toBe(0.5);
+		expect(core.getNotes()[0].time).toBe(0.3);
+		const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		core.setTransforms({ quantize: { strength: 2 } });
+		warn.mockRestore();
+		expect(core.getTransforms().quantize.strength).toBe(1);
+	});
+});
@@ -0,0 +1,133 @@
+// Performance transforms: copies of the notes quantized, swung, grooved and humanized for playback and export
+import type { GrooveTemplate, MidiHeader, Note, NoteTransforms } from '../types/index.js';
+import { subdivisionSeconds } from './noteEditing.js';
+import { secondsToTicks, ticksToSeconds } from './tempoMap.js';
+
+export const TRANSFORM_DEFAULTS: Omit<NoteTransforms, 'swing'> = {
+	quantize: { enabled: false, grid: '16n', strength: 1, window: 1 },
+	groove: { enabled: false, template: 'mpc', strength: 1 },
+	humanize: { enabled: false, timing: 0.01, velocity: 0.05, seed: 1 }
+};
+// Largest random humanize offsets: seconds and velocity (0-1)
+export const MAX_HUMANIZE_TIMING = 0.1;
+export const MAX_HUMANIZE_VELOCITY = 0.5;
+
+export const GROOVE_TEMPLATES: Record<string, GrooveTemplate> = {
+	mpc: { subdivision: '16n', timing: [0, 0.17, 0, 0.17], velocity: [1, 0.75, 0.9, 0.75] },
+	shuffle: { subdivision: '8n', timing: [0, 0.33], velocity: [1, 0.8] },
+	laidBack: { subdivision: '8n', timing: [0.05, 0.12, 0.05, 0.15], velocity: [1, 0.85, 0.95, 0.85] },
+	push: { subdivision: '16n', timing: [0, -0.08, -0.04, -0.1], velocity: [1, 0.9, 0.95, 0.9] }
+};
+
+/**
+ * Pseudo-random number in [0, 1) for a note (mulberry32); the same seed, id and salt
+ * give the same value whatever the other notes are
+ */
+export function seededRandom(seed: number, id: number, salt: number): number {
+	let t = (Math.imul(seed, 0x9e3779b1) ^ Math.imul(id, 0x85ebca77) ^ Math.imul(salt, 0xc2b2ae3d)) + 0x6d2b79f5;
+	t = Math.imul(t ^ (t >>> 15), t | 1);
+	t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+	return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * A built-in groove template by name, or a custom one checked
+ * @throws RangeError for an unknown name or a malformed template
+ */
+export function resolveGrooveTemplate(template: string | GrooveTemplate): GrooveTemplate {
+	const groove = typeof template === 'string' ? GROOVE_TEMPLATES[template] : template;
+	if (!groove || typeof groove !== 'object') {
+		throw new RangeError(`Unknown groove template: ${template}. Use ${Object.keys(GROOVE_TEMPLATES).join(', ')} or { subdivision, timing, velocity }.`);
+	}
+	subdivisionSeconds(groove.subdivision, 60);
+	const { timing, velocity } = groove;
+	if (!Array.isArray(timing) || !timing.length || !timing.every(offset => typeof offset === 'number' && Math.abs(offset) <= 0.5)) {
+		throw new RangeError('Groove timing must be a non-empty list of step offsets between -0.5 and 0.5');
+	}
+	if (!Array.isArray(velocity) || !velocity.length || !velocity.every(factor => typeof factor === 'number' && factor >= 0 && factor <= 2)) {
+		throw new RangeError('Groove velocity must be a non-empty list of factors between 0 and 2');
+	}
+	return groove;
+}
+
+// Error message for invalid transform settings, null when they are valid
+export function transformsError({ quantize, groove, humanize }: Omit<NoteTransforms, 'swing'>): string | null {
+	const fraction = (value: unknown) => typeof value === 'number' && value >= 0 && value <= 1;
+	try {
+		subdivisionSeconds(quantize.grid, 60);
+		resolveGrooveTemplate(groove.template);
+	} catch (error) {
+		return (error as Error).message;
+	}
+	if (!fraction(quantize.strength) || !fraction(groove.strength)) {
+		return `Invalid transform strength: ${quantize.strength}, ${groove.strength}. Must be between 0 and 1.`;
+	}
+	if (!fraction(quantize.window) || quantize.window === 0) {
+		return `Invalid quantize window: ${quantize.window}. Must be above 0 and at most 1 grid step.`;
+	}
+	if (typeof humanize.timing !== 'number' || !(humanize.timing >= 0 && humanize.timing <= MAX_HUMANIZE_TIMING)) {
+		return `Invalid humanize timing: ${humanize.timing}. Must be between 0 and ${MAX_HUMANIZE_TIMING} seconds.`;
+	}
+	if (typeof humanize.velocity !== 'number' || !(humanize.velocity >= 0 && humanize.velocity <= MAX_HUMANIZE_VELOCITY)) {
+		return `Invalid humanize velocity: ${humanize.velocity}. Must be between 0 and ${MAX_HUMANIZE_VELOCITY}.`;
+	}
+	if (!Number.isInteger(humanize.seed)) {
+		return `Invalid humanize seed: ${humanize.seed}. Must be an integer.`;
+	}
+	return null;
+}
+
+/**
+ * Apply the transforms to copies of the notes; the notes themselves are left alone
+ * Quantize, swing and groove work on the tick grid of the tempo map, humanize in seconds.
+ * Note starts move, durations are kept
+ * @param scale multiplier of all tempos (setBPM)
+ * @returns new notes sorted by time
+ */
+export function transformNotes<T extends Pick<Note, 'id' | 'time' | 'velocity'>>(
+	notes: T[],
+	map: MidiHeader,
+	scale: number,
+	{ quantize, swing, groove, humanize }: NoteTransforms
+): T[] {
+	// subdivisionSeconds() at 60 BPM gives the length in quarter notes
+	const stepTicks = (subdivision: string) => subdivisionSeconds(subdivision, 60) * map.ppq;
+	const template = groove.enabled ? resolveGrooveTemplate(groove.template) : null;
+	return notes
+		.map(note => {
+			let ticks = secondsToTicks(map, note.time, scale);
+			let velocity = note.velocity;
+			if (quantize.enabled) {
+				// Notes farther than window * step / 2 from a grid line stay where they are
+				const step = stepTicks(quantize.grid);
+				const target = Math.round(ticks / step) * step;
+				if (Math.abs(target - ticks) <= quantize.window * step / 2 + 1e-6) {
+					ticks += (target - ticks) * quantize.strength;
+				}
+			}
+			if (swing.amount > 0) {
+				// The second step of each pair moves by amount * step / 2 (1 is a dotted 3:1 feel);
+				// the time in between is stretched and squeezed linearly
+				const step = stepTicks(swing.subdivision);
+				const pair = Math.floor(ticks / (2 * step) + 1e-9) * 2 * step;
+				const offset = ticks - pair;
+				const offbeat = step * (1 + swing.amount / 2);
+				ticks = pair + (offset < step
+					? offset * offbeat / step
+					: offbeat + (offset - step) * (2 * step - offbeat) / step);
+			}
+			if (template) {
+				const step = stepTicks(template.subdivision);
+				const index = Math.round(ticks / step);
+				ticks += template.timing[index % template.timing.length] * step * groove.strength;
+				velocity *= 1 + (template.velocity[index % template.velocity.length] - 1) * groove.strength;
+			}
+			let time = ticksToSeconds(map, Math.max(0, ticks), scale);
+			if (humanize.enabled) {
+				time += (seededRandom(humanize.seed, note.id, 1) * 2 - 1) * humanize.timing;
+				velocity += (seededRandom(humanize.seed, note.id, 2) * 2 - 1) * humanize.velocity;
+			}
+			return { ...note, time: Math.max(0, time), velocity: Math.min(1, Math.max(0, velocity)) };
+		})
+		.sort((a, b) => a.time - b.time);
+}
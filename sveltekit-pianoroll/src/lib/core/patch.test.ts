@@ -0,0 +1,65 @@
+import { describe, expect, it, vi } from 'vitest';
+import { PianoRollCore, PatchFormatError, PATCH_DEFAULTS, PATCH_PRESETS } from '../index.js';
+import { mergePatch, patchErrors } from './patch.js';
+
+describe('mergePatch and patchErrors', () => {
+	it('merge sections, replace arrays and complete effects with their defaults', () => {
+		const patch = mergePatch(PATCH_DEFAULTS, {
+			envelope: { attack: 0.5 },
+			oscillator: { type: 'custom', partials: [1, 0.5] },
+			effects: [{ type: 'delay', feedback: 0.5 }]
+		});
+		expect(patch.envelope).toEqual({ ...PATCH_DEFAULTS.envelope, attack: 0.5 });
+		expect(patch.oscillator.partials).toEqual([1, 0.5]);
+		expect(patch.effects).toEqual([{ type: 'delay', enabled: true, wet: 0.25, delayTime: 0.25, feedback: 0.5 }]);
+		expect(patchErrors(patch)).toEqual([]);
+	});
+
+	it('report every field out of range', () => {
+		const patch = mergePatch(PATCH_DEFAULTS, { envelope: { sustain: 2 }, filter: { type: 'comb' }, effects: [{ type: 'flanger' }] });
+		expect(patchErrors(patch).map(issue => issue.path)).toEqual(['envelope.sustain', 'filter.type', 'effects[0].type']);
+	});
+
+	it('accept every built-in preset', () => {
+		Object.values(PATCH_PRESETS).forEach(changes => expect(patchErrors(mergePatch(PATCH_DEFAULTS, changes))).toEqual([]));
+	});
+});
+
+describe('core patch', () => {
+	it('changes on the fly and keeps the patch on invalid changes', () => {
+		const core = new PianoRollCore({ useSynth: false });
+		const events: string[] = [];
+		core.subscribeToTransport(event => events.push(event.type));
+		core.setPatch({ filter: { enabled: true, frequency: 800 } });
+		expect(core.getPatch().filter).toMatchObject({ enabled: true, frequency: 800 });
+		expect(events).toEqual(['patch']);
+
+		const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		core.setPatch({ filter: { frequency: 5 } });
+		expect(warn).toHaveBeenCalledOnce();
+		warn.mockRestore();
+		expect(core.getPatch().filter.frequency).toBe(800);
+	});
+
+	it('saves, exports and imports presets', () => {
+		const core = new PianoRollCore({ useSynth: false });
+		core.loadPatchPreset('Pluck');
+		core.setPatch({ envelope: { release: 1 } });
+		core.savePatchPreset('My Pluck');
+		const file = JSON.stringify(core.exportPatchPreset('My Pluck'));
+
+		const other = new PianoRollCore({ useSynth: false });
+		expect(other.importPatchPreset(file)).toBe('My Pluck');
+		other.loadPatchPreset('My Pluck');
+		expect(other.getPatch()).toEqual(core.getPatch());
+		expect(other.getPatchPresets().filter(preset => !preset.builtIn)).toEqual([{ name: 'My Pluck', builtIn: false }]);
+	});
+
+	it('rejects preset files it cannot read', () => {
+		const core = new PianoRollCore({ useSynth: false });
+		expect(() => core.savePatchPreset('Init')).toThrow(RangeError);
+		expect(() => core.importPatchPreset({ format: 'pianoroll-patch', version: 1, name: 'Init', patch: {} } as never))
+			.toThrow(PatchFormatError);
+		expect(() => core.importPatchPreset('{"format":"other"}')).toThrow(PatchFormatError);
+	});
+});
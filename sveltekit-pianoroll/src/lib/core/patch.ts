@@ -0,0 +1,418 @@
+// Synth patches: oscillator, envelopes, filter, FM/AM, the insert effects chain and the master bus
+import type {
+	EffectType,
+	EnvelopeSettings,
+	InsertEffect,
+	MasterBusSettings,
+	OscillatorShape,
+	PatchChanges,
+	PatchFilterType,
+	ProjectIssue,
+	SynthPatch,
+	SynthType
+} from '../types/index.js';
+import { getAudioEngine } from './audio.js';
+
+// The patch of a new core: the sound the synths had before patches existed
+export const PATCH_DEFAULTS: SynthPatch = {
+	oscillator: { type: 'triangle', partials: [] },
+	envelope: { attack: 0.02, decay: 0.1, sustain: 0.3, release: 0.5 },
+	filter: {
+		enabled: false,
+		type: 'lowpass',
+		frequency: 2000,
+		Q: 1,
+		envelopeAmount: 2,
+		envelope: { attack: 0.01, decay: 0.3, sustain: 0.4, release: 0.5 }
+	},
+	fm: { harmonicity: 3, modulationIndex: 10, modulationType: 'square', modulationEnvelope: { attack: 0.5, decay: 0, sustain: 1, release: 0.5 } },
+	am: { harmonicity: 2, modulationType: 'square', modulationEnvelope: { attack: 0.5, decay: 0, sustain: 1, release: 0.5 } },
+	effects: []
+};
+
+// 'custom' builds the wave from oscillator.partials (amplitudes 0-1 from the fundamental up)
+export const OSCILLATOR_TYPES: SynthPatch['oscillator']['type'][] = ['sine', 'square', 'triangle', 'sawtooth', 'custom'];
+export const MODULATION_TYPES: OscillatorShape[] = ['sine', 'square', 'triangle', 'sawtooth'];
+export const MAX_PARTIALS = 32;
+export const FILTER_TYPES: PatchFilterType[] = ['lowpass', 'highpass', 'bandpass', 'notch'];
+
+// Envelope times in seconds, sustain is a level
+export const ENVELOPE_RANGES: Record<keyof EnvelopeSettings, [number, number]> = {
+	attack: [0, 10],
+	decay: [0, 10],
+	sustain: [0, 1],
+	release: [0, 20]
+};
+
+// Cutoff in Hz, the filter envelope in octaves above the cutoff
+export const PATCH_RANGES: Record<'frequency' | 'Q' | 'envelopeAmount' | 'harmonicity' | 'modulationIndex', [number, number]> = {
+	frequency: [20, 20000],
+	Q: [0, 30],
+	envelopeAmount: [0, 8],
+	harmonicity: [0.1, 20],
+	modulationIndex: [0, 100]
+};
+
+// Insert effects in chain order: parameter - [default, min, max]
+export const EFFECT_PARAMETERS: Record<EffectType, Record<string, [number, number, number]>> = {
+	reverb: { wet: [0.3, 0, 1], decay: [2, 0.1, 20], preDelay: [0.01, 0, 1] },
+	delay: { wet: [0.25, 0, 1], delayTime: [0.25, 0, 2], feedback: [0.35, 0, 0.95] },
+	chorus: { wet: [0.5, 0, 1], frequency: [1.5, 0.1, 20], delayTime: [3.5, 1, 20], depth: [0.7, 0, 1] },
+	eq: { low: [0, -24, 24], mid: [0, -24, 24], high: [0, -24, 24], lowFrequency: [400, 20, 2000], highFrequency: [2500, 500, 16000] },
+	compressor: { threshold: [-24, -60, 0], ratio: [4, 1, 20], attack: [0.003, 0, 1], release: [0.25, 0, 1] }
+};
+export const EFFECT_TYPES = Object.keys(EFFECT_PARAMETERS) as EffectType[];
+export const MAX_INSERT_EFFECTS = 8;
+
+// The master bus follows the effects; the metronome bypasses it
+export const MASTER_BUS_DEFAULTS: MasterBusSettings = { volume: 0, limiter: false };
+export const MASTER_VOLUME_RANGE = [-60, 6] as const;
+const MASTER_LIMITER_THRESHOLD = -1; // dB
+
+export const PATCH_FORMAT = 'pianoroll-patch';
+export const PATCH_VERSION = 1;
+
+// Built-in presets, as changes to PATCH_DEFAULTS
+export const PATCH_PRESETS: Record<string, PatchChanges> = {
+	Init: {},
+	Pluck: {
+		oscillator: { type: 'sawtooth' },
+		envelope: { attack: 0.002, decay: 0.3, sustain: 0, release: 0.3 },
+		filter: { enabled: true, frequency: 400, Q: 2, envelopeAmount: 4, envelope: { attack: 0.002, decay: 0.25, sustain: 0, release: 0.3 } }
+	},
+	'Warm Pad': {
+		oscillator: { type: 'custom', partials: [1, 0.5, 0.3, 0.2, 0.1] },
+		envelope: { attack: 0.8, decay: 0.5, sustain: 0.8, release: 2 },
+		filter: { enabled: true, frequency: 1200, envelopeAmount: 1, envelope: { attack: 1, decay: 1, sustain: 0.6, release: 2 } },
+		effects: [{ type: 'chorus' }, { type: 'reverb', decay: 4, wet: 0.4 }]
+	},
+	'Electric Piano': {
+		oscillator: { type: 'sine' },
+		envelope: { attack: 0.005, decay: 1.2, sustain: 0.2, release: 0.8 },
+		fm: { harmonicity: 1, modulationIndex: 4, modulationType: 'sine', modulationEnvelope: { attack: 0.005, decay: 0.6, sustain: 0.1, release: 0.5 } },
+		effects: [{ type: 'eq', high: -3 }, { type: 'delay', delayTime: 0.375, feedback: 0.2, wet: 0.15 }]
+	}
+};
+
+/**
+ * Error thrown for an invalid patch or preset file (importPatchPreset()).
+ * Every problem found is listed in `errors` with the path of its field.
+ */
+export class PatchFormatError extends Error {
+	public errors: ProjectIssue[];
+
+	constructor(errors: ProjectIssue[]) {
+		const details = errors.map((error) => `  ${error.path || 'patch'}: ${error.message}`).join('\n');
+		super(`Invalid patch:\n${details}`);
+		this.name = 'PatchFormatError';
+		this.errors = errors;
+	}
+}
+
+function isSection(value: unknown): value is Record<string, any> {
+	return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// A field value for an error message, as in project documents
+function describeValue(value: unknown): string {
+	if (value === undefined) {
+		return 'nothing';
+	}
+	const json = JSON.stringify(value) || String(value);
+	return json.length > 40 ? `${json.slice(0, 37)}...` : json;
+}
+
+function effectDefaults(type: EffectType): Record<string, number> {
+	return Object.fromEntries(Object.entries(EFFECT_PARAMETERS[type]).map(([key, [value]]) => [key, value]));
+}
+
+/**
+ * A patch with changes: sections are merged, arrays (partials, effects) replaced as a whole and
+ * effects completed with their default parameters. Returns a copy that still has to pass patchErrors()
+ */
+export function mergePatch(base: SynthPatch, changes: PatchChanges | unknown): SynthPatch {
+	const merge = (target: Record<string, any>, source: Record<string, any>): Record<string, any> => {
+		const merged = { ...target };
+		Object.keys(source).forEach((key) => {
+			merged[key] = isSection(source[key]) && isSection(target[key]) ? merge(target[key], source[key]) : source[key];
+		});
+		return merged;
+	};
+	const patch = JSON.parse(JSON.stringify(merge(base, isSection(changes) ? changes : {})));
+	if (Array.isArray(patch.effects)) {
+		patch.effects = patch.effects.map((effect: unknown) =>
+			isSection(effect) && EFFECT_TYPES.includes(effect.type)
+				? { type: effect.type, enabled: true, ...effectDefaults(effect.type), ...effect }
+				: effect
+		);
+	}
+	return patch;
+}
+
+// Field checks of patches and the master bus; errors collect with paths below root
+function patchChecks(root: string) {
+	const errors: ProjectIssue[] = [];
+	const fail = (path: string, message: string) => errors.push({ path: [root, path].filter(Boolean).join('.'), message });
+	const expect = (valid: boolean, path: string, expected: string, value: unknown): boolean => {
+		if (!valid) {
+			fail(path, `must be ${expected}, got ${describeValue(value)}`);
+		}
+		return valid;
+	};
+	const number = (path: string, value: unknown, [min, max]: readonly [number, number]) =>
+		expect(typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max, path, `a number between ${min} and ${max}`, value);
+	const flag = (path: string, value: unknown) => expect(typeof value === 'boolean', path, 'true or false', value);
+	const oneOf = (path: string, value: unknown, options: readonly unknown[]) =>
+		expect(options.includes(value), path, `one of ${options.map((option) => JSON.stringify(option)).join(', ')}`, value);
+	// A section with known fields: an unknown field is most likely a typo
+	const section = (path: string, value: unknown, keys: string[]): value is Record<string, any> => {
+		if (!expect(isSection(value), path, 'an object', value)) {
+			return false;
+		}
+		Object.keys(value as object)
+			.filter((key) => !keys.includes(key))
+			.forEach((key) => fail(path ? `${path}.${key}` : key, 'is not a patch setting'));
+		return true;
+	};
+	const envelope = (path: string, value: unknown) => {
+		if (section(path, value, Object.keys(ENVELOPE_RANGES))) {
+			Object.entries(ENVELOPE_RANGES).forEach(([key, range]) => number(`${path}.${key}`, value[key], range));
+		}
+	};
+	return { errors, expect, number, flag, oneOf, section, envelope };
+}
+
+/**
+ * Check a patch with all its sections (after mergePatch()); root is its path in a document, e.g. 'patch'
+ */
+export function patchErrors(patch: unknown, root = ''): ProjectIssue[] {
+	const { errors, expect, number, flag, oneOf, section, envelope } = patchChecks(root);
+	if (!section('', patch, Object.keys(PATCH_DEFAULTS))) {
+		return errors;
+	}
+
+	const { oscillator, filter, effects } = patch;
+	if (section('oscillator', oscillator, ['type', 'partials'])) {
+		oneOf('oscillator.type', oscillator.type, OSCILLATOR_TYPES);
+		const partials = oscillator.partials;
+		if (
+			expect(
+				Array.isArray(partials) && partials.length <= MAX_PARTIALS &&
+					partials.every((amplitude: unknown) => typeof amplitude === 'number' && amplitude >= 0 && amplitude <= 1),
+				'oscillator.partials',
+				`up to ${MAX_PARTIALS} amplitudes between 0 and 1`,
+				partials
+			) &&
+			oscillator.type === 'custom'
+		) {
+			expect(partials.some((amplitude: number) => amplitude > 0), 'oscillator.partials', 'at least one audible partial for a custom oscillator', partials);
+		}
+	}
+	envelope('envelope', patch.envelope);
+
+	if (section('filter', filter, ['enabled', 'type', 'frequency', 'Q', 'envelopeAmount', 'envelope'])) {
+		flag('filter.enabled', filter.enabled);
+		oneOf('filter.type', filter.type, FILTER_TYPES);
+		(['frequency', 'Q', 'envelopeAmount'] as const).forEach((key) => number(`filter.${key}`, filter[key], PATCH_RANGES[key]));
+		envelope('filter.envelope', filter.envelope);
+	}
+	([['fm', ['harmonicity', 'modulationIndex']], ['am', ['harmonicity']]] as const).forEach(([name, keys]) => {
+		const modulation = patch[name];
+		if (section(name, modulation, [...keys, 'modulationType', 'modulationEnvelope'])) {
+			keys.forEach((key) => number(`${name}.${key}`, modulation[key], PATCH_RANGES[key]));
+			oneOf(`${name}.modulationType`, modulation.modulationType, MODULATION_TYPES);
+			envelope(`${name}.modulationEnvelope`, modulation.modulationEnvelope);
+		}
+	});
+
+	if (expect(Array.isArray(effects) && effects.length <= MAX_INSERT_EFFECTS, 'effects', `a list of at most ${MAX_INSERT_EFFECTS} effects`, effects)) {
+		effects.forEach((effect: unknown, index: number) => {
+			const path = `effects[${index}]`;
+			if (!expect(isSection(effect), path, 'an object', effect) || !oneOf(`${path}.type`, (effect as InsertEffect).type, EFFECT_TYPES)) {
+				return;
+			}
+			const parameters = EFFECT_PARAMETERS[(effect as InsertEffect).type];
+			section(path, effect, ['type', 'enabled', ...Object.keys(parameters)]);
+			flag(`${path}.enabled`, (effect as InsertEffect).enabled);
+			Object.entries(parameters).forEach(([key, [, min, max]]) => number(`${path}.${key}`, (effect as InsertEffect)[key], [min, max]));
+		});
+	}
+	return errors;
+}
+
+/**
+ * Check master bus settings { volume, limiter }
+ */
+export function masterBusErrors(bus: unknown, root = ''): ProjectIssue[] {
+	const { errors, number, flag, section } = patchChecks(root);
+	if (section('', bus, Object.keys(MASTER_BUS_DEFAULTS))) {
+		number('volume', bus.volume, MASTER_VOLUME_RANGE);
+		flag('limiter', bus.limiter);
+	}
+	return errors;
+}
+
+/**
+ * Read a preset file of exportPatchPreset() (the object or its JSON); the patch is completed with defaults
+ */
+export function readPatchPreset(input: unknown): { name: string | null; patch: SynthPatch | null; errors: ProjectIssue[] } {
+	let document = input;
+	if (typeof input === 'string') {
+		try {
+			document = JSON.parse(input);
+		} catch (error) {
+			return { name: null, patch: null, errors: [{ path: '', message: `is not valid JSON (${(error as Error).message})` }] };
+		}
+	}
+	if (!isSection(document) || document.format !== PATCH_FORMAT) {
+		const value = isSection(document) ? document.format : document;
+		return { name: null, patch: null, errors: [{ path: 'format', message: `must be "${PATCH_FORMAT}", got ${describeValue(value)}` }] };
+	}
+
+	const errors: ProjectIssue[] = [];
+	if (!Number.isInteger(document.version) || document.version < 1) {
+		errors.push({ path: 'version', message: `must be a positive integer, got ${describeValue(document.version)}` });
+	} else if (document.version > PATCH_VERSION) {
+		errors.push({ path: 'version', message: `${document.version} is newer than the supported version ${PATCH_VERSION}` });
+	}
+	if (typeof document.name !== 'string' || document.name.trim() === '') {
+		errors.push({ path: 'name', message: `must be a non-empty string, got ${describeValue(document.name)}` });
+	}
+	const patch = isSection(document.patch) ? mergePatch(PATCH_DEFAULTS, document.patch) : document.patch;
+	errors.push(...patchErrors(patch, 'patch'));
+	return { name: typeof document.name === 'string' ? document.name.trim() : null, patch: errors.length ? null : patch, errors };
+}
+
+/**
+ * Tone.js voice class and options of a synth type under a patch. Without the filter the default
+ * synth is a Tone.Synth; with it a Tone.MonoSynth, whose filter envelope runs in every voice
+ */
+export function synthVoice(patch: SynthPatch, synthType: Exclude<SynthType, 'sampler'>): { voice: any; options: Record<string, unknown> } {
+	const Tone = getAudioEngine();
+	const oscillator = patch.oscillator.type === 'custom'
+		? { type: 'custom', partials: [...patch.oscillator.partials] }
+		: { type: patch.oscillator.type };
+	const envelope = { ...patch.envelope };
+	const modulation = ({ harmonicity, modulationType, modulationEnvelope }: SynthPatch['am']) => ({
+		harmonicity,
+		modulation: { type: modulationType },
+		modulationEnvelope: { ...modulationEnvelope }
+	});
+
+	switch (synthType) {
+		case 'fm':
+			return { voice: Tone.FMSynth, options: { oscillator, envelope, ...modulation(patch.fm), modulationIndex: patch.fm.modulationIndex } };
+		case 'am':
+			return { voice: Tone.AMSynth, options: { oscillator, envelope, ...modulation(patch.am) } };
+		case 'membrane':
+			return { voice: Tone.MembraneSynth, options: { oscillator, envelope, pitchDecay: 0.05, octaves: 10 } };
+		default: {
+			const { enabled, type, frequency, Q, envelopeAmount } = patch.filter;
+			if (!enabled) {
+				return { voice: Tone.Synth, options: { oscillator, envelope } };
+			}
+			return {
+				voice: Tone.MonoSynth,
+				options: {
+					oscillator,
+					envelope,
+					filter: { type, Q, rolloff: -24 },
+					filterEnvelope: { ...patch.filter.envelope, baseFrequency: frequency, octaves: envelopeAmount }
+				}
+			};
+		}
+	}
+}
+
+// Parameters of an effect for its node, without type and enabled
+function effectOptions(effect: InsertEffect): Record<string, unknown> {
+	return Object.fromEntries(Object.keys(EFFECT_PARAMETERS[effect.type]).map((key) => [key, effect[key]]));
+}
+
+function createEffect(effect: InsertEffect): any {
+	const Tone = getAudioEngine();
+	const options = effectOptions(effect);
+	switch (effect.type) {
+		case 'reverb':
+			return new Tone.Reverb(options);
+		case 'delay':
+			return new Tone.FeedbackDelay(options);
+		case 'chorus':
+			return new Tone.Chorus(options).start();
+		case 'eq':
+			return new Tone.EQ3(options);
+		default: // 'compressor'
+			return new Tone.Compressor(options);
+	}
+}
+
+/**
+ * The master bus: an input for the synths and track channels, the enabled insert effects of the
+ * patch in order, volume and limiter, then the output. Parameters change on the fly; the chain is
+ * only rebuilt when the effects or their order change
+ */
+export class MasterBus {
+	public input: any;
+	private volume: any;
+	private limiter: any | null = null;
+	private effects: { type: EffectType; node: any }[] = [];
+
+	constructor(effects: InsertEffect[], settings: MasterBusSettings) {
+		const Tone = getAudioEngine();
+		this.input = new Tone.Gain(1);
+		this.volume = new Tone.Volume(settings.volume);
+		this.setEffects(effects);
+		this.setMaster(settings);
+		this._connect();
+	}
+
+	// Resolves when the effects are ready: the reverb computes its impulse response asynchronously
+	get ready(): Promise<unknown> {
+		return Promise.all(this.effects.map((effect) => effect.node.ready).filter(Boolean));
+	}
+
+	setEffects(effects: InsertEffect[]): this {
+		const active = effects.filter((effect) => effect.enabled);
+		const sameChain = active.length === this.effects.length && active.every((effect, index) => effect.type === this.effects[index].type);
+		if (sameChain) {
+			active.forEach((effect, index) => this.effects[index].node.set(effectOptions(effect)));
+			return this;
+		}
+		this.effects.forEach((effect) => effect.node.dispose());
+		this.effects = active.map((effect) => ({ type: effect.type, node: createEffect(effect) }));
+		this._connect();
+		return this;
+	}
+
+	setMaster(settings: MasterBusSettings): this {
+		this.volume.volume.value = settings.volume;
+		if (settings.limiter !== !!this.limiter) {
+			if (this.limiter) {
+				this.limiter.dispose();
+				this.limiter = null;
+			} else {
+				this.limiter = new (getAudioEngine().Limiter)(MASTER_LIMITER_THRESHOLD);
+			}
+			this._connect();
+		}
+		return this;
+	}
+
+	private _connect(): void {
+		const chain = [this.input, ...this.effects.map((effect) => effect.node), this.volume, ...(this.limiter ? [this.limiter] : [])];
+		chain.forEach((node) => node.disconnect());
+		chain.forEach((node, index) => {
+			if (index < chain.length - 1) {
+				node.connect(chain[index + 1]);
+			} else {
+				node.toDestination();
+			}
+		});
+	}
+
+	dispose(): this {
+		[this.input, ...this.effects.map((effect) => effect.node), this.volume, this.limiter].forEach((node) => node?.dispose());
+		this.effects = [];
+		return this;
+	}
+}
@@ -0,0 +1,106 @@
+import { describe, expect, it } from 'vitest';
+import { PianoRollCore, ProjectFormatError, PROJECT_FORMAT, PROJECT_VERSION, setAudioEngine } from '../index.js';
+
+function session(): PianoRollCore {
+	const core = new PianoRollCore({ useSynth: false, tuningSystem: 'natural', referenceFrequency: 432 });
+	core.loadMidiJson({
+		tracks: [
+			{ name: 'Lead', notes: [{ midi: 64, time: 0, duration: 1, velocity: 0.5 }] },
+			{ name: 'Bass', channel: 1, notes: [{ midi: 40, time: 0.5, duration: 2, velocity: 0.9 }] }
+		]
+	});
+	core.registerGeneratedTuning('19-EDO', { type: 'edo', divisions: 19 });
+	core.updateTrack(1, { volume: -6, tuningSystem: '19-EDO' });
+	return core;
+}
+
+describe('exportProject and importProject', () => {
+	it('round-trip notes, tunings, tracks and settings', () => {
+		const document = JSON.parse(JSON.stringify(session().exportProject({ name: 'Demo' })));
+		expect(document).toMatchObject({ format: PROJECT_FORMAT, version: PROJECT_VERSION, name: 'Demo' });
+
+		const restored = new PianoRollCore({ useSynth: false });
+		restored.importProject(document);
+		expect(restored.options.tuningSystem).toBe('natural');
+		expect(restored.options.referenceFrequency).toBe(432);
+		expect(restored.getTracks().map(track => [track.name, track.volume, track.tuningSystem]))
+			.toEqual([['Lead', 0, null], ['Bass', -6, '19-EDO']]);
+		expect(restored.getNotes().map(note => [note.midi, note.time, note.trackIndex])).toEqual([[64, 0, 0], [40, 0.5, 1]]);
+		expect(restored.getNotes()[0].frequency).toBeCloseTo(session().getNotes()[0].frequency as number, 9);
+	});
+
+	it('throw a ProjectFormatError listing every problem and keep the session', () => {
+		const core = session();
+		const document = core.exportProject();
+		document.tracks[0].notes[0].velocity = 2;
+		document.settings = { ...document.settings, snapPolicy: 'sideways' as 'up' };
+		try {
+			core.importProject(document);
+			expect.unreachable();
+		} catch (error) {
+			expect(error).toBeInstanceOf(ProjectFormatError);
+			expect((error as ProjectFormatError).errors.map(issue => issue.path))
+				.toEqual(['settings.snapPolicy', 'tracks[0].notes[0].velocity']);
+		}
+		expect(core.getNotes()).toHaveLength(2);
+	});
+
+	it('dispose the synth of a session when the project turns it off', () => {
+		class FakeNode {
+			volume = { value: 0 };
+			disposed = false;
+			connect() { return this; }
+			disconnect() { return this; }
+			toDestination() { return this; }
+			set() { return this; }
+			dispose() { this.disposed = true; }
+		}
+		const Transport = { bpm: { value: 120 }, stop() {}, cancel() {}, clear() {}, off() {} };
+		setAudioEngine({ Gain: FakeNode, Volume: FakeNode, Limiter: FakeNode, PolySynth: FakeNode, Transport });
+		try {
+			const core = new PianoRollCore();
+			const synth = core.synth as FakeNode;
+			expect(synth).toBeInstanceOf(FakeNode);
+
+			const document = session().exportProject();
+			document.settings = { ...document.settings, useSynth: false };
+			core.importProject(document);
+			expect(synth.disposed).toBe(true);
+			expect(core.synth).toBeNull();
+			expect(core.options.useSynth).toBe(false);
+		} finally {
+			setAudioEngine(null);
+		}
+	});
+});
+
+describe('project settings', () => {
+	it('accept only reference notes with a MIDI number', () => {
+		const document = session().exportProject();
+		expect(PianoRollCore.validateProject({ ...document, settings: { ...document.settings, referenceNote: 'Bb3' } })).toEqual([]);
+		['H4', 'A'].forEach(referenceNote => {
+			expect(PianoRollCore.validateProject({ ...document, settings: { ...document.settings, referenceNote } }).map(issue => issue.path))
+				.toEqual(['settings.referenceNote']);
+		});
+	});
+});
+
+describe('validateProject', () => {
+	it('migrates the note list of toJSON()', () => {
+		const notes = JSON.parse(session().toJSON());
+		expect(PianoRollCore.validateProject(notes)).toEqual([]);
+		expect(PianoRollCore.validateProject(JSON.stringify({ options: { tuningSystem: 'natural' }, notes }))).toEqual([]);
+	});
+
+	it('reports documents it cannot open', () => {
+		expect(PianoRollCore.validateProject('{')[0].message).toMatch(/not valid JSON/);
+		expect(PianoRollCore.validateProject(JSON.stringify({ format: 'other', version: 1, tracks: [] }))[0].path).toBe('format');
+		expect(PianoRollCore.validateProject({ format: PROJECT_FORMAT, version: PROJECT_VERSION + 1, tracks: [] })[0].path)
+			.toBe('version');
+		expect(PianoRollCore.validateProject({ format: PROJECT_FORMAT, version: 0, tracks: [] })).toEqual([
+			{ path: 'version', message: 'must be a positive integer, got 0' }
+		]);
+		expect(() => new PianoRollCore({ useSynth: false }).importProject({ format: PROJECT_FORMAT, version: 0, tracks: [] }))
+			.toThrow(ProjectFormatError);
+	});
+});
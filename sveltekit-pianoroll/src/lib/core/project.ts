@@ -0,0 +1,467 @@
+// Project documents: versioned session files, their migrations and schema validation
+import * as Tonal from 'tonal';
+import type { NoteTransforms, PianoRollOptions, ProjectDocument, ProjectIssue, TransformChanges } from '../types/index.js';
+import { BUILTIN_TUNING_SYSTEMS, generateTuningScale } from './tuningGenerators.js';
+import { SYNTH_TYPES, TRACK_VOLUME_RANGE } from './tracks.js';
+import { ScalaParseError, scalaKeyFrequencies } from './scala.js';
+import { SNAP_POLICIES } from './snapping.js';
+import { METRONOME_SUBDIVISIONS, METRONOME_VOLUME_RANGE, MAX_COUNT_IN_BARS } from './metronome.js';
+import { TRANSFORM_DEFAULTS, transformsError } from './noteTransforms.js';
+import { subdivisionSeconds } from './noteEditing.js';
+import { KEY_SCALES, isKeySignature } from './spelling.js';
+import { MASTER_BUS_DEFAULTS, PATCH_DEFAULTS, masterBusErrors, mergePatch, patchErrors } from './patch.js';
+
+export const PROJECT_FORMAT = 'pianoroll-project';
+export const PROJECT_VERSION = 1;
+
+// Core options saved in a project
+export const PROJECT_SETTINGS = [
+	'tuningSystem',
+	'useSynth',
+	'synthType',
+	'referenceFrequency',
+	'referenceNote',
+	'tonic',
+	'adaptiveMaxDrift',
+	'snapPolicy'
+] as const satisfies readonly (keyof PianoRollOptions)[];
+
+const PROJECT_TUNING_TYPES = ['scala', 'generated', 'mode'];
+
+/**
+ * Error thrown when a project document cannot be opened.
+ * Every problem found is listed in `errors` with the path of its field.
+ */
+export class ProjectFormatError extends Error {
+	public errors: ProjectIssue[];
+
+	constructor(errors: ProjectIssue[]) {
+		const details = errors.map((error) => `  ${error.path || 'project'}: ${error.message}`).join('\n');
+		super(`Invalid project:\n${details}`);
+		this.name = 'ProjectFormatError';
+		this.errors = errors;
+	}
+}
+
+// A field value for an error message: JSON, long values cut short
+function describeValue(value: unknown): string {
+	if (value === undefined) {
+		return 'nothing';
+	}
+	const json = JSON.stringify(value) || String(value);
+	return json.length > 40 ? `${json.slice(0, 37)}...` : json;
+}
+
+function isRecord(value: unknown): value is Record<string, any> {
+	return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Migrations by version, each lifting a document to the next version. Version 0 is a note list
+ * without a project: the getNotes() array of toJSON(), or { options, notes } as toJSON() of the
+ * SvelteKit app wrote it before; the notes are spread over tracks by their trackIndex
+ */
+const PROJECT_MIGRATIONS: Record<number, (document: any) => any> = {
+	0: (legacy) => {
+		const notes: unknown[] = Array.isArray(legacy) ? legacy : legacy.notes;
+		const trackOf = (note: any) => (Number.isInteger(note?.trackIndex) && note.trackIndex >= 0 ? note.trackIndex : 0);
+		const trackCount = notes.reduce((count: number, note) => Math.max(count, trackOf(note) + 1), 1);
+		const tracks = Array.from({ length: trackCount }, (_, index) => ({ name: `Track ${index + 1}`, notes: [] as unknown[] }));
+		notes.forEach((note: any) => {
+			tracks[trackOf(note)].notes.push(isRecord(note)
+				? { id: note.id, name: note.name, midi: note.midi, time: note.time, duration: note.duration, velocity: note.velocity }
+				: note);
+		});
+
+		const options: Record<string, unknown> = (!Array.isArray(legacy) && legacy.options) || {};
+		const settings = Object.fromEntries(PROJECT_SETTINGS
+			.filter((key) => options[key] !== undefined)
+			.map((key) => [key, options[key]]));
+		return { format: PROJECT_FORMAT, version: 1, settings, tracks };
+	}
+};
+
+/**
+ * Bring a document of any supported version up to the current one
+ */
+function migrateProject(document: unknown): { project: any; errors: ProjectIssue[] } {
+	const legacy = Array.isArray(document) || (isRecord(document) && document.format === undefined && Array.isArray(document.notes));
+	if (!legacy && !isRecord(document)) {
+		return { project: null, errors: [{ path: '', message: `must be a project object, got ${describeValue(document)}` }] };
+	}
+	if (!legacy && document.format !== PROJECT_FORMAT) {
+		return { project: null, errors: [{ path: 'format', message: `must be "${PROJECT_FORMAT}", got ${describeValue(document.format)}` }] };
+	}
+
+	// Version 0 is the bare note list of toJSON(), which has no format field
+	let version = legacy ? 0 : (document as Record<string, any>).version;
+	if (!legacy && (!Number.isInteger(version) || version < 1)) {
+		return { project: null, errors: [{ path: 'version', message: `must be a positive integer, got ${describeValue(version)}` }] };
+	}
+	if (version > PROJECT_VERSION) {
+		return { project: null, errors: [{ path: 'version', message: `${version} is newer than the supported version ${PROJECT_VERSION}` }] };
+	}
+
+	let project: any = document;
+	for (; version < PROJECT_VERSION; version++) {
+		project = PROJECT_MIGRATIONS[version](project);
+	}
+	return { project, errors: [] };
+}
+
+/**
+ * Check a document of the current version. Optional sections and fields may be left out,
+ * importProject() fills in their defaults
+ */
+function projectErrors(project: any): ProjectIssue[] {
+	const errors: ProjectIssue[] = [];
+	const fail = (path: string, message: string) => errors.push({ path, message });
+	// Checks return their result, so nested fields are only checked on valid values
+	const expect = (valid: boolean, path: string, expected: string, value: unknown): boolean => {
+		if (!valid) {
+			fail(path, `must be ${expected}, got ${describeValue(value)}`);
+		}
+		return valid;
+	};
+	const range = (min: number, max: number) =>
+		Number.isFinite(max) ? ` between ${min} and ${max}` : Number.isFinite(min) ? ` of at least ${min}` : '';
+	const object = (path: string, value: unknown) => expect(isRecord(value), path, 'an object', value);
+	const list = (path: string, value: unknown) => expect(Array.isArray(value), path, 'an array', value);
+	const number = (path: string, value: unknown, min = -Infinity, max = Infinity) =>
+		expect(typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max, path, `a number${range(min, max)}`, value);
+	const integer = (path: string, value: unknown, min = -Infinity, max = Infinity) =>
+		expect(Number.isInteger(value) && (value as number) >= min && (value as number) <= max, path, `an integer${range(min, max)}`, value);
+	const positive = (path: string, value: unknown) =>
+		expect(typeof value === 'number' && Number.isFinite(value) && value > 0, path, 'a positive number', value);
+	const flag = (path: string, value: unknown) => expect(typeof value === 'boolean', path, 'true or false', value);
+	const text = (path: string, value: unknown) => expect(typeof value === 'string' && value.trim() !== '', path, 'a non-empty string', value);
+	const oneOf = (path: string, value: unknown, options: readonly unknown[]) =>
+		expect(options.includes(value), path, `one of ${options.map((option) => JSON.stringify(option)).join(', ')}`, value);
+
+	if (!object('', project)) {
+		return errors;
+	}
+	if (project.name !== undefined) {
+		expect(typeof project.name === 'string', 'name', 'a string', project.name);
+	}
+
+	const tuningNames = new Set<string>(BUILTIN_TUNING_SYSTEMS);
+	if (project.tunings !== undefined && list('tunings', project.tunings)) {
+		project.tunings.forEach((tuning: any, index: number) => {
+			const path = `tunings[${index}]`;
+			if (!object(path, tuning)) {
+				return;
+			}
+			if (text(`${path}.name`, tuning.name)) {
+				if (tuningNames.has(tuning.name)) {
+					fail(`${path}.name`, BUILTIN_TUNING_SYSTEMS.includes(tuning.name)
+						? `"${tuning.name}" is a built-in tuning system`
+						: `"${tuning.name}" is already used by another tuning`);
+				}
+				tuningNames.add(tuning.name);
+			}
+			if (!oneOf(`${path}.type`, tuning.type, PROJECT_TUNING_TYPES)) {
+				return;
+			}
+
+			if (tuning.type !== 'scala') {
+				if (object(`${path}.definition`, tuning.definition)) {
+					try {
+						if ((tuning.definition.type === 'mode') !== (tuning.type === 'mode')) {
+							throw new TypeError(`${tuning.type} tuning cannot have a definition of type ${describeValue(tuning.definition.type)}`);
+						}
+						generateTuningScale(tuning.definition);
+					} catch (error) {
+						fail(`${path}.definition`, (error as Error).message);
+					}
+				}
+				return;
+			}
+
+			const scale = tuning.scale;
+			const errorCount = errors.length;
+			if (object(`${path}.scale`, scale)) {
+				expect(typeof scale.description === 'string', `${path}.scale.description`, 'a string', scale.description);
+				if (integer(`${path}.scale.size`, scale.size, 1) && list(`${path}.scale.cents`, scale.cents)) {
+					expect(scale.cents.length === scale.size && scale.cents.every(Number.isFinite),
+						`${path}.scale.cents`, `${scale.size} numbers (one per degree)`, scale.cents);
+				}
+			}
+			const mapping = tuning.keyboardMapping;
+			if (mapping !== undefined && mapping !== null && object(`${path}.keyboardMapping`, mapping)) {
+				const field = (key: string) => `${path}.keyboardMapping.${key}`;
+				['firstNote', 'lastNote', 'middleNote', 'referenceNote'].forEach((key) => integer(field(key), mapping[key], 0, 127));
+				positive(field('referenceFrequency'), mapping.referenceFrequency);
+				integer(field('octaveDegree'), mapping.octaveDegree, 0);
+				if (mapping.firstNote > mapping.lastNote) {
+					fail(field('lastNote'), `must not be lower than firstNote (${mapping.firstNote})`);
+				}
+				if (integer(field('size'), mapping.size, 0) && list(field('mapping'), mapping.mapping)) {
+					expect(mapping.mapping.length === mapping.size &&
+						mapping.mapping.every((degree: unknown) => degree === null || (Number.isInteger(degree) && (degree as number) >= 0)),
+					field('mapping'), `${mapping.size} scale degrees or null (unmapped keys)`, mapping.mapping);
+				}
+				// The mapping has to put the reference note on a scale degree
+				if (errors.length === errorCount) {
+					try {
+						scalaKeyFrequencies(scale, mapping);
+					} catch (error) {
+						const issues = (error as ScalaParseError).errors;
+						fail(`${path}.keyboardMapping`, issues ? issues[0].message : (error as Error).message);
+					}
+				}
+			}
+		});
+	}
+	const tuning = (path: string, value: unknown) =>
+		expect(tuningNames.has(value as string), path, 'a built-in tuning system or one of the project tunings', value);
+
+	const settings = project.settings;
+	if (settings !== undefined && object('settings', settings)) {
+		const field = (key: string) => `settings.${key}`;
+		if (settings.tuningSystem !== undefined) {
+			tuning(field('tuningSystem'), settings.tuningSystem);
+		}
+		if (settings.useSynth !== undefined) {
+			flag(field('useSynth'), settings.useSynth);
+		}
+		if (settings.synthType !== undefined) {
+			oneOf(field('synthType'), settings.synthType, SYNTH_TYPES);
+		}
+		if (settings.referenceFrequency !== undefined) {
+			positive(field('referenceFrequency'), settings.referenceFrequency);
+		}
+		if (settings.referenceNote !== undefined) {
+			expect(typeof settings.referenceNote === 'string' && Number.isInteger(Tonal.Note.midi(settings.referenceNote)),
+				field('referenceNote'), 'a note name like "A4"', settings.referenceNote);
+		}
+		if (settings.tonic !== undefined) {
+			expect(typeof settings.tonic === 'string' && Number.isFinite(Tonal.Note.chroma(settings.tonic)),
+				field('tonic'), 'a pitch class like "C" or "Bb"', settings.tonic);
+		}
+		// null = no drift limit (Infinity has no JSON form)
+		if (settings.adaptiveMaxDrift !== undefined && settings.adaptiveMaxDrift !== null) {
+			number(field('adaptiveMaxDrift'), settings.adaptiveMaxDrift, 0);
+		}
+		if (settings.snapPolicy !== undefined) {
+			oneOf(field('snapPolicy'), settings.snapPolicy, SNAP_POLICIES);
+		}
+	}
+
+	const noteIds = new Set<number>();
+	if (list('tracks', project.tracks)) {
+		project.tracks.forEach((track: any, index: number) => {
+			const path = `tracks[${index}]`;
+			if (!object(path, track)) {
+				return;
+			}
+			const field = (key: string) => `${path}.${key}`;
+			text(field('name'), track.name);
+			if (track.channel !== undefined) {
+				integer(field('channel'), track.channel, 0, 15);
+			}
+			if (track.synthType !== undefined && track.synthType !== null) {
+				oneOf(field('synthType'), track.synthType, SYNTH_TYPES);
+			}
+			if (track.volume !== undefined) {
+				number(field('volume'), track.volume, TRACK_VOLUME_RANGE[0], TRACK_VOLUME_RANGE[1]);
+			}
+			if (track.pan !== undefined) {
+				number(field('pan'), track.pan, -1, 1);
+			}
+			for (const key of ['mute', 'solo']) {
+				if (track[key] !== undefined) {
+					flag(field(key), track[key]);
+				}
+			}
+			if (track.tuningSystem !== undefined && track.tuningSystem !== null) {
+				tuning(field('tuningSystem'), track.tuningSystem);
+			}
+
+			if (list(field('notes'), track.notes)) {
+				track.notes.forEach((note: any, noteIndex: number) => {
+					const notePath = `${path}.notes[${noteIndex}]`;
+					if (!object(notePath, note)) {
+						return;
+					}
+					if (note.id !== undefined && integer(`${notePath}.id`, note.id, 1)) {
+						if (noteIds.has(note.id)) {
+							fail(`${notePath}.id`, `${note.id} is already used by another note`);
+						}
+						noteIds.add(note.id);
+					}
+					const validMidi = integer(`${notePath}.midi`, note.midi, 0, 127);
+					number(`${notePath}.time`, note.time, 0);
+					positive(`${notePath}.duration`, note.duration);
+					if (note.velocity !== undefined) {
+						number(`${notePath}.velocity`, note.velocity, 0, 1);
+					}
+					if (note.name !== undefined && validMidi) {
+						expect(typeof note.name === 'string' && Tonal.Note.midi(note.name) === note.midi,
+							`${notePath}.name`, `a spelling of MIDI note ${note.midi}`, note.name);
+					}
+					if (note.spelled !== undefined) {
+						flag(`${notePath}.spelled`, note.spelled);
+					}
+				});
+			}
+
+			if (track.controllers !== undefined && list(field('controllers'), track.controllers)) {
+				track.controllers.forEach((event: any, eventIndex: number) => {
+					const eventPath = `${path}.controllers[${eventIndex}]`;
+					if (!object(eventPath, event) || !oneOf(`${eventPath}.type`, event.type, ['controlChange', 'pitchBend'])) {
+						return;
+					}
+					number(`${eventPath}.time`, event.time, 0);
+					if (event.type === 'controlChange') {
+						integer(`${eventPath}.number`, event.number, 0, 127);
+						number(`${eventPath}.value`, event.value, 0, 1);
+					} else {
+						number(`${eventPath}.value`, event.value, -1, 1);
+					}
+				});
+			}
+		});
+	}
+
+	if (project.duration !== undefined) {
+		number('duration', project.duration, 0);
+	}
+
+	const tempoMap = project.tempoMap;
+	if (tempoMap !== undefined && object('tempoMap', tempoMap)) {
+		integer('tempoMap.ppq', tempoMap.ppq, 1);
+		if (list('tempoMap.tempos', tempoMap.tempos)) {
+			tempoMap.tempos.forEach((tempo: any, index: number) => {
+				const path = `tempoMap.tempos[${index}]`;
+				if (object(path, tempo)) {
+					integer(`${path}.ticks`, tempo.ticks, 0);
+					positive(`${path}.bpm`, tempo.bpm);
+				}
+			});
+		}
+		if (list('tempoMap.timeSignatures', tempoMap.timeSignatures)) {
+			tempoMap.timeSignatures.forEach((meter: any, index: number) => {
+				const path = `tempoMap.timeSignatures[${index}]`;
+				if (object(path, meter)) {
+					integer(`${path}.ticks`, meter.ticks, 0);
+					const [numerator, denominator] = Array.isArray(meter.timeSignature) ? meter.timeSignature : [];
+					expect(Array.isArray(meter.timeSignature) && meter.timeSignature.length === 2 &&
+						Number.isInteger(numerator) && numerator > 0 &&
+						Number.isInteger(denominator) && denominator > 0 && (denominator & (denominator - 1)) === 0,
+					`${path}.timeSignature`, 'a meter like [6, 8] with a power-of-two denominator', meter.timeSignature);
+				}
+			});
+		}
+		if (tempoMap.keySignatures !== undefined && list('tempoMap.keySignatures', tempoMap.keySignatures)) {
+			tempoMap.keySignatures.forEach((signature: any, index: number) => {
+				const path = `tempoMap.keySignatures[${index}]`;
+				if (object(path, signature)) {
+					integer(`${path}.ticks`, signature.ticks, 0);
+					expect(isKeySignature(signature.key, 'major'), `${path}.key`, 'a pitch class like "Eb"', signature.key);
+					oneOf(`${path}.scale`, signature.scale, KEY_SCALES);
+				}
+			});
+		}
+	}
+
+	const transport = project.transport;
+	if (transport !== undefined && object('transport', transport)) {
+		const field = (key: string) => `transport.${key}`;
+		if (transport.bpm !== undefined) {
+			number(field('bpm'), transport.bpm, 20, 300);
+		}
+		for (const key of ['positionSeconds', 'loopStartSeconds', 'loopEndSeconds']) {
+			if (transport[key] !== undefined) {
+				number(field(key), transport[key], 0);
+			}
+		}
+		if (typeof transport.loopStartSeconds === 'number' && typeof transport.loopEndSeconds === 'number' &&
+			transport.loopEndSeconds <= transport.loopStartSeconds) {
+			fail(field('loopEndSeconds'), `must be after loopStartSeconds (${transport.loopStartSeconds})`);
+		}
+		if (transport.isLooping !== undefined) {
+			flag(field('isLooping'), transport.isLooping);
+		}
+		if (transport.swing !== undefined) {
+			number(field('swing'), transport.swing, 0, 1);
+		}
+		if (transport.swingSubdivision !== undefined) {
+			try {
+				subdivisionSeconds(String(transport.swingSubdivision), 60);
+			} catch (error) {
+				fail(field('swingSubdivision'), (error as Error).message);
+			}
+		}
+	}
+
+	const metronome = project.metronome;
+	if (metronome !== undefined && object('metronome', metronome)) {
+		if (metronome.enabled !== undefined) {
+			flag('metronome.enabled', metronome.enabled);
+		}
+		if (metronome.subdivision !== undefined) {
+			oneOf('metronome.subdivision', metronome.subdivision, METRONOME_SUBDIVISIONS);
+		}
+		if (metronome.volume !== undefined) {
+			number('metronome.volume', metronome.volume, METRONOME_VOLUME_RANGE[0], METRONOME_VOLUME_RANGE[1]);
+		}
+		if (metronome.countIn !== undefined) {
+			integer('metronome.countIn', metronome.countIn, 0, MAX_COUNT_IN_BARS);
+		}
+	}
+
+	const transforms = project.transforms;
+	if (transforms !== undefined && object('transforms', transforms)) {
+		const sections = Object.keys(TRANSFORM_DEFAULTS).filter((key) => transforms[key] !== undefined);
+		const valid = sections.filter((key) => object(`transforms.${key}`, transforms[key]));
+		valid.forEach((key) => {
+			if (transforms[key].enabled !== undefined) {
+				flag(`transforms.${key}.enabled`, transforms[key].enabled);
+			}
+		});
+		const error = valid.length === sections.length && transformsError(projectTransforms(transforms));
+		if (error) {
+			fail('transforms', error);
+		}
+	}
+
+	// The patch and the bus may be partial: missing fields get their defaults
+	if (project.patch !== undefined) {
+		errors.push(...patchErrors(isRecord(project.patch) ? mergePatch(PATCH_DEFAULTS, project.patch) : project.patch, 'patch'));
+	}
+	if (project.masterBus !== undefined) {
+		errors.push(...masterBusErrors(isRecord(project.masterBus) ? { ...MASTER_BUS_DEFAULTS, ...project.masterBus } : project.masterBus, 'masterBus'));
+	}
+
+	return errors;
+}
+
+/**
+ * Performance transforms of a project completed with the defaults
+ */
+export function projectTransforms(transforms: TransformChanges = {}): Omit<NoteTransforms, 'swing'> {
+	return {
+		quantize: { ...TRANSFORM_DEFAULTS.quantize, ...transforms.quantize },
+		groove: { ...TRANSFORM_DEFAULTS.groove, ...transforms.groove },
+		humanize: { ...TRANSFORM_DEFAULTS.humanize, ...transforms.humanize }
+	};
+}
+
+/**
+ * Read a project document: parse the JSON, run the migrations and check the schema
+ * The project is only usable when errors is empty
+ */
+export function readProject(input: unknown): { project: ProjectDocument | null; errors: ProjectIssue[] } {
+	let document = input;
+	if (typeof input === 'string') {
+		try {
+			document = JSON.parse(input);
+		} catch (error) {
+			return { project: null, errors: [{ path: '', message: `is not valid JSON (${(error as Error).message})` }] };
+		}
+	}
+
+	const { project, errors } = migrateProject(document);
+	return { project, errors: errors.length ? errors : projectErrors(project) };
+}
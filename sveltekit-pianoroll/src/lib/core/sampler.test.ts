@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { PianoRollCore, SampleSetError, decodeWav, encodeWav, parseSfz } from '../index.js';
+import { samplerRootFrequency } from './sampler.js';
+
+const MAPPING = `// two zones
+<control> default_path=samples\\
+<group> lovel=1 hivel=127 ampeg_release=0.5
+<region> sample=low.wav lokey=0 hikey=59 pitch_keycenter=48
+<region> sample=high.wav lokey=60 hikey=127 pitch_keycenter=72 volume=-6
+`;
+
+function sine(frames: number): Float32Array {
+	return Float32Array.from({ length: frames }, (_, index) => Math.sin(index / 10));
+}
+
+describe('WAV', () => {
+	it('decodes what encodeWav() writes', () => {
+		const samples = sine(64);
+		const decoded = decodeWav(encodeWav([samples, samples], 22050, 24));
+		expect(decoded.sampleRate).toBe(22050);
+		expect(decoded.channels).toHaveLength(2);
+		expect(decoded.channels[1][10]).toBeCloseTo(samples[10], 5);
+		expect(decoded.loop).toBeNull();
+	});
+
+	it('rejects other files', () => {
+		expect(() => decodeWav(new TextEncoder().encode('OggS not a wave file'))).toThrow(SampleSetError);
+	});
+});
+
+describe('parseSfz', () => {
+	it('inherits opcodes from the headers above a region', () => {
+		const { regions } = parseSfz(MAPPING);
+		expect(regions.map(region => [region.sample, region.lokey, region.hikey, region.pitchKeycenter]))
+			.toEqual([['samples/low.wav', 0, 59, 48], ['samples/high.wav', 60, 127, 72]]);
+		expect(regions.map(region => region.release)).toEqual([0.5, 0.5]);
+		expect(regions[1].volume).toBe(-6);
+	});
+
+	it('plays a region with positive tune above its sample', () => {
+		const [region] = parseSfz('<region> sample=a.wav pitch_keycenter=69 tune=10\n').regions;
+		expect(region.tune).toBe(10);
+		expect(samplerRootFrequency(region)).toBeCloseTo(440 * Math.pow(2, -10 / 1200), 9);
+	});
+
+	it('lists every invalid opcode with its line', () => {
+		try {
+			parseSfz('<region> sample=a.wav lokey=300\n<region> sample=b.wav pitch_keycenter=x\n');
+			expect.unreachable();
+		} catch (error) {
+			expect(error).toBeInstanceOf(SampleSetError);
+			expect((error as SampleSetError).errors.map(issue => issue.line)).toEqual([1, 2]);
+		}
+	});
+});
+
+describe('loadSampler', () => {
+	const samples = {
+		'samples/low.wav': encodeWav([sine(256)], 44100),
+		'high.wav': encodeWav([sine(256)], 44100)
+	};
+
+	it('loads an SFZ set and stretches samples to the tuned frequency', async () => {
+		const core = new PianoRollCore({ useSynth: false, tuningSystem: 'natural' });
+		const info = await core.loadSampler({ sfz: MAPPING, samples, name: 'Test' });
+		expect(info).toEqual({ name: 'Test', regions: 2, samples: 2, keyRange: [0, 127] });
+
+		const e4 = core.noteToFrequency('E4') as number;
+		const [voice] = core.getSamplerVoices(e4);
+		expect(voice.sample).toBe('samples/high.wav');
+		expect(voice.playbackRate * 440 * Math.pow(2, 3 / 12)).toBeCloseTo(e4, 9);
+		expect(voice.gain).toBeCloseTo(0.8 * Math.pow(10, -6 / 20), 12);
+	});
+
+	it('reports samples that are missing', async () => {
+		const core = new PianoRollCore({ useSynth: false });
+		await expect(core.loadSampler({ sfz: MAPPING, samples: { 'low.wav': samples['high.wav'] } })).rejects.toThrow(SampleSetError);
+		expect(core.getSampler()).toBeNull();
+		expect(core.getSamplerVoices(440)).toEqual([]);
+	});
+});
@@ -0,0 +1,804 @@
+// Sampler: multisample sets from SFZ mappings or SoundFont 2 files, played at the exact tuned frequency
+import * as Tonal from 'tonal';
+import type {
+	DecodedSample,
+	SampleFile,
+	SampleSet,
+	SampleSetIssue,
+	SamplerLoopMode,
+	SamplerRegion,
+	SoundFontPreset
+} from '../types/index.js';
+import { getAudioEngine } from './audio.js';
+import { frequencyToMidi } from './midiOutput.js';
+
+export const SAMPLER_LOOP_MODES: SamplerLoopMode[] = ['no_loop', 'one_shot', 'loop_continuous', 'loop_sustain'];
+
+// Attack and release (seconds) of a region that sets none: short, so notes do not click
+export const SAMPLER_ENVELOPE_DEFAULTS = { attack: 0.002, release: 0.1 };
+
+// SoundFont 2 generators read by parseSoundFont()
+const SF2_GENERATORS = {
+	startAddrsOffset: 0,
+	startloopAddrsOffset: 2,
+	endloopAddrsOffset: 3,
+	startAddrsCoarseOffset: 4,
+	pan: 17,
+	attackVolEnv: 34,
+	releaseVolEnv: 38,
+	instrument: 41,
+	keyRange: 43,
+	velRange: 44,
+	startloopAddrsCoarseOffset: 45,
+	initialAttenuation: 48,
+	endloopAddrsCoarseOffset: 50,
+	coarseTune: 51,
+	fineTune: 52,
+	sampleID: 53,
+	sampleModes: 54,
+	overridingRootKey: 58
+};
+
+/**
+ * Error thrown when a sample set (SFZ, SoundFont 2, WAV) cannot be read.
+ * Every problem found is listed in `errors`; SFZ problems carry their line number.
+ */
+export class SampleSetError extends Error {
+	public fileType: '.sfz' | '.sf2' | '.wav';
+	public errors: SampleSetIssue[];
+
+	constructor(fileType: '.sfz' | '.sf2' | '.wav', errors: SampleSetIssue[]) {
+		const details = errors.map(error => (error.line ? `  line ${error.line}: ${error.message}` : `  ${error.message}`)).join('\n');
+		super(`Invalid ${fileType} file:\n${details}`);
+		this.name = 'SampleSetError';
+		this.fileType = fileType;
+		this.errors = errors;
+	}
+}
+
+interface RiffChunk {
+	id: string;
+	offset: number; // start of the chunk data
+	size: number;
+}
+
+function riffId(view: DataView, offset: number): string {
+	return String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+}
+
+/**
+ * RIFF chunks between start and end; chunk data is padded to an even size
+ */
+function riffChunks(view: DataView, start: number, end: number): RiffChunk[] {
+	const chunks: RiffChunk[] = [];
+	for (let offset = start; offset + 8 <= end; ) {
+		const size = view.getUint32(offset + 4, true);
+		chunks.push({ id: riffId(view, offset), offset: offset + 8, size: Math.min(size, end - offset - 8) });
+		offset += 8 + size + (size % 2);
+	}
+	return chunks;
+}
+
+function byteView(data: ArrayBuffer | Uint8Array): DataView {
+	const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+	return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * Decode a WAV (RIFF) file: 8-32 bit integer PCM or 32/64 bit IEEE float, WAVE_FORMAT_EXTENSIBLE
+ * included. The loop comes from the smpl chunk, its end is the first frame after the loop
+ * @throws SampleSetError for anything but a supported WAV file
+ */
+export function decodeWav(data: ArrayBuffer | Uint8Array): DecodedSample {
+	const view = byteView(data);
+	const fail = (message: string): never => {
+		throw new SampleSetError('.wav', [{ message }]);
+	};
+	if (view.byteLength < 12 || riffId(view, 0) !== 'RIFF' || riffId(view, 8) !== 'WAVE') {
+		fail('Not a RIFF WAVE file');
+	}
+
+	let format: { tag: number; channels: number; sampleRate: number; blockAlign: number; bits: number } | null = null;
+	let samples: RiffChunk | null = null;
+	let loop: { start: number; end: number } | null = null;
+	for (const chunk of riffChunks(view, 12, view.byteLength)) {
+		if (chunk.id === 'fmt ' && chunk.size >= 16) {
+			const tag = view.getUint16(chunk.offset, true);
+			format = {
+				// WAVE_FORMAT_EXTENSIBLE keeps the actual format at the start of the SubFormat GUID
+				tag: tag === 0xfffe && chunk.size >= 40 ? view.getUint16(chunk.offset + 24, true) : tag,
+				channels: view.getUint16(chunk.offset + 2, true),
+				sampleRate: view.getUint32(chunk.offset + 4, true),
+				blockAlign: view.getUint16(chunk.offset + 12, true),
+				bits: view.getUint16(chunk.offset + 14, true)
+			};
+		} else if (chunk.id === 'data') {
+			samples = chunk;
+		} else if (chunk.id === 'smpl' && chunk.size >= 60 && view.getUint32(chunk.offset + 28, true) > 0) {
+			loop = { start: view.getUint32(chunk.offset + 44, true), end: view.getUint32(chunk.offset + 48, true) + 1 };
+		}
+	}
+	if (!format || !samples) {
+		return fail('Missing fmt or data chunk');
+	}
+
+	const { tag, channels, sampleRate, blockAlign, bits } = format;
+	const readers: Record<string, (offset: number) => number> = {
+		'1:8': offset => (view.getUint8(offset) - 128) / 128,
+		'1:16': offset => view.getInt16(offset, true) / 0x8000,
+		'1:24': offset => (((view.getUint8(offset + 2) << 24) >> 8) | (view.getUint8(offset + 1) << 8) | view.getUint8(offset)) / 0x800000,
+		'1:32': offset => view.getInt32(offset, true) / 0x80000000,
+		'3:32': offset => view.getFloat32(offset, true),
+		'3:64': offset => view.getFloat64(offset, true)
+	};
+	const read = readers[`${tag}:${bits}`];
+	if (!read || !channels || !sampleRate || blockAlign < (channels * bits) / 8) {
+		fail(`Unsupported WAV format ${tag} with ${bits} bits and ${channels} channels`);
+	}
+
+	const frames = Math.floor(samples.size / blockAlign);
+	const output = Array.from({ length: channels }, () => new Float32Array(frames));
+	for (let frame = 0; frame < frames; frame++) {
+		for (let channel = 0; channel < channels; channel++) {
+			output[channel][frame] = read(samples.offset + frame * blockAlign + (channel * bits) / 8);
+		}
+	}
+	return { sampleRate, channels: output, loop: loop && loop.end <= frames && loop.start < loop.end ? loop : null };
+}
+
+/**
+ * Parse an SFZ mapping: <control>, <global>, <master>, <group> and <region> headers (opcodes are
+ * inherited downwards), #define and comments. Reads sample, default_path, lokey/hikey/key,
+ * lovel/hivel, pitch_keycenter, tune, transpose, volume, pan, offset, loop_mode,
+ * loop_start/loop_end and ampeg_attack/ampeg_release; other opcodes are skipped.
+ * Sample paths get the default_path and forward slashes
+ * @throws SampleSetError listing every problem with its line number
+ */
+export function parseSfz(text: string): { regions: SamplerRegion[] } {
+	const errors: SampleSetIssue[] = [];
+	const defines: Record<string, string> = {};
+	const scopes: Record<string, Record<string, string>> = { control: {}, global: {}, master: {}, group: {} };
+	const parsed: { line: number; opcodes: Record<string, string> }[] = [];
+	let header: string | null = null;
+	let region: { line: number; opcodes: Record<string, string> } | null = null;
+
+	// Block comments become spaces so that line numbers stay right
+	const source = String(text).replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ' '));
+	source.split(/\r?\n/).forEach((raw, index) => {
+		const line = index + 1;
+		const content = raw.replace(/\/\/.*$/, '');
+		const directive = /^\s*#(\w+)/.exec(content);
+		if (directive) {
+			const define = /^\s*#define\s+(\$\w+)\s+(.+?)\s*$/.exec(content);
+			if (define) {
+				defines[define[1]] = define[2];
+			} else {
+				errors.push({ line, message: `Unsupported directive #${directive[1]}` });
+			}
+			return;
+		}
+
+		const expanded = content.replace(/\$\w+/g, name => (name in defines ? defines[name] : name));
+		const tokens = [...expanded.matchAll(/<(\w+)>|(\w+)=/g)];
+		tokens.forEach((token, position) => {
+			if (token[1]) {
+				header = token[1];
+				region = null;
+				if (header === 'region') {
+					region = { line, opcodes: { ...scopes.control, ...scopes.global, ...scopes.master, ...scopes.group } };
+					parsed.push(region);
+				} else if (header === 'global') {
+					scopes.global = {};
+					scopes.master = {};
+					scopes.group = {};
+				} else if (header === 'master') {
+					scopes.master = {};
+					scopes.group = {};
+				} else if (header === 'group') {
+					scopes.group = {};
+				}
+				return;
+			}
+			const next = tokens[position + 1];
+			const value = expanded.slice((token.index ?? 0) + token[0].length, next ? next.index : expanded.length).trim();
+			const aliases: Record<string, string> = { loopmode: 'loop_mode', loopstart: 'loop_start', loopend: 'loop_end' };
+			const name = aliases[token[2]] ?? token[2];
+			if (region) {
+				region.opcodes[name] = value;
+			} else if (header !== null && header in scopes) {
+				scopes[header][name] = value;
+			} else if (header === null) {
+				errors.push({ line, message: `Opcode ${name} outside of a header` });
+			}
+		});
+	});
+
+	const regions = parsed
+		.map(({ line, opcodes }) => sfzRegion(opcodes, line, errors))
+		.filter((entry): entry is SamplerRegion => entry !== null);
+	if (!regions.length && !errors.length) {
+		errors.push({ line: 0, message: 'No <region> with a sample' });
+	}
+	if (errors.length) {
+		throw new SampleSetError('.sfz', errors.sort((a, b) => (a.line ?? 0) - (b.line ?? 0)));
+	}
+	return { regions };
+}
+
+/**
+ * An SFZ region from its own and inherited opcodes; problems are added to errors
+ */
+function sfzRegion(opcodes: Record<string, string>, line: number, errors: SampleSetIssue[]): SamplerRegion | null {
+	const count = errors.length;
+	function number(name: string, fallback: number, min: number, max: number): number;
+	function number(name: string, fallback: null, min: number, max: number): number | null;
+	function number(name: string, fallback: number | null, min: number, max: number): number | null {
+		if (!(name in opcodes)) {
+			return fallback;
+		}
+		const value = Number(opcodes[name]);
+		if (opcodes[name] === '' || !Number.isFinite(value) || value < min || value > max) {
+			errors.push({ line, message: `${name} must be a number from ${min} to ${max}, got "${opcodes[name]}"` });
+			return fallback;
+		}
+		return value;
+	}
+	const key = (name: string, fallback: number): number => {
+		if (!(name in opcodes)) {
+			return fallback;
+		}
+		const raw = opcodes[name];
+		const value = /^\d+$/.test(raw) ? Number(raw) : Tonal.Note.midi(raw);
+		if (typeof value !== 'number' || !Number.isInteger(value) || value < 0 || value > 127) {
+			errors.push({ line, message: `${name} must be a MIDI key 0-127 or a note name, got "${raw}"` });
+			return fallback;
+		}
+		return value;
+	};
+
+	const single = 'key' in opcodes ? key('key', -1) : -1;
+	const lokey = key('lokey', single < 0 ? 0 : single);
+	const hikey = key('hikey', single < 0 ? 127 : single);
+	const lovel = number('lovel', 1, 0, 127);
+	const hivel = number('hivel', 127, 0, 127);
+	const loopMode = opcodes.loop_mode === undefined ? null : (opcodes.loop_mode as SamplerLoopMode);
+	const loopEnd = number('loop_end', null, 0, Infinity);
+	if (!opcodes.sample) {
+		errors.push({ line, message: 'Region has no sample' });
+	}
+	if (lokey > hikey) {
+		errors.push({ line, message: `lokey ${lokey} is above hikey ${hikey}` });
+	}
+	if (lovel > hivel) {
+		errors.push({ line, message: `lovel ${lovel} is above hivel ${hivel}` });
+	}
+	if (loopMode !== null && !SAMPLER_LOOP_MODES.includes(loopMode)) {
+		errors.push({ line, message: `Unknown loop_mode "${loopMode}". Use ${SAMPLER_LOOP_MODES.join(', ')}.` });
+	}
+
+	const region: SamplerRegion = {
+		sample: `${opcodes.default_path ?? ''}${opcodes.sample ?? ''}`.replace(/\\/g, '/'),
+		lokey,
+		hikey,
+		lovel,
+		hivel,
+		pitchKeycenter: key('pitch_keycenter', single < 0 ? 60 : single),
+		tune: number('tune', 0, -2400, 2400) + 100 * number('transpose', 0, -127, 127),
+		volume: number('volume', 0, -144, 24),
+		pan: number('pan', 0, -100, 100),
+		attack: number('ampeg_attack', SAMPLER_ENVELOPE_DEFAULTS.attack, 0, 100),
+		release: number('ampeg_release', SAMPLER_ENVELOPE_DEFAULTS.release, 0, 100),
+		offset: Math.round(number('offset', 0, 0, Infinity)),
+		loopMode,
+		loopStart: number('loop_start', null, 0, Infinity),
+		// loop_end in SFZ is the last frame of the loop
+		loopEnd: loopEnd === null ? null : loopEnd + 1,
+		line
+	};
+	return errors.length === count ? region : null;
+}
+
+// A SoundFont generator: the amount as a signed word and as a low/high byte range
+interface Sf2Generator {
+	operator: number;
+	amount: number;
+	range: [number, number];
+}
+
+type Sf2Zone = Record<number, Sf2Generator>;
+
+interface SoundFontFile {
+	name: string;
+	view: DataView;
+	sampleData: RiffChunk;
+	presets: { name: string; program: number; bank: number; bag: number; zones: Sf2Zone[] }[];
+	instruments: { name: string; bag: number; zones: Sf2Zone[] }[];
+	samples: {
+		name: string;
+		start: number;
+		end: number;
+		startLoop: number;
+		endLoop: number;
+		sampleRate: number;
+		originalPitch: number;
+		pitchCorrection: number;
+		type: number;
+	}[];
+}
+
+/**
+ * Structure of a SoundFont 2 file: its name, presets and instruments (zones map generators by
+ * number) and sample headers
+ * @throws SampleSetError for anything but a SoundFont 2 file, or damaged chunks
+ */
+function readSoundFont(data: ArrayBuffer | Uint8Array): SoundFontFile {
+	const view = byteView(data);
+	const fail = (message: string): never => {
+		throw new SampleSetError('.sf2', [{ message }]);
+	};
+	if (view.byteLength < 12 || riffId(view, 0) !== 'RIFF' || riffId(view, 8) !== 'sfbk') {
+		fail('Not a SoundFont 2 (RIFF sfbk) file');
+	}
+
+	const lists: Record<string, RiffChunk[]> = {};
+	riffChunks(view, 12, view.byteLength)
+		.filter(chunk => chunk.id === 'LIST' && chunk.size >= 4)
+		.forEach(chunk => {
+			lists[riffId(view, chunk.offset)] = riffChunks(view, chunk.offset + 4, chunk.offset + chunk.size);
+		});
+	const find = (list: string, id: string) => (lists[list] ?? []).find(chunk => chunk.id === id);
+	const text = (offset: number, length: number): string => {
+		let result = '';
+		for (let i = 0; i < length && view.getUint8(offset + i); i++) {
+			result += String.fromCharCode(view.getUint8(offset + i));
+		}
+		return result.trim();
+	};
+	const records = <T>(id: string, size: number, read: (offset: number) => T): T[] => {
+		const chunk = find('pdta', id);
+		if (!chunk || chunk.size % size || chunk.size < size) {
+			return fail(`Missing or damaged ${id} chunk`);
+		}
+		return Array.from({ length: chunk.size / size }, (_, index) => read(chunk.offset + index * size));
+	};
+	const generator = (offset: number): Sf2Generator => ({
+		operator: view.getUint16(offset, true),
+		amount: view.getInt16(offset + 2, true),
+		range: [view.getUint8(offset + 2), view.getUint8(offset + 3)]
+	});
+
+	const sampleData = find('sdta', 'smpl') ?? fail('Missing smpl chunk');
+	const presetHeaders = records('phdr', 38, offset => ({
+		name: text(offset, 20),
+		program: view.getUint16(offset + 20, true),
+		bank: view.getUint16(offset + 22, true),
+		bag: view.getUint16(offset + 24, true)
+	}));
+	const presetBags = records('pbag', 4, offset => view.getUint16(offset, true));
+	const presetGenerators = records('pgen', 4, generator);
+	const instrumentHeaders = records('inst', 22, offset => ({ name: text(offset, 20), bag: view.getUint16(offset + 20, true) }));
+	const instrumentBags = records('ibag', 4, offset => view.getUint16(offset, true));
+	const instrumentGenerators = records('igen', 4, generator);
+	const sampleHeaders = records('shdr', 46, offset => ({
+		name: text(offset, 20),
+		start: view.getUint32(offset + 20, true),
+		end: view.getUint32(offset + 24, true),
+		startLoop: view.getUint32(offset + 28, true),
+		endLoop: view.getUint32(offset + 32, true),
+		sampleRate: view.getUint32(offset + 36, true),
+		originalPitch: view.getUint8(offset + 40),
+		pitchCorrection: view.getInt8(offset + 41),
+		type: view.getUint16(offset + 44, true)
+	}));
+
+	// Zones of each record: generators by number; the last record of every list is a terminator
+	const withZones = <T extends { bag: number }>(headers: T[], bags: number[], generators: Sf2Generator[]) =>
+		headers.slice(0, -1).map((header, index) => {
+			const zones: Sf2Zone[] = [];
+			for (let bag = header.bag; bag < headers[index + 1].bag && bag + 1 < bags.length; bag++) {
+				const zone: Sf2Zone = {};
+				generators.slice(bags[bag], bags[bag + 1]).forEach(entry => {
+					zone[entry.operator] = entry;
+				});
+				zones.push(zone);
+			}
+			return { ...header, zones };
+		});
+
+	const infoName = find('INFO', 'INAM');
+	return {
+		name: infoName ? text(infoName.offset, infoName.size) : '',
+		view,
+		sampleData,
+		presets: withZones(presetHeaders, presetBags, presetGenerators),
+		instruments: withZones(instrumentHeaders, instrumentBags, instrumentGenerators),
+		samples: sampleHeaders.slice(0, -1)
+	};
+}
+
+function presetList(font: SoundFontFile): SoundFontPreset[] {
+	return font.presets
+		.map(({ name, bank, program }) => ({ name, bank, program }))
+		.sort((a, b) => a.bank - b.bank || a.program - b.program);
+}
+
+/**
+ * Presets of a SoundFont 2 file by bank and program number
+ * @throws SampleSetError for anything but a SoundFont 2 file
+ */
+export function soundFontPresets(data: ArrayBuffer | Uint8Array): SoundFontPreset[] {
+	return presetList(readSoundFont(data));
+}
+
+/**
+ * Sample set of a SoundFont 2 preset: the zones of the preset and its instruments become regions
+ * (key and velocity ranges intersect; tuning, attenuation, pan and the envelope add up) and the
+ * 16 bit samples become sample frames. Modulators and other generators are skipped.
+ * Without a bank or program the first preset (of the bank) is taken
+ * @throws SampleSetError when the file cannot be read or has no such preset
+ */
+export function parseSoundFont(data: ArrayBuffer | Uint8Array, options: { bank?: number; program?: number } = {}): SampleSet {
+	const font = readSoundFont(data);
+	const presets = presetList(font);
+	const { bank = presets.length ? presets[0].bank : 0 } = options;
+	const first = presets.find(preset => preset.bank === bank);
+	const { program = first ? first.program : 0 } = options;
+	const preset = font.presets.find(entry => entry.bank === bank && entry.program === program);
+	if (!preset) {
+		throw new SampleSetError('.sf2', [{ message: `No preset ${bank}:${program}` }]);
+	}
+
+	const G = SF2_GENERATORS;
+	// The first zone without its link generator (instrument or sample) is the global zone
+	const splitZones = (zones: Sf2Zone[], link: number): [Sf2Zone, Sf2Zone[]] =>
+		zones.length && !(link in zones[0])
+			? [zones[0], zones.slice(1).filter(zone => link in zone)]
+			: [{}, zones.filter(zone => link in zone)];
+	const [presetGlobal, presetZones] = splitZones(preset.zones, G.instrument);
+	const regions: SamplerRegion[] = [];
+	const samples: Record<string, DecodedSample> = {};
+	const sampleNames = new Map<number, string>();
+	const { view, sampleData } = font;
+	const pcm = new Int16Array(view.buffer.slice(
+		view.byteOffset + sampleData.offset,
+		view.byteOffset + sampleData.offset + sampleData.size - (sampleData.size % 2)));
+
+	presetZones.forEach(zone => {
+		const presetLevel: Sf2Zone = { ...presetGlobal, ...zone };
+		const instrument = font.instruments[presetLevel[G.instrument].amount];
+		if (!instrument) {
+			return;
+		}
+		const [instrumentGlobal, instrumentZones] = splitZones(instrument.zones, G.sampleID);
+		instrumentZones.forEach(instrumentZone => {
+			const level: Sf2Zone = { ...instrumentGlobal, ...instrumentZone };
+			const index = level[G.sampleID].amount;
+			const header = font.samples[index];
+			// Samples in the synth's ROM (bit 0x8000) are not stored in the file
+			if (!header || header.type & 0x8000 || header.end <= header.start || header.end > pcm.length) {
+				return;
+			}
+			const range = (gen: number): [number, number] => {
+				const [low, high] = level[gen]?.range ?? [0, 127];
+				const [presetLow, presetHigh] = presetLevel[gen]?.range ?? [0, 127];
+				return [Math.max(low, presetLow), Math.min(high, presetHigh)];
+			};
+			const [lokey, hikey] = range(G.keyRange);
+			const [lovel, hivel] = range(G.velRange);
+			if (lokey > hikey || lovel > hivel) {
+				return;
+			}
+			const value = (gen: number) => level[gen]?.amount ?? 0;
+			// Preset generators are added to the instrument's
+			const sum = (gen: number) => value(gen) + (presetLevel[gen]?.amount ?? 0);
+			const seconds = (gen: number, fallback: number) => (gen in level || gen in presetLevel ? Math.pow(2, sum(gen) / 1200) : fallback);
+			const address = (fine: number, coarse: number) => value(fine) + 32768 * value(coarse);
+			const mode = value(G.sampleModes) & 3;
+
+			if (!sampleNames.has(index)) {
+				const name = header.name in samples ? `${header.name} #${index}` : header.name;
+				sampleNames.set(index, name);
+				samples[name] = {
+					sampleRate: header.sampleRate,
+					channels: [Float32Array.from(pcm.subarray(header.start, header.end), sample => sample / 0x8000)],
+					loop: null
+				};
+			}
+			const rootKey = level[G.overridingRootKey]?.amount ?? -1;
+			regions.push({
+				sample: sampleNames.get(index) as string,
+				lokey,
+				hikey,
+				lovel,
+				hivel,
+				pitchKeycenter: rootKey >= 0 && rootKey <= 127 ? rootKey : header.originalPitch <= 127 ? header.originalPitch : 60,
+				tune: 100 * sum(G.coarseTune) + sum(G.fineTune) + header.pitchCorrection,
+				volume: -sum(G.initialAttenuation) / 10,
+				pan: Math.max(-100, Math.min(100, sum(G.pan) / 5)),
+				attack: seconds(G.attackVolEnv, SAMPLER_ENVELOPE_DEFAULTS.attack),
+				release: seconds(G.releaseVolEnv, SAMPLER_ENVELOPE_DEFAULTS.release),
+				offset: Math.max(0, address(G.startAddrsOffset, G.startAddrsCoarseOffset)),
+				loopMode: mode === 1 ? 'loop_continuous' : mode === 3 ? 'loop_sustain' : 'no_loop',
+				loopStart: header.startLoop - header.start + address(G.startloopAddrsOffset, G.startloopAddrsCoarseOffset),
+				loopEnd: header.endLoop - header.start + address(G.endloopAddrsOffset, G.endloopAddrsCoarseOffset)
+			});
+		});
+	});
+
+	if (!regions.length) {
+		throw new SampleSetError('.sf2', [{ message: `Preset ${bank}:${program} has no samples` }]);
+	}
+	return { name: preset.name || font.name, regions: finishRegions(regions, samples), samples };
+}
+
+/**
+ * Complete regions with the loops of their samples: without loop_mode a region loops when its
+ * sample has a loop, without loop points it takes the sample's loop or the whole sample.
+ * Loop points outside the sample turn the loop off
+ */
+export function finishRegions(regions: SamplerRegion[], samples: Record<string, DecodedSample>): SamplerRegion[] {
+	return regions.map(region => {
+		const sample = samples[region.sample];
+		const frames = sample.channels[0].length;
+		const loop = sample.loop ?? { start: 0, end: frames };
+		const loopStart = region.loopStart ?? loop.start;
+		const loopEnd = region.loopEnd ?? loop.end;
+		let loopMode: SamplerLoopMode = region.loopMode ?? (sample.loop ? 'loop_continuous' : 'no_loop');
+		if ((loopMode === 'loop_continuous' || loopMode === 'loop_sustain') && !(loopStart < loopEnd && loopEnd <= frames)) {
+			loopMode = 'no_loop';
+		}
+		return { ...region, loopMode, loopStart, loopEnd, offset: Math.min(region.offset, frames) };
+	});
+}
+
+/**
+ * Comparable sample path: forward slashes, no leading "./", lower case
+ */
+function samplePath(path: string): string {
+	return String(path).replace(/\\/g, '/').replace(/^(\.\/)+/, '').toLowerCase();
+}
+
+function audioBufferSample(audio: AudioBuffer): DecodedSample {
+	return {
+		sampleRate: audio.sampleRate,
+		channels: Array.from({ length: audio.numberOfChannels }, (_, channel) => audio.getChannelData(channel)),
+		loop: null
+	};
+}
+
+/**
+ * Decode the samples of SFZ regions from the given files. A path is looked up whole, then by its
+ * end and by file name (for files picked without their folders). WAV is decoded here,
+ * other formats by the audio context of the audio layer
+ * @param files files by path: file contents, AudioBuffers or decoded samples
+ * @returns samples by the path of the region
+ * @throws SampleSetError listing every missing or unreadable sample
+ */
+export async function loadSfzSamples(regions: SamplerRegion[], files: Record<string, SampleFile>): Promise<Record<string, DecodedSample>> {
+	const entries = Object.keys(files ?? {}).map(path => ({ path: samplePath(path), data: files[path] }));
+	const lookup = (path: string) => {
+		const wanted = samplePath(path);
+		const name = wanted.split('/').pop();
+		return (
+			entries.find(entry => entry.path === wanted) ??
+			entries.find(entry => entry.path.endsWith(`/${wanted}`) || wanted.endsWith(`/${entry.path}`)) ??
+			entries.find(entry => entry.path.split('/').pop() === name)
+		);
+	};
+
+	const Tone = getAudioEngine();
+	const errors: (SampleSetIssue & { sample: string })[] = [];
+	const samples: Record<string, DecodedSample> = {};
+	for (const region of regions) {
+		if (region.sample in samples || errors.some(error => error.sample === region.sample)) {
+			continue;
+		}
+		const entry = lookup(region.sample);
+		const fail = (message: string) => errors.push({ line: region.line, sample: region.sample, message });
+		if (!entry) {
+			fail(`Sample not found: ${region.sample}`);
+			continue;
+		}
+		const { data } = entry;
+		try {
+			if (typeof (data as AudioBuffer).getChannelData === 'function') {
+				samples[region.sample] = audioBufferSample(data as AudioBuffer);
+			} else if (Array.isArray((data as DecodedSample).channels)) {
+				samples[region.sample] = { ...(data as DecodedSample), loop: (data as DecodedSample).loop ?? null };
+			} else {
+				const view = byteView(data as ArrayBuffer | Uint8Array);
+				if (view.byteLength >= 12 && riffId(view, 0) === 'RIFF' && riffId(view, 8) === 'WAVE') {
+					samples[region.sample] = decodeWav(data as ArrayBuffer | Uint8Array);
+				} else if (Tone) {
+					const copy = new Uint8Array(view.buffer, view.byteOffset, view.byteLength).slice().buffer;
+					samples[region.sample] = audioBufferSample(await Tone.getContext().decodeAudioData(copy));
+				} else {
+					fail(`${region.sample}: only WAV samples can be decoded without the audio layer`);
+				}
+			}
+		} catch (error) {
+			const issues = (error as SampleSetError).errors;
+			fail(`${region.sample}: ${issues ? issues[0].message : (error as Error).message}`);
+		}
+	}
+	if (errors.length) {
+		throw new SampleSetError('.sfz', errors.map(({ line, message }) => ({ line, message })));
+	}
+	return samples;
+}
+
+/**
+ * Frequency of a region's sample as recorded: its pitch_keycenter in 12-TET from A4 = 440 Hz,
+ * less tune (a region with tune +10 plays its sample 10 cents higher, so it is 10 cents below the key)
+ */
+export function samplerRootFrequency(region: SamplerRegion): number {
+	return 440 * Math.pow(2, (region.pitchKeycenter - 69) / 12 - region.tune / 1200);
+}
+
+/**
+ * Regions that sound at a frequency: they are chosen by the 12-TET key nearest to the frequency
+ * (not by the key of the note, which would stretch samples over octaves in tunings with other step
+ * counts) and by velocity 1-127. All matching regions sound together (layers, stereo pairs).
+ * playbackRate stretches the sample exactly to the frequency; gain includes the region volume
+ */
+export function samplerVoices(
+	instrument: SampleSet,
+	frequency: number,
+	velocity: number
+): { region: SamplerRegion; playbackRate: number; gain: number }[] {
+	const { midi } = frequencyToMidi(frequency);
+	const level = Math.max(1, Math.min(127, Math.round(velocity * 127)));
+	return instrument.regions
+		.filter(region => midi >= region.lokey && midi <= region.hikey && level >= region.lovel && level <= region.hivel)
+		.map(region => ({
+			region,
+			playbackRate: frequency / samplerRootFrequency(region),
+			gain: velocity * Math.pow(10, region.volume / 20)
+		}));
+}
+
+// Tone.js buffers of loaded samples; an AudioBuffer serves the offline context as well
+const samplerBuffers = new WeakMap<DecodedSample, any>();
+
+interface SamplerSource {
+	source: any;
+	playbackRate: number;
+	oneShot: boolean;
+	ended: boolean;
+}
+
+/**
+ * Polyphonic sampler with the part of the Tone.PolySynth interface the core uses: triggerAttack and
+ * triggerRelease by frequency, triggerAttackRelease, releaseAll, set({ detune }), connect,
+ * toDestination and dispose. A note plays the samples of its regions at
+ * playbackRate = note frequency / sample frequency, so it sounds exactly in tune.
+ * A loop_sustain loop keeps going through the release
+ */
+export class SamplerSynth {
+	public output: any;
+	// Notes attacked and not released yet
+	private _voices: { frequency: number; sources: SamplerSource[] }[] = [];
+	private _detune = 0;
+
+	constructor(public instrument: SampleSet) {
+		this.output = new (getAudioEngine().Gain)(1);
+	}
+
+	private _buffer(sample: DecodedSample): any {
+		const Tone = getAudioEngine();
+		let buffer = samplerBuffers.get(sample);
+		if (!buffer) {
+			const audio = Tone.getContext().createBuffer(sample.channels.length, sample.channels[0].length, sample.sampleRate);
+			sample.channels.forEach((data, channel) => audio.copyToChannel(data, channel));
+			buffer = new Tone.ToneAudioBuffer(audio);
+			samplerBuffers.set(sample, buffer);
+		}
+		return buffer;
+	}
+
+	private _attack(frequency: number, time: number, velocity: number) {
+		const Tone = getAudioEngine();
+		const detune = Math.pow(2, this._detune / 1200);
+		const sources = samplerVoices(this.instrument, frequency, velocity).map(({ region, playbackRate, gain }) => {
+			const sample = this.instrument.samples[region.sample];
+			const entry: SamplerSource = {
+				source: new Tone.ToneBufferSource({
+					url: this._buffer(sample),
+					playbackRate: playbackRate * detune,
+					loop: region.loopMode === 'loop_continuous' || region.loopMode === 'loop_sustain',
+					loopStart: (region.loopStart ?? 0) / sample.sampleRate,
+					loopEnd: (region.loopEnd ?? 0) / sample.sampleRate,
+					fadeIn: region.attack,
+					fadeOut: region.release
+				}),
+				playbackRate,
+				oneShot: region.loopMode === 'one_shot',
+				ended: false
+			};
+			const panner = region.pan ? new Tone.Panner(region.pan / 100).connect(this.output) : null;
+			entry.source.connect(panner ?? this.output);
+			entry.source.onended = () => {
+				entry.ended = true;
+				panner?.dispose();
+			};
+			entry.source.start(time, region.offset / sample.sampleRate, undefined, gain);
+			return entry;
+		});
+		const voice = { frequency, sources };
+		this._voices.push(voice);
+		return voice;
+	}
+
+	private _release(voice: { frequency: number; sources: SamplerSource[] }, time: number): void {
+		this._voices = this._voices.filter(entry => entry !== voice);
+		voice.sources.forEach(entry => {
+			if (!entry.oneShot && !entry.ended) {
+				entry.source.stop(time);
+			}
+		});
+	}
+
+	triggerAttack(frequency: number, time: number = getAudioEngine().now(), velocity = 1): this {
+		this._attack(frequency, time, velocity);
+		return this;
+	}
+
+	triggerRelease(frequency: number, time: number = getAudioEngine().now()): this {
+		const voice = this._voices.find(entry => entry.frequency === frequency);
+		if (voice) {
+			this._release(voice, time);
+		}
+		return this;
+	}
+
+	triggerAttackRelease(frequency: number, duration: number, time: number = getAudioEngine().now(), velocity = 1): this {
+		this._release(this._attack(frequency, time, velocity), time + duration);
+		return this;
+	}
+
+	releaseAll(time: number = getAudioEngine().now()): this {
+		this._voices.slice().forEach(voice => this._release(voice, time));
+		return this;
+	}
+
+	/**
+	 * Only detune (cents) is supported: the pitch wheel of the live input and track pitch bend
+	 */
+	set(options: { detune?: number }): this {
+		if (typeof options?.detune === 'number') {
+			this._detune = options.detune;
+			const detune = Math.pow(2, options.detune / 1200);
+			this._voices.forEach(voice =>
+				voice.sources.forEach(entry => {
+					if (!entry.ended) {
+						entry.source.playbackRate.value = entry.playbackRate * detune;
+					}
+				})
+			);
+		}
+		return this;
+	}
+
+	connect(destination: any): this {
+		this.output.connect(destination);
+		return this;
+	}
+
+	toDestination(): this {
+		this.output.toDestination();
+		return this;
+	}
+
+	dispose(): this {
+		this._voices.forEach(voice =>
+			voice.sources.forEach(entry => {
+				if (!entry.ended) {
+					entry.source.dispose();
+				}
+			})
+		);
+		this._voices = [];
+		this.output.dispose();
+		return this;
+	}
+}
@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import { PianoRollCore, ScalaParseError, defaultKeyboardMapping, parseKbm, parseScl, scalaKeyFrequencies } from '../index.js';
+
+const QUARTER_COMMA_MEANTONE = `! meantone.scl
+1/4-comma meantone
+ 12
+!
+ 76.04900
+ 193.15686
+ 310.26471
+ 5/4
+ 503.42157
+ 579.47057
+ 696.57843
+ 25/16
+ 889.73529
+ 1006.84314
+ 1082.89214
+ 2/1
+`;
+
+describe('parseScl', () => {
+	it('reads cents and ratios, the last degree being the period', () => {
+		const scale = parseScl(QUARTER_COMMA_MEANTONE);
+		expect(scale.description).toBe('1/4-comma meantone');
+		expect(scale.size).toBe(12);
+		expect(scale.cents[3]).toBeCloseTo(386.3137, 3);
+		expect(scale.cents[11]).toBe(1200);
+	});
+
+	it('lists every invalid line', () => {
+		try {
+			parseScl('broken\n 3\n 100.0\n 3/0\n abc\n');
+			expect.unreachable();
+		} catch (error) {
+			expect(error).toBeInstanceOf(ScalaParseError);
+			expect((error as ScalaParseError).errors.map(issue => issue.line)).toEqual([4, 5]);
+		}
+	});
+});
+
+describe('parseKbm', () => {
+	it('reads the header and maps missing entries to unmapped keys', () => {
+		const mapping = parseKbm('5\n0\n127\n60\n69\n440.0\n5\n0\n2\nx\n');
+		expect(mapping).toMatchObject({ size: 5, middleNote: 60, referenceNote: 69, referenceFrequency: 440, octaveDegree: 5 });
+		expect(mapping.mapping).toEqual([0, 2, null, null, null]);
+	});
+
+	it('rejects a file without all header values', () => {
+		expect(() => parseKbm('0\n0\n127\n')).toThrow(ScalaParseError);
+	});
+});
+
+describe('scalaKeyFrequencies', () => {
+	it('tunes the reference key to the reference frequency', () => {
+		const frequencies = scalaKeyFrequencies(parseScl(QUARTER_COMMA_MEANTONE), defaultKeyboardMapping());
+		expect(frequencies[69]).toBe(440);
+		expect(frequencies[81]).toBeCloseTo(880, 9);
+		expect(frequencies).toHaveLength(128);
+	});
+});
+
+describe('registerScalaTuning', () => {
+	it('plays MIDI notes on consecutive degrees of the scale', () => {
+		const core = new PianoRollCore({ useSynth: false });
+		core.registerScalaTuning('meantone', QUARTER_COMMA_MEANTONE);
+		core.setTuningSystem('meantone');
+		const major = (core.noteToFrequency(64) as number) / (core.noteToFrequency(60) as number);
+		expect(major).toBeCloseTo(5 / 4, 9);
+	});
+});
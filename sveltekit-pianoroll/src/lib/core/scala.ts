@@ -0,0 +1,264 @@
+import type { ScalaScale, KeyboardMapping, ScalaParseIssue } from '../types/index.js';
+
+/**
+ * Error thrown when a Scala (.scl/.kbm) file cannot be parsed.
+ * Every problem found is listed in `errors` with its 1-based line number.
+ */
+export class ScalaParseError extends Error {
+	public fileType: '.scl' | '.kbm';
+	public errors: ScalaParseIssue[];
+
+	constructor(fileType: '.scl' | '.kbm', errors: ScalaParseIssue[]) {
+		const details = errors.map((error) => `  line ${error.line}: ${error.message}`).join('\n');
+		super(`Invalid ${fileType} file:\n${details}`);
+		this.name = 'ScalaParseError';
+		this.fileType = fileType;
+		this.errors = errors;
+	}
+}
+
+interface DataLine {
+	line: number;
+	text: string;
+}
+
+/**
+ * Split a Scala file into lines, dropping "!" comment lines but keeping line numbers
+ */
+function dataLines(text: string): DataLine[] {
+	return String(text)
+		.split(/\r?\n/)
+		.map((raw, index) => ({ line: index + 1, text: raw }))
+		.filter((entry) => !entry.text.trimStart().startsWith('!'));
+}
+
+function firstToken(entry: DataLine): string {
+	return entry.text.trim().split(/\s+/)[0];
+}
+
+/**
+ * Parse a single .scl pitch: cents when it contains a period, otherwise a ratio (a/b or a)
+ */
+export function parsePitch(token: string): { cents: number } | { error: string } {
+	if (token.includes('.')) {
+		if (!/^[-+]?(\d+\.\d*|\.\d+)$/.test(token)) {
+			return { error: `invalid cents value "${token}"` };
+		}
+		return { cents: parseFloat(token) };
+	}
+
+	const match = /^(\d+)(?:\/(\d+))?$/.exec(token);
+	if (!match) {
+		return { error: `invalid pitch "${token}", expected cents (e.g. 701.955) or a ratio (e.g. 3/2)` };
+	}
+
+	const numerator = Number(match[1]);
+	const denominator = match[2] === undefined ? 1 : Number(match[2]);
+	if (numerator === 0 || denominator === 0) {
+		return { error: `ratio "${token}" must have a positive numerator and denominator` };
+	}
+	return { cents: 1200 * Math.log2(numerator / denominator) };
+}
+
+/**
+ * Parse a Scala scale file (.scl)
+ * `cents` holds degrees 1..size; the last entry is the period (usually the octave)
+ */
+export function parseScl(text: string): ScalaScale {
+	const lines = dataLines(text);
+	const errors: ScalaParseIssue[] = [];
+
+	if (!lines.length) {
+		throw new ScalaParseError('.scl', [{ line: 1, message: 'missing description line' }]);
+	}
+
+	const description = lines[0].text.trim();
+	const numbered = lines.slice(1).filter((entry) => entry.text.trim() !== '');
+
+	if (!numbered.length) {
+		throw new ScalaParseError('.scl', [{ line: lines[0].line + 1, message: 'missing number of notes' }]);
+	}
+
+	const countToken = firstToken(numbered[0]);
+	const size = /^\d+$/.test(countToken) ? Number(countToken) : null;
+	if (size === null) {
+		errors.push({ line: numbered[0].line, message: `expected number of notes, got "${countToken}"` });
+	} else if (size === 0) {
+		errors.push({ line: numbered[0].line, message: 'scale must contain at least one pitch' });
+	}
+
+	const pitchLines = numbered.slice(1);
+	const cents: number[] = [];
+	pitchLines.forEach((entry) => {
+		const pitch = parsePitch(firstToken(entry));
+		if ('error' in pitch) {
+			errors.push({ line: entry.line, message: pitch.error });
+		} else {
+			cents.push(pitch.cents);
+		}
+	});
+
+	if (size && pitchLines.length !== size) {
+		const line = pitchLines.length ? pitchLines[pitchLines.length - 1].line : numbered[0].line;
+		errors.push({ line, message: `expected ${size} pitches, found ${pitchLines.length}` });
+	}
+
+	if (!errors.length && cents[cents.length - 1] <= 0) {
+		errors.push({
+			line: pitchLines[pitchLines.length - 1].line,
+			message: 'last pitch is the period and must be higher than 1/1'
+		});
+	}
+
+	if (errors.length) {
+		throw new ScalaParseError('.scl', errors);
+	}
+
+	return { description, size: size as number, cents };
+}
+
+/**
+ * Default Scala keyboard mapping: linear, middle C (60) on degree 0, A4 (69) = 440 Hz
+ */
+export function defaultKeyboardMapping(): KeyboardMapping {
+	return {
+		size: 0,
+		firstNote: 0,
+		lastNote: 127,
+		middleNote: 60,
+		referenceNote: 69,
+		referenceFrequency: 440,
+		octaveDegree: 0,
+		mapping: []
+	};
+}
+
+const KBM_FIELDS: { key: keyof KeyboardMapping; label: string; min?: number; max?: number; float?: boolean }[] = [
+	{ key: 'size', label: 'map size', min: 0 },
+	{ key: 'firstNote', label: 'first MIDI note', min: 0, max: 127 },
+	{ key: 'lastNote', label: 'last MIDI note', min: 0, max: 127 },
+	{ key: 'middleNote', label: 'middle note', min: 0, max: 127 },
+	{ key: 'referenceNote', label: 'reference note', min: 0, max: 127 },
+	{ key: 'referenceFrequency', label: 'reference frequency', float: true },
+	{ key: 'octaveDegree', label: 'formal octave degree', min: 0 }
+];
+
+/**
+ * Parse a Scala keyboard mapping file (.kbm)
+ * Missing mapping entries are treated as unmapped keys ("x")
+ */
+export function parseKbm(text: string): KeyboardMapping {
+	const lines = dataLines(text).filter((entry) => entry.text.trim() !== '');
+	const errors: ScalaParseIssue[] = [];
+
+	if (lines.length < KBM_FIELDS.length) {
+		const line = lines.length ? lines[lines.length - 1].line + 1 : 1;
+		throw new ScalaParseError('.kbm', [
+			{
+				line,
+				message: `missing ${KBM_FIELDS[lines.length].label} (a .kbm file needs ${KBM_FIELDS.length} header values)`
+			}
+		]);
+	}
+
+	const mapping = defaultKeyboardMapping();
+	KBM_FIELDS.forEach((field, index) => {
+		const entry = lines[index];
+		const token = firstToken(entry);
+		const value = Number(token);
+
+		if (field.float) {
+			if (!(value > 0)) {
+				errors.push({ line: entry.line, message: `${field.label} must be a positive number, got "${token}"` });
+			}
+		} else if (!/^\d+$/.test(token) || value < (field.min ?? 0) || (field.max !== undefined && value > field.max)) {
+			const range = field.max !== undefined ? ` between ${field.min} and ${field.max}` : '';
+			errors.push({ line: entry.line, message: `${field.label} must be an integer${range}, got "${token}"` });
+		}
+
+		(mapping[field.key] as number) = value;
+	});
+	mapping.referenceLine = lines[4].line;
+
+	if (!errors.length && mapping.firstNote > mapping.lastNote) {
+		errors.push({ line: lines[2].line, message: 'last MIDI note is lower than first MIDI note' });
+	}
+
+	const entries = lines.slice(KBM_FIELDS.length);
+	if (!errors.length && entries.length > mapping.size) {
+		errors.push({
+			line: entries[mapping.size].line,
+			message: `map size is ${mapping.size} but ${entries.length} mapping entries were given`
+		});
+	}
+
+	entries.forEach((entry) => {
+		const token = firstToken(entry);
+		if (token.toLowerCase() === 'x') {
+			mapping.mapping.push(null);
+		} else if (/^\d+$/.test(token)) {
+			mapping.mapping.push(Number(token));
+		} else {
+			errors.push({ line: entry.line, message: `mapping entry must be a scale degree or "x", got "${token}"` });
+		}
+	});
+
+	while (mapping.mapping.length < mapping.size) {
+		mapping.mapping.push(null);
+	}
+
+	if (errors.length) {
+		throw new ScalaParseError('.kbm', errors);
+	}
+
+	return mapping;
+}
+
+/**
+ * Compute frequencies for all 128 MIDI keys from a scale and keyboard mapping
+ * Unmapped keys (outside the range or mapped to "x") are null
+ */
+export function scalaKeyFrequencies(scale: ScalaScale, mapping: KeyboardMapping): (number | null)[] {
+	const period = scale.cents[scale.size - 1];
+	const octaveDegree = mapping.octaveDegree || scale.size;
+
+	const keyCents = (key: number): number | null => {
+		if (key < mapping.firstNote || key > mapping.lastNote) {
+			return null;
+		}
+
+		const offset = key - mapping.middleNote;
+		let degree = offset;
+		if (mapping.size > 0) {
+			const repeats = Math.floor(offset / mapping.size);
+			const entry = mapping.mapping[offset - repeats * mapping.size];
+			if (entry === null || entry === undefined) {
+				return null;
+			}
+			degree = entry + repeats * octaveDegree;
+		}
+
+		const octaves = Math.floor(degree / scale.size);
+		const step = degree - octaves * scale.size;
+		return octaves * period + (step === 0 ? 0 : scale.cents[step - 1]);
+	};
+
+	const referenceCents = keyCents(mapping.referenceNote);
+	if (referenceCents === null) {
+		throw new ScalaParseError('.kbm', [
+			{
+				line: mapping.referenceLine ?? 0,
+				message: `reference note ${mapping.referenceNote} is not mapped to a scale degree`
+			}
+		]);
+	}
+
+	const frequencies: (number | null)[] = [];
+	for (let key = 0; key < 128; key++) {
+		const cents = keyCents(key);
+		frequencies.push(
+			cents === null ? null : mapping.referenceFrequency * Math.pow(2, (cents - referenceCents) / 1200)
+		);
+	}
+	return frequencies;
+}
@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import { PianoRollCore, parseMusicXml, readMusicXml } from '../index.js';
+
+const SCORE = `<?xml version="1.0" encoding="UTF-8"?>
+<score-partwise version="4.0">
+  <part-list><score-part id="P1"><part-name>Flute</part-name></score-part></part-list>
+  <part id="P1">
+    <measure number="1">
+      <attributes><divisions>1</divisions><key><fifths>-3</fifths></key><time><beats>4</beats><beat-type>4</beat-type></time></attributes>
+      <direction><sound tempo="60"/></direction>
+      <note><pitch><step>C</step><octave>4</octave></pitch><duration>1</duration></note>
+      <note><pitch><step>G</step><alter>-1</alter><octave>4</octave></pitch><duration>1</duration></note>
+      <note><rest/><duration>1</duration></note>
+      <note><pitch><step>E</step><alter>-1</alter><octave>4</octave></pitch><duration>1</duration><tie type="start"/></note>
+    </measure>
+    <measure number="2">
+      <note><pitch><step>E</step><alter>-1</alter><octave>4</octave></pitch><duration>2</duration><tie type="stop"/></note>
+    </measure>
+  </part>
+</score-partwise>`;
+
+// A ZIP archive with stored (uncompressed) entries, as some .mxl writers produce
+function storedZip(files: Record<string, string>): Uint8Array {
+	const local: number[] = [];
+	const central: number[] = [];
+	const u16 = (value: number) => [value & 0xff, value >> 8];
+	const u32 = (value: number) => [...u16(value & 0xffff), ...u16(value >>> 16)];
+	Object.entries(files).forEach(([name, text]) => {
+		const nameBytes = [...new TextEncoder().encode(name)];
+		const data = [...new TextEncoder().encode(text)];
+		const offset = local.length;
+		const sizes = [...u32(0), ...u32(data.length), ...u32(data.length)];
+		local.push(...u32(0x04034b50), ...u16(20), ...u16(0), ...u16(0), ...u32(0), ...sizes, ...u16(nameBytes.length), ...u16(0), ...nameBytes, ...data);
+		central.push(...u32(0x02014b50), ...u16(20), ...u16(20), ...u16(0), ...u16(0), ...u32(0), ...sizes,
+			...u16(nameBytes.length), ...u16(0), ...u16(0), ...u16(0), ...u16(0), ...u32(0), ...u32(offset), ...nameBytes);
+	});
+	const count = Object.keys(files).length;
+	const end = [...u32(0x06054b50), ...u16(0), ...u16(0), ...u16(count), ...u16(count), ...u32(central.length), ...u32(local.length), ...u16(0)];
+	return new Uint8Array([...local, ...central, ...end]);
+}
+
+describe('parseMusicXml', () => {
+	it('keeps the spelling of the score and merges ties', () => {
+		const json = parseMusicXml(SCORE);
+		const notes = json.tracks[0].notes;
+		expect(json.tracks[0].name).toBe('Flute');
+		expect(notes.map(note => note.name)).toEqual(['C4', 'Gb4', 'Eb4']);
+		expect(notes.map(note => note.time)).toEqual([0, 1, 3]);
+		expect(notes[2].duration).toBe(3);
+		expect(json.header?.tempos?.[0].bpm).toBe(60);
+		expect(json.header?.keySignatures?.[0]).toMatchObject({ key: 'Eb', scale: 'major' });
+	});
+
+	it('rejects other documents', () => {
+		expect(() => parseMusicXml('<html></html>')).toThrow(TypeError);
+	});
+});
+
+describe('readMusicXml', () => {
+	it('finds the score of an .mxl archive through its container', async () => {
+		const container = '<container><rootfiles><rootfile full-path="score/song.musicxml"/></rootfiles></container>';
+		const archive = storedZip({ 'META-INF/container.xml': container, 'score/song.musicxml': SCORE });
+		expect(await readMusicXml(archive)).toBe(SCORE);
+	});
+
+	it('decodes uncompressed files', async () => {
+		expect(await readMusicXml(new TextEncoder().encode(SCORE))).toBe(SCORE);
+	});
+});
+
+describe('loadMusicXml', () => {
+	it('tunes the notes by their spelling', () => {
+		const core = new PianoRollCore({ useSynth: false, tuningSystem: 'pythagorean' });
+		const notes = core.loadMusicXml(SCORE);
+		expect(notes.every(note => note.spelled)).toBe(true);
+		// The Pythagorean Gb is a comma below F#
+		const sharp = core.noteToFrequency('F#4') as number;
+		expect(1200 * Math.log2(sharp / (notes[1].frequency as number))).toBeCloseTo(23.46, 2);
+	});
+
+	it('loads the same notes through parseFile()', async () => {
+		const core = new PianoRollCore({ useSynth: false });
+		const file = new File([SCORE], 'song.musicxml');
+		const data = await core.parseFile(file);
+		expect(data.tracks[0].notes.map(note => note.name)).toEqual(['C4', 'Gb4', 'Eb4']);
+	});
+});
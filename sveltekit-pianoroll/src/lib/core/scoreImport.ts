@@ -0,0 +1,470 @@
+// Score import: MusicXML (plain or compressed .mxl) and @tonejs/midi JSON into the note shape of MIDI files
+import * as Tonal from 'tonal';
+import type {
+	KeySignatureChange,
+	MidiJson,
+	MidiJsonNote,
+	MidiJsonTrack,
+	TempoChange,
+	TimeSignatureChange
+} from '../types/index.js';
+import { DEFAULT_PPQ, createTempoMap, ticksToSeconds } from './tempoMap.js';
+import { fifthsName } from './spelling.js';
+
+// Semitones of the natural steps above C
+const STEP_SEMITONES: Record<string, number> = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const STEP_LETTERS = 'CDEFGAB';
+
+// MusicXML dynamics are percentages of forte, and forte is velocity 90 of 127
+const MUSICXML_FORTE_VELOCITY = 90 / 127;
+// Tempo of a score without <sound tempo>
+const MUSICXML_DEFAULT_BPM = 120;
+
+export interface XmlElement {
+	name: string;
+	attributes: Record<string, string>;
+	children: XmlElement[];
+	text: string;
+}
+
+// A note read from MIDI JSON: the name is a valid spelling of midi
+export interface MidiJsonNoteData {
+	name: string;
+	midi: number;
+	time: number;
+	duration: number;
+	velocity: number;
+	spelled: boolean;
+}
+
+/**
+ * Validate a @tonejs/midi note. A name spelled differently from the default sharp (Db4 for C#4)
+ * is kept when it names the same key; otherwise the name follows midi
+ */
+export function readMidiJsonNote(note: MidiJsonNote, path: string): MidiJsonNoteData {
+	if (!note || typeof note !== 'object') {
+		throw new TypeError(`${path}: must be a note object`);
+	}
+	const namedMidi = typeof note.name === 'string' ? Tonal.Note.midi(note.name) : null;
+	const midi = typeof note.midi === 'number' ? note.midi : namedMidi;
+	if (typeof midi !== 'number' || !Number.isInteger(midi) || midi < 0 || midi > 127) {
+		throw new RangeError(`${path}: midi must be an integer between 0 and 127, got ${note.midi}`);
+	}
+	if (typeof note.time !== 'number' || !(note.time >= 0)) {
+		throw new RangeError(`${path}: time must be a non-negative number of seconds, got ${note.time}`);
+	}
+	if (typeof note.duration !== 'number' || !(note.duration >= 0)) {
+		throw new RangeError(`${path}: duration must be a non-negative number of seconds, got ${note.duration}`);
+	}
+
+	const sharpName = Tonal.Note.fromMidiSharps(midi);
+	const name = namedMidi === midi ? Tonal.Note.get(note.name as string).name : sharpName;
+	return {
+		name,
+		midi,
+		time: note.time,
+		duration: note.duration,
+		velocity: typeof note.velocity === 'number' ? Math.min(Math.max(note.velocity, 0), 1) : 0.8,
+		// Unmarked sharps are the default names @tonejs/midi gives every note
+		spelled: name !== sharpName || (note.spelled === true && name === note.name)
+	};
+}
+
+function decodeXmlEntities(text: string): string {
+	const named: Record<string, string> = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+	return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, code: string) => {
+		if (code[0] === '#') {
+			return String.fromCodePoint(code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : Number(code.slice(1)));
+		}
+		return named[code] ?? entity;
+	});
+}
+
+/**
+ * Parse XML into an element tree. Namespaces, DTDs and entities other than the predefined
+ * and numeric ones are not supported; MusicXML does without them
+ */
+export function parseXml(text: string): XmlElement {
+	const tagPattern = /<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+	const document: XmlElement = { name: '', attributes: {}, children: [], text: '' };
+	const stack = [document];
+	const fail = (message: string, index: number): never => {
+		throw new TypeError(`Invalid XML at line ${text.slice(0, index).split('\n').length}: ${message}`);
+	};
+	const after = (marker: string, from: number): number => {
+		const end = text.indexOf(marker, from);
+		return end === -1 ? fail(`missing "${marker}"`, from) : end + marker.length;
+	};
+
+	let index = 0;
+	while (index < text.length) {
+		const current = stack[stack.length - 1];
+		const open = text.indexOf('<', index);
+		current.text += decodeXmlEntities(text.slice(index, open === -1 ? text.length : open));
+		if (open === -1) {
+			break;
+		}
+
+		if (text.startsWith('<!--', open)) {
+			index = after('-->', open);
+		} else if (text.startsWith('<![CDATA[', open)) {
+			index = after(']]>', open);
+			current.text += text.slice(open + 9, index - 3);
+		} else if (text.startsWith('<?', open)) {
+			index = after('?>', open);
+		} else if (text.startsWith('<!', open)) {
+			// DOCTYPE; an internal subset in square brackets is skipped whole
+			const bracket = text.indexOf('[', open);
+			index = bracket !== -1 && bracket < text.indexOf('>', open) ? after('>', after(']', bracket)) : after('>', open);
+		} else if (text[open + 1] === '/') {
+			index = after('>', open);
+			const name = text.slice(open + 2, index - 1).trim();
+			if (current === document || current.name !== name) {
+				fail(`unexpected </${name}>`, open);
+			}
+			stack.pop();
+		} else {
+			tagPattern.lastIndex = open;
+			const tag = tagPattern.exec(text) ?? fail('malformed tag', open);
+			const attributes: Record<string, string> = {};
+			for (const [, name, doubleQuoted, singleQuoted] of tag[2].matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+				attributes[name] = decodeXmlEntities(doubleQuoted ?? singleQuoted);
+			}
+			const element: XmlElement = { name: tag[1], attributes, children: [], text: '' };
+			current.children.push(element);
+			if (!tag[3]) {
+				stack.push(element);
+			}
+			index = tagPattern.lastIndex;
+		}
+	}
+
+	if (stack.length > 1) {
+		fail(`<${stack[stack.length - 1].name}> is not closed`, text.length);
+	}
+	if (document.children.length !== 1) {
+		fail(document.children.length ? 'more than one root element' : 'no root element', text.length);
+	}
+	return document.children[0];
+}
+
+function xmlChildren(element: XmlElement | null, name: string): XmlElement[] {
+	return element ? element.children.filter(child => child.name === name) : [];
+}
+
+function xmlChild(element: XmlElement | null, name: string): XmlElement | null {
+	return xmlChildren(element, name)[0] ?? null;
+}
+
+function xmlText(element: XmlElement | null, name: string): string | null {
+	return xmlChild(element, name)?.text.trim() ?? null;
+}
+
+/**
+ * Decode XML bytes: UTF-16 when there is a byte order mark, UTF-8 otherwise
+ */
+function decodeXmlBytes(bytes: Uint8Array): string {
+	if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+		return new TextDecoder('utf-16le').decode(bytes);
+	}
+	if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+		return new TextDecoder('utf-16be').decode(bytes);
+	}
+	return new TextDecoder().decode(bytes);
+}
+
+interface ZipEntry {
+	method: number; // 0 stored, 8 deflate
+	data: Uint8Array; // compressed bytes
+}
+
+/**
+ * List the files of a ZIP archive from its central directory
+ */
+function readZipEntries(bytes: Uint8Array): Map<string, ZipEntry> {
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	// The 22-byte end of central directory record is last, followed by a comment of up to 64 KB
+	let end = -1;
+	for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 22 - 0xffff); offset--) {
+		if (view.getUint32(offset, true) === 0x06054b50) {
+			end = offset;
+			break;
+		}
+	}
+	if (end === -1) {
+		throw new TypeError('Not a ZIP archive: the central directory is missing');
+	}
+
+	const entries = new Map<string, ZipEntry>();
+	let offset = view.getUint32(end + 16, true);
+	for (let count = view.getUint16(end + 10, true); count > 0; count--) {
+		if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014b50) {
+			throw new TypeError('Broken ZIP archive: invalid central directory entry');
+		}
+		const nameLength = view.getUint16(offset + 28, true);
+		const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+		const local = view.getUint32(offset + 42, true);
+		const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+		entries.set(name, {
+			method: view.getUint16(offset + 10, true),
+			data: bytes.subarray(start, start + view.getUint32(offset + 20, true))
+		});
+		offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+	}
+	return entries;
+}
+
+/**
+ * Extract a ZIP file entry; deflate goes through DecompressionStream
+ */
+async function inflateZipEntry(entry: ZipEntry): Promise<Uint8Array> {
+	if (entry.method === 0) {
+		return entry.data;
+	}
+	if (entry.method !== 8) {
+		throw new TypeError(`Unsupported ZIP compression method ${entry.method}`);
+	}
+	const stream = new Blob([entry.data.slice()]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+	return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * The MusicXML text of a file: an uncompressed .musicxml/.xml, or an .mxl archive
+ * whose META-INF/container.xml points at the score
+ */
+export async function readMusicXml(data: string | ArrayBuffer | Uint8Array): Promise<string> {
+	if (typeof data === 'string') {
+		return data;
+	}
+	const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+	if (bytes[0] !== 0x50 || bytes[1] !== 0x4b) {
+		return decodeXmlBytes(bytes);
+	}
+
+	const entries = readZipEntries(bytes);
+	const container = entries.get('META-INF/container.xml');
+	let path: string | undefined;
+	if (container) {
+		const rootfile = xmlChild(xmlChild(parseXml(decodeXmlBytes(await inflateZipEntry(container))), 'rootfiles'), 'rootfile');
+		path = rootfile?.attributes['full-path'];
+	}
+	path ||= [...entries.keys()].find(name => !name.startsWith('META-INF/') && /\.(musicxml|xml)$/i.test(name));
+	const score = path ? entries.get(path) : undefined;
+	if (!score) {
+		throw new TypeError('The .mxl archive contains no MusicXML score');
+	}
+	return decodeXmlBytes(await inflateZipEntry(score));
+}
+
+interface Transposition {
+	diatonic: number; // steps
+	chromatic: number; // semitones
+}
+
+/**
+ * Sounding pitch of a MusicXML note with its spelling. Transposing instruments (<transpose>)
+ * move the letter too, so a written D for clarinet in B-flat sounds as C rather than B#.
+ * The name is null for microtonal alterations (alter 0.5)
+ */
+function musicXmlPitch(pitch: XmlElement, transpose: Transposition | null): { name: string | null; midi: number } {
+	const step = xmlText(pitch, 'step') ?? '';
+	const octave = Number(xmlText(pitch, 'octave'));
+	const alter = Number(xmlText(pitch, 'alter') ?? 0);
+	if (!(step in STEP_SEMITONES) || !Number.isInteger(octave) || !Number.isFinite(alter)) {
+		throw new TypeError(`Invalid pitch: step ${step}, octave ${xmlText(pitch, 'octave')}, alter ${xmlText(pitch, 'alter')}`);
+	}
+
+	const shift = transpose ?? { diatonic: 0, chromatic: 0 };
+	const degree = octave * 7 + STEP_LETTERS.indexOf(step) + shift.diatonic;
+	const midi = (octave + 1) * 12 + STEP_SEMITONES[step] + alter + shift.chromatic;
+	const soundingOctave = Math.floor(degree / 7);
+	const letter = STEP_LETTERS[degree - soundingOctave * 7];
+	const accidental = midi - ((soundingOctave + 1) * 12 + STEP_SEMITONES[letter]);
+	const name =
+		Number.isInteger(accidental) && Math.abs(accidental) <= 2
+			? letter + (accidental > 0 ? '#' : 'b').repeat(Math.abs(accidental)) + soundingOctave
+			: null;
+	return { name, midi: Math.round(midi) };
+}
+
+interface ScorePart {
+	id: string;
+	measures: XmlElement[];
+}
+
+/**
+ * Convert a MusicXML score (score-partwise or score-timewise) to @tonejs/midi JSON:
+ * every part becomes a track and notes keep their spelling (spelled). Ties are merged,
+ * grace and cue notes are silent, repeats are not unfolded; tempo and loudness come
+ * from <sound tempo/dynamics>
+ */
+export function parseMusicXml(xml: string): MidiJson & { duration: number } {
+	const score = parseXml(xml);
+	let parts: ScorePart[];
+	if (score.name === 'score-partwise') {
+		parts = xmlChildren(score, 'part').map(part => ({ id: part.attributes.id, measures: xmlChildren(part, 'measure') }));
+	} else if (score.name === 'score-timewise') {
+		// Timewise scores nest the parts in the measures
+		const byId = new Map<string, ScorePart>();
+		xmlChildren(score, 'measure').forEach(measure =>
+			xmlChildren(measure, 'part').forEach(part => {
+				if (!byId.has(part.attributes.id)) {
+					byId.set(part.attributes.id, { id: part.attributes.id, measures: [] });
+				}
+				byId.get(part.attributes.id)?.measures.push({ ...part, attributes: measure.attributes });
+			})
+		);
+		parts = [...byId.values()];
+	} else {
+		throw new TypeError(`Not a MusicXML score: the root element is <${score.name}>`);
+	}
+
+	const partList = new Map(
+		xmlChildren(xmlChild(score, 'part-list'), 'score-part').map(part => {
+			const channel = Number(xmlText(xmlChild(part, 'midi-instrument'), 'midi-channel'));
+			return [part.attributes.id, { name: xmlText(part, 'part-name'), channel: channel >= 1 && channel <= 16 ? channel - 1 : null }];
+		})
+	);
+
+	const ppq = DEFAULT_PPQ;
+	const tempos: TempoChange[] = [];
+	const timeSignatures: TimeSignatureChange[] = [];
+	const keySignatures: KeySignatureChange[] = [];
+	type ScoreNote = Omit<MidiJsonNote, 'ticks' | 'durationTicks'> & { name: string; ticks: number; durationTicks: number };
+
+	const tracks = parts.map((part, partIndex) => {
+		const notes: ScoreNote[] = [];
+		const ties = new Map<number, ScoreNote>(); // notes whose tie has not ended, by MIDI number
+		let divisions = 1;
+		let transpose: Transposition | null = null;
+		let velocity = MUSICXML_FORTE_VELOCITY;
+		let position = 0; // ticks from the start
+		let chordStart = 0;
+		const ticks = (duration: string | null) => Math.round((Number(duration) * ppq) / divisions);
+		const dynamicsVelocity = (dynamics: string | undefined): number | null =>
+			dynamics !== undefined && Number(dynamics) >= 0 ? Math.min((Number(dynamics) / 100) * MUSICXML_FORTE_VELOCITY, 1) : null;
+
+		const readSound = (sound: XmlElement | null, at: number) => {
+			if (!sound) {
+				return;
+			}
+			const tempo = Number(sound.attributes.tempo);
+			if (tempo > 0) {
+				tempos.push({ ticks: at, bpm: tempo });
+			}
+			velocity = dynamicsVelocity(sound.attributes.dynamics) ?? velocity;
+		};
+
+		part.measures.forEach(measure => {
+			let measureEnd = position;
+			measure.children.forEach(element => {
+				if (element.name === 'attributes') {
+					divisions = Number(xmlText(element, 'divisions')) || divisions;
+					const transposeElement = xmlChild(element, 'transpose');
+					if (transposeElement) {
+						const chromatic = Number(xmlText(transposeElement, 'chromatic')) || 0;
+						const octaves = Number(xmlText(transposeElement, 'octave-change')) || 0;
+						const diatonic =
+							xmlText(transposeElement, 'diatonic') === null
+								? Math.round((chromatic * 7) / 12)
+								: Number(xmlText(transposeElement, 'diatonic')) || 0;
+						transpose = { diatonic: diatonic + octaves * 7, chromatic: chromatic + octaves * 12 };
+					}
+					// Meter and key are shared by all parts and taken from the first
+					const key = xmlChild(element, 'key');
+					if (partIndex === 0 && xmlText(key, 'fifths') !== null) {
+						const fifths = Number(xmlText(key, 'fifths'));
+						const scale = xmlText(key, 'mode') === 'minor' ? 'minor' : 'major';
+						keySignatures.push({ ticks: position, key: fifthsName(fifths), scale });
+					}
+					const time = xmlChild(element, 'time');
+					const beats = time ? String(xmlText(time, 'beats')).split('+').reduce((sum, value) => sum + Number(value), 0) : NaN;
+					if (partIndex === 0 && beats > 0) {
+						timeSignatures.push({ ticks: position, timeSignature: [beats, Number(xmlText(time, 'beat-type'))] });
+					}
+				} else if (element.name === 'sound') {
+					readSound(element, position);
+				} else if (element.name === 'direction') {
+					readSound(xmlChild(element, 'sound'), position);
+				} else if (element.name === 'backup') {
+					position -= ticks(xmlText(element, 'duration'));
+				} else if (element.name === 'forward') {
+					position += ticks(xmlText(element, 'duration'));
+				} else if (element.name === 'note' && !xmlChild(element, 'grace') && !xmlChild(element, 'cue')) {
+					const length = ticks(xmlText(element, 'duration') ?? '0');
+					const isChord = xmlChild(element, 'chord') !== null;
+					const start = isChord ? chordStart : position;
+					if (!isChord) {
+						chordStart = position;
+						position += length;
+					}
+
+					const pitchElement = xmlChild(element, 'pitch');
+					if (pitchElement) {
+						const pitch = musicXmlPitch(pitchElement, transpose);
+						if (pitch.midi < 0 || pitch.midi > 127) {
+							throw new RangeError(`Note ${pitch.name} in measure ${measure.attributes.number} is outside the MIDI range`);
+						}
+						const tie = xmlChildren(element, 'tie').map(child => child.attributes.type);
+						const tied = tie.includes('stop') ? ties.get(pitch.midi) : undefined;
+						if (tied) {
+							tied.durationTicks = start + length - tied.ticks;
+						} else {
+							const note: ScoreNote = {
+								name: pitch.name ?? Tonal.Note.fromMidiSharps(pitch.midi),
+								midi: pitch.midi,
+								time: 0,
+								duration: 0,
+								ticks: start,
+								durationTicks: length,
+								velocity: dynamicsVelocity(element.attributes.dynamics) ?? velocity,
+								spelled: pitch.name !== null
+							};
+							notes.push(note);
+							if (tie.includes('start')) {
+								ties.set(pitch.midi, note);
+							}
+						}
+						if (tied && !tie.includes('start')) {
+							ties.delete(pitch.midi);
+						}
+					}
+				}
+				measureEnd = Math.max(measureEnd, position);
+			});
+			// A measure ends where its longest voice got to
+			position = measureEnd;
+		});
+
+		const info = partList.get(part.id);
+		const track: Omit<MidiJsonTrack, 'notes'> & { notes: ScoreNote[] } = {
+			name: info?.name ?? '',
+			channel: info?.channel ?? partIndex % 16,
+			notes: notes.sort((a, b) => a.ticks - b.ticks),
+			controlChanges: {},
+			pitchBends: []
+		};
+		return track;
+	});
+
+	if (!tempos.some(tempo => tempo.ticks === 0)) {
+		tempos.unshift({ ticks: 0, bpm: MUSICXML_DEFAULT_BPM });
+	}
+	const header = {
+		name: xmlText(xmlChild(score, 'work'), 'work-title') || xmlText(score, 'movement-title') || '',
+		ppq,
+		tempos,
+		timeSignatures,
+		keySignatures
+	};
+	const map = createTempoMap(header);
+	let duration = 0;
+	tracks.forEach(track =>
+		track.notes.forEach(note => {
+			note.time = ticksToSeconds(map, note.ticks);
+			note.duration = ticksToSeconds(map, note.ticks + note.durationTicks) - note.time;
+			duration = Math.max(duration, note.time + note.duration);
+		})
+	);
+	return { header, duration, tracks };
+}
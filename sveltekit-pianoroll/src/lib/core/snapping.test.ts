@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { PianoRollCore } from '../index.js';
+import { snapMidi } from './snapping.js';
+
+// C major pentatonic: C D E G A
+const isDegree = (key: number) => [0, 2, 4, 7, 9].includes(((key % 12) + 12) % 12);
+
+describe('snapMidi', () => {
+	it('follows the snap policy', () => {
+		expect(snapMidi(61, isDegree, 'nearest', 6)).toBe(60);
+		expect(snapMidi(61, isDegree, 'up', 6)).toBe(62);
+		expect(snapMidi(66, isDegree, 'down', 6)).toBe(64);
+		expect(snapMidi(61, isDegree, 'drop', 6)).toBeNull();
+		expect(snapMidi(61, isDegree, 'pass', 6)).toBe(61);
+		expect(snapMidi(62, isDegree, 'drop', 6)).toBe(62);
+	});
+
+	it('leaves notes with no degree in range alone', () => {
+		expect(snapMidi(61, () => false, 'nearest', 6)).toBe(61);
+	});
+});
+
+describe('snap policy in the core', () => {
+	it('drops notes outside the pentatonic scale', () => {
+		const core = new PianoRollCore({ useSynth: false, tuningSystem: 'pentatonic', snapPolicy: 'drop' });
+		expect(core.noteToFrequency(61)).toBeNull();
+		expect(core.noteToFrequency(60)).not.toBeNull();
+		// The deprecated alias keeps returning a frequency: equal temperament
+		expect(core.getNoteFrequency('C#4')).toBeCloseTo(277.183, 3);
+		core.setSnapPolicy('nearest');
+		expect(core.noteToFrequency(61)).toBe(core.noteToFrequency(60));
+	});
+});
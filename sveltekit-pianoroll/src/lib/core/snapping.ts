@@ -0,0 +1,34 @@
+import type { SnapPolicy } from '../types/index.js';
+
+export const SNAP_POLICIES: SnapPolicy[] = ['nearest', 'up', 'down', 'drop', 'pass'];
+
+/**
+ * Find the scale degree a MIDI note is played on under the given snap policy
+ * 'nearest' prefers the lower degree on ties
+ * @param isDegree whether a key is a degree of the current scale
+ * @param range how many semitones to search in each direction
+ * @returns the degree key; the note itself for 'pass' or when no degree is in range; null for 'drop'
+ */
+export function snapMidi(
+	midi: number,
+	isDegree: (key: number) => boolean,
+	policy: SnapPolicy,
+	range: number
+): number | null {
+	if (isDegree(midi) || policy === 'pass') {
+		return midi;
+	}
+	if (policy === 'drop') {
+		return null;
+	}
+
+	for (let distance = 1; distance <= range; distance++) {
+		if (policy !== 'up' && isDegree(midi - distance)) {
+			return midi - distance;
+		}
+		if (policy !== 'down' && isDegree(midi + distance)) {
+			return midi + distance;
+		}
+	}
+	return midi;
+}
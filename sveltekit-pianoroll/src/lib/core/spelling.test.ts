@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { PianoRollCore, inferSpellings, spelledRatio } from '../index.js';
+import { fifthsName, spelledName } from './spelling.js';
+
+const note = (midi: number, time: number, name = '') => ({ name, midi, time, duration: 1 });
+
+describe('spelledRatio', () => {
+	it('tunes Pythagorean notes by fifths and just notes with pure thirds', () => {
+		expect(spelledRatio(4, 4, 'pythagorean')).toBeCloseTo(81 / 64, 12);
+		expect(spelledRatio(4, 4, 'natural')).toBeCloseTo(5 / 4, 12);
+		expect(spelledRatio(7, 1, 'natural')).toBeCloseTo(25 / 24, 12);
+		expect(spelledRatio(-5, 1, 'natural')).toBeCloseTo(16 / 15, 12);
+	});
+});
+
+describe('names on the line of fifths', () => {
+	it('name major keys and notes', () => {
+		expect([0, 2, -3, 7, -8].map(fifthsName)).toEqual(['C', 'D', 'Eb', 'C#', 'Fb']);
+		expect(spelledName(-4, 68)).toBe('Ab4');
+		expect(spelledName(8, 68)).toBe('G#4');
+	});
+});
+
+describe('inferSpellings', () => {
+	it('follows the key signature', () => {
+		expect(inferSpellings([note(70, 0), note(61, 1)], [{ time: 0, key: 'Ab' }])).toEqual(['Bb4', 'Db4']);
+		expect(inferSpellings([note(70, 0), note(61, 1)], [{ time: 0, key: 'E' }])).toEqual(['A#4', 'C#4']);
+	});
+
+	it('estimates the key without a signature and keeps spelled notes', () => {
+		const notes = [note(66, 0), note(71, 1), note(63, 2), note(68, 3, 'Ab4')];
+		const names = inferSpellings(notes.map((entry, index) => ({ ...entry, spelled: index === 3 })), []);
+		expect(names).toEqual(['F#4', 'B4', 'D#4', 'Ab4']);
+	});
+});
+
+describe('inferSpelling', () => {
+	it('retunes just notes by their new names and can be undone', () => {
+		const core = new PianoRollCore({ useSynth: false, tuningSystem: 'natural' });
+		core.loadMidiJson({ tracks: [{ notes: [{ midi: 68, time: 0, duration: 1, velocity: 0.8 }] }] });
+		// Unspelled, key 68 is the minor sixth 8/5 of the table
+		const table = core.getNotes()[0].frequency as number;
+		expect(table / (core.noteToFrequency('C4') as number)).toBeCloseTo(8 / 5, 12);
+		const spelled = core.inferSpelling({ key: 'E' });
+		expect(spelled.map(entry => [entry.name, entry.spelled])).toEqual([['G#4', true]]);
+		expect((spelled[0].frequency as number) / (core.noteToFrequency('C4') as number)).toBeCloseTo(25 / 16, 12);
+		core.undo();
+		expect(core.getNotes()[0]).toMatchObject({ name: 'G#4', frequency: table });
+		expect(core.getNotes()[0].spelled).toBeUndefined();
+	});
+
+	it('rejects an invalid key', () => {
+		const core = new PianoRollCore({ useSynth: false });
+		expect(() => core.inferSpelling({ key: 'H' })).toThrow(RangeError);
+	});
+});
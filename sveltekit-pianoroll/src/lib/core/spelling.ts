@@ -0,0 +1,148 @@
+// Enharmonic spelling: F# and Gb are different pitches in just and Pythagorean tunings and spelled gamuts
+import * as Tonal from 'tonal';
+import type { KeyScale, TuningSystem } from '../types/index.js';
+
+// Built-in tunings that tune notes with a spelling (Note.spelled) by their place on the line of fifths
+export const SPELLED_TUNINGS: TuningSystem[] = ['natural', 'pythagorean'];
+
+// The syntonic comma: how far the Pythagorean major third (81/64) lies above the pure one (5/4)
+export const SYNTONIC_COMMA = 81 / 80;
+
+/**
+ * Ratio of a spelled note to the tonic. The note lies `fifths` fifths from the tonic on the
+ * line of fifths (from C: F# is 6, Gb is -6) and is brought into its octave by the semitone count.
+ * Just intonation lowers every fourth fifth by a syntonic comma, which turns Pythagorean thirds
+ * into pure ones: Db to F# match NATURAL_RATIOS, while C# becomes 25/24 rather than 16/15
+ */
+export function spelledRatio(fifths: number, semitones: number, system: TuningSystem): number {
+	const pythagorean = Math.pow(3 / 2, fifths) * Math.pow(2, (semitones - 7 * fifths) / 12);
+	if (system === 'natural') {
+		return pythagorean * Math.pow(SYNTONIC_COMMA, -Math.floor((fifths + 1) / 4));
+	}
+	return pythagorean;
+}
+
+/**
+ * Fifths from the tonic to a note on the line of fifths, e.g. 6 for F# and -6 for Gb above C
+ */
+export function fifthsAbove(tonic: string, noteName: string): number {
+	return (Tonal.Note.get(noteName).coord?.[0] ?? 0) - (Tonal.Note.get(tonic).coord?.[0] ?? 0);
+}
+
+/**
+ * Tonic of the major key with the given number of sharps (negative for flats): 0 is C, 2 is D, -3 is Eb
+ */
+export function fifthsName(fifths: number): string {
+	const accidentals = Math.floor((fifths + 1) / 7);
+	return 'FCGDAEB'[fifths + 1 - 7 * accidentals] + (accidentals > 0 ? '#' : 'b').repeat(Math.abs(accidentals));
+}
+
+// Key signatures are major or minor
+export const KEY_SCALES: KeyScale[] = ['major', 'minor'];
+
+// Spelling inference places notes on the line of fifths between Fbb and B## (from C)
+export const SPELLING_FIFTHS_RANGE = [-15, 19];
+
+// Notes already spelled weigh half as much after this many seconds
+export const SPELLING_CONTEXT_HALF_LIFE = 2;
+
+// Weight of the key centre against a single note that has just sounded
+export const SPELLING_KEY_WEIGHT = 1;
+
+/**
+ * A key signature names a pitch class ('Eb', 'F#') and one of KEY_SCALES
+ */
+export function isKeySignature(key: unknown, scale: unknown): boolean {
+	return typeof key === 'string' && key !== '' && Tonal.Note.pitchClass(key) === key && KEY_SCALES.includes(scale as KeyScale);
+}
+
+/**
+ * Centre on the line of fifths from C (2, that is D, for C major and A minor) of the diatonic
+ * scale that holds the most sounding time of the notes; ties go to fewer sharps or flats
+ */
+export function estimateKeyCentre(notes: { midi: number; duration: number }[]): number {
+	let best = { centre: 2, weight: -1 };
+	[0, 1, -1, 2, -2, 3, -3, 4, -4, 5, -5, 6, -6, 7, -7].forEach(key => {
+		const weight = notes.reduce((sum, note) => {
+			const fifths = ((note.midi % 12) * 7) % 12;
+			return (((fifths - key + 1) % 12) + 12) % 12 <= 6 ? sum + note.duration : sum;
+		}, 0);
+		if (weight > best.weight) {
+			best = { centre: key + 2, weight };
+		}
+	});
+	return best.centre;
+}
+
+/**
+ * Note name from its place on the line of fifths from C and its MIDI number, e.g. (-4, 68) is Ab4
+ */
+export function spelledName(fifths: number, midi: number): string {
+	const pitchClass = fifthsName(fifths);
+	const alter = pitchClass.length === 1 ? 0 : (pitchClass[1] === '#' ? 1 : -1) * (pitchClass.length - 1);
+	return `${pitchClass}${(midi - alter - (Tonal.Note.chroma(pitchClass[0]) ?? 0)) / 12 - 1}`;
+}
+
+/**
+ * Spell notes with sharps or flats from the key and their context: each note takes the place
+ * on the line of fifths nearest to the centre of the key and of the notes heard just before
+ * (their weight halves every SPELLING_CONTEXT_HALF_LIFE seconds). Notes starting together share
+ * one context. Notes that are already spelled keep their names but still count as context.
+ * keys are key signatures by time (key is the major tonic of the sharps or flats);
+ * with none the signature is estimated from the notes. Returns names in the order of notes
+ */
+export function inferSpellings(
+	notes: { name: string; midi: number; time: number; duration: number; spelled?: boolean }[],
+	keys: { time: number; key: string }[]
+): string[] {
+	const centres = keys.length
+		? keys.map(({ time, key }) => ({ time, centre: fifthsAbove('C', key) + 2 }))
+		: [{ time: 0, centre: estimateKeyCentre(notes) }];
+	const keyCentreAt = (time: number) =>
+		centres.reduce((found, entry) => (entry.time <= time + 1e-9 ? entry : found), centres[0]).centre;
+
+	const names = notes.map(note => note.name);
+	const order = notes.map((_, index) => index).sort((a, b) => notes[a].time - notes[b].time);
+	let weight = 0;
+	let weightedFifths = 0;
+	let lastTime = 0;
+	for (let start = 0; start < order.length; ) {
+		const { time } = notes[order[start]];
+		let end = start;
+		while (end < order.length && notes[order[end]].time === time) {
+			end++;
+		}
+
+		const decay = Math.pow(0.5, (time - lastTime) / SPELLING_CONTEXT_HALF_LIFE);
+		weight *= decay;
+		weightedFifths *= decay;
+		lastTime = time;
+		const keyCentre = keyCentreAt(time);
+		const centre = (SPELLING_KEY_WEIGHT * keyCentre + weightedFifths) / (SPELLING_KEY_WEIGHT + weight);
+		// Nearer to the context centre, on a tie nearer to the key centre
+		const closer = (a: number, b: number) => {
+			const difference = Math.abs(a - centre) - Math.abs(b - centre);
+			return difference < -1e-9 || (difference <= 1e-9 && Math.abs(a - keyCentre) < Math.abs(b - keyCentre));
+		};
+
+		order.slice(start, end).forEach(index => {
+			const note = notes[index];
+			let fifths: number | null = null;
+			if (note.spelled) {
+				fifths = fifthsAbove('C', note.name);
+			} else {
+				const [low, high] = SPELLING_FIFTHS_RANGE;
+				for (let candidate = low + (((note.midi % 12) * 7 - low) % 12); candidate <= high; candidate += 12) {
+					if (fifths === null || closer(candidate, fifths)) {
+						fifths = candidate;
+					}
+				}
+				names[index] = spelledName(fifths as number, note.midi);
+			}
+			weight += 1;
+			weightedFifths += fifths as number;
+		});
+		start = end;
+	}
+	return names;
+}
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { PianoRollCore } from '../index.js';
+import { createTempoMap, positionToTicks, secondsToTicks, ticksToPosition, ticksToSeconds } from './tempoMap.js';
+
+// 120 BPM for two bars of 4/4, then 60 BPM in 3/4
+const HEADER = {
+	ppq: 480,
+	tempos: [{ ticks: 0, bpm: 120 }, { ticks: 3840, bpm: 60 }],
+	timeSignatures: [{ ticks: 0, timeSignature: [4, 4] as [number, number] }, { ticks: 3840, timeSignature: [3, 4] as [number, number] }]
+};
+
+describe('createTempoMap', () => {
+	it('adds the fallback tempo and 4/4 at tick 0', () => {
+		const map = createTempoMap({ tempos: [{ ticks: 960, bpm: 90 }] }, 100);
+		expect(map.ppq).toBe(480);
+		expect(map.tempos).toEqual([{ ticks: 0, bpm: 100 }, { ticks: 960, bpm: 90 }]);
+		expect(map.timeSignatures).toEqual([{ ticks: 0, timeSignature: [4, 4] }]);
+	});
+
+	it('drops invalid events and keeps the last of several on one tick', () => {
+		const map = createTempoMap({
+			tempos: [{ ticks: 0, bpm: 0 }, { ticks: 0, bpm: 90 }, { ticks: 0, bpm: 80 }],
+			timeSignatures: [{ ticks: 0, timeSignature: [3, 5] }]
+		});
+		expect(map.tempos).toEqual([{ ticks: 0, bpm: 80 }]);
+		expect(map.timeSignatures[0].timeSignature).toEqual([4, 4]);
+	});
+});
+
+describe('ticks and seconds', () => {
+	const map = createTempoMap(HEADER);
+
+	it('convert across tempo changes', () => {
+		expect(ticksToSeconds(map, 3840)).toBe(4);
+		expect(ticksToSeconds(map, 3840 + 480)).toBe(5);
+		expect(secondsToTicks(map, 5)).toBe(4320);
+	});
+
+	it('scale every tempo', () => {
+		expect(ticksToSeconds(map, 3840, 2)).toBe(2);
+	});
+});
+
+describe('positions', () => {
+	const map = createTempoMap(HEADER);
+
+	it('count bars in the meter of each segment', () => {
+		expect(ticksToPosition(map, 3840)).toBe('2:0:0');
+		expect(ticksToPosition(map, 3840 + 1440)).toBe('3:0:0');
+		expect(ticksToPosition(map, 240)).toBe('0:0:2');
+		expect(positionToTicks(map, '3:1')).toBe(3840 + 1440 + 480);
+	});
+
+	it('reject malformed positions', () => {
+		expect(() => positionToTicks(map, '1:x:0')).toThrow(RangeError);
+		expect(() => positionToTicks(map, '1:0:0:0')).toThrow(RangeError);
+	});
+});
+
+describe('core tempo map', () => {
+	it('is taken from the loaded file', () => {
+		const core = new PianoRollCore({ useSynth: false });
+		core.loadMidiJson({ header: HEADER, tracks: [{ notes: [{ midi: 60, time: 4, duration: 1, velocity: 0.8 }] }] });
+		expect(core.getTempoMap().tempos).toEqual([{ ticks: 0, bpm: 120, time: 0 }, { ticks: 3840, bpm: 60, time: 4 }]);
+		expect(core.secondsToPosition(5)).toBe('2:1:0');
+		expect(core.positionToSeconds('3:0:0')).toBe(7);
+		expect(core.getTransportState().bpm).toBe(120);
+	});
+});
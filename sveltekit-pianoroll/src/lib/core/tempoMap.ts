@@ -0,0 +1,127 @@
+// Tempo map from the MIDI header: exact seconds <-> bars:beats:sixteenths across tempo and meter changes
+import type { KeySignatureChange, MidiHeader, TempoChange, TimeSignatureChange } from '../types/index.js';
+import { isKeySignature } from './spelling.js';
+
+// Ticks per quarter note when the header has no ppq
+export const DEFAULT_PPQ = 480;
+
+interface TempoSegment extends TempoChange {
+	time: number;
+}
+
+interface MeterSegment {
+	ticks: number;
+	bar: number;
+	barTicks: number;
+	beatTicks: number;
+}
+
+/**
+ * Normalise header.tempos / header.timeSignatures / header.keySignatures from @tonejs/midi
+ * Events are sorted, the last of several on one tick wins, and tick 0 always has a tempo
+ * and a meter (fallbackBpm and 4/4 by default, as in SMF); key signatures may be missing
+ */
+export function createTempoMap(header: Partial<MidiHeader> = {}, fallbackBpm = 120): MidiHeader {
+	const ppq = Number.isInteger(header.ppq) && (header.ppq as number) > 0 ? (header.ppq as number) : DEFAULT_PPQ;
+	const byTick = <T extends { ticks: number }>(events: T[] | undefined, valid: (event: T) => boolean, fallback: T | null): T[] => {
+		const sorted = new Map<number, T>();
+		(events ?? [])
+			.filter(event => event && Number.isFinite(event.ticks) && event.ticks >= 0 && valid(event))
+			.sort((a, b) => a.ticks - b.ticks)
+			.forEach(event => sorted.set(event.ticks, event));
+		if (fallback && !sorted.has(0)) {
+			sorted.set(0, fallback);
+		}
+		return [...sorted.values()].sort((a, b) => a.ticks - b.ticks);
+	};
+
+	const tempos = byTick(header.tempos, tempo => tempo.bpm > 0, { ticks: 0, bpm: fallbackBpm })
+		.map(({ ticks, bpm }) => ({ ticks, bpm }));
+	// The denominator must be a power of two to be written back to SMF
+	const timeSignatures = byTick(header.timeSignatures, event => {
+		const [numerator, denominator] = event.timeSignature ?? [];
+		return Number.isInteger(numerator) && numerator > 0 &&
+			Number.isInteger(denominator) && denominator > 0 && (denominator & (denominator - 1)) === 0;
+	}, { ticks: 0, timeSignature: [4, 4] })
+		.map(({ ticks, timeSignature }): TimeSignatureChange => ({ ticks, timeSignature: [timeSignature[0], timeSignature[1]] }));
+
+	const keySignatures = byTick(header.keySignatures, event => isKeySignature(event.key, event.scale), null)
+		.map(({ ticks, key, scale }): KeySignatureChange => ({ ticks, key, scale }));
+
+	return { ppq, tempos, timeSignatures, keySignatures };
+}
+
+/**
+ * Tempos with the second each one starts at; scale multiplies every tempo (setBPM)
+ */
+export function tempoSegments(map: MidiHeader, scale: number): TempoSegment[] {
+	let time = 0;
+	return map.tempos.map((tempo, index) => {
+		if (index > 0) {
+			const previous = map.tempos[index - 1];
+			time += (tempo.ticks - previous.ticks) / map.ppq * 60 / (previous.bpm * scale);
+		}
+		return { ticks: tempo.ticks, bpm: tempo.bpm * scale, time };
+	});
+}
+
+export function ticksToSeconds(map: MidiHeader, ticks: number, scale = 1): number {
+	const segments = tempoSegments(map, scale);
+	const segment = segments.filter(candidate => candidate.ticks <= ticks).pop() ?? segments[0];
+	return segment.time + (ticks - segment.ticks) / map.ppq * 60 / segment.bpm;
+}
+
+/**
+ * Seconds to (fractional) ticks of the tempo map
+ */
+export function secondsToTicks(map: MidiHeader, seconds: number, scale = 1): number {
+	const segments = tempoSegments(map, scale);
+	const segment = segments.filter(candidate => candidate.time <= seconds).pop() ?? segments[0];
+	return segment.ticks + (seconds - segment.time) * segment.bpm / 60 * map.ppq;
+}
+
+/**
+ * Meters with the bar each one starts at; a meter changing mid-bar starts a new bar
+ */
+export function meterSegments(map: MidiHeader): MeterSegment[] {
+	const segments: MeterSegment[] = [];
+	map.timeSignatures.forEach(({ ticks, timeSignature: [numerator, denominator] }) => {
+		const previous = segments[segments.length - 1];
+		const bar = previous ? previous.bar + Math.ceil((ticks - previous.ticks) / previous.barTicks - 1e-9) : 0;
+		const beatTicks = map.ppq * 4 / denominator;
+		segments.push({ ticks, bar, barTicks: beatTicks * numerator, beatTicks });
+	});
+	return segments;
+}
+
+/**
+ * Ticks to 'bars:beats:sixteenths', counted from 0 like Tone.js
+ * Beats are in units of the meter's denominator (eighths in 6/8); sixteenths may be fractional
+ */
+export function ticksToPosition(map: MidiHeader, ticks: number): string {
+	// Rounding removes the error of converting from seconds (959.9999999 -> 960)
+	const exact = Math.max(0, Math.round(ticks * 1e6) / 1e6);
+	const segments = meterSegments(map);
+	const segment = segments.filter(candidate => candidate.ticks <= exact).pop() ?? segments[0];
+	const offset = exact - segment.ticks;
+	const bars = segment.bar + Math.floor(offset / segment.barTicks);
+	const inBar = offset - (bars - segment.bar) * segment.barTicks;
+	const beats = Math.floor(inBar / segment.beatTicks);
+	const sixteenths = Math.floor((inBar - beats * segment.beatTicks) / (map.ppq / 4) * 1000 + 1e-6) / 1000;
+	return `${bars}:${beats}:${sixteenths}`;
+}
+
+/**
+ * 'bars:beats:sixteenths' to ticks; beats and sixteenths may be left out
+ * @throws RangeError when the position is malformed
+ */
+export function positionToTicks(map: MidiHeader, position: string): number {
+	const parts = String(position).split(':');
+	const [bars, beats = 0, sixteenths = 0] = parts.map(part => part.trim() === '' ? NaN : Number(part));
+	if (parts.length > 3 || ![bars, beats, sixteenths].every(value => Number.isFinite(value) && value >= 0)) {
+		throw new RangeError(`Invalid position: ${position}. Use 'bars:beats:sixteenths', e.g. '4:0:0'.`);
+	}
+	const segments = meterSegments(map);
+	const segment = segments.filter(candidate => candidate.bar <= bars).pop() ?? segments[0];
+	return segment.ticks + (bars - segment.bar) * segment.barTicks + beats * segment.beatTicks + sixteenths * map.ppq / 4;
+}
@@ -0,0 +1,11 @@
+// Mixer tracks and synth types, shared by the core and the project documents
+import type { SynthType, TrackMix } from '../types/index.js';
+
+// 'sampler' plays the sample set of loadSampler()
+export const SYNTH_TYPES: SynthType[] = ['default', 'fm', 'am', 'membrane', 'sampler'];
+
+// Mixer settings of a newly loaded track
+export const TRACK_MIX_DEFAULTS: TrackMix = { synthType: null, volume: 0, pan: 0, mute: false, solo: false, tuningSystem: null };
+
+// Allowed track volume (dB)
+export const TRACK_VOLUME_RANGE = [-60, 12] as const;
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { PianoRollCore, analysisToCsv } from '../index.js';
+import { nearestJustInterval } from './tuningAnalysis.js';
+
+function triadCore(tuningSystem: 'equal' | 'natural'): PianoRollCore {
+	const core = new PianoRollCore({ useSynth: false, tuningSystem });
+	core.loadMidiJson({ tracks: [{ notes: [60, 64, 67].map(midi => ({ midi, time: 0, duration: 1, velocity: 0.8 })) }] });
+	return core;
+}
+
+describe('nearestJustInterval', () => {
+	it('finds the nearest ratio and folds octaves into the numerator', () => {
+		expect(nearestJustInterval(400)).toMatchObject({ ratio: '5/4' });
+		expect(nearestJustInterval(1902)).toMatchObject({ ratio: '3/1' });
+	});
+});
+
+describe('analyzeTuning', () => {
+	it('measures the intervals of a triad', () => {
+		const equal = triadCore('equal').analyzeTuning();
+		expect(equal.intervals).toHaveLength(3);
+		const third = equal.intervals.find(interval => interval.low === 'C4' && interval.high === 'E4')!;
+		expect(third.ratio).toBe('5/4');
+		expect(third.deviation).toBeCloseTo(13.69, 2);
+
+		const just = triadCore('natural').analyzeTuning();
+		expect(just.summary.meanImpurity).toBeCloseTo(0, 9);
+		expect(just.notes[1].cents).toBeCloseTo(-13.69, 2);
+	});
+
+	it('compares two tunings and exports CSV', () => {
+		const core = triadCore('equal');
+		const comparison = core.compareTunings('equal', 'natural');
+		expect(comparison.tuningSystems).toEqual(['equal', 'natural']);
+		expect(comparison.notes[1].cents[0]).toBeCloseTo(0, 9);
+		expect(analysisToCsv(comparison, 'notes').split('\n')[0]).toBe(
+			'id,name,midi,trackIndex,time,duration,frequency (equal),frequency (natural),cents (equal),cents (natural)'
+		);
+		expect(() => core.exportAnalysis({ format: 'xml' as 'csv' })).toThrow(RangeError);
+		expect(() => core.analyzeTuning('nonexistent')).toThrow(RangeError);
+	});
+});
@@ -0,0 +1,253 @@
+// Tuning analysis: note deviations from 12-TET, purity and beating of simultaneous intervals
+import type {
+	AnalysisSummary,
+	AnalysisTable,
+	ChordAnalysis,
+	IntervalAnalysis,
+	Note,
+	NoteAnalysis,
+	TuningAnalysis,
+	TuningComparison
+} from '../types/index.js';
+import { ONSET_TOLERANCE } from './adaptiveTuning.js';
+
+// Just intervals within an octave that sonorities are measured against (5-limit plus the harmonic seventh)
+const JUST_INTERVALS: [number, number][] = [
+	[1, 1], [16, 15], [9, 8], [6, 5], [5, 4], [4, 3], [45, 32], [3, 2], [8, 5], [5, 3], [7, 4], [9, 5], [15, 8], [2, 1]
+];
+// Notes sound together when they overlap for longer than this (seconds)
+const MIN_OVERLAP = 0.01;
+
+export const ANALYSIS_FORMATS = ['json', 'csv'] as const;
+export const ANALYSIS_TABLES: AnalysisTable[] = ['notes', 'intervals', 'chords', 'summary'];
+
+/**
+ * Just interval nearest to an interval in cents; octaves go into the numerator (a fifth an octave up is 3/1)
+ */
+export function nearestJustInterval(cents: number): { ratio: string; numerator: number; denominator: number; cents: number } {
+	const octaves = Math.floor(cents / 1200);
+	const rest = cents - octaves * 1200;
+	let best = { numerator: 1, denominator: 1, cents: 0 };
+	JUST_INTERVALS.forEach(([numerator, denominator]) => {
+		const justCents = 1200 * Math.log2(numerator / denominator);
+		if (Math.abs(rest - justCents) < Math.abs(rest - best.cents)) {
+			best = { numerator, denominator, cents: justCents };
+		}
+	});
+	let numerator = best.numerator * 2 ** octaves;
+	let denominator = best.denominator;
+	while (numerator % 2 === 0 && denominator % 2 === 0) {
+		numerator /= 2;
+		denominator /= 2;
+	}
+	return { ratio: `${numerator}/${denominator}`, numerator, denominator, cents: best.cents + octaves * 1200 };
+}
+
+/**
+ * Interval between two sounding notes, its nearest just ratio p/q and the beat rate
+ * of the coinciding partials (the q-th of the upper note against the p-th of the lower)
+ */
+export function measureInterval(a: NoteAnalysis, b: NoteAnalysis, time: number, duration: number): IntervalAnalysis {
+	const [low, high] = a.frequency <= b.frequency ? [a, b] : [b, a];
+	const cents = 1200 * Math.log2(high.frequency / low.frequency);
+	const just = nearestJustInterval(cents);
+	return {
+		time,
+		duration,
+		lowId: low.id,
+		highId: high.id,
+		low: low.name,
+		high: high.name,
+		cents,
+		ratio: just.ratio,
+		justCents: just.cents,
+		deviation: cents - just.cents,
+		beatRate: Math.abs(just.denominator * high.frequency - just.numerator * low.frequency)
+	};
+}
+
+const mean = (values: number[]): number => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+/**
+ * Analyse tuned notes: deviation of every note from 12-TET, the intervals between notes sounding
+ * together, the sonorities at note onsets and a summary; dropped notes (no frequency) are skipped
+ */
+export function analyzeTunedNotes(
+	notes: Note[],
+	equalFrequency: (midi: number) => number
+): Omit<TuningAnalysis, 'tuningSystem' | 'referenceFrequency' | 'referenceNote'> {
+	const analyzed: NoteAnalysis[] = notes
+		.filter((note): note is Note & { frequency: number } => note.frequency !== null)
+		.sort((a, b) => a.time - b.time)
+		.map(note => ({ ...note, cents: 1200 * Math.log2(note.frequency / equalFrequency(note.midi)) }));
+	const end = (note: Note) => note.time + note.duration;
+
+	const intervals: IntervalAnalysis[] = [];
+	let active: NoteAnalysis[] = [];
+	analyzed.forEach(note => {
+		active = active.filter(other => end(other) > note.time + MIN_OVERLAP);
+		active.forEach(other => {
+			const overlap = Math.min(end(other), end(note)) - note.time;
+			if (overlap > MIN_OVERLAP) {
+				intervals.push(measureInterval(other, note, note.time, overlap));
+			}
+		});
+		active.push(note);
+	});
+
+	// A sonority is every note sounding at an onset; close onsets are merged
+	const chords: ChordAnalysis[] = [];
+	let sounding: NoteAnalysis[] = [];
+	for (let index = 0; index < analyzed.length;) {
+		const onset = analyzed[index].time;
+		while (index < analyzed.length && analyzed[index].time - onset <= ONSET_TOLERANCE) {
+			sounding.push(analyzed[index++]);
+		}
+		sounding = sounding.filter(note => end(note) > onset + MIN_OVERLAP);
+		if (sounding.length > 1) {
+			const deviations: number[] = [];
+			sounding.forEach((a, position) => sounding.slice(position + 1).forEach(b => {
+				deviations.push(Math.abs(measureInterval(a, b, onset, 0).deviation));
+			}));
+			chords.push({
+				time: onset,
+				noteIds: sounding.map(note => note.id),
+				notes: sounding.map(note => note.name),
+				impurity: mean(deviations)
+			});
+		}
+	}
+
+	const worstInterval = intervals.reduce<IntervalAnalysis | null>((worst, interval) =>
+		!worst || Math.abs(interval.deviation) > Math.abs(worst.deviation) ? interval : worst, null);
+	return {
+		notes: analyzed,
+		intervals,
+		chords,
+		summary: {
+			noteCount: analyzed.length,
+			droppedCount: notes.length - analyzed.length,
+			meanDeviation: mean(analyzed.map(note => Math.abs(note.cents))),
+			maxDeviation: Math.max(0, ...analyzed.map(note => Math.abs(note.cents))),
+			intervalCount: intervals.length,
+			meanImpurity: mean(intervals.map(interval => Math.abs(interval.deviation))),
+			worstInterval,
+			chordCount: chords.length,
+			meanChordImpurity: mean(chords.map(chord => chord.impurity)),
+			meanBeatRate: mean(intervals.map(interval => interval.beatRate))
+		}
+	};
+}
+
+/**
+ * Numeric summary metrics; the worst interval contributes its deviation
+ */
+export function analysisSummaryRows(summary: AnalysisSummary): [string, number][] {
+	return [
+		['noteCount', summary.noteCount],
+		['droppedCount', summary.droppedCount],
+		['meanDeviation', summary.meanDeviation],
+		['maxDeviation', summary.maxDeviation],
+		['intervalCount', summary.intervalCount],
+		['meanImpurity', summary.meanImpurity],
+		['worstDeviation', summary.worstInterval?.deviation ?? 0],
+		['chordCount', summary.chordCount],
+		['meanChordImpurity', summary.meanChordImpurity],
+		['meanBeatRate', summary.meanBeatRate]
+	];
+}
+
+/**
+ * Compare two analyses of the same notes: notes, intervals and sonorities found in both,
+ * with their values as [first, second]
+ */
+export function compareAnalyses(first: TuningAnalysis, second: TuningAnalysis): TuningComparison {
+	const pairKey = (interval: IntervalAnalysis) => [interval.lowId, interval.highId].sort((a, b) => a - b).join(':');
+	const chordKey = (chord: ChordAnalysis) => `${chord.time}:${chord.noteIds.join(',')}`;
+	const secondNotes = new Map(second.notes.map(note => [note.id, note]));
+	const secondIntervals = new Map(second.intervals.map(interval => [pairKey(interval), interval]));
+	const secondChords = new Map(second.chords.map(chord => [chordKey(chord), chord]));
+	const secondRows = new Map(analysisSummaryRows(second.summary));
+
+	return {
+		tuningSystems: [first.tuningSystem, second.tuningSystem],
+		summary: analysisSummaryRows(first.summary).map(([metric, value]) => {
+			const other = secondRows.get(metric) ?? 0;
+			return { metric, values: [value, other], difference: other - value };
+		}),
+		notes: first.notes.flatMap(note => {
+			const other = secondNotes.get(note.id);
+			return other ? [{
+				id: note.id,
+				name: note.name,
+				midi: note.midi,
+				time: note.time,
+				duration: note.duration,
+				trackIndex: note.trackIndex,
+				frequency: [note.frequency, other.frequency] as [number, number],
+				cents: [note.cents, other.cents] as [number, number]
+			}] : [];
+		}),
+		intervals: first.intervals.flatMap(interval => {
+			const other = secondIntervals.get(pairKey(interval));
+			return other ? [{
+				time: interval.time,
+				duration: interval.duration,
+				low: interval.low,
+				high: interval.high,
+				ratio: [interval.ratio, other.ratio] as [string, string],
+				deviation: [interval.deviation, other.deviation] as [number, number],
+				beatRate: [interval.beatRate, other.beatRate] as [number, number]
+			}] : [];
+		}),
+		chords: first.chords.flatMap(chord => {
+			const other = secondChords.get(chordKey(chord));
+			return other ? [{ time: chord.time, notes: chord.notes, impurity: [chord.impurity, other.impurity] as [number, number] }] : [];
+		})
+	};
+}
+
+// Header and value columns of each CSV table; a comparison gets one value column per tuning
+const CSV_COLUMNS: Record<Exclude<AnalysisTable, 'summary'>, [string[], string[]]> = {
+	notes: [['id', 'name', 'midi', 'trackIndex', 'time', 'duration'], ['frequency', 'cents']],
+	intervals: [['time', 'duration', 'low', 'high'], ['cents', 'ratio', 'justCents', 'deviation', 'beatRate']],
+	chords: [['time', 'notes'], ['impurity']]
+};
+// Interval values kept in a comparison
+const COMPARED_INTERVAL_FIELDS = ['ratio', 'deviation', 'beatRate'];
+
+function csvCell(value: unknown): string {
+	if (value === null || value === undefined) {
+		return '';
+	}
+	if (typeof value === 'number') {
+		return String(Number(value.toFixed(4)));
+	}
+	const text = String(value);
+	return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One table of an analysis or a comparison as CSV with a header row
+ */
+export function analysisToCsv(analysis: TuningAnalysis | TuningComparison, table: AnalysisTable): string {
+	const names = 'tuningSystems' in analysis ? analysis.tuningSystems.map(name => name ?? 'current') : null;
+	let rows: unknown[][];
+	if (table === 'summary') {
+		rows = 'tuningSystems' in analysis
+			? [['metric', ...names!, 'difference'], ...analysis.summary.map(row => [row.metric, ...row.values, row.difference])]
+			: [['metric', 'value'], ...analysisSummaryRows(analysis.summary)];
+	} else {
+		const [header, reportFields] = CSV_COLUMNS[table];
+		const fields = names && table === 'intervals' ? COMPARED_INTERVAL_FIELDS : reportFields;
+		const records = analysis[table] as unknown as Record<string, unknown>[];
+		rows = [
+			names ? header.concat(...fields.map(field => names.map(name => `${field} (${name})`))) : header.concat(fields),
+			...records.map(record => {
+				const row: Record<string, unknown> = { ...record, notes: Array.isArray(record.notes) ? record.notes.join(' ') : undefined };
+				return header.map(field => row[field]).concat(...fields.map(field => (names ? (row[field] as unknown[]) : [row[field]])));
+			})
+		];
+	}
+	return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
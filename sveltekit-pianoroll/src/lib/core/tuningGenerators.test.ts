@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { PianoRollCore, generateTuningScale } from '../index.js';
+import { gamutChain, gamutFifths } from './tuningGenerators.js';
+
+describe('generateTuningScale', () => {
+	it('divides the octave or another period equally', () => {
+		expect(generateTuningScale({ type: 'edo', divisions: 19 }).cents[0]).toBeCloseTo(1200 / 19, 9);
+		const bohlenPierce = generateTuningScale({ type: 'edo', divisions: 13, period: '3/1' });
+		expect(bohlenPierce.cents.at(-1)).toBeCloseTo(1200 * Math.log2(3), 9);
+	});
+
+	it('builds rank-2 chains, modes and gamuts', () => {
+		const meantone = generateTuningScale({ type: 'rank2', generator: '696.578', size: 12, down: 3 });
+		expect(meantone.size).toBe(12);
+		expect(meantone.cents).toContain(1200);
+		expect(generateTuningScale({ type: 'mode', steps: [0, 2, 4, 7, 9] }).cents).toHaveLength(5);
+		expect(generateTuningScale({ type: 'gamut', size: 17 }).size).toBe(17);
+	});
+
+	it('rejects malformed definitions', () => {
+		expect(() => generateTuningScale({ type: 'edo', divisions: 0 })).toThrow(RangeError);
+		expect(() => generateTuningScale({ type: 'rank2', generator: '1200.0', size: 5 })).toThrow(RangeError);
+		expect(() => generateTuningScale({ type: 'mode', steps: [2, 4] })).toThrow(RangeError);
+		expect(() => generateTuningScale({ type: 'gamut', size: 40 })).toThrow(RangeError);
+		expect(() => generateTuningScale({ type: 'gamut', size: 17, generator: 700 })).toThrow(RangeError);
+	});
+});
+
+describe('spelled gamut chain', () => {
+	it('centres the chain on the diatonic scale and picks enharmonics near the target', () => {
+		// 17 notes from Gb to A#
+		expect(gamutChain({ type: 'gamut', size: 17 })).toMatchObject({ low: -6, high: 10 });
+		const chain = gamutChain({ type: 'gamut', size: 17 });
+		expect(gamutFifths(chain, 8, 9)).toBe(8);
+		expect(gamutFifths(chain, 8, -3)).toBe(-4);
+	});
+});
+
+describe('generated tunings in the core', () => {
+	it('registers an EDO mapped by MIDI note number', () => {
+		const core = new PianoRollCore({ useSynth: false });
+		core.registerGeneratedTuning('19-edo', { type: 'edo', divisions: 19 });
+		core.setTuningSystem('19-edo');
+		// The tonic keeps its equal-tempered pitch, every key above it is one step of 19
+		expect(core.noteToFrequency('C4')).toBeCloseTo(440 * Math.pow(2, -9 / 12), 9);
+		expect(core.noteToFrequency('A4')! / core.noteToFrequency('C4')!).toBeCloseTo(Math.pow(2, 9 / 19), 9);
+		expect(core.getTuningSystems().find(tuning => tuning.name === '19-edo')).toMatchObject({ type: 'generated' });
+	});
+});
@@ -0,0 +1,188 @@
+import type { GamutDefinition, ScalaScale, TuningDefinition, TuningSystem } from '../types/index.js';
+import { parsePitch } from './scala.js';
+
+/**
+ * Convert an interval to cents: numbers are cents, strings use Scala syntax ('3/2', '2', '696.578')
+ */
+function intervalToCents(value: number | string, label: string): number {
+	if (typeof value === 'number' && isFinite(value)) {
+		return value;
+	}
+
+	const pitch = typeof value === 'string' ? parsePitch(value.trim()) : { error: 'not a number or string' };
+	if ('error' in pitch) {
+		throw new TypeError(`Invalid ${label} "${value}": ${pitch.error}`);
+	}
+	return pitch.cents;
+}
+
+// Tunings every core has; custom tunings cannot take their names
+export const BUILTIN_TUNING_SYSTEMS: TuningSystem[] = ['equal', 'natural', 'pythagorean', 'pentatonic', 'adaptive'];
+
+/**
+ * Just intonation ratios indexed by semitones above the tonic
+ */
+export const NATURAL_RATIOS = [1, 16/15, 9/8, 6/5, 5/4, 4/3, 45/32, 3/2, 8/5, 5/3, 9/5, 15/8];
+
+// The fifth of a spelled gamut lies between those of 7-EDO and 5-EDO, so that a sharp
+// stays above the flat of the same key (G# above Ab) as in Pythagorean tuning and meantones
+export const GAMUT_FIFTH_RANGE = [(1200 * 4) / 7, (1200 * 3) / 5];
+
+// From 12 notes up to the chain Fbb-B## (35 fifths)
+export const GAMUT_SIZE_RANGE = [12, 35];
+
+export interface GamutChain {
+	generator: number; // cents
+	low: number; // ends of the chain in fifths from the tonic
+	high: number;
+}
+
+/**
+ * Chain of fifths of a spelled gamut; by default it is centred on the tonic's diatonic scale
+ */
+export function gamutChain(definition: GamutDefinition): GamutChain {
+	const down = definition.down ?? Math.floor((definition.size - 1) / 2) - 2;
+	return {
+		generator: intervalToCents(definition.generator ?? '3/2', 'generator'),
+		low: -down,
+		high: definition.size - 1 - down
+	};
+}
+
+/**
+ * Place of a key in the chain: of the enharmonics fifths + 12n inside it,
+ * the one nearest to target (the sharp one on a tie)
+ */
+export function gamutFifths({ low, high }: GamutChain, fifths: number, target: number): number {
+	let best: number | null = null;
+	for (let candidate = low + ((((fifths - low) % 12) + 12) % 12); candidate <= high; candidate += 12) {
+		if (best === null || Math.abs(candidate - target) <= Math.abs(best - target)) {
+			best = candidate;
+		}
+	}
+	return best as number;
+}
+
+/**
+ * Generate a scale (in the same shape as parseScl()) from a parametric definition:
+ * N-EDO, EDx such as Bohlen-Pierce, a rank-2 temperament built from a chain of generators,
+ * a mode on some of the 12 keys of the octave with its own ratios, or a spelled gamut
+ * whose chain of fifths tells G# from Ab
+ */
+export function generateTuningScale(definition: TuningDefinition): ScalaScale {
+	if (definition.type === 'mode') {
+		const { steps } = definition;
+		if (
+			!Array.isArray(steps) ||
+			!steps.length ||
+			steps.some((step, index) => !Number.isInteger(step) || step < 0 || step > 11 || (index > 0 && step <= steps[index - 1]))
+		) {
+			throw new RangeError(`Mode steps must be increasing semitones above the tonic (0-11), got ${JSON.stringify(steps)}`);
+		}
+		if (steps[0] !== 0) {
+			throw new RangeError('Mode must start on the tonic (step 0)');
+		}
+
+		const ratios = definition.ratios ?? steps.map(step => NATURAL_RATIOS[step]);
+		if (!Array.isArray(ratios) || ratios.length !== steps.length) {
+			throw new RangeError(`Mode needs one ratio per step (${steps.length})`);
+		}
+		// Plain numbers are frequency ratios here, strings follow Scala syntax
+		const cents = ratios.map((ratio, index) =>
+			typeof ratio === 'number' ? (ratio > 0 ? 1200 * Math.log2(ratio) : NaN) : intervalToCents(ratio, `ratio ${index + 1}`)
+		);
+		if (Math.abs(cents[0]) > 1e-9) {
+			throw new RangeError('First mode ratio must be 1/1 (the tonic)');
+		}
+		if (cents.some((value, index) => !(value < 1200) || (index > 0 && !(value > cents[index - 1])))) {
+			throw new RangeError('Mode ratios must increase and stay below 2/1');
+		}
+
+		return {
+			description: definition.description || `${steps.length}-note mode: ${steps.join(' ')}`,
+			size: steps.length,
+			cents: cents.slice(1).concat([1200])
+		};
+	}
+
+	const period = intervalToCents(definition.period ?? '2/1', 'period');
+	if (period <= 0) {
+		throw new RangeError('Period must be higher than 1/1');
+	}
+
+	if (definition.type === 'gamut') {
+		const { size } = definition;
+		if (!Number.isInteger(size) || size < GAMUT_SIZE_RANGE[0] || size > GAMUT_SIZE_RANGE[1]) {
+			throw new RangeError(`Gamut size must be an integer between ${GAMUT_SIZE_RANGE[0]} and ${GAMUT_SIZE_RANGE[1]}, got ${size}`);
+		}
+		if (Math.abs(period - 1200) > 1e-9) {
+			throw new RangeError(`Spelled gamut repeats at the octave (2/1), got period ${definition.period}`);
+		}
+		const { generator, low } = gamutChain(definition);
+		if (!(generator > GAMUT_FIFTH_RANGE[0] && generator < GAMUT_FIFTH_RANGE[1])) {
+			throw new RangeError(
+				`Gamut generator must be a fifth between ${GAMUT_FIFTH_RANGE[0].toFixed(3)} and ${GAMUT_FIFTH_RANGE[1]} cents, got ${definition.generator}`
+			);
+		}
+
+		// The degrees are those of the rank-2 chain, which also rejects repeats such as 700 cents
+		const scale = generateTuningScale({ type: 'rank2', generator, size, down: -low });
+		return {
+			...scale,
+			description: definition.description || `${size}-note spelled gamut: fifth ${definition.generator ?? '3/2'}, ${-low} down`
+		};
+	}
+
+	if (definition.type === 'edo') {
+		const { divisions } = definition;
+		if (!Number.isInteger(divisions) || divisions < 1) {
+			throw new RangeError(`Number of divisions must be a positive integer, got ${divisions}`);
+		}
+
+		const cents: number[] = [];
+		for (let step = 1; step <= divisions; step++) {
+			cents.push((period * step) / divisions);
+		}
+		const octave = Math.abs(period - 1200) < 1e-9;
+		return {
+			description: octave ? `${divisions}-EDO` : `${divisions} equal divisions of ${definition.period}`,
+			size: divisions,
+			cents
+		};
+	}
+
+	if (definition.type === 'rank2') {
+		const generator = intervalToCents(definition.generator, 'generator');
+		const { size } = definition;
+		const down = definition.down ?? 0;
+		if (!Number.isInteger(size) || size < 1) {
+			throw new RangeError(`Scale size must be a positive integer, got ${size}`);
+		}
+		if (!Number.isInteger(down) || down < 0 || down >= size) {
+			throw new RangeError(`Generators down must be an integer between 0 and ${size - 1}, got ${down}`);
+		}
+
+		// Chain of generators from `down` below the tonic, reduced into one period
+		const degrees: number[] = [];
+		for (let i = -down; i < size - down; i++) {
+			degrees.push((((i * generator) % period) + period) % period);
+		}
+		degrees.sort((a, b) => a - b);
+
+		for (let i = 1; i < degrees.length; i++) {
+			if (Math.abs(degrees[i] - degrees[i - 1]) < 1e-6) {
+				throw new RangeError(
+					`Generator ${definition.generator} repeats within ${size} steps of period ${definition.period ?? '2/1'}`
+				);
+			}
+		}
+
+		return {
+			description: `Rank-2 temperament: generator ${definition.generator}, ${size} notes, ${down} down`,
+			size,
+			cents: degrees.slice(1).concat([period])
+		};
+	}
+
+	throw new TypeError(`Unknown tuning generator type: ${(definition as { type: string }).type}`);
+}
@@ -0,0 +1,18 @@
+import { describe, expect, it } from 'vitest';
+import { encodeWav } from './wav.js';
+
+describe('encodeWav', () => {
+	it('writes the RIFF header of the chosen format', () => {
+		const view = new DataView(encodeWav([new Float32Array(8), new Float32Array(8)], 48000, 24));
+		expect(String.fromCharCode(...new Uint8Array(view.buffer, 8, 4))).toBe('WAVE');
+		expect([view.getUint16(20, true), view.getUint16(22, true), view.getUint32(24, true), view.getUint16(34, true)])
+			.toEqual([1, 2, 48000, 24]);
+		expect(view.getUint32(40, true)).toBe(8 * 2 * 3);
+		expect(new DataView(encodeWav([new Float32Array(1)], 44100, 32)).getUint16(20, true)).toBe(3);
+	});
+
+	it('clips samples outside [-1, 1]', () => {
+		const view = new DataView(encodeWav([Float32Array.from([2, -2, 0.5])], 44100));
+		expect([view.getInt16(44, true), view.getInt16(46, true), view.getInt16(48, true)]).toEqual([32767, -32768, 16384]);
+	});
+});
@@ -0,0 +1,53 @@
+// WAV (RIFF) encoding of rendered audio
+export type WavBitDepth = 16 | 24 | 32;
+
+/**
+ * Encode channel data as a WAV file: 16 or 24 bit integer PCM, 32 bit IEEE float
+ * Samples outside [-1, 1] are clipped
+ */
+export function encodeWav(channels: Float32Array[], sampleRate: number, bitDepth: WavBitDepth = 16): ArrayBuffer {
+	const bytesPerSample = bitDepth / 8;
+	const frames = channels.length ? channels[0].length : 0;
+	const blockAlign = channels.length * bytesPerSample;
+	const dataSize = frames * blockAlign;
+	const buffer = new ArrayBuffer(44 + dataSize);
+	const view = new DataView(buffer);
+	const writeText = (offset: number, text: string): void => {
+		for (let i = 0; i < text.length; i++) {
+			view.setUint8(offset + i, text.charCodeAt(i));
+		}
+	};
+
+	writeText(0, 'RIFF');
+	view.setUint32(4, 36 + dataSize, true);
+	writeText(8, 'WAVE');
+	writeText(12, 'fmt ');
+	view.setUint32(16, 16, true);
+	view.setUint16(20, bitDepth === 32 ? 3 : 1, true); // 3 = IEEE float, 1 = PCM
+	view.setUint16(22, channels.length, true);
+	view.setUint32(24, sampleRate, true);
+	view.setUint32(28, sampleRate * blockAlign, true);
+	view.setUint16(32, blockAlign, true);
+	view.setUint16(34, bitDepth, true);
+	writeText(36, 'data');
+	view.setUint32(40, dataSize, true);
+
+	let offset = 44;
+	for (let frame = 0; frame < frames; frame++) {
+		for (let channel = 0; channel < channels.length; channel++) {
+			const sample = Math.max(-1, Math.min(1, channels[channel][frame]));
+			if (bitDepth === 32) {
+				view.setFloat32(offset, sample, true);
+			} else if (bitDepth === 24) {
+				const value = Math.round(sample < 0 ? sample * 0x800000 : sample * 0x7fffff);
+				view.setUint8(offset, value & 0xff);
+				view.setUint8(offset + 1, (value >> 8) & 0xff);
+				view.setUint8(offset + 2, (value >> 16) & 0xff);
+			} else {
+				view.setInt16(offset, Math.round(sample < 0 ? sample * 0x8000 : sample * 0x7fff), true);
+			}
+			offset += bytesPerSample;
+		}
+	}
+	return buffer;
+}
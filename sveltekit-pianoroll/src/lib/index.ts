@@ -0,0 +1,31 @@
+// Public entry point of the core: everything here runs in Node without a DOM or an audio context.
+// Playback needs the audio layer, injected in the browser with PianoRollCore.setAudioEngine(Tone)
+export { PianoRollCore } from './core/PianoRollCore.js';
+export { setAudioEngine, getAudioEngine, type AudioEngine } from './core/audio.js';
+export { ScalaParseError, parseScl, parseKbm, defaultKeyboardMapping, scalaKeyFrequencies } from './core/scala.js';
+export { generateTuningScale, BUILTIN_TUNING_SYSTEMS, NATURAL_RATIOS, GAMUT_FIFTH_RANGE, GAMUT_SIZE_RANGE } from './core/tuningGenerators.js';
+export { ProjectFormatError, PROJECT_FORMAT, PROJECT_VERSION } from './core/project.js';
+export { parseMusicXml, readMusicXml } from './core/scoreImport.js';
+export { SPELLED_TUNINGS, KEY_SCALES, spelledRatio, inferSpellings } from './core/spelling.js';
+export { createTunedMidiFile } from './core/midiExport.js';
+export { encodeWav } from './core/wav.js';
+export { SampleSetError, SAMPLER_LOOP_MODES, decodeWav, parseSfz, parseSoundFont, soundFontPresets } from './core/sampler.js';
+export {
+	PatchFormatError,
+	PATCH_DEFAULTS,
+	PATCH_PRESETS,
+	PATCH_RANGES,
+	ENVELOPE_RANGES,
+	OSCILLATOR_TYPES,
+	MODULATION_TYPES,
+	FILTER_TYPES,
+	MAX_PARTIALS,
+	EFFECT_TYPES,
+	EFFECT_PARAMETERS,
+	MAX_INSERT_EFFECTS,
+	MASTER_VOLUME_RANGE
+} from './core/patch.js';
+export { FakeMidiInput, parseMidiMessage } from './core/midiInput.js';
+export { MidiOutputRouter, FakeMidiOutput } from './core/midiOutput.js';
+export { analysisToCsv, compareAnalyses } from './core/tuningAnalysis.js';
+export type * from './types/index.js';
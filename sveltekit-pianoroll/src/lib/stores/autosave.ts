@@ -0,0 +1,141 @@
+import { writable } from 'svelte/store';
+import { browser } from '$app/environment';
+import type { ProjectDocument } from '../types/index.js';
+
+// IndexedDB database holding the autosaved session under a single key
+const DB_NAME = 'pianoroll';
+const DB_VERSION = 1;
+const STORE_NAME = 'sessions';
+const SESSION_KEY = 'current';
+
+// Quiet time after the last change before the session is written (ms)
+const AUTOSAVE_DELAY = 1000;
+
+export interface AutosaveStatus {
+	savedAt: Date | null; // last successful write
+	saving: boolean;
+	error: string | null;
+}
+
+/**
+ * Open the autosave database, creating its object store on first use
+ */
+function openDatabase(): Promise<IDBDatabase> {
+	return new Promise((resolve, reject) => {
+		const request = indexedDB.open(DB_NAME, DB_VERSION);
+		request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+}
+
+/**
+ * Run a single request against the session store in its own transaction
+ */
+async function withStore<T>(mode: IDBTransactionMode, action: (store: IDBObjectStore) => IDBRequest<T>): Promise<T> {
+	const db = await openDatabase();
+	try {
+		return await new Promise<T>((resolve, reject) => {
+			const request = action(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		});
+	} finally {
+		db.close();
+	}
+}
+
+/**
+ * Create the autosave store: the current session is kept in IndexedDB as a project document
+ * and brought back on the next visit. Saves are debounced; the project is exported when the
+ * write happens, so a burst of edits costs one export
+ */
+function createAutosaveStore() {
+	const { subscribe, set, update } = writable<AutosaveStatus>({ savedAt: null, saving: false, error: null });
+	const available = browser && typeof indexedDB !== 'undefined';
+	let timer: ReturnType<typeof setTimeout> | null = null;
+	let pending: (() => ProjectDocument) | null = null;
+
+	function fail(error: unknown, fallback: string) {
+		update(status => ({ ...status, saving: false, error: error instanceof Error ? error.message : fallback }));
+	}
+
+	/**
+	 * Write a scheduled save right away (e.g. when the page is hidden)
+	 */
+	async function flush(): Promise<void> {
+		if (timer) {
+			clearTimeout(timer);
+			timer = null;
+		}
+		const exportProject = pending;
+		pending = null;
+		if (!exportProject) return;
+
+		update(status => ({ ...status, saving: true }));
+		try {
+			const project = exportProject();
+			await withStore('readwrite', store => store.put(project, SESSION_KEY));
+			set({ savedAt: new Date(), saving: false, error: null });
+		} catch (error) {
+			fail(error, 'Failed to autosave the session');
+		}
+	}
+
+	/**
+	 * Save the session once nothing has changed for AUTOSAVE_DELAY
+	 */
+	function schedule(exportProject: () => ProjectDocument) {
+		if (!available) return;
+
+		pending = exportProject;
+		if (timer) {
+			clearTimeout(timer);
+		}
+		timer = setTimeout(flush, AUTOSAVE_DELAY);
+	}
+
+	/**
+	 * The autosaved session, or null when there is none
+	 */
+	async function load(): Promise<ProjectDocument | null> {
+		if (!available) return null;
+
+		try {
+			const project = await withStore<ProjectDocument | undefined>('readonly', store => store.get(SESSION_KEY));
+			return project ?? null;
+		} catch (error) {
+			fail(error, 'Failed to read the autosaved session');
+			return null;
+		}
+	}
+
+	/**
+	 * Forget the autosaved session and any save still waiting
+	 */
+	async function clear(): Promise<void> {
+		if (timer) {
+			clearTimeout(timer);
+			timer = null;
+		}
+		pending = null;
+		if (!available) return;
+
+		try {
+			await withStore('readwrite', store => store.delete(SESSION_KEY));
+			set({ savedAt: null, saving: false, error: null });
+		} catch (error) {
+			fail(error, 'Failed to clear the autosaved session');
+		}
+	}
+
+	return {
+		subscribe,
+		schedule,
+		flush,
+		load,
+		clear
+	};
+}
+
+export const autosave = createAutosaveStore();
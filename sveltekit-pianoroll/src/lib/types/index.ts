@@ -1,43 +1,241 @@
-export type TuningSystem = 'equal' | 'natural' | 'pythagorean' | 'pentatonic';
+export type BuiltInTuningSystem = 'equal' | 'natural' | 'pythagorean' | 'pentatonic' | 'adaptive';
 
-export type SynthType = 'default' | 'fm' | 'am' | 'membrane';
+// Custom tunings (e.g. imported Scala files) are registered under arbitrary names
+export type TuningSystem = BuiltInTuningSystem | (string & {});
+
+export type SynthType = 'default' | 'fm' | 'am' | 'membrane' | 'sampler';
 
 export interface Note {
+	id: number; // stable identifier used by the editing methods
 	name: string;
 	midi: number;
 	time: number;
 	duration: number;
 	velocity: number;
-	frequency: number;
+	frequency: number | null; // null when the snap policy drops the note
+	remap?: NoteRemap | null; // set when the note is not a degree of the current scale
 	trackIndex?: number;
+	spelled?: boolean; // the name comes from notation (e.g. Gb4 in MusicXML); natural and Pythagorean tune it by its spelling
+}
+
+// Fields accepted by addNote(); the name and frequency follow from midi and the tuning
+export interface NoteInput {
+	midi: number;
+	time: number;
+	duration: number;
+	velocity?: number; // default 0.8
+	trackIndex?: number; // default 0
+}
+
+export type NoteChanges = Partial<Pick<Note, 'midi' | 'time' | 'duration' | 'velocity' | 'trackIndex'>>;
+
+// Undo and redo stacks by label; the last label of each list is stepped first
+export interface EditHistory {
+	undo: string[];
+	redo: string[];
 }
 
 export interface MidiTrack {
 	name: string;
+	channel?: number; // MIDI channel 0-15, used when exporting
 	notes: Note[];
+	controllers?: ControllerEvent[]; // sustain pedal, CC and pitch bend automation, sorted by time
+}
+
+// Controller automation of a track from a MIDI file
+export type ControllerEvent =
+	| { type: 'controlChange'; time: number; number: number; value: number } // value 0-1
+	| { type: 'pitchBend'; time: number; value: number }; // value -1..1
+
+// Mixer settings of a track; a null synthType or tuningSystem follows the global setting
+export interface TrackMix {
+	synthType: SynthType | null;
+	volume: number; // dB, -60 to 12
+	pan: number; // -1 (left) to 1 (right)
+	mute: boolean;
+	solo: boolean;
+	tuningSystem: TuningSystem | null;
+}
+
+export interface TrackInfo extends TrackMix {
+	index: number;
+	name: string;
+	channel: number;
+	noteCount: number;
+	controllerCount: number;
+	audible: boolean; // false when muted or when another track is soloed
+}
+
+export type TrackChanges = Partial<TrackMix & { name: string }>;
+
+export interface TempoChange {
+	ticks: number;
+	bpm: number;
+}
+
+export interface TimeSignatureChange {
+	ticks: number;
+	timeSignature: [number, number]; // [numerator, denominator], e.g. [6, 8]
+}
+
+// Tempo, meter and key events as @tonejs/midi exposes them in midi.header
+export interface MidiHeader {
+	ppq: number;
+	tempos: TempoChange[];
+	timeSignatures: TimeSignatureChange[];
+	keySignatures: KeySignatureChange[]; // may be empty
+}
+
+// Tempo map with setBPM() applied; times in seconds, bars counted from 0
+export interface TempoMap {
+	ppq: number;
+	tempos: (TempoChange & { time: number })[];
+	timeSignatures: (TimeSignatureChange & { time: number; bar: number })[];
+	keySignatures: (KeySignatureChange & { time: number })[];
+}
+
+// Key signature as @tonejs/midi reads it: key is the major tonic of the sharps or flats,
+// so 'Eb' with scale 'minor' is C minor and 'C' with 'minor' is A minor
+export interface KeySignatureChange {
+	ticks: number;
+	key: string;
+	scale: string; // 'major' or 'minor'
+}
+
+// A note of @tonejs/midi JSON (midi.toJSON()); either name or midi identifies the key
+export interface MidiJsonNote {
+	name?: string;
+	midi?: number;
+	time: number;
+	duration: number;
+	velocity?: number; // 0-1, default 0.8
+	ticks?: number;
+	durationTicks?: number;
+	spelled?: boolean; // keep a sharp name as a spelling rather than the default for the key
+}
+
+export interface MidiJsonTrack {
+	name?: string;
+	channel?: number;
+	notes: MidiJsonNote[];
+	controlChanges?: Record<string, { time: number; value: number }[]>;
+	pitchBends?: { time: number; value: number }[];
+}
+
+// MIDI in the JSON shape of @tonejs/midi, also produced from MusicXML by parseMusicXml()
+export interface MidiJson {
+	header?: {
+		name?: string;
+		ppq?: number;
+		tempos?: TempoChange[];
+		timeSignatures?: { ticks: number; timeSignature: number[] }[];
+		keySignatures?: KeySignatureChange[];
+	};
+	duration?: number;
+	tracks: MidiJsonTrack[];
 }
 
 export interface MidiData {
 	name: string;
 	duration: number;
 	tracks: MidiTrack[];
+	header?: MidiHeader;
 }
 
 export interface PianoRollOptions {
 	tuningSystem?: TuningSystem;
 	useSynth?: boolean;
 	synthType?: SynthType;
+	referenceFrequency?: number; // Hz, e.g. 440, 415, 432
+	referenceNote?: string; // note tuned to referenceFrequency, e.g. 'A4'
+	tonic?: string; // pitch class the tuning ratios are built from, e.g. 'C', 'Bb'
+	adaptiveMaxDrift?: number; // cents chord roots may drift from equal temperament in adaptive tuning
+	snapPolicy?: SnapPolicy; // notes outside sparse scales, default 'nearest'
 }
 
-export interface NoteEvent {
+export interface NotePlaybackEvent {
 	type: 'noteOn' | 'noteOff' | 'stop';
 	note?: string;
 	frequency?: number;
 	time?: number;
 	duration?: number;
 	velocity?: number;
+	trackIndex?: number;
+	channel?: number; // MIDI channel of live input notes
+	source?: 'live'; // set on notes played through a MIDI input
+}
+
+// Sustain pedal (CC64) and pitch wheel of the live MIDI input
+export interface LiveControlEvent {
+	type: 'sustain' | 'pitchBend';
+	time: number;
+	channel: number;
+	source: 'live';
+	on?: boolean; // sustain
+	bend?: number; // pitchBend, -1..1
+	cents?: number; // pitchBend
+}
+
+// Sent after every edit, undo and redo; label names the edit or edit group
+export interface NotesChangedEvent {
+	type: 'notesChanged';
+	action: 'edit' | 'undo' | 'redo';
+	label: string;
+	added: Note[];
+	updated: Note[];
+	removed: Note[];
+}
+
+// Controller automation of a file track while it plays; sustain (CC64) and pitch bend
+// act on the track, other control changes are only reported
+export interface TrackControlEvent {
+	type: 'sustain' | 'pitchBend' | 'controlChange';
+	time: number;
+	trackIndex: number;
+	channel: number;
+	source: 'file';
+	on?: boolean; // sustain
+	bend?: number; // pitchBend, -1..1
+	cents?: number; // pitchBend
+	number?: number; // controlChange
+	value?: number; // controlChange, 0-1
+}
+
+export type NoteEvent = NotePlaybackEvent | NotesChangedEvent | LiveControlEvent | TrackControlEvent;
+
+// The part of the Web MIDI MIDIInput interface the live input uses
+export interface MidiInputPort {
+	id: string;
+	name: string | null;
+	manufacturer?: string | null;
+	onmidimessage: ((event: MIDIMessageEvent) => void) | null;
+}
+
+// The part of the Web MIDI MIDIOutput interface the output router uses
+export interface MidiOutputPort {
+	id: string;
+	name: string | null;
+	manufacturer?: string | null;
+	send(data: number[] | Uint8Array, timestamp?: number): void;
 }
 
+// 'mpe': one member channel per note with its own pitch bend; 'mts': keys retuned by MIDI Tuning Standard SysEx
+export type MidiOutputMode = 'mpe' | 'mts';
+
+export interface MidiOutputOptions {
+	mode?: MidiOutputMode; // default 'mpe'
+	bendRange?: number; // semitones, 1-96; default 48 for MPE, 2 for MTS
+	memberChannels?: number; // MPE lower zone size, 1-15, default 15
+	channel?: number; // MTS note channel, 0-15, default 0
+	deviceId?: number; // MTS SysEx device ID, default 0x7f (all devices)
+	program?: number; // MTS tuning program, 0-127, default 0
+}
+
+export type MidiInputMessage =
+	| { type: 'noteOn' | 'noteOff'; channel: number; midi: number; velocity: number }
+	| { type: 'sustain'; channel: number; on: boolean }
+	| { type: 'pitchBend'; channel: number; bend: number };
+
 export type NoteEventCallback = (event: NoteEvent) => void;
 
 export interface TuningTables {
@@ -45,6 +243,453 @@ export interface TuningTables {
 	natural: Record<string, number>;
 	pythagorean: Record<string, number>;
 	pentatonic: Record<string, number>;
+	adaptive: Record<string, number>;
+	[name: string]: Record<string, number>;
+}
+
+// Scala tuning files
+export interface ScalaParseIssue {
+	line: number;
+	message: string;
+}
+
+export interface ScalaScale {
+	description: string;
+	size: number;
+	cents: number[]; // degrees 1..size, last entry is the period
+}
+
+export interface KeyboardMapping {
+	size: number; // 0 = linear mapping
+	firstNote: number;
+	lastNote: number;
+	middleNote: number;
+	referenceNote: number;
+	referenceFrequency: number;
+	octaveDegree: number;
+	mapping: (number | null)[]; // null = unmapped key ("x")
+	referenceLine?: number;
+}
+
+// Sampler sample sets (SFZ, SoundFont 2); positions are sample frames
+export type SamplerLoopMode = 'no_loop' | 'one_shot' | 'loop_continuous' | 'loop_sustain';
+
+export interface SampleSetIssue {
+	line?: number; // SFZ only
+	message: string;
+}
+
+// A region plays one sample over a range of keys and velocities, in SFZ terms
+export interface SamplerRegion {
+	sample: string; // key in SampleSet.samples
+	lokey: number;
+	hikey: number;
+	lovel: number;
+	hivel: number;
+	pitchKeycenter: number; // key the sample was recorded at
+	tune: number; // cents, transposition included
+	volume: number; // dB
+	pan: number; // -100..100
+	attack: number; // seconds
+	release: number; // seconds
+	offset: number;
+	loopMode: SamplerLoopMode | null; // null: looped when the sample file has a loop
+	loopStart: number | null; // null: the loop of the sample file or the whole sample
+	loopEnd: number | null; // first frame after the loop
+	line?: number; // of the SFZ <region>
+}
+
+export interface DecodedSample {
+	sampleRate: number;
+	channels: Float32Array[];
+	loop: { start: number; end: number } | null; // from the smpl chunk of a WAV file
+}
+
+export interface SampleSet {
+	name: string;
+	regions: SamplerRegion[];
+	samples: Record<string, DecodedSample>;
+}
+
+export type SampleFile = ArrayBuffer | Uint8Array | AudioBuffer | DecodedSample;
+
+export type SamplerSource =
+	| { sfz: string; samples: Record<string, SampleFile>; name?: string } // samples by path
+	| { soundFont: ArrayBuffer | Uint8Array; bank?: number; program?: number; name?: string };
+
+export interface SamplerInfo {
+	name: string;
+	regions: number;
+	samples: number;
+	keyRange: [number, number];
+}
+
+// A sample the sampler plays for a frequency, see getSamplerVoices()
+export interface SamplerVoice {
+	sample: string;
+	playbackRate: number; // frequency of the note / frequency of the sample
+	gain: number;
+	loopMode: SamplerLoopMode;
+}
+
+export interface SoundFontPreset {
+	name: string;
+	bank: number;
+	program: number;
+}
+
+// Synth patch, see setPatch(): one for every synth type; the sampler only takes its effects
+export type OscillatorShape = 'sine' | 'square' | 'triangle' | 'sawtooth';
+export type PatchFilterType = 'lowpass' | 'highpass' | 'bandpass' | 'notch';
+export type EffectType = 'reverb' | 'delay' | 'chorus' | 'eq' | 'compressor';
+
+export interface EnvelopeSettings {
+	attack: number; // seconds
+	decay: number;
+	sustain: number; // level 0-1
+	release: number;
+}
+
+export interface PatchFilter {
+	enabled: boolean;
+	type: PatchFilterType;
+	frequency: number; // cutoff, Hz
+	Q: number;
+	envelopeAmount: number; // octaves the envelope opens the filter above the cutoff
+	envelope: EnvelopeSettings;
+}
+
+export interface ModulationSettings {
+	harmonicity: number; // modulator frequency / carrier frequency
+	modulationType: OscillatorShape;
+	modulationEnvelope: EnvelopeSettings;
+}
+
+// Parameters by type are listed in EFFECT_PARAMETERS
+export interface InsertEffect {
+	type: EffectType;
+	enabled: boolean;
+	[parameter: string]: number | string | boolean;
+}
+
+export interface SynthPatch {
+	oscillator: { type: OscillatorShape | 'custom'; partials: number[] }; // partial amplitudes 0-1 for 'custom'
+	envelope: EnvelopeSettings;
+	filter: PatchFilter; // the default synth only
+	fm: ModulationSettings & { modulationIndex: number };
+	am: ModulationSettings;
+	effects: InsertEffect[]; // insert chain in order, on the master bus
+}
+
+// Fields of setPatch(); arrays replace the current ones, effects get default parameters
+export interface PatchChanges {
+	oscillator?: Partial<SynthPatch['oscillator']>;
+	envelope?: Partial<EnvelopeSettings>;
+	filter?: Partial<Omit<PatchFilter, 'envelope'>> & { envelope?: Partial<EnvelopeSettings> };
+	fm?: Partial<Omit<SynthPatch['fm'], 'modulationEnvelope'>> & { modulationEnvelope?: Partial<EnvelopeSettings> };
+	am?: Partial<Omit<ModulationSettings, 'modulationEnvelope'>> & { modulationEnvelope?: Partial<EnvelopeSettings> };
+	effects?: (Partial<InsertEffect> & { type: EffectType })[];
+}
+
+export interface MasterBusSettings {
+	volume: number; // dB, -60...6
+	limiter: boolean;
+}
+
+export interface PatchPresetInfo {
+	name: string;
+	builtIn: boolean;
+}
+
+// A preset file, see exportPatchPreset()
+export interface PatchPresetDocument {
+	format: 'pianoroll-patch';
+	version: number;
+	name: string;
+	patch: PatchChanges;
+}
+
+// Parametric tunings; intervals are cents (number) or Scala syntax strings ('3/2', '696.578')
+export interface EdoDefinition {
+	type: 'edo';
+	divisions: number;
+	period?: number | string; // default '2/1'; '3/1' gives Bohlen-Pierce with 13 divisions
+}
+
+export interface Rank2Definition {
+	type: 'rank2';
+	generator: number | string;
+	period?: number | string;
+	size: number;
+	down?: number; // generators below the tonic, sets the wolf position
+}
+
+export interface ModeDefinition {
+	type: 'mode';
+	steps: number[]; // semitones above the tonic, starting with 0, e.g. [0, 2, 4, 7, 9]
+	ratios?: (number | string)[]; // one per step: numbers or Scala pitches ('9/8', '203.91'); default just ratios
+	description?: string;
+}
+
+// Spelled gamut: a chain of fifths that tells G# from Ab (17 notes from Gb to A#, 21 from Fb to B#)
+export interface GamutDefinition {
+	type: 'gamut';
+	generator?: number | string; // the fifth, default '3/2'; '696.578' is quarter-comma meantone
+	period?: number | string; // must be the octave
+	size: number; // 12-35 notes
+	down?: number; // fifths below the tonic, default centres the tonic's diatonic scale in the chain
+	description?: string;
+}
+
+export type TuningDefinition = EdoDefinition | Rank2Definition | ModeDefinition | GamutDefinition;
+
+export type KeyScale = 'major' | 'minor';
+
+export interface SpellingOptions {
+	key?: string; // tonic such as 'Eb'; default the file's key signatures, else estimated from the notes
+	scale?: KeyScale; // default 'major'
+	trackIndex?: number; // only the notes of this track
+}
+
+// What happens to notes that are not degrees of a sparse scale (pentatonic, modes, unmapped Scala keys)
+export type SnapPolicy = 'nearest' | 'up' | 'down' | 'drop' | 'pass';
+
+export type MidiExportMode = 'mts' | 'mpe';
+
+export interface MidiExportOptions {
+	mode?: MidiExportMode; // 'mts' = MIDI Tuning Standard SysEx, 'mpe' = per-note channel and pitch bend
+	bendRange?: number; // pitch bend range in semitones (mpe), default 48
+	ppq?: number; // ticks per quarter note, default 480
+}
+
+// 'overdub' adds to the recording track, 'replace' swaps its notes in the recorded range
+export type RecordMode = 'overdub' | 'replace';
+
+export interface RecordingOptions {
+	mode?: RecordMode; // default 'overdub'
+	quantize?: string | number | null; // grid for note starts ('16n', '8t' or seconds), default null
+	trackName?: string; // recording track, created when missing, default 'Recording'
+}
+
+export interface MetronomeSettings {
+	enabled: boolean; // click while playing
+	subdivision: number; // clicks per beat, 1-4
+	volume: number; // dB, -60...0
+	countIn: number; // bars clicked before the notes on play(), 0-8
+}
+
+export interface QuantizeTransform {
+	enabled: boolean;
+	grid: string; // '16n', '8t' ...
+	strength: number; // 0-1
+	window: number; // 0-1 of a grid step; notes farther than window * step / 2 from the grid stay
+}
+
+// Per-step offsets (fractions of a step, -0.5...0.5) and velocity factors (0-2), repeated
+export interface GrooveTemplate {
+	subdivision: string;
+	timing: number[];
+	velocity: number[];
+}
+
+export interface GrooveTransform {
+	enabled: boolean;
+	template: string | GrooveTemplate; // built-in name or a custom template
+	strength: number; // 0-1
+}
+
+export interface HumanizeTransform {
+	enabled: boolean;
+	timing: number; // max offset in seconds, 0-0.1
+	velocity: number; // max velocity offset, 0-0.5
+	seed: number; // integer; the same seed gives the same offsets
+}
+
+// Changes for setTransforms(); swing is set with setSwing()
+export interface TransformChanges {
+	quantize?: Partial<QuantizeTransform>;
+	groove?: Partial<GrooveTransform>;
+	humanize?: Partial<HumanizeTransform>;
+}
+
+export interface NoteTransforms {
+	quantize: QuantizeTransform;
+	swing: { amount: number; subdivision: string };
+	groove: GrooveTransform;
+	humanize: HumanizeTransform;
+}
+
+// Data of the 'click' transport event; bars of the count-in are negative and have no position
+export interface MetronomeClickEvent {
+	bar: number;
+	beat: number;
+	step: number;
+	accent: boolean;
+	countIn: boolean;
+	position: string | null;
+	time: number;
+}
+
+export interface RenderOptions {
+	start?: number; // seconds, default 0
+	end?: number; // seconds, default end of the piece
+	tail?: number; // seconds rendered after the end for releases, default 1
+	sampleRate?: number; // 8000-192000 Hz, default 44100
+	bitDepth?: 16 | 24 | 32; // 32 = IEEE float, default 16
+	channels?: 1 | 2; // default 2
+}
+
+// Tuning analysis, see analyzeTuning(); deviations in cents
+export interface NoteAnalysis extends Note {
+	frequency: number;
+	cents: number; // deviation from 12-TET at the same reference pitch
+}
+
+export interface IntervalAnalysis {
+	time: number; // start of the overlap
+	duration: number; // length of the overlap
+	lowId: number;
+	highId: number;
+	low: string;
+	high: string;
+	cents: number; // interval size
+	ratio: string; // nearest just ratio, octaves folded into the numerator ('3/1')
+	justCents: number;
+	deviation: number; // cents - justCents
+	beatRate: number; // Hz, between the coinciding partials
+}
+
+export interface ChordAnalysis {
+	time: number;
+	noteIds: number[];
+	notes: string[];
+	impurity: number; // mean absolute deviation of its intervals
+}
+
+export interface AnalysisSummary {
+	noteCount: number;
+	droppedCount: number; // notes the snap policy drops
+	meanDeviation: number;
+	maxDeviation: number;
+	intervalCount: number;
+	meanImpurity: number;
+	worstInterval: IntervalAnalysis | null;
+	chordCount: number;
+	meanChordImpurity: number;
+	meanBeatRate: number;
+}
+
+export interface TuningAnalysis {
+	tuningSystem: TuningSystem | null; // null: the notes as they sound, in their tracks' tunings
+	referenceFrequency: number;
+	referenceNote: string;
+	notes: NoteAnalysis[];
+	intervals: IntervalAnalysis[];
+	chords: ChordAnalysis[];
+	summary: AnalysisSummary;
+}
+
+// Two analyses of the same notes; value pairs are [first, second]
+export interface TuningComparison {
+	tuningSystems: [TuningSystem | null, TuningSystem | null];
+	summary: { metric: string; values: [number, number]; difference: number }[];
+	notes: (Omit<Note, 'frequency' | 'remap' | 'velocity'> & { frequency: [number, number]; cents: [number, number] })[];
+	intervals: {
+		time: number;
+		duration: number;
+		low: string;
+		high: string;
+		ratio: [string, string];
+		deviation: [number, number];
+		beatRate: [number, number];
+	}[];
+	chords: { time: number; notes: string[]; impurity: [number, number] }[];
+}
+
+export type AnalysisTable = 'notes' | 'intervals' | 'chords' | 'summary';
+
+export interface AnalysisExportOptions {
+	format?: 'json' | 'csv'; // json: the whole report, csv: one table; default 'json'
+	table?: AnalysisTable; // csv table, default 'notes'
+	tuningSystem?: TuningSystem | null; // default null, the current tunings
+	compareWith?: TuningSystem | null; // second tuning for a side-by-side export
+}
+
+export interface NoteRemap {
+	policy: SnapPolicy;
+	from: string;
+	to: string | null; // degree the note was snapped to, null when dropped
+}
+
+export interface CustomTuning {
+	type: 'scala' | 'generated' | 'mode';
+	scale: ScalaScale;
+	definition: TuningDefinition | null;
+	keyboardMapping: KeyboardMapping;
+	hasKeyboardMapping: boolean; // false = default mapping that follows the core's tonic and reference
+	frequencies: (number | null)[]; // indexed by MIDI note number
+}
+
+export interface TuningInfo {
+	name: TuningSystem;
+	type: 'builtin' | 'scala' | 'generated' | 'mode';
+	custom: boolean;
+	description: string;
+}
+
+// Project documents, see exportProject(); the same format is read and written by the vanilla core
+export type ProjectSettings = Required<PianoRollOptions>;
+
+// Custom tunings are stored as their definition (or Scala scale) and rebuilt on import
+export type ProjectTuning =
+	| { name: string; type: 'scala'; scale: ScalaScale; keyboardMapping: KeyboardMapping | null } // null = default mapping
+	| { name: string; type: 'generated' | 'mode'; definition: TuningDefinition };
+
+export interface ProjectNote {
+	id?: number; // kept so that humanize offsets stay the same after a reload
+	name?: string; // spelling of midi; derived from midi when missing
+	midi: number;
+	time: number;
+	duration: number;
+	velocity?: number; // default 0.8
+	spelled?: boolean; // name is a spelling from notation, see Note.spelled
+}
+
+export interface ProjectTrack extends Partial<TrackMix> {
+	name: string;
+	channel?: number;
+	notes: ProjectNote[];
+	controllers?: ControllerEvent[];
+}
+
+// Transport fields of getState() that belong to the session
+export type ProjectTransport = Pick<
+	TransportState,
+	'bpm' | 'positionSeconds' | 'isLooping' | 'loopStartSeconds' | 'loopEndSeconds' | 'swing' | 'swingSubdivision'
+>;
+
+// Sections other than format, version and tracks may be left out and get their defaults on import
+export interface ProjectDocument {
+	format: 'pianoroll-project';
+	version: number;
+	name?: string;
+	savedAt?: string; // ISO date
+	settings?: Partial<Omit<ProjectSettings, 'adaptiveMaxDrift'> & { adaptiveMaxDrift: number | null }>; // null = no drift limit
+	tunings?: ProjectTuning[];
+	tracks: ProjectTrack[];
+	duration?: number;
+	tempoMap?: MidiHeader; // the file's tempos without setBPM(); note times already follow transport.bpm
+	transport?: Partial<ProjectTransport>;
+	metronome?: Partial<MetronomeSettings>;
+	transforms?: TransformChanges;
+	patch?: PatchChanges;
+	masterBus?: Partial<MasterBusSettings>;
+}
+
+// One problem found in a project document; path points at the field, e.g. 'tracks[0].notes[3].velocity'
+export interface ProjectIssue {
+	path: string;
+	message: string;
 }
 
 export interface ThemeMode {
@@ -69,6 +714,10 @@ export interface TransportState {
 	isLooping: boolean;
 	loopStart: string;
 	loopEnd: string;
+	loopStartSeconds: number;
+	loopEndSeconds: number;
+	isRecording: boolean;
+	isCountingIn: boolean; // count-in clicks before the notes, see setMetronome()
 	swing: number; // 0-1
 	swingSubdivision: string; // '8n', '16n', etc.
 }
@@ -78,8 +727,8 @@ export interface TransportControls {
 	pause(): void;
 	stop(): void;
 	setBPM(bpm: number): void;
-	setPosition(position: string): void;
-	setLoop(enabled: boolean, start?: string, end?: string): void;
+	setPosition(position: string | number): void;
+	setLoop(enabled: boolean, start?: string | number, end?: string | number): void;
 	setSwing(amount: number, subdivision?: string): void;
 	getState(): TransportState;
 }
@@ -89,7 +738,7 @@ export interface TransportEventCallback {
 }
 
 export interface TransportEvent {
-	type: 'play' | 'pause' | 'stop' | 'position' | 'bpm' | 'loop';
+	type: 'play' | 'pause' | 'stop' | 'position' | 'bpm' | 'loop' | 'loopWrap' | 'record' | 'click' | 'countIn' | 'metronome' | 'transforms' | 'patch' | 'masterBus';
 	data?: any;
 	timestamp: number;
 }